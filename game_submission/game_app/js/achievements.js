@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Achievements and daily play streaks. Achievements are data:
+ * achievements.json lists them, each with a condition on the player's
+ * saved rounds, so new ones need no code. Whether a player has one is
+ * worked out from their rounds (flagged, simulated and stopped rounds
+ * don't count), so badges
+ * follow rounds through imports and exports.
+ */
+import { countsTowardsRecords, profileKey, dayKey } from './core.js';
+import { getRounds } from './storage.js';
+import { getMode } from './modes.js';
+import { getLanguage } from './i18n.js';
+
+export const ACHIEVEMENTS_URL = './achievements.json';
+export const ACHIEVEMENTS_FORMAT = 'togetherwe-achievements';
+
+/**
+ * @typedef {Object} AchievementCondition One of:
+ *  - `{type: 'rounds', mode?, min}`: at least `min` rounds, in `mode` or any mode.
+ *  - `{type: 'score', mode, min}`: a round in `mode` scoring at least `min`.
+ *  - `{type: 'component', mode, key, min}`: a round in `mode` whose scoring
+ *    component `key` is at least `min`.
+ *  - `{type: 'sameDay', modes}`: a round in every one of `modes` on one day.
+ *  - `{type: 'dailyStreak', min}`: rounds on `min` days in a row.
+ * @property {'rounds' | 'score' | 'component' | 'sameDay' | 'dailyStreak'} type
+ * @property {string} [mode]
+ * @property {string[]} [modes]
+ * @property {string} [key]
+ * @property {number} [min]
+ */
+
+/**
+ * @typedef {Object} Achievement
+ * @property {string} id Lowercase letters, digits and dashes.
+ * @property {string} title
+ * @property {string} description How to earn it.
+ * @property {string} [icon] An emoji for the badge.
+ * @property {AchievementCondition} condition
+ * @property {Object<string, {title?: string, description?: string}>} [translations]
+ *     The title and description in other languages, by language code.
+ */
+
+let loading = null;
+
+/**
+ * The day before a day key.
+ * @param {string} day
+ * @returns {string}
+ */
+const previousDay = (day) => {
+    const [y, m, d] = day.split('-').map(Number);
+    return dayKey(new Date(y, m - 1, d - 1).getTime());
+};
+
+/**
+ * Checks one definition from achievements.json.
+ * @param {any} def
+ * @returns {string | null} What is wrong with it, or null if it is valid.
+ */
+export function validateAchievement(def) {
+    if (!def || !/^[a-z0-9-]{1,40}$/.test(def.id || '')) return `Invalid id "${def?.id}".`;
+    if (typeof def.title !== 'string' || !def.title) return `"${def.id}" needs a title.`;
+    if (typeof def.description !== 'string') return `"${def.id}" needs a description.`;
+    const translations = def.translations ?? {};
+    const isText = (value) => value === undefined || typeof value === 'string';
+    if (typeof translations !== 'object' || !Object.values(translations).every(tr => tr && isText(tr.title) && isText(tr.description))) {
+        return `"${def.id}" has invalid translations.`;
+    }
+    const c = def.condition || {};
+    const knownMode = (mode) => !!getMode(mode);
+    const hasMin = Number.isFinite(c.min);
+    switch (c.type) {
+        case 'rounds':
+            return hasMin && (c.mode === undefined || knownMode(c.mode)) ? null : `"${def.id}" needs a min and a known mode, if any.`;
+        case 'score':
+            return hasMin && knownMode(c.mode) ? null : `"${def.id}" needs a min and a known mode.`;
+        case 'component':
+            return hasMin && knownMode(c.mode) && typeof c.key === 'string' ? null : `"${def.id}" needs a min, a known mode and a component key.`;
+        case 'sameDay':
+            return Array.isArray(c.modes) && c.modes.length > 0 && c.modes.every(knownMode) ? null : `"${def.id}" needs a list of known modes.`;
+        case 'dailyStreak':
+            return hasMin ? null : `"${def.id}" needs a min.`;
+        default:
+            return `"${def.id}" has an unknown condition type "${c.type}".`;
+    }
+}
+
+/**
+ * An achievement's title and description in the player's language.
+ * @param {Achievement} def
+ * @returns {{title: string, description: string}} The English ones where there is no translation.
+ */
+export function achievementText(def) {
+    const translated = def.translations?.[getLanguage()];
+    return { title: translated?.title || def.title, description: translated?.description || def.description };
+}
+
+/**
+ * Loads the achievement definitions once. Invalid definitions are skipped
+ * with a warning, so one typo doesn't hide the rest.
+ * @param {string} [url]
+ * @returns {Promise<Achievement[]>} Empty if the file can't be loaded.
+ */
+export function loadAchievements(url = ACHIEVEMENTS_URL) {
+    if (loading) return loading;
+    loading = (async () => {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`${url} answered ${response.status}.`);
+            const doc = await response.json();
+            if (doc.format !== ACHIEVEMENTS_FORMAT || !Array.isArray(doc.achievements)) {
+                throw new Error(`${url} is not an achievements file.`);
+            }
+            const ids = new Set();
+            return doc.achievements.filter(def => {
+                const error = validateAchievement(def) || (ids.has(def.id) ? `Duplicate id "${def.id}".` : null);
+                if (error) console.warn(`Skipping achievement: ${error}`);
+                ids.add(def?.id);
+                return !error;
+            });
+        } catch (error) {
+            console.error("Could not load achievements:", error);
+            return [];
+        }
+    })();
+    return loading;
+}
+
+/**
+ * The player's daily play streaks: days in a row with at least one round.
+ * @param {Array<{ts: number}>} rounds
+ * @param {number} [now]
+ * @returns {{current: number, longest: number}} `current` counts back from
+ *     today, or from yesterday if the player hasn't played yet today.
+ */
+export function dailyStreaks(rounds, now = Date.now()) {
+    const days = new Set(rounds.map(r => dayKey(r.ts)));
+    const runFrom = (day) => {
+        let length = 0;
+        while (days.has(day)) {
+            length++;
+            day = previousDay(day);
+        }
+        return length;
+    };
+    const today = dayKey(now);
+    const current = runFrom(today) || runFrom(previousDay(today));
+    // A run is measured from its last day, i.e. a day whose next day wasn't played.
+    const longest = Math.max(0, ...[...days].map(runFrom));
+    return { current, longest };
+}
+
+/**
+ * Whether a player's rounds meet an achievement's condition.
+ * @param {Achievement} def
+ * @param {import('./storage.js').RoundRecord[]} rounds The player's rounds, including ones that don't count.
+ * @returns {boolean}
+ */
+export function isAchieved({ condition: c }, rounds) {
+    const counted = rounds.filter(countsTowardsRecords);
+    const inMode = counted.filter(r => !c.mode || r.mode === c.mode);
+    switch (c.type) {
+        case 'rounds':
+            return inMode.length >= c.min;
+        case 'score':
+            return inMode.some(r => r.score >= c.min);
+        case 'component':
+            return inMode.some(r => Number(r.components?.[c.key]) >= c.min);
+        case 'sameDay': {
+            const modesByDay = new Map();
+            counted.forEach(r => {
+                const day = dayKey(r.ts);
+                if (!modesByDay.has(day)) modesByDay.set(day, new Set());
+                modesByDay.get(day).add(r.mode);
+            });
+            return [...modesByDay.values()].some(modes => c.modes.every(m => modes.has(m)));
+        }
+        case 'dailyStreak':
+            return dailyStreaks(counted).longest >= c.min;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Every stored round of a player, in any mode.
+ * @param {string} name
+ * @returns {import('./storage.js').RoundRecord[]}
+ */
+export const playerRounds = (name) => getRounds({ filter: r => profileKey(r.name) === profileKey(name) });
+
+/**
+ * The achievements a round has just unlocked for its player.
+ * @param {import('./storage.js').RoundRecord} round A round that has been stored.
+ * @returns {Promise<Achievement[]>}
+ */
+export async function newAchievements(round) {
+    const defs = await loadAchievements();
+    const after = playerRounds(round.name);
+    const before = after.filter(r => r.id !== round.id);
+    return defs.filter(def => isAchieved(def, after) && !isAchieved(def, before));
+}
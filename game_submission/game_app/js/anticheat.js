@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Plausibility checks for finished rounds.
+ * Each check looks for a physical or statistical sign that a score was not
+ * earned by laughing, shaking, breathing or humming (slamming the phone,
+ * shouting, a looped clip, a broken sensor stream, a machine-steady rhythm
+ * or pitch). Rounds that fail are still saved, with the
+ * reasons attached, so the scoreboard can mark or hide them.
+ * Pure functions, no DOM or audio dependencies.
+ */
+import { t, formatNumber, formatPercent } from './i18n.js';
+
+/**
+ * @typedef {Object} RoundFlag
+ * @property {string} code A stable identifier, e.g. 'shake-jerk'.
+ * @property {string} reason A short explanation for players and facilitators,
+ *     in the language of the player whose round it is.
+ */
+
+/**
+ * Thresholds used by the checks.
+ *  - saturationLevel: m/s² at or above which a reading may be clipped
+ *    (most phones top out at ±4g or ±8g).
+ *  - minSaturatedSamples: clipped readings needed to flag a round.
+ *  - maxJerk: m/s³; larger changes between samples only happen on impact.
+ *  - minJerkSpikes: impossible-jerk samples needed to flag a round.
+ *  - motionRate: plausible `devicemotion` events per second.
+ *  - loudQuietProbability / maxLoudNonLaughFraction: ticks that are loud
+ *    while laughter probability stays below the first value are shouting;
+ *    flag when they exceed the given share of the round.
+ *  - loopCorrelation / loopMinLag: an audio envelope (smoothed over three
+ *    frames, so a loop that isn't a whole number of frames long still lines
+ *    up) that matches itself this closely at a lag of at least loopMinLag
+ *    seconds is a repeated clip.
+ *  - audioRateTolerance: allowed relative deviation from the expected number
+ *    of audio frames.
+ *  - minBreathVariation / minRegularBreaths: people's breaths vary in length
+ *    by several percent; when at least minRegularBreaths breaths vary less
+ *    than minBreathVariation (coefficient of variation), something else
+ *    made them.
+ *  - minPitchWobble / minHumPairs: a voice wavers by at least a few cents
+ *    from tick to tick; when the median change over at least minHumPairs
+ *    pairs of hummed ticks is below minPitchWobble cents, it is a tone
+ *    generator.
+ */
+export const ANTICHEAT_DEFAULTS = Object.freeze({
+    saturationLevel: 35,
+    minSaturatedSamples: 3,
+    maxJerk: 3000,
+    minJerkSpikes: 2,
+    motionRate: { min: 15, max: 250 },
+    loudQuietProbability: 0.3,
+    maxLoudNonLaughFraction: 0.5,
+    loudOffset: 0.10,
+    loopCorrelation: 0.9,
+    loopMinLag: 0.5,
+    audioRateTolerance: 0.5,
+    minBreathVariation: 0.01,
+    minRegularBreaths: 4,
+    minPitchWobble: 0.5,
+    minHumPairs: 20,
+});
+
+// --- Shake ---
+
+/**
+ * Checks a Shake round's raw motion samples.
+ * @param {import('./shake-scoring.js').MotionSample[]} samples
+ * @param {number} durationMs How long the round ran.
+ * @param {Partial<typeof ANTICHEAT_DEFAULTS>} [options]
+ * @returns {RoundFlag[]}
+ */
+export function checkShakeRound(samples, durationMs, options = {}) {
+    const params = { ...ANTICHEAT_DEFAULTS, ...options };
+    const flags = [];
+    const reading = (s) => s.acceleration || s.accelerationIncludingGravity;
+
+    let saturated = 0;
+    let jerkSpikes = 0;
+    let previous = null;
+    for (const sample of samples) {
+        const a = reading(sample);
+        if (!a) continue;
+        if (Math.max(Math.abs(a.x), Math.abs(a.y), Math.abs(a.z)) >= params.saturationLevel) saturated++;
+        if (previous) {
+            const dt = (sample.t - previous.t) / 1000;
+            const pa = reading(previous);
+            if (dt > 0 && pa) {
+                const jerk = Math.hypot(a.x - pa.x, a.y - pa.y, a.z - pa.z) / dt;
+                if (jerk > params.maxJerk) jerkSpikes++;
+            }
+        }
+        previous = sample;
+    }
+
+    if (saturated >= params.minSaturatedSamples) {
+        flags.push({ code: 'shake-saturation', reason: t('flags.shakeSaturation', { count: saturated }) });
+    }
+    if (jerkSpikes >= params.minJerkSpikes) {
+        flags.push({ code: 'shake-jerk', reason: t('flags.shakeJerk', { count: jerkSpikes }) });
+    }
+
+    const seconds = durationMs / 1000;
+    if (seconds >= 2 && samples.length > 0) {
+        const rate = samples.length / seconds;
+        if (rate < params.motionRate.min || rate > params.motionRate.max) {
+            flags.push({ code: 'shake-event-rate', reason: t('flags.shakeEventRate', { rate: Math.round(rate) }) });
+        }
+    }
+    return flags;
+}
+
+// --- Laugh ---
+
+/**
+ * Finds the strongest self-similarity of an envelope at lags of at least
+ * `minLag` samples (Pearson correlation between the signal and its shift).
+ * @param {number[]} envelope
+ * @param {number} minLag
+ * @returns {{correlation: number, lag: number}}
+ */
+export function strongestRepetition(envelope, minLag) {
+    let best = { correlation: 0, lag: 0 };
+    const n = envelope.length;
+    for (let lag = minLag; lag <= Math.floor(n / 2); lag++) {
+        const m = n - lag;
+        let sa = 0, sb = 0;
+        for (let i = 0; i < m; i++) { sa += envelope[i]; sb += envelope[i + lag]; }
+        const ma = sa / m, mb = sb / m;
+        let cov = 0, va = 0, vb = 0;
+        for (let i = 0; i < m; i++) {
+            const da = envelope[i] - ma, db = envelope[i + lag] - mb;
+            cov += da * db; va += da * da; vb += db * db;
+        }
+        const correlation = va > 0 && vb > 0 ? cov / Math.sqrt(va * vb) : 0;
+        if (correlation > best.correlation) best = { correlation, lag };
+    }
+    return best;
+}
+
+/**
+ * Checks a Laugh round.
+ * @param {{
+ *   ticks: import('./laugh-scoring.js').LaughTick[],
+ *   baselineRMS: number,
+ *   frameRms: number[],
+ *   frameDuration: number,
+ *   durationMs: number,
+ * }} round `frameRms` holds one RMS value per captured audio frame, each
+ *     `frameDuration` seconds long.
+ * @param {Partial<typeof ANTICHEAT_DEFAULTS>} [options]
+ * @returns {RoundFlag[]}
+ */
+export function checkLaughRound({ ticks, baselineRMS, frameRms, frameDuration, durationMs }, options = {}) {
+    const params = { ...ANTICHEAT_DEFAULTS, ...options };
+    const flags = [];
+
+    if (ticks.length > 0) {
+        const loudThreshold = baselineRMS + params.loudOffset;
+        const loudNonLaugh = ticks.filter(t => t.rms > loudThreshold && t.probability < params.loudQuietProbability).length;
+        if (loudNonLaugh / ticks.length > params.maxLoudNonLaughFraction) {
+            flags.push({ code: 'laugh-loud-noise', reason: t('flags.laughLoudNoise', { share: formatPercent(loudNonLaugh / ticks.length) }) });
+        }
+    }
+
+    // Only judge repetition on a round with real dynamics; steady noise correlates trivially.
+    const mean = frameRms.reduce((a, b) => a + b, 0) / (frameRms.length || 1);
+    const variance = frameRms.reduce((a, b) => a + (b - mean) ** 2, 0) / (frameRms.length || 1);
+    const minLag = Math.max(1, Math.round(params.loopMinLag / frameDuration));
+    if (frameRms.length >= 4 * minLag && mean > baselineRMS && Math.sqrt(variance) / mean > 0.2) {
+        const smoothed = frameRms.map((v, i) => (frameRms[Math.max(0, i - 1)] + v + frameRms[Math.min(frameRms.length - 1, i + 1)]) / 3);
+        const { correlation, lag } = strongestRepetition(smoothed, minLag);
+        if (correlation >= params.loopCorrelation) {
+            flags.push({ code: 'laugh-loop', reason: t('flags.laughLoop', { seconds: formatNumber(lag * frameDuration, { decimals: 1 }) }) });
+        }
+    }
+
+    const expectedFrames = durationMs / 1000 / frameDuration;
+    if (expectedFrames >= 10 && Math.abs(frameRms.length - expectedFrames) / expectedFrames > params.audioRateTolerance) {
+        flags.push({ code: 'laugh-event-rate', reason: t('flags.laughEventRate', { received: frameRms.length, expected: Math.round(expectedFrames) }) });
+    }
+    return flags;
+}
+
+// --- Breathe ---
+
+/**
+ * Checks a Breathe round's breath lengths.
+ * @param {number[]} periods Breath cycle lengths in seconds.
+ * @param {Partial<typeof ANTICHEAT_DEFAULTS>} [options]
+ * @returns {RoundFlag[]}
+ */
+export function checkBreatheRound(periods, options = {}) {
+    const params = { ...ANTICHEAT_DEFAULTS, ...options };
+    const flags = [];
+    if (periods.length >= params.minRegularBreaths) {
+        const mean = periods.reduce((a, b) => a + b, 0) / periods.length;
+        const variance = periods.reduce((a, b) => a + (b - mean) ** 2, 0) / periods.length;
+        if (Math.sqrt(variance) / mean < params.minBreathVariation) {
+            flags.push({ code: 'breathe-regular', reason: t('flags.breatheRegular', { count: periods.length }) });
+        }
+    }
+    return flags;
+}
+
+// --- Hum ---
+
+/**
+ * Checks a Hum round's detected pitches.
+ * @param {import('./hum-scoring.js').HumTick[]} ticks
+ * @param {Partial<typeof ANTICHEAT_DEFAULTS>} [options]
+ * @returns {RoundFlag[]}
+ */
+export function checkHumRound(ticks, options = {}) {
+    const params = { ...ANTICHEAT_DEFAULTS, ...options };
+    const flags = [];
+    const changes = [];
+    for (let i = 1; i < ticks.length; i++) {
+        const a = ticks[i - 1].frequency;
+        const b = ticks[i].frequency;
+        if (a && b) changes.push(Math.abs(1200 * Math.log2(b / a)));
+    }
+    if (changes.length >= params.minHumPairs) {
+        changes.sort((x, y) => x - y);
+        const median = changes[Math.floor(changes.length / 2)];
+        if (median < params.minPitchWobble) {
+            flags.push({ code: 'hum-pure-tone', reason: t('flags.humPureTone', { cents: formatNumber(median, { decimals: 2 }) }) });
+        }
+    }
+    return flags;
+}
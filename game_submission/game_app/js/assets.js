@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Resolves the third-party assets used by Laugh mode
+ * (MediaPipe Tasks Audio, its WASM fileset and the YAMNet model).
+ * Self-hosted copies under ./vendor/ are tried first, then the public CDNs.
+ * The module has no DOM dependencies and no imports, so workers can load
+ * it on its own. core.js re-exports the sources for the pages.
+ */
+
+// MediaPipe Model & CDN URLs
+export const MP_JSDELIVR_URL = "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-audio@0.10.20";
+export const MP_UNPKG_URL = "https://unpkg.com/@mediapipe/tasks-audio@0.10.20";
+export const MP_WASM_DIR = "/wasm";
+export const YAMNET_MODEL_PRIMARY_URL = "https://tfhub.dev/google/lite-model/yamnet/classification/tflite/1?lite-format=tflite";
+export const YAMNET_MODEL_FALLBACK_URL = "https://storage.googleapis.com/mediapipe-models/audio_classifier/yamnet/float32/1/yamnet.tflite";
+
+// Self-hosted copies (see vendor/README.md). Paths are relative to the app root.
+export const VENDOR_TASKS_AUDIO_PATH = "vendor/mediapipe/tasks-audio/audio_bundle.mjs";
+export const VENDOR_WASM_PATH = "vendor/mediapipe/tasks-audio/wasm";
+export const VENDOR_YAMNET_PATH = "vendor/models/yamnet.tflite";
+
+/**
+ * Ordered candidate sources for each third-party asset. The resolver below
+ * uses the first one that is reachable. Entries of this object can
+ * be overridden by defining `window.TOGETHERWE_ASSETS` before the app loads.
+ */
+export const ASSET_SOURCES = {
+    tasksAudio: [VENDOR_TASKS_AUDIO_PATH, MP_JSDELIVR_URL, MP_UNPKG_URL],
+    wasm: [VENDOR_WASM_PATH, MP_JSDELIVR_URL + MP_WASM_DIR, MP_UNPKG_URL + MP_WASM_DIR],
+    yamnet: [VENDOR_YAMNET_PATH, YAMNET_MODEL_PRIMARY_URL, YAMNET_MODEL_FALLBACK_URL],
+};
+
+// The app root, resolved relative to this file so pages and workers agree.
+const APP_ROOT = new URL('../', import.meta.url);
+
+// A file that must exist inside a self-hosted directory asset.
+const PROBE_FILES = {
+    wasm: 'audio_wasm_internal.wasm',
+};
+
+const resolvedSources = new Map();
+
+/**
+ * Returns the ordered candidate URLs for an asset.
+ * `globalThis.TOGETHERWE_ASSETS` may replace the list for any asset kind.
+ * @param {'tasksAudio' | 'wasm' | 'yamnet'} kind The asset kind.
+ * @returns {string[]} Absolute URLs, most preferred first.
+ */
+export function getAssetCandidates(kind) {
+    const overrides = globalThis.TOGETHERWE_ASSETS || {};
+    const sources = overrides[kind] || ASSET_SOURCES[kind] || [];
+    return sources.map(src => new URL(src, APP_ROOT).href);
+}
+
+/**
+ * Returns the URL an asset was last loaded from, if any.
+ * @param {'tasksAudio' | 'wasm' | 'yamnet'} kind The asset kind.
+ * @returns {string | undefined}
+ */
+export const getResolvedSource = (kind) => resolvedSources.get(kind);
+
+/**
+ * Checks whether a same-origin asset is present. Remote assets are assumed to
+ * exist; their loader reports failures instead.
+ * @param {'tasksAudio' | 'wasm' | 'yamnet'} kind The asset kind.
+ * @param {string} url The candidate URL.
+ * @returns {Promise<boolean>}
+ */
+async function isAvailable(kind, url) {
+    if (new URL(url).origin !== APP_ROOT.origin) return true;
+    const probeUrl = PROBE_FILES[kind] ? `${url}/${PROBE_FILES[kind]}` : url;
+    try {
+        const response = await fetch(probeUrl, { method: 'HEAD' });
+        return response.ok;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Calls `load` with each candidate source in turn until one succeeds.
+ * @template T
+ * @param {'tasksAudio' | 'wasm' | 'yamnet'} kind The asset kind.
+ * @param {(url: string) => Promise<T>} load Loads the asset from a URL.
+ * @param {(message: string) => void} [log] Optional progress logger.
+ * @returns {Promise<T>} The result of the first successful load.
+ */
+export async function loadAsset(kind, load, log = () => {}) {
+    let lastError = new Error(`No source configured for "${kind}".`);
+    for (const url of getAssetCandidates(kind)) {
+        if (!(await isAvailable(kind, url))) {
+            log(`${kind}: not found at ${url}, skipping.`);
+            continue;
+        }
+        try {
+            const result = await load(url);
+            resolvedSources.set(kind, url);
+            log(`${kind}: loaded from ${url}`);
+            return result;
+        } catch (e) {
+            lastError = e;
+            log(`${kind}: failed from ${url} (${e.message || e})`);
+        }
+    }
+    throw lastError;
+}
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Microphone capture pipeline shared by the audio modes.
+ * Audio arrives in fixed-size frames from an AudioWorklet (or, on browsers
+ * without worklets, a ScriptProcessorNode). The frames feed a rolling window
+ * for classification and a per-frame RMS used by the meter and calibration.
+ */
+
+export const DEFAULT_FRAME_SIZE = 1024; // 64 ms at 16 kHz
+
+/**
+ * Computes the root-mean-square amplitude of a buffer.
+ * @param {Float32Array} samples
+ * @returns {number}
+ */
+export function computeRms(samples) {
+    let sumSquares = 0.0;
+    for (let i = 0; i < samples.length; i++) sumSquares += samples[i] * samples[i];
+    return samples.length > 0 ? Math.sqrt(sumSquares / samples.length) : 0;
+}
+
+/**
+ * Connects a frame source (worklet or script processor) to the graph.
+ * @param {AudioContext} audioContext
+ * @param {AudioNode} sourceNode
+ * @param {number} frameSize
+ * @param {(frame: Float32Array) => void} onFrame
+ * @returns {Promise<{node: AudioNode, kind: 'worklet' | 'script-processor', disconnect: () => void}>}
+ */
+async function connectFrameSource(audioContext, sourceNode, frameSize, onFrame) {
+    // The capture node's output is silent; route it through a muted gain so the
+    // graph keeps pulling audio through it without playing anything.
+    const sink = audioContext.createGain();
+    sink.gain.value = 0;
+    sink.connect(audioContext.destination);
+
+    if (audioContext.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+        try {
+            await audioContext.audioWorklet.addModule(new URL('./capture-worklet.js', import.meta.url));
+            const node = new AudioWorkletNode(audioContext, 'capture-processor', {
+                numberOfInputs: 1,
+                numberOfOutputs: 1,
+                channelCount: 1,
+                processorOptions: { frameSize },
+            });
+            node.port.onmessage = (event) => onFrame(event.data);
+            sourceNode.connect(node);
+            node.connect(sink);
+            return {
+                node,
+                kind: 'worklet',
+                disconnect: () => {
+                    node.port.onmessage = null;
+                    node.disconnect();
+                    sink.disconnect();
+                },
+            };
+        } catch (e) {
+            console.warn("AudioWorklet unavailable, falling back to ScriptProcessorNode:", e);
+        }
+    }
+
+    // Deprecated, main-thread path for browsers without AudioWorklet.
+    const node = audioContext.createScriptProcessor(frameSize, 1, 1);
+    node.onaudioprocess = (event) => onFrame(new Float32Array(event.inputBuffer.getChannelData(0)));
+    sourceNode.connect(node);
+    node.connect(sink);
+    return {
+        node,
+        kind: 'script-processor',
+        disconnect: () => {
+            node.onaudioprocess = null;
+            node.disconnect();
+            sink.disconnect();
+        },
+    };
+}
+
+/**
+ * Starts capturing audio from a source node.
+ * @param {AudioContext} audioContext
+ * @param {AudioNode} sourceNode The microphone source.
+ * @param {{frameSize?: number, windowSize?: number}} [options] `windowSize`
+ *     is the rolling window length in samples (default: one second).
+ * @returns {Promise<{
+ *   kind: 'worklet' | 'script-processor',
+ *   frameSize: number,
+ *   readonly rms: number,
+ *   getWindow: () => Float32Array,
+ *   onFrame: (listener: (frame: Float32Array, rms: number) => void) => () => void,
+ *   stop: () => void,
+ * }>}
+ */
+export async function createAudioCapture(audioContext, sourceNode, { frameSize = DEFAULT_FRAME_SIZE, windowSize = audioContext.sampleRate } = {}) {
+    const ring = new Float32Array(windowSize);
+    let ringIndex = 0;
+    let latestRms = 0;
+    const listeners = new Set();
+
+    const handleFrame = (frame) => {
+        for (let i = 0; i < frame.length; i++) {
+            ring[ringIndex++] = frame[i];
+            if (ringIndex >= ring.length) ringIndex = 0;
+        }
+        latestRms = computeRms(frame);
+        listeners.forEach(listener => listener(frame, latestRms));
+    };
+
+    const source = await connectFrameSource(audioContext, sourceNode, frameSize, handleFrame);
+
+    return {
+        kind: source.kind,
+        frameSize,
+        get rms() { return latestRms; },
+        getWindow() {
+            const window = new Float32Array(ring.length);
+            window.set(ring.subarray(ringIndex), 0);
+            window.set(ring.subarray(0, ringIndex), ring.length - ringIndex);
+            return window;
+        },
+        onFrame(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+        stop() {
+            listeners.clear();
+            source.disconnect();
+        },
+    };
+}
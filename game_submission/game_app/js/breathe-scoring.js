@@ -0,0 +1,172 @@
+/**
+ * @fileoverview CalmRank scoring engine for Breathe mode.
+ * Pure functions with no DOM dependencies. A breath signal (the microphone's
+ * loudness, or the tilt of a phone resting on the chest) is split into
+ * breath cycles, and the score measures how closely their length matches
+ * the target rhythm. Only the rhythm is scored, not where each breath falls
+ * against the guide: a microphone hears the exhale, while the chest rises
+ * on the inhale.
+ */
+
+/**
+ * Default scoring parameters.
+ *  - inhaleSeconds / exhaleSeconds: the target rhythm.
+ *  - tolerance: how far off (as a share of the target) a breath may be and
+ *    still score; a breath off by this much or more scores nothing.
+ *  - smoothing: time constant (s) of the filter that removes flutter from
+ *    the signal.
+ *  - hysteresis: share of the recent breath swing the signal has to cross
+ *    before it counts as rising or falling.
+ *  - minSwing: smallest swing counted as breathing, in the signal's units.
+ *  - minPeriodRatio: cycles shorter than this share of the target are one
+ *    breath with a bump in it, not two breaths.
+ */
+export const BREATHE_SCORING_DEFAULTS = Object.freeze({
+    inhaleSeconds: 4,
+    exhaleSeconds: 6,
+    tolerance: 0.5,
+    smoothing: 0.4,
+    hysteresis: 0.3,
+    minSwing: 0,
+    minPeriodRatio: 0.4,
+});
+
+/** Time constant (s) over which the tilt signal settles on the breathing axis. */
+const AXIS_TIME_CONSTANT = 3;
+
+/**
+ * @typedef {Object} BreatheScore
+ * @property {number} score The rounded CalmRank (0-100).
+ * @property {{cycles: number, meanPeriod: number, targetPeriod: number, match: number}} components
+ *     Breath cycles detected, their mean length (s), the target length (s)
+ *     and the mean rhythm match of the cycles (0-1).
+ */
+
+/**
+ * Scores a list of breath lengths against the target rhythm. Each breath
+ * scores by how close it is to the target; breaths missing from the round
+ * score nothing. A round is expected to hold two fewer breaths than fit in
+ * it: the detector spends the first learning how big a breath is, and the
+ * second has no start to measure from.
+ * @param {number[]} periods Breath cycle lengths in seconds.
+ * @param {number} durationMs How long the round ran.
+ * @param {Partial<typeof BREATHE_SCORING_DEFAULTS>} [options]
+ * @returns {BreatheScore}
+ */
+export function scoreBreathCycles(periods, durationMs, options = {}) {
+    const params = { ...BREATHE_SCORING_DEFAULTS, ...options };
+    const target = params.inhaleSeconds + params.exhaleSeconds;
+    const matches = periods.map(p => Math.max(0, 1 - Math.abs(p - target) / (params.tolerance * target)));
+    const expected = Math.max(1, Math.floor(durationMs / 1000 / target) - 2);
+    const total = matches.reduce((sum, m) => sum + m, 0);
+    const match = matches.length > 0 ? total / matches.length : 0;
+    const meanPeriod = periods.length > 0 ? periods.reduce((sum, p) => sum + p, 0) / periods.length : 0;
+    return {
+        score: Math.round(100 * total / Math.max(expected, periods.length)),
+        components: {
+            cycles: periods.length,
+            meanPeriod: Math.round(meanPeriod * 100) / 100,
+            targetPeriod: target,
+            match: Math.round(match * 100) / 100,
+        },
+    };
+}
+
+/**
+ * Creates an incremental breath detector and scorer for one round. The
+ * signal is smoothed, a slow running mean is removed, and each time what is
+ * left rises through the hysteresis band after having fallen through it, a
+ * new breath starts.
+ * @param {Partial<typeof BREATHE_SCORING_DEFAULTS>} [options] Parameter overrides.
+ * @returns {{
+ *   push: (t: number, value: number) => {level: number, cycle: number | null},
+ *   readonly periods: number[],
+ *   result: (durationMs: number) => BreatheScore,
+ * }} `push` takes a timestamp (ms) and a signal value, and returns where the
+ *     signal sits in the recent breath swing (-1 to 1) and the length (s) of
+ *     the breath it completed, if any.
+ */
+export function createBreathScorer(options = {}) {
+    const params = { ...BREATHE_SCORING_DEFAULTS, ...options };
+    const target = params.inhaleSeconds + params.exhaleSeconds;
+    const periods = [];
+    let lastT = null;
+    let fast = 0;
+    let slow = 0;
+    let swing = 0;
+    let state = null;     // 'high' or 'low' once the signal has crossed the band
+    let breathStart = null;
+
+    return {
+        push(t, value) {
+            if (lastT === null) {
+                fast = slow = value;
+                lastT = t;
+                return { level: 0, cycle: null };
+            }
+            const dt = Math.min(1, Math.max(0, (t - lastT) / 1000));
+            lastT = t;
+            fast += (value - fast) * (1 - Math.exp(-dt / params.smoothing));
+            slow += (value - slow) * (1 - Math.exp(-dt / target));
+            const d = fast - slow;
+            swing = Math.max(Math.abs(d), swing * Math.exp(-dt / (2 * target)));
+            const band = params.hysteresis * Math.max(swing, params.minSwing);
+            const level = Math.max(-1, Math.min(1, d / Math.max(swing, params.minSwing, 1e-9)));
+
+            let cycle = null;
+            if (swing >= params.minSwing && d > band && state !== 'high') {
+                // The first crossing, from no state, only shows the signal is moving.
+                if (state === 'low' && breathStart === null) {
+                    breathStart = t;
+                } else if (state === 'low' && (t - breathStart) / 1000 >= params.minPeriodRatio * target) {
+                    cycle = (t - breathStart) / 1000;
+                    periods.push(cycle);
+                    breathStart = t;
+                }
+                state = 'high';
+            } else if (swing >= params.minSwing && d < -band) {
+                state = 'low';
+            }
+            return { level, cycle };
+        },
+        get periods() { return [...periods]; },
+        result: (durationMs) => scoreBreathCycles(periods, durationMs, params),
+    };
+}
+
+/**
+ * Turns the acceleration-including-gravity readings of a phone resting on
+ * the chest into a breath signal. Breathing tilts the phone back and forth
+ * about some axis; the signal is the gravity reading's movement along the
+ * direction it moves most (its first principal component, tracked with
+ * Oja's rule), so it works however the phone lies.
+ * @returns {{update: (accG: {x: number, y: number, z: number}, dt: number) => number}}
+ *     `update` takes a reading (m/s²) and the time step (s) and returns the signal (m/s²).
+ */
+export function createTiltSignal() {
+    let mean = null;
+    let axis = { x: 0.8, y: 0.6, z: 0 };
+    let power = 0;
+
+    return {
+        update(accG, dt) {
+            const a = { x: accG.x || 0, y: accG.y || 0, z: accG.z || 0 };
+            if (!mean) {
+                mean = { ...a };
+                return 0;
+            }
+            const k = 1 - Math.exp(-dt / (2 * AXIS_TIME_CONSTANT));
+            ['x', 'y', 'z'].forEach(c => { mean[c] += (a[c] - mean[c]) * k; });
+            const d = { x: a.x - mean.x, y: a.y - mean.y, z: a.z - mean.z };
+            const projection = d.x * axis.x + d.y * axis.y + d.z * axis.z;
+            power += (d.x * d.x + d.y * d.y + d.z * d.z - power) * k;
+            if (power > 0) {
+                const rate = Math.min(1, dt / AXIS_TIME_CONSTANT) / power;
+                ['x', 'y', 'z'].forEach(c => { axis[c] += rate * projection * (d[c] - projection * axis[c]); });
+                const norm = Math.hypot(axis.x, axis.y, axis.z) || 1;
+                axis = { x: axis.x / norm, y: axis.y / norm, z: axis.z / norm };
+            }
+            return projection;
+        },
+    };
+}
@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Main logic for the Breathe Mode.
+ * Animates the breathing guide, follows the player's breaths with the
+ * microphone or with the phone resting on their chest, and scores how well
+ * the rhythm matches.
+ */
+import * as core from './core.js';
+import * as ui from './ui.js';
+import * as sim from './simulate.js';
+import { openMicrophone, calibrateBaseline, startRmsMeter } from './mic.js';
+import { ensureMotionPermission, listenForMotion } from './motion.js';
+import { createBreathScorer, createTiltSignal } from './breathe-scoring.js';
+import { checkBreatheRound } from './anticheat.js';
+import { initGamePage } from './game-page.js';
+import { t, formatNumber, formatPercent } from './i18n.js';
+
+const BREATHE_SOURCE_KEY = 'breatheSource';
+
+/**
+ * The ways Breathe mode can follow breathing. `minSwing` is the smallest
+ * breath counted, in the units of the source's signal: loudness relative to
+ * the background noise, or m/s² of gravity shifting as the chest tilts.
+ */
+const SOURCES = Object.freeze({
+    mic: { minSwing: 0.25, missed: t('breathe.missed.mic') },
+    chest: { minSwing: 0.03, missed: t('breathe.missed.chest') },
+});
+
+// --- State Variables ---
+let microphone = null;
+let stopRmsMeter = null;
+let stopMotion = null;
+let baselineRMS = 0;
+let motionDataAvailable = false;
+let isRoundRunning = false;
+// Current round
+let source = 'mic';
+let scorer = null;
+let rhythm = { inhaleSeconds: 4, exhaleSeconds: 6 };
+let breathLevel = 0;
+
+/** @returns {'mic' | 'chest'} The source picked on the page. */
+const selectedSource = () => document.querySelector('input[name="breathe-source"]:checked')?.value === 'chest' ? 'chest' : 'mic';
+
+/**
+ * Feeds one signal value to the scorer and logs completed breaths.
+ * @param {number} t Timestamp in ms.
+ * @param {number} value
+ */
+function pushSignal(t, value) {
+    if (!scorer) return;
+    const { level, cycle } = scorer.push(t, value);
+    breathLevel = level;
+    if (cycle) ui.logDebug(`Breath: ${cycle.toFixed(1)}s`);
+}
+
+/**
+ * Shows where the guide is in the target rhythm: the circle grows through
+ * the inhale and shrinks through the exhale.
+ * @param {number} elapsedMs Time since the round started.
+ */
+function showGuide(elapsedMs) {
+    const { inhaleSeconds, exhaleSeconds } = rhythm;
+    const time = (elapsedMs / 1000) % (inhaleSeconds + exhaleSeconds);
+    const inhaling = time < inhaleSeconds;
+    const progress = inhaling ? time / inhaleSeconds : 1 - (time - inhaleSeconds) / exhaleSeconds;
+    const size = (1 - Math.cos(Math.PI * progress)) / 2; // Eases in and out, like a breath
+    core.$('#breathe-guide').style.transform = `scale(${0.6 + 0.4 * size})`;
+    core.$('#breathe-cue').textContent = t(inhaling ? 'breathe.in' : 'breathe.out');
+    core.$('#breathe-count').textContent = Math.ceil((inhaling ? inhaleSeconds : inhaleSeconds + exhaleSeconds) - time).toString();
+}
+
+/**
+ * Releases the microphone and motion sensors.
+ */
+function cleanupSensors() {
+    isRoundRunning = false;
+    if (stopRmsMeter) stopRmsMeter();
+    if (microphone) microphone.close();
+    if (stopMotion) stopMotion();
+    stopRmsMeter = null;
+    microphone = null;
+    stopMotion = null;
+    document.querySelectorAll('input[name="breathe-source"]').forEach(input => { input.disabled = false; });
+}
+
+/**
+ * Breathe mode for the shared game page (see game-page.js).
+ * @type {import('./game-page.js').GameMode}
+ */
+const breatheMode = {
+    id: 'breathe',
+    // Only the microphone needs a secure page; motion works anywhere.
+    get requiresSecureContext() { return selectedSource() === 'mic'; },
+    simulationHint: t('breathe.simulationHint'),
+    startError: t('breathe.startError'),
+    goMessage: (seconds) => t('breathe.go', { seconds }),
+    tickInterval: () => 100,
+    permission: () => (selectedSource() === 'chest' ? ensureMotionPermission() : Promise.resolve()),
+
+    /** Opens the microphone and measures the background noise, or gives the player time to lie back. */
+    async calibrate() {
+        source = selectedSource();
+        if (source === 'mic') {
+            microphone = await openMicrophone({ simulatedSound: 'breathing' });
+            ui.setStatus(t('mic.calibrating'), "warn");
+            baselineRMS = await calibrateBaseline(microphone.capture, 2000);
+            ui.logDebug(`Calibration complete. Baseline RMS: ${baselineRMS.toFixed(4)}`);
+        } else {
+            ui.setStatus(t('breathe.calibratingChest'), "warn");
+            await new Promise(r => setTimeout(r, 3000));
+        }
+    },
+
+    start(settings) {
+        isRoundRunning = true;
+        const { inhaleSeconds, exhaleSeconds, tolerance } = settings.params;
+        rhythm = { inhaleSeconds, exhaleSeconds };
+        scorer = createBreathScorer({ inhaleSeconds, exhaleSeconds, tolerance, minSwing: SOURCES[source].minSwing });
+        breathLevel = 0;
+        core.$('#breathe-summary').classList.add('hidden');
+        document.querySelectorAll('input[name="breathe-source"]').forEach(input => { input.disabled = true; });
+
+        if (source === 'mic') {
+            stopRmsMeter = startRmsMeter(microphone.capture);
+            // Loudness relative to the room, floored so a silent room doesn't magnify hiss.
+            const floor = Math.max(baselineRMS, 0.002);
+            microphone.capture.onFrame((frame, rms) => pushSignal(performance.now(), rms / floor));
+        } else {
+            const tilt = createTiltSignal();
+            let lastT = null;
+            motionDataAvailable = false;
+            stopMotion = listenForMotion((sample) => {
+                const a = sample.accelerationIncludingGravity;
+                if (!a) return;
+                motionDataAvailable = true;
+                const dt = lastT === null ? 0 : Math.min(0.25, Math.max(0, (sample.t - lastT) / 1000));
+                lastT = sample.t;
+                pushSignal(sample.t, tilt.update(a, dt));
+            }, sim.startSimulatedChest);
+
+            // Check for sensor data after a short delay
+            setTimeout(() => {
+                if (!motionDataAvailable && isRoundRunning) {
+                    ui.setStatus(t('motion.noData'), "warn");
+                }
+            }, 2000);
+        }
+    },
+
+    tick(elapsedMs) {
+        showGuide(elapsedMs);
+        const { score, components } = scorer.result(elapsedMs);
+        ui.updateMeter('breath', 50 + 50 * breathLevel, t('breathe.breaths', { count: components.cycles }));
+        ui.updateMeter('calm', score, formatNumber(score));
+        return score;
+    },
+
+    score(elapsedMs) {
+        const periods = scorer.periods;
+        const { score, components } = scorer.result(elapsedMs);
+        const flags = checkBreatheRound(periods);
+        return { score, components: { ...components, source }, flags };
+    },
+
+    cleanup: cleanupSensors,
+
+    reset() {
+        core.$('#breathe-guide').style.transform = 'scale(0.6)';
+        core.$('#breathe-cue').textContent = t('breathe.ready');
+        core.$('#breathe-count').textContent = '';
+        core.$('#breathe-summary').classList.add('hidden');
+        ui.updateMeter('rms', 0, formatNumber(0, { decimals: 3 }));
+        ui.updateMeter('breath', 0, t('breathe.breaths', { count: 0 }));
+        ui.updateMeter('calm', 0, '0');
+    },
+
+    /** A quiet results summary in place of confetti. */
+    summarize({ score, components }, { isNewBest, stopped }) {
+        const { cycles, meanPeriod, targetPeriod, match } = components;
+        let text;
+        if (stopped) {
+            text = t('breathe.stopped');
+        } else if (cycles === 0) {
+            text = SOURCES[source].missed;
+        } else {
+            text = t('breathe.summary', {
+                count: cycles,
+                period: formatNumber(meanPeriod, { decimals: 1 }),
+                target: targetPeriod,
+                match: formatPercent(match),
+                score,
+            });
+            if (isNewBest) text += ` ${t('breathe.calmestYet')}`;
+        }
+        core.$('#breathe-cue').textContent = t('breathe.rest');
+        core.$('#breathe-count').textContent = '';
+        const summaryEl = core.$('#breathe-summary');
+        summaryEl.textContent = text;
+        summaryEl.classList.remove('hidden');
+    },
+};
+
+/**
+ * Initializes the entire Breathe Mode page, setting up event listeners.
+ */
+export function initBreathePage() {
+    const saved = localStorage.getItem(BREATHE_SOURCE_KEY) === 'chest' ? 'chest' : 'mic';
+    const showSource = () => core.$('#rms-meter').classList.toggle('hidden', selectedSource() !== 'mic');
+    document.querySelectorAll('input[name="breathe-source"]').forEach(input => {
+        input.checked = input.value === saved;
+        input.onchange = () => {
+            localStorage.setItem(BREATHE_SOURCE_KEY, selectedSource());
+            showSource();
+        };
+    });
+    showSource();
+
+    initGamePage(breatheMode);
+}
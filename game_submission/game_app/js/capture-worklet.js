@@ -0,0 +1,33 @@
+/**
+ * @fileoverview AudioWorklet processor that forwards microphone audio to the
+ * main thread in fixed-size frames. Loaded by audio-capture.js.
+ */
+
+class CaptureProcessor extends AudioWorkletProcessor {
+    /**
+     * @param {{processorOptions?: {frameSize?: number}}} options
+     */
+    constructor(options) {
+        super();
+        this.frameSize = options?.processorOptions?.frameSize || 1024;
+        this.frame = new Float32Array(this.frameSize);
+        this.index = 0;
+    }
+
+    process(inputs) {
+        const channel = inputs[0]?.[0];
+        if (!channel) return true;
+        for (let i = 0; i < channel.length; i++) {
+            this.frame[this.index++] = channel[i];
+            if (this.index === this.frameSize) {
+                // Transfer the buffer instead of copying it, then start a fresh one.
+                this.port.postMessage(this.frame, [this.frame.buffer]);
+                this.frame = new Float32Array(this.frameSize);
+                this.index = 0;
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('capture-processor', CaptureProcessor);
@@ -2,18 +2,26 @@
  * @fileoverview Shared utilities for the TogetherWe game.
  * Includes DOM helpers, storage functions, sanitizers, and constants.
  */
+import * as storage from './storage.js';
+import { createHttpStore } from './http-store.js';
+import { roundSettingsKey } from './settings.js';
+import { getModes } from './modes.js';
+import { t, formatRelativeTime } from './i18n.js';
 
 // --- Constants ---
-export const LAUGH_SCORE_KEY = 'scores_laugh';
-export const SHAKE_SCORE_KEY = 'scores_shake';
+/** Ids of every registered game mode (see modes.js). */
+export const GAME_MODES = getModes().map(m => m.id);
 export const PLAYER_NAME_KEY = 'playerName';
+// Legacy localStorage key, imported into the round store on first run
+// together with each mode's `legacyScoreKey`.
+export const PROFILES_KEY = 'profiles';
+export const LEADERBOARD_URL_KEY = 'leaderboardUrl';
 
-// MediaPipe Model & CDN URLs
-export const MP_JSDELIVR_URL = "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-audio@0.10.20";
-export const MP_UNPKG_URL = "https://unpkg.com/@mediapipe/tasks-audio@0.10.20";
-export const MP_WASM_DIR = "/wasm";
-export const YAMNET_MODEL_PRIMARY_URL = "https://tfhub.dev/google/lite-model/yamnet/classification/tflite/1?lite-format=tflite";
-export const YAMNET_MODEL_FALLBACK_URL = "https://storage.googleapis.com/mediapipe-models/audio_classifier/yamnet/float32/1/yamnet.tflite";
+// MediaPipe and YAMNet sources live in assets.js, which workers load without this module.
+export {
+    MP_JSDELIVR_URL, MP_UNPKG_URL, MP_WASM_DIR, YAMNET_MODEL_PRIMARY_URL, YAMNET_MODEL_FALLBACK_URL,
+    VENDOR_TASKS_AUDIO_PATH, VENDOR_WASM_PATH, VENDOR_YAMNET_PATH, ASSET_SOURCES,
+} from './assets.js';
 
 // --- DOM Utilities ---
 
@@ -55,17 +63,18 @@ export const escapeHtml = (str) => {
 /**
  * Converts a timestamp to a "time ago" string.
  * @param {number} ts The timestamp in milliseconds.
- * @returns {string} The relative time string (e.g., "5m ago").
- */
-export const timeAgo = (ts) => {
-    const seconds = Math.floor((Date.now() - (ts || 0)) / 1000);
-    if (seconds < 60) return `${seconds}s ago`;
-    const minutes = Math.floor(seconds / 60);
-    if (minutes < 60) return `${minutes}m ago`;
-    const hours = Math.floor(minutes / 60);
-    if (hours < 24) return `${hours}h ago`;
-    const days = Math.floor(hours / 24);
-    return `${days}d ago`;
+ * @returns {string} The relative time string in the player's language (e.g., "5m ago").
+ */
+export const timeAgo = (ts) => formatRelativeTime(ts);
+
+/**
+ * The local calendar day of a timestamp, for grouping rounds by day.
+ * @param {number} ts The timestamp in milliseconds.
+ * @returns {string} e.g. "2025-03-07".
+ */
+export const dayKey = (ts) => {
+    const d = new Date(ts);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
 };
 
 /**
@@ -78,40 +87,250 @@ export const sanitizeName = (name) => {
     return /^[A-Za-z0-9_ ]{1,16}$/.test(s) ? s : "";
 };
 
-// --- Local Storage Management ---
+// --- Score Storage ---
+// Rounds live in the IndexedDB store (storage.js). The functions below keep
+// the original synchronous API on top of its in-memory mirror.
+
+/**
+ * Reads scores saved by earlier versions (the `scores_*` top-10 lists and the
+ * `profiles` histories) so they can be imported into the round store.
+ * @returns {Array<{mode: string, name: string, score: number, ts: number}>}
+ */
+const readLegacyRounds = () => {
+    const parse = (key, fallback) => {
+        try {
+            return JSON.parse(localStorage.getItem(key) || fallback);
+        } catch (e) {
+            console.error(`Ignoring unreadable legacy data in "${key}":`, e);
+            return JSON.parse(fallback);
+        }
+    };
+    const rounds = [];
+    const seen = new Set();
+    const add = (mode, name, entry) => {
+        const clean = sanitizeName(name);
+        if (!clean || !entry || !Number.isFinite(entry.score) || !Number.isFinite(entry.ts)) return;
+        const id = `${mode}|${clean.toLowerCase()}|${entry.score}|${entry.ts}`;
+        if (seen.has(id)) return;
+        seen.add(id);
+        rounds.push({ mode, name: clean, score: entry.score, ts: entry.ts });
+    };
+
+    Object.values(parse(PROFILES_KEY, "{}") || {}).forEach(profile => {
+        Object.entries(profile?.rounds || {}).forEach(([mode, list]) => {
+            (Array.isArray(list) ? list : []).forEach(entry => add(mode, profile.name, entry));
+        });
+    });
+    getModes().filter(m => m.legacyScoreKey).forEach(({ id, legacyScoreKey }) => {
+        const list = parse(legacyScoreKey, "[]");
+        (Array.isArray(list) ? list : []).forEach(entry => add(id, entry?.name, entry));
+    });
+    return rounds;
+};
+
+/**
+ * Opens the round store, importing legacy localStorage scores on first run.
+ * Pages call this once at startup; reads before it resolves return no rounds.
+ * @returns {Promise<void>}
+ */
+export const initStorage = () => {
+    connectLeaderboard(new URLSearchParams(location.search).get('leaderboard') || localStorage.getItem(LEADERBOARD_URL_KEY));
+    return storage.initStorage({ importLegacy: readLegacyRounds });
+};
+
+/**
+ * Whether a round failed one of the plausibility checks in anticheat.js.
+ * @param {{flags?: Array}} round
+ * @returns {boolean}
+ */
+export const isFlagged = (round) => Array.isArray(round.flags) && round.flags.length > 0;
 
 /**
- * Loads scores for a given mode from localStorage.
- * @param {'laugh' | 'shake'} mode The game mode.
+ * Whether a round was played with simulated sensors (see simulate.js).
+ * @param {{simulated?: boolean}} round
+ * @returns {boolean}
+ */
+export const isSimulated = (round) => round.simulated === true;
+
+/**
+ * Whether a round counts towards personal bests, achievements and streaks:
+ * it passed the plausibility checks, was played for real and wasn't stopped.
+ * @param {import('./storage.js').RoundRecord} round
+ * @returns {boolean}
+ */
+export const countsTowardsRecords = (round) => !isFlagged(round) && !isSimulated(round) && round.stopped !== true;
+
+/**
+ * Loads the top scores for a given mode from this device.
+ * @param {string} mode The game mode.
+ * @param {{limit?: number, includeFlagged?: boolean, settingsKey?: string}} [options] How many scores
+ *     (default 10); set `includeFlagged: false` to leave out suspicious rounds, and `settingsKey`
+ *     to only include rounds played with those settings (see settings.js).
  * @returns {Array<{name: string, score: number, ts: number}>} The array of scores.
  */
-export const loadScores = (mode) => {
-    try {
-        const key = mode === 'laugh' ? LAUGH_SCORE_KEY : SHAKE_SCORE_KEY;
-        return JSON.parse(localStorage.getItem(key) || "[]");
-    } catch (e) {
-        console.error("Failed to load scores:", e);
-        return [];
+export const loadScores = (mode, { limit = 10, includeFlagged = true, settingsKey } = {}) => {
+    const filter = r => (includeFlagged || !isFlagged(r)) && (!settingsKey || roundSettingsKey(r) === settingsKey);
+    return storage.getRounds({ mode, filter })
+        .sort((a, b) => (b.score || 0) - (a.score || 0))
+        .slice(0, limit);
+};
+
+// --- Score Stores ---
+// Every finished round is submitted to each registered store. The local
+// store is always present; a shared leaderboard server can be added with
+// `connectLeaderboard`.
+
+/**
+ * @typedef {Object} ScoreStore
+ * @property {string} id Unique store id; registering another store with the same id replaces it.
+ * @property {string} label Shown on the scoreboard.
+ * @property {(round: import('./storage.js').RoundRecord) => Promise<void>} submit
+ * @property {(mode: string, options?: {limit?: number, includeFlagged?: boolean, settingsKey?: string}) => Promise<Array<import('./storage.js').RoundRecord>>} list
+ *     The top scores for a mode, best first.
+ */
+
+/** @type {ScoreStore} */
+const localStore = {
+    id: 'local',
+    label: t('store.local'),
+    submit: async (round) => { storage.addRound(round); }, // storage.js reports its own write errors
+    list: async (mode, options) => loadScores(mode, options),
+};
+const scoreStores = [localStore];
+
+/**
+ * Adds a score store, replacing any store with the same id.
+ * @param {ScoreStore} store
+ */
+export const registerScoreStore = (store) => {
+    unregisterScoreStore(store.id);
+    scoreStores.push(store);
+};
+
+/**
+ * Removes a score store. The local store can't be removed.
+ * @param {string} id
+ */
+export const unregisterScoreStore = (id) => {
+    const index = scoreStores.findIndex(s => s.id === id);
+    if (index > 0) scoreStores.splice(index, 1);
+};
+
+/**
+ * @param {string} id
+ * @returns {ScoreStore | null}
+ */
+export const getScoreStore = (id) => scoreStores.find(s => s.id === id) || null;
+
+/** @returns {ScoreStore[]} All registered stores, the local one first. */
+export const getScoreStores = () => [...scoreStores];
+
+/**
+ * Connects to (and remembers) a shared leaderboard server, or disconnects
+ * when `url` is empty. Rounds still waiting to be sent stay queued.
+ * @param {string | null} url e.g. `http://192.168.1.20:8788`
+ * @returns {ScoreStore | null} The remote store, or null if disconnected or the URL is invalid.
+ */
+export const connectLeaderboard = (url) => {
+    const clean = (url || '').trim().replace(/\/+$/, '');
+    if (!/^https?:\/\/[^\s/]+/.test(clean)) {
+        if (!clean) localStorage.removeItem(LEADERBOARD_URL_KEY);
+        unregisterScoreStore('remote');
+        return null;
     }
+    if (getScoreStore('remote')?.url === clean) return getScoreStore('remote');
+    localStorage.setItem(LEADERBOARD_URL_KEY, clean);
+    const store = createHttpStore(clean);
+    registerScoreStore(store);
+    store.flush().catch(() => {});
+    return store;
+};
+
+// --- Player Profiles ---
+
+/**
+ * Returns the key a player's profile is stored under.
+ * Names differing only in case share one profile.
+ * @param {string} name The player's name.
+ * @returns {string} The profile key, or an empty string if the name is invalid.
+ */
+export const profileKey = (name) => sanitizeName(name).toLowerCase();
+
+/**
+ * Builds player profiles from the stored rounds.
+ * @returns {Object<string, {name: string, rounds: Object<string, Array<{score: number, ts: number}>>}>} Rounds by mode id.
+ */
+export const loadProfiles = () => {
+    const profiles = {};
+    storage.getRounds()
+        .sort((a, b) => a.ts - b.ts)
+        .forEach(round => {
+            const key = profileKey(round.name);
+            if (!key) return;
+            const profile = profiles[key] || (profiles[key] = { name: round.name, rounds: Object.fromEntries(GAME_MODES.map(id => [id, []])) });
+            profile.name = round.name;
+            (profile.rounds[round.mode] || (profile.rounds[round.mode] = [])).push(round);
+        });
+    return profiles;
+};
+
+/**
+ * Computes a player's stats for one mode from their round history.
+ * @param {Array<{score: number, ts: number}>} rounds The player's rounds in that mode.
+ * @returns {{rounds: number, best: number, average: number, lastPlayed: number}}
+ */
+export const summarizeRounds = (rounds = []) => {
+    if (rounds.length === 0) return { rounds: 0, best: 0, average: 0, lastPlayed: 0 };
+    const total = rounds.reduce((sum, r) => sum + (r.score || 0), 0);
+    return {
+        rounds: rounds.length,
+        best: Math.max(...rounds.map(r => r.score || 0)),
+        average: total / rounds.length,
+        lastPlayed: Math.max(...rounds.map(r => r.ts || 0)),
+    };
+};
+
+/**
+ * Stores a finished round and submits it to every score store. Flagged and
+ * simulated rounds are saved but never count as a personal best, and don't
+ * set the bar for later rounds. Only rounds played with the same settings
+ * are compared.
+ * @param {string} mode The game mode.
+ * @param {string} name The player's name.
+ * @param {number} score The player's score.
+ * @param {{duration?: number, components?: Object, flags?: Array<{code: string, reason: string}>, settings?: import('./settings.js').RoundSettings, timeline?: import('./timeline.js').Timeline, mood?: import('./mood.js').MoodCheckin, simulated?: boolean, stopped?: boolean}} [details]
+ *     Round length, scoring components, failed plausibility checks, the round settings, its timeline,
+ *     the mood check-in, whether the sensors were simulated and whether the player stopped the round.
+ * @returns {{round: import('./storage.js').RoundRecord, isNewBest: boolean}}
+ */
+export const recordRound = (mode, name, score, details = {}) => {
+    const key = profileKey(name);
+    const settingsKey = roundSettingsKey(details);
+    const previous = storage.getRounds({
+        mode,
+        filter: r => profileKey(r.name) === key && countsTowardsRecords(r) && roundSettingsKey(r) === settingsKey,
+    });
+    const personalBest = summarizeRounds(previous).best;
+    const { flags = [], simulated = false, stopped = false, ...rest } = details;
+    const record = storage.createRecord({
+        mode, name, score, ...rest,
+        ...(flags.length > 0 && { flags }),
+        ...(simulated && { simulated: true }),
+        ...(stopped && { stopped: true }),
+    });
+    scoreStores.forEach(store => {
+        store.submit(record).catch(e => console.error(`Could not submit the round to ${store.label}:`, e));
+    });
+    return { round: record, isNewBest: countsTowardsRecords(record) && score > personalBest };
 };
 
 /**
- * Saves a score for a given mode, keeping only the top 10.
- * @param {'laugh' | 'shake'} mode The game mode.
+ * Saves a score for a given mode.
+ * @param {string} mode The game mode.
  * @param {string} name The player's name.
  * @param {number} score The player's score.
- * @returns {boolean} True if this score is a new personal best.
- */
-export const saveScore = (mode, name, score) => {
-    const scores = loadScores(mode);
-    const personalBest = scores.length > 0 ? scores[0].score : 0;
-    
-    scores.push({ name, score, ts: Date.now() });
-    scores.sort((a, b) => (b.score || 0) - (a.score || 0));
-    
-    const top10 = scores.slice(0, 10);
-    const key = mode === 'laugh' ? LAUGH_SCORE_KEY : SHAKE_SCORE_KEY;
-    localStorage.setItem(key, JSON.stringify(top10));
-
-    return score > personalBest;
-};
\ No newline at end of file
+ * @param {{duration?: number, components?: Object, flags?: Array<{code: string, reason: string}>, settings?: import('./settings.js').RoundSettings, timeline?: import('./timeline.js').Timeline}} [details]
+ *     Round length, scoring components, failed plausibility checks, the round settings and its timeline.
+ * @returns {boolean} True if this score beats the player's own previous best.
+ */
+export const saveScore = (mode, name, score, details = {}) => recordRound(mode, name, score, details).isNewBest;
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Optional cues when a round starts and ends: a short tone
+ * and a vibration, so players know where a round is without watching the
+ * screen. Both are off by default and chosen with the checkboxes on each
+ * mode page. The tones are quiet and short, as the microphone modes hear
+ * them too.
+ */
+import { $ } from './core.js';
+
+/** Set to '1' to play the cue tones. */
+export const SOUND_CUES_KEY = 'soundCues';
+/** Set to '1' to vibrate at the cues (phones only). */
+export const VIBRATION_CUES_KEY = 'vibrationCues';
+
+/**
+ * Each cue's tones (Hz, one after the other) and vibration pattern (ms):
+ * rising for the start, falling for the end.
+ */
+const CUES = Object.freeze({
+    start: { tones: [660, 880], vibration: [120] },
+    end: { tones: [880, 520], vibration: [120, 80, 120] },
+});
+const TONE_SECONDS = 0.12;
+const TONE_GAIN = 0.08;
+
+let audioContext = null;
+
+/** @returns {boolean} Whether the browser can vibrate. */
+const canVibrate = () => typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function';
+
+/**
+ * Creates or resumes the cue tones' audio context. Browsers only allow
+ * this from a tap, so call it from the start button.
+ */
+export function prepareCues() {
+    if (localStorage.getItem(SOUND_CUES_KEY) !== '1') return;
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+    audioContext ??= new AudioContext();
+    if (audioContext.state === 'suspended') audioContext.resume().catch(console.error);
+}
+
+/**
+ * Plays a cue with whichever of sound and vibration the player turned on.
+ * @param {'start' | 'end'} kind
+ */
+export function playCue(kind) {
+    const { tones, vibration } = CUES[kind];
+    if (localStorage.getItem(VIBRATION_CUES_KEY) === '1' && canVibrate()) navigator.vibrate(vibration);
+    if (localStorage.getItem(SOUND_CUES_KEY) !== '1' || !audioContext) return;
+
+    const now = audioContext.currentTime;
+    tones.forEach((frequency, i) => {
+        const start = now + i * TONE_SECONDS;
+        const oscillator = audioContext.createOscillator();
+        const gain = audioContext.createGain();
+        oscillator.frequency.value = frequency;
+        // A short fade in and out, so the tone doesn't click.
+        gain.gain.setValueAtTime(0, start);
+        gain.gain.linearRampToValueAtTime(TONE_GAIN, start + 0.01);
+        gain.gain.linearRampToValueAtTime(0, start + TONE_SECONDS);
+        oscillator.connect(gain).connect(audioContext.destination);
+        oscillator.start(start);
+        oscillator.stop(start + TONE_SECONDS);
+    });
+}
+
+/**
+ * Wires the `#cue-sound` and `#cue-vibrate` checkboxes to the saved
+ * choices. The vibration one is hidden where the browser can't vibrate.
+ */
+export function initCueToggles() {
+    const toggles = [[$('#cue-sound'), SOUND_CUES_KEY], [$('#cue-vibrate'), VIBRATION_CUES_KEY]];
+    for (const [input, key] of toggles) {
+        if (!input) continue;
+        input.checked = localStorage.getItem(key) === '1';
+        input.onchange = () => {
+            localStorage.setItem(key, input.checked ? '1' : '0');
+            prepareCues(); // The change is a tap, so the tones can be set up now
+        };
+    }
+    $('#cue-vibrate')?.closest('label')?.classList.toggle('hidden', !canVibrate());
+}
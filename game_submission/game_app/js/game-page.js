@@ -0,0 +1,310 @@
+/**
+ * @fileoverview The lifecycle every mode page shares: name handling, party
+ * turns, round settings, rooms, the start/stop/again buttons, the round
+ * timer, saving the score, drawing the round's timeline, celebrating a
+ * personal best, announcing achievements, sharing a result card, the
+ * optional mood check-in, and the accessibility aids: spoken progress,
+ * keyboard shortcuts and start/end cues. A mode supplies only what is
+ * specific to it, as a GameMode.
+ */
+import * as core from './core.js';
+import * as ui from './ui.js';
+import * as sim from './simulate.js';
+import * as tournaments from './tournament.js';
+import { initRoomPanel } from './room-panel.js';
+import { initSettingsPanel } from './settings-panel.js';
+import { getMode } from './modes.js';
+import { drawTimeline } from './timeline.js';
+import { createResultCard, shareResultCard } from './share-card.js';
+import { newAchievements, achievementText } from './achievements.js';
+import { initMoodCheckin } from './mood.js';
+import { prepareCues, playCue, initCueToggles } from './cues.js';
+import { t, formatNumber } from './i18n.js';
+
+/** Ms between spoken live scores during a round. */
+const SCORE_ANNOUNCE_INTERVAL = 5000;
+/** Elements whose own use of Enter comes before the page's shortcut. */
+const KEYBOARD_CONTROLS = 'input, textarea, select, button, a, summary, [contenteditable]';
+/** Elements whose own use of Escape comes before the page's shortcut. */
+const TEXT_FIELDS = 'input, textarea, select, [contenteditable]';
+
+/**
+ * @typedef {Object} RoundResult
+ * @property {number} score The final score.
+ * @property {Object} components Scoring components, saved with the round.
+ * @property {import('./anticheat.js').RoundFlag[]} flags Failed plausibility checks.
+ * @property {import('./timeline.js').Timeline | null} [timeline] The round's per-tick
+ *     values, saved with the round and drawn in the `#timeline-panel` if the page has one.
+ */
+
+/**
+ * What a mode implements. Every hook except `tick` and `score` is optional;
+ * `permission`, `calibrate` and `start` may be async and throw to abort the
+ * round with the error's message.
+ * @typedef {Object} GameMode
+ * @property {string} id The mode's id in the registry (see modes.js).
+ * @property {() => Promise<void>} [permission] Asks for sensor access. Called
+ *     from a tap: the start button, or joining a room so that a room round can
+ *     start without a prompt.
+ * @property {(settings: import('./settings.js').RoundSettings) => Promise<void>} [calibrate]
+ *     Setup before the round starts (e.g. measuring background noise). Room
+ *     rounds calibrate during the countdown.
+ * @property {(settings: import('./settings.js').RoundSettings) => void} [start] The round starts now.
+ * @property {(settings: import('./settings.js').RoundSettings) => number} tickInterval Ms between ticks.
+ * @property {(elapsedMs: number) => number} tick Updates the meters and returns the live score.
+ * @property {(elapsedMs: number) => RoundResult} score The result once the round has ended.
+ * @property {() => void} [cleanup] Releases sensors and timers. Also called when a round fails to start.
+ * @property {() => void} [reset] Clears the meters for the next round.
+ * @property {(result: RoundResult, details: {isNewBest: boolean, stopped: boolean}) => void} [summarize]
+ *     Shows the result once the round has ended. Modes with a summary don't get confetti for a personal best.
+ * @property {(seconds: number) => string} goMessage The status shown when the round starts.
+ * @property {string} startError Status shown when starting fails without a message.
+ * @property {boolean} [requiresSecureContext] Refuse to start outside HTTPS/localhost.
+ * @property {string} [simulationHint] What simulation mode does, for its banner.
+ */
+
+/**
+ * Wires up a mode page. Expects the shared markup: name form, controls,
+ * status line, party banner, settings and room panels.
+ * @param {GameMode} mode
+ */
+export function initGamePage(mode) {
+    const info = getMode(mode.id);
+    core.initStorage();
+    sim.initSimulationToggle(mode.simulationHint || t('simulation.defaultHint'));
+    const nameInput = core.$('#name-input');
+    const saveNameBtn = core.$('#save-name-btn');
+    const nameStatus = core.$('#name-status');
+    const startBtn = core.$('#start-btn');
+    const stopBtn = core.$('#stop-btn');
+    const shareBtn = core.$('#share-btn');
+    let room = null;
+    let stopRound = null;
+    let resultCard = null; // Promise for the last round's result card, if it can be shared
+    const mood = initMoodCheckin();
+
+    /**
+     * Draws a round's timeline in the results panel, or hides the panel.
+     * @param {import('./timeline.js').Timeline | null} [timeline]
+     */
+    const showTimeline = (timeline) => {
+        const panel = core.$('#timeline-panel');
+        if (!panel) return;
+        panel.classList.toggle('hidden', !timeline);
+        if (timeline) drawTimeline(core.$('#timeline-canvas'), timeline);
+    };
+
+    // Name handling
+    nameInput.value = localStorage.getItem(core.PLAYER_NAME_KEY) || '';
+
+    // Party mode: the tournament decides who plays this round.
+    const partyTurn = tournaments.activeTurn(mode.id);
+    if (partyTurn) {
+        nameInput.value = partyTurn.player;
+        nameInput.disabled = true;
+        saveNameBtn.disabled = true;
+        const banner = core.$('#party-banner');
+        banner.textContent = t('game.partyTurn', { round: partyTurn.round, of: partyTurn.of, player: partyTurn.player });
+        banner.classList.remove('hidden');
+    }
+    saveNameBtn.onclick = () => {
+        const name = core.sanitizeName(nameInput.value);
+        if (name) {
+            localStorage.setItem(core.PLAYER_NAME_KEY, name);
+            nameStatus.textContent = t('game.nameSaved');
+            nameStatus.className = "text-sm text-emerald-600";
+        } else {
+            nameStatus.textContent = t('game.nameInvalid');
+            nameStatus.className = "text-sm text-red-600";
+        }
+    };
+
+    const settingsPanel = initSettingsPanel(mode.id, {
+        onChange: (settings) => { startBtn.textContent = t('game.start', { seconds: settings.duration / 1000 }); },
+    });
+
+    /**
+     * Runs one round: permission, calibration, the optional wait for a room
+     * start time, then ticks until the round length is reached or Stop.
+     * @param {string} playerName
+     * @param {import('./settings.js').RoundSettings} settings
+     * @param {number} startAt `Date.now()` time to start at, or 0 for now.
+     */
+    const runRound = async (playerName, settings, startAt) => {
+        mode.cleanup?.();
+        await mode.permission?.();
+        await mode.calibrate?.(settings);
+        if (startAt > Date.now()) {
+            ui.setStatus(t('game.waitingForRoom'), "warn");
+            await new Promise(r => setTimeout(r, startAt - Date.now()));
+        }
+
+        mode.start?.(settings);
+        playCue('start');
+        ui.setStatus(mode.goMessage(settings.duration / 1000), "ok");
+        const interval = mode.tickInterval(settings);
+        let elapsedTime = 0;
+        let nextAnnouncement = SCORE_ANNOUNCE_INTERVAL;
+
+        const finish = (stopped) => {
+            if (!stopRound) return;
+            stopRound = null;
+            clearInterval(loop);
+            mode.cleanup?.();
+            const result = mode.score(elapsedTime);
+            const finalScore = stopped ? 0 : result.score;
+            const { flags } = result;
+            flags.forEach(flag => ui.logDebug(`Flagged (${flag.code}): ${flag.reason}`));
+            playCue('end');
+
+            ui.setButtonStates({ start: false, stop: false, again: true });
+            if (flags.length > 0) {
+                ui.setStatus(t('game.roundFlagged', { reason: flags[0].reason }), "warn");
+            } else {
+                ui.setStatus(t('game.roundFinished'), "ok");
+            }
+            ui.announce(t('game.finalScore', { score: formatNumber(finalScore), scoreLabel: info.scoreLabel }), 'score');
+
+            room?.sendFinal(finalScore, flags.length > 0);
+            const moodBefore = mood?.before();
+            const simulated = sim.isSimulationEnabled();
+
+            const { round, isNewBest } = core.recordRound(mode.id, playerName, finalScore, {
+                duration: elapsedTime,
+                components: result.components,
+                flags,
+                settings,
+                ...(result.timeline && { timeline: result.timeline }),
+                ...(moodBefore && { mood: { before: moodBefore } }),
+                simulated,
+                stopped,
+            });
+            showTimeline(result.timeline);
+            mood?.askAfter(round);
+            if (!stopped) {
+                newAchievements(round)
+                    .then(unlocked => unlocked.forEach(a => {
+                        const { title, description } = achievementText(a);
+                        ui.showToast(t('game.achievementUnlocked', { title }), description, a.icon);
+                    }))
+                    .catch(error => console.error("Could not check achievements:", error));
+            }
+            // Stopped and flagged rounds aren't results worth sharing. The card is
+            // drawn now, so sharing it can happen right in the tap on Share.
+            resultCard = shareBtn && !stopped && flags.length === 0
+                ? createResultCard({ mode: mode.id, name: playerName, score: finalScore, components: result.components, isNewBest })
+                : null;
+            resultCard?.catch(() => {}); // Reported when Share is tapped
+            shareBtn?.classList.toggle('hidden', !resultCard);
+            if (isNewBest) ui.setStatus(t('game.newBest'), "ok");
+            if (mode.summarize) {
+                mode.summarize({ ...result, score: finalScore }, { isNewBest, stopped });
+            } else if (isNewBest) {
+                ui.triggerConfetti();
+            }
+            if (partyTurn && tournaments.finishActiveTurn(partyTurn, finalScore, flags, { simulated })) {
+                ui.setButtonStates({ start: false, stop: false, again: false });
+                core.$('#party-return').classList.remove('hidden');
+            }
+        };
+
+        const loop = setInterval(() => {
+            const live = mode.tick(elapsedTime);
+            room?.sendLive(live);
+            elapsedTime += interval;
+            if (elapsedTime >= settings.duration) {
+                finish(false);
+            } else if (elapsedTime >= nextAnnouncement) {
+                nextAnnouncement += SCORE_ANNOUNCE_INTERVAL;
+                const seconds = Math.ceil((settings.duration - elapsedTime) / 1000);
+                ui.announce(t('game.liveScore', { score: formatNumber(live), scoreLabel: info.scoreLabel, seconds }), 'score');
+            }
+        }, interval);
+        stopRound = () => finish(true);
+    };
+
+    // Game controls
+    const startRound = async (startAt = 0) => {
+        prepareCues();
+        if (mode.requiresSecureContext && !core.isSecureContext()) {
+            alert(t('game.needsSecureContext'));
+            return;
+        }
+        const playerName = core.sanitizeName(nameInput.value);
+        if (!playerName) {
+            nameStatus.textContent = t('game.saveNameFirst');
+            nameStatus.className = "text-sm text-red-600";
+            return;
+        }
+
+        ui.setButtonStates({ start: false, stop: true, again: false });
+        try {
+            await runRound(playerName, settingsPanel.current, startAt);
+        } catch (error) {
+            console.error(error);
+            ui.setStatus(error.message || mode.startError, "bad");
+            ui.setButtonStates({ start: true, stop: false, again: false });
+            mode.cleanup?.();
+        }
+    };
+    startBtn.onclick = () => startRound();
+    stopBtn.onclick = () => stopRound?.();
+
+    // Rooms: a round the host starts begins at the same moment on every phone.
+    room = initRoomPanel({
+        mode: mode.id,
+        scoreLabel: info.scoreLabel,
+        getName: () => core.sanitizeName(nameInput.value),
+        // Joining is a tap, so the browser can show its permission prompt now rather than when the host starts.
+        beforeJoin: mode.permission && (() => mode.permission().catch(error => ui.setStatus(error.message, "bad"))),
+        onStart: (startAt) => {
+            if (!stopBtn.disabled) return; // A round is already under way
+            startRound(startAt);
+        },
+    });
+
+    if (shareBtn) {
+        shareBtn.onclick = async () => {
+            if (!resultCard) return;
+            shareBtn.disabled = true;
+            try {
+                const outcome = await shareResultCard(await resultCard);
+                if (outcome === 'downloaded') ui.setStatus(t('game.cardDownloaded'), "ok");
+            } catch (error) {
+                console.error(error);
+                ui.setStatus(t('game.cardFailed'), "bad");
+            }
+            shareBtn.disabled = false;
+        };
+    }
+
+    const againBtn = core.$('#again-btn');
+    againBtn.onclick = () => {
+        ui.setStatus(t('game.ready'));
+        ui.setButtonStates({ start: true, stop: false, again: false });
+        showTimeline(null);
+        resultCard = null;
+        shareBtn?.classList.add('hidden');
+        mood?.reset();
+        mode.reset?.();
+    };
+
+    initCueToggles();
+
+    // Keyboard shortcuts: Enter starts a round (or gets ready for the next
+    // one), Escape stops it. Keys typed into a field or pressed on a button
+    // keep their usual meaning.
+    document.addEventListener('keydown', (event) => {
+        if (event.altKey || event.ctrlKey || event.metaKey || event.repeat) return;
+        const within = (selector) => event.target instanceof Element && event.target.closest(selector);
+        const button = event.key === 'Enter' && !within(KEYBOARD_CONTROLS) ? [startBtn, againBtn].find(b => !b.disabled)
+            : event.key === 'Escape' && !within(TEXT_FIELDS) ? stopBtn
+            : null;
+        if (!button || button.disabled) return;
+        event.preventDefault();
+        button.click();
+    });
+
+    mode.reset?.(); // Formats the meters for the player's language
+    ui.displayOriginStatus(core.isSecureContext());
+}
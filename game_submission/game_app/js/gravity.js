@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Gravity estimation for devices that only report
+ * `accelerationIncludingGravity`. A low-pass filter tracks the slowly
+ * changing gravity vector in the device frame; when a rotation rate is
+ * available, the estimate is also rotated with the gyroscope so it follows
+ * fast orientation changes. Subtracting it gives linear acceleration in any
+ * orientation. Pure functions, no DOM dependencies.
+ */
+
+/**
+ * Where a linear acceleration reading came from.
+ * @typedef {'linear' | 'gravity-fused' | 'gravity-lowpass' | 'none'} AccelerationSource
+ */
+
+/**
+ * Default estimator parameters.
+ *  - timeConstant: low-pass time constant (s) without a gyroscope.
+ *  - fusedTimeConstant: time constant (s) when the gyroscope tracks rotation;
+ *    longer, so less of the shake leaks into the gravity estimate.
+ *  - gyroFusion: whether to use the rotation rate when present.
+ */
+export const GRAVITY_DEFAULTS = Object.freeze({
+    timeConstant: 0.5,
+    fusedTimeConstant: 1.5,
+    gyroFusion: true,
+});
+
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * Creates a gravity estimator for one stream of samples.
+ * @param {Partial<typeof GRAVITY_DEFAULTS>} [options]
+ * @returns {{update: (accG: {x: number, y: number, z: number},
+ *                     rotationRate: {alpha: number, beta: number, gamma: number} | null,
+ *                     dt: number) => {linear: {x: number, y: number, z: number}, gravity: {x: number, y: number, z: number}, source: AccelerationSource}}}
+ *     `update` takes acceleration including gravity (m/s²), the rotation rate (°/s) and the time step (s).
+ */
+export function createGravityEstimator(options = {}) {
+    const params = { ...GRAVITY_DEFAULTS, ...options };
+    let g = null;
+
+    return {
+        update(accG, rotationRate, dt) {
+            const a = { x: accG.x || 0, y: accG.y || 0, z: accG.z || 0 };
+            const fused = params.gyroFusion && !!rotationRate;
+
+            if (!g) {
+                // Assume the device starts roughly still, so the first reading is all gravity.
+                g = { ...a };
+            } else {
+                if (fused) {
+                    // A world-fixed vector seen from a rotating device turns by -ω·dt.
+                    // rotationRate: alpha about z, beta about x, gamma about y.
+                    const wx = (rotationRate.beta || 0) * DEG_TO_RAD;
+                    const wy = (rotationRate.gamma || 0) * DEG_TO_RAD;
+                    const wz = (rotationRate.alpha || 0) * DEG_TO_RAD;
+                    g = {
+                        x: g.x - (wy * g.z - wz * g.y) * dt,
+                        y: g.y - (wz * g.x - wx * g.z) * dt,
+                        z: g.z - (wx * g.y - wy * g.x) * dt,
+                    };
+                }
+                const tau = fused ? params.fusedTimeConstant : params.timeConstant;
+                const alpha = dt / (tau + dt);
+                g = {
+                    x: g.x + alpha * (a.x - g.x),
+                    y: g.y + alpha * (a.y - g.y),
+                    z: g.z + alpha * (a.z - g.z),
+                };
+            }
+
+            return {
+                linear: { x: a.x - g.x, y: a.y - g.y, z: a.z - g.z },
+                gravity: { ...g },
+                source: fused ? 'gravity-fused' : 'gravity-lowpass',
+            };
+        },
+    };
+}
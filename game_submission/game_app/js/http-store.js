@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Score store backed by a shared leaderboard server (see
+ * server/leaderboard.mjs). Rounds are queued in localStorage and sent in
+ * order, so rounds played offline are submitted once the server is
+ * reachable again.
+ */
+
+import { roundSettingsKey } from './settings.js';
+import { t } from './i18n.js';
+
+const QUEUE_KEY = 'leaderboardQueue';
+
+/**
+ * Reads the submission queue.
+ * @returns {Array<{url: string, round: Object}>}
+ */
+function readQueue() {
+    try {
+        const queue = JSON.parse(localStorage.getItem(QUEUE_KEY) || "[]");
+        return Array.isArray(queue) ? queue : [];
+    } catch (e) {
+        console.error("Ignoring unreadable leaderboard queue:", e);
+        return [];
+    }
+}
+
+/**
+ * Writes the submission queue.
+ * @param {Array<{url: string, round: Object}>} queue
+ */
+const writeQueue = (queue) => localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+
+/**
+ * Creates a store for the leaderboard server at `baseUrl`.
+ * @param {string} baseUrl The server's address, e.g. `http://192.168.1.20:8788`.
+ * @returns {import('./core.js').ScoreStore & {url: string, readonly pending: number, flush: () => Promise<void>}}
+ */
+export function createHttpStore(baseUrl) {
+    const endpoint = new URL('api/scores', baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`).href;
+    let flushing = null;
+
+    /**
+     * Sends queued rounds for this server, oldest first. Stops at the first
+     * network error, rate limit or server error and leaves the rest queued;
+     * rounds the server rejects as invalid are dropped.
+     */
+    const drain = async () => {
+        for (;;) {
+            const entry = readQueue().find(e => e.url === baseUrl);
+            if (!entry) return;
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(entry.round),
+            });
+            if (response.status === 429 || response.status >= 500) {
+                throw new Error(`Leaderboard server answered ${response.status}.`);
+            }
+            if (!response.ok) {
+                const { error } = await response.json().catch(() => ({}));
+                console.warn(`Leaderboard rejected round ${entry.round.id}: ${error || response.status}`);
+            }
+            writeQueue(readQueue().filter(e => !(e.url === baseUrl && e.round.id === entry.round.id)));
+        }
+    };
+
+    const store = {
+        id: 'remote',
+        label: t('store.remote'),
+        url: baseUrl,
+        get pending() {
+            return readQueue().filter(e => e.url === baseUrl).length;
+        },
+        flush() {
+            if (!flushing) flushing = drain().finally(() => { flushing = null; });
+            return flushing;
+        },
+        /**
+         * Queues the round and starts sending the queue. Resolves once the
+         * round is queued: an unreachable or busy server leaves it queued for
+         * a later flush rather than failing the submission. Rejects only if
+         * the queue can't be saved. Simulated rounds stay on this device.
+         */
+        async submit(record) {
+            if (record.simulated) return;
+            const round = {
+                id: record.id,
+                mode: record.mode,
+                name: record.name,
+                score: record.score,
+                ts: record.ts,
+                duration: record.duration ?? null,
+                flagged: Array.isArray(record.flags) && record.flags.length > 0,
+                settings: roundSettingsKey(record),
+            };
+            writeQueue([...readQueue(), { url: baseUrl, round }]);
+            store.flush().catch(() => {});
+        },
+        async list(mode, { limit = 10, includeFlagged = true, settingsKey } = {}) {
+            store.flush().catch(() => {});
+            const query = new URLSearchParams({ mode, limit: String(limit) });
+            if (includeFlagged) query.set('includeFlagged', '1');
+            if (settingsKey) query.set('settings', settingsKey);
+            const url = `${endpoint}?${query}`;
+            const response = await fetch(url, { cache: 'no-store' });
+            if (!response.ok) throw new Error(`Leaderboard server answered ${response.status}.`);
+            const { scores } = await response.json();
+            return scores.map(({ id, name, score, ts, duration, flagged, settings }) => ({
+                id, mode, name, score, ts, duration,
+                settings: { key: settings },
+                flags: flagged ? [{ code: 'remote-flagged', reason: t('flags.remoteFlagged') }] : [],
+            }));
+        },
+    };
+
+    window.addEventListener('online', () => store.flush().catch(() => {}));
+    return store;
+}
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview HumRank scoring engine for Hum mode.
+ * Pure functions with no DOM dependencies. The round is a short melody of
+ * target notes built on the player's own comfortable note; each tick's
+ * detected pitch (see pitch.js) scores by how close it is to the current
+ * target and how steadily it is held.
+ */
+import { centsBetween, midiToFrequency } from './pitch.js';
+
+/**
+ * Default scoring parameters.
+ *  - noteSeconds: how long each target note lasts.
+ *  - toleranceCents: a tick this far off the target, or further, scores nothing.
+ *  - glideSeconds: time after each new target to glide to it; ticks in
+ *    this window don't count.
+ *  - wobbleCents: a change of this much between ticks on the same target
+ *    halves the tick's score.
+ *  - melody: the target notes, in semitones above the base note, repeated
+ *    through the round.
+ */
+export const HUM_SCORING_DEFAULTS = Object.freeze({
+    noteSeconds: 2.5,
+    toleranceCents: 50,
+    glideSeconds: 0.6,
+    wobbleCents: 30,
+    melody: Object.freeze([0, 2, 4, 5, 4, 2]),
+});
+
+/**
+ * @typedef {Object} HumTick
+ * @property {number} t Seconds since the round started.
+ * @property {number | null} frequency The detected pitch in Hz, or null when not humming.
+ */
+
+/**
+ * @typedef {Object} HumScore
+ * @property {number} score The rounded HumRank (0-100).
+ * @property {{baseNote: number, voiced: number, meanCentsOff: number, steadiness: number}} components
+ *     The base note (MIDI), the share of scored ticks with a pitch, their
+ *     mean distance from the target (cents) and their mean steadiness (0-1).
+ */
+
+/**
+ * The target note at a point in the round.
+ * @param {number} baseMidi The MIDI note the melody is built on.
+ * @param {number} seconds Seconds since the round started.
+ * @param {Partial<typeof HUM_SCORING_DEFAULTS>} [options]
+ * @returns {{midi: number, index: number, since: number}} The target, which
+ *     note of the round it is, and the seconds since it started.
+ */
+export function targetAt(baseMidi, seconds, options = {}) {
+    const { noteSeconds, melody } = { ...HUM_SCORING_DEFAULTS, ...options };
+    const index = Math.max(0, Math.floor(seconds / noteSeconds));
+    return { midi: baseMidi + melody[index % melody.length], index, since: seconds - index * noteSeconds };
+}
+
+/**
+ * Distance from a frequency to a target note in cents, folded into the
+ * nearest octave: humming the right note an octave up or down (or a
+ * detector's octave slip) counts as on target.
+ * @param {number} frequency In Hz.
+ * @param {number} midi The target note.
+ * @returns {number} Between -600 and 600.
+ */
+export function centsFromTarget(frequency, midi) {
+    const cents = centsBetween(frequency, midiToFrequency(midi));
+    return cents - 1200 * Math.round(cents / 1200);
+}
+
+/**
+ * Creates an incremental HumRank scorer for one round.
+ * @param {number} baseMidi The MIDI note the melody is built on.
+ * @param {Partial<typeof HUM_SCORING_DEFAULTS>} [options] Parameter overrides.
+ * @returns {{
+ *   push: (tick: HumTick) => {target: number, cents: number | null, score: number},
+ *   result: () => HumScore,
+ * }} `push` returns the tick's target note, its distance from it in cents
+ *     (null when not humming) and the running HumRank.
+ */
+export function createHumScorer(baseMidi, options = {}) {
+    const params = { ...HUM_SCORING_DEFAULTS, ...options };
+    let scored = 0;
+    let voiced = 0;
+    let total = 0;
+    let centsOff = 0;
+    let steadiness = 0;
+    let previous = null; // {index, cents} of the last voiced tick
+
+    const result = () => ({
+        score: scored > 0 ? Math.round(100 * total / scored) : 0,
+        components: {
+            baseNote: baseMidi,
+            voiced: scored > 0 ? Math.round(100 * voiced / scored) / 100 : 0,
+            meanCentsOff: voiced > 0 ? Math.round(centsOff / voiced) : 0,
+            steadiness: voiced > 0 ? Math.round(100 * steadiness / voiced) / 100 : 0,
+        },
+    });
+
+    return {
+        push({ t, frequency }) {
+            const target = targetAt(baseMidi, t, params);
+            const cents = frequency ? centsFromTarget(frequency, target.midi) : null;
+            const held = previous && previous.index === target.index && cents !== null ? previous : null;
+            previous = cents !== null ? { index: target.index, cents } : null;
+
+            if (target.since >= params.glideSeconds) {
+                scored++;
+                if (cents !== null) {
+                    const closeness = Math.max(0, 1 - Math.abs(cents) / params.toleranceCents);
+                    const wobble = held ? Math.min(1, Math.abs(cents - held.cents) / params.wobbleCents) : 0;
+                    voiced++;
+                    centsOff += Math.abs(cents);
+                    steadiness += 1 - wobble;
+                    total += closeness * (1 - wobble / 2);
+                }
+            }
+            return { target: target.midi, cents, score: result().score };
+        },
+        result,
+    };
+}
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Main logic for the Hum Mode.
+ * Detects the hummed pitch from the microphone with YIN (no audio model),
+ * shows it against the target note, and scores how steadily it is held.
+ */
+import * as core from './core.js';
+import * as ui from './ui.js';
+import { openMicrophone, calibrateBaseline, startRmsMeter } from './mic.js';
+import { detectPitch, frequencyToMidi, midiToFrequency, noteName } from './pitch.js';
+import { createHumScorer, targetAt } from './hum-scoring.js';
+import { checkHumRound } from './anticheat.js';
+import { initGamePage } from './game-page.js';
+import { t, formatNumber } from './i18n.js';
+
+/** Samples analysed per pitch reading: 128 ms at 16 kHz, two periods of a 70 Hz hum. */
+const PITCH_WINDOW = 2048;
+/** How many times louder than the background noise a tick must be to count as humming. */
+const VOICE_LEVEL = 2;
+/** The melody's base note (G3) when no comfortable note is heard. */
+const DEFAULT_BASE_NOTE = 55;
+/** Semitones between the player's comfortable note and the base note, so the melody sits around it. */
+const BASE_BELOW_COMFORT = 2;
+
+// --- State Variables ---
+let microphone = null;
+let stopRmsMeter = null;
+let baselineRMS = 0;
+let baseMidi = DEFAULT_BASE_NOTE;
+// Current round
+let scorer = null;
+let scoringOptions = {};
+let ticks = [];
+let currentTarget = null;
+
+/**
+ * Reads the pitch of the latest audio, if the player is humming.
+ * @returns {number | null} The frequency in Hz.
+ */
+function readPitch() {
+    const { capture, audioContext } = microphone;
+    if (capture.rms < VOICE_LEVEL * baselineRMS) return null;
+    const samples = capture.getWindow();
+    const pitch = detectPitch(samples.subarray(samples.length - PITCH_WINDOW), audioContext.sampleRate);
+    return pitch ? pitch.frequency : null;
+}
+
+/**
+ * Listens for the player's comfortable note and builds the melody on it.
+ * @param {number} durationMs How long to listen for.
+ * @returns {Promise<number>} The base note (MIDI).
+ */
+async function findBaseNote(durationMs) {
+    const notes = [];
+    const intervalId = setInterval(() => {
+        const frequency = readPitch();
+        if (frequency) notes.push(frequencyToMidi(frequency));
+    }, 100);
+    await new Promise(r => setTimeout(r, durationMs));
+    clearInterval(intervalId);
+    if (notes.length === 0) return DEFAULT_BASE_NOTE;
+    notes.sort((a, b) => a - b);
+    return Math.round(notes[Math.floor(notes.length / 2)]) - BASE_BELOW_COMFORT;
+}
+
+/**
+ * Shows the current and next target notes. In simulation mode, the
+ * simulated voice glides to the new note, a little off as a voice would be.
+ * @param {number} midi The current target.
+ * @param {number} nextMidi The one after it.
+ */
+function showTarget(midi, nextMidi) {
+    core.$('#hum-target').textContent = noteName(midi);
+    core.$('#hum-next').textContent = t('hum.next', { note: noteName(nextMidi) });
+    microphone.simulated?.setPitch?.(midiToFrequency(midi + (Math.random() - 0.5) * 0.3));
+}
+
+/**
+ * Cleans up all audio resources.
+ */
+function cleanupAudio() {
+    if (stopRmsMeter) stopRmsMeter();
+    if (microphone) microphone.close();
+    stopRmsMeter = null;
+    microphone = null;
+}
+
+/**
+ * Hum mode for the shared game page (see game-page.js).
+ * @type {import('./game-page.js').GameMode}
+ */
+const humMode = {
+    id: 'hum',
+    requiresSecureContext: true,
+    simulationHint: t('hum.simulationHint'),
+    startError: t('mic.startError'),
+    goMessage: (seconds) => t('hum.go', { seconds }),
+    tickInterval: () => 100,
+
+    /** Opens the microphone, measures the background noise and finds a comfortable note. */
+    async calibrate() {
+        microphone = await openMicrophone({ simulatedSound: 'humming' });
+
+        ui.setStatus(t('mic.calibrating'), "warn");
+        baselineRMS = await calibrateBaseline(microphone.capture, 2000);
+        ui.logDebug(`Calibration complete. Baseline RMS: ${baselineRMS.toFixed(4)}`);
+
+        ui.setStatus(t('hum.findingNote'), "warn");
+        baseMidi = await findBaseNote(2000);
+        ui.logDebug(`Melody built on ${noteName(baseMidi)}.`);
+    },
+
+    start(settings) {
+        stopRmsMeter = startRmsMeter(microphone.capture);
+        const { noteSeconds, toleranceCents, glideSeconds } = settings.params;
+        scoringOptions = { noteSeconds, toleranceCents, glideSeconds };
+        scorer = createHumScorer(baseMidi, scoringOptions);
+        ticks = [];
+        currentTarget = null;
+    },
+
+    tick(elapsedMs) {
+        const t = elapsedMs / 1000;
+        const frequency = readPitch();
+        ticks.push({ t, frequency });
+        const { target, cents, score } = scorer.push({ t, frequency });
+
+        if (target !== currentTarget) {
+            currentTarget = target;
+            showTarget(target, targetAt(baseMidi, t + scoringOptions.noteSeconds, scoringOptions).midi);
+        }
+
+        // The pitch meter is centred on the target: left is flat, right is sharp.
+        if (cents === null) {
+            ui.updateMeter('pitch', 0, '—');
+        } else {
+            ui.updateMeter('pitch', 50 + cents / 2, `${noteName(frequencyToMidi(frequency))} ${cents >= 0 ? '+' : '−'}${Math.abs(Math.round(cents))}¢`);
+        }
+        ui.updateMeter('hum', score, formatNumber(score));
+        return score;
+    },
+
+    score() {
+        const { score, components } = scorer.result();
+        const flags = checkHumRound(ticks);
+        return { score, components, flags };
+    },
+
+    cleanup: cleanupAudio,
+
+    reset() {
+        core.$('#hum-target').textContent = '—';
+        core.$('#hum-next').textContent = '';
+        ui.updateMeter('rms', 0, formatNumber(0, { decimals: 3 }));
+        ui.updateMeter('pitch', 0, '—');
+        ui.updateMeter('hum', 0, '0');
+    },
+};
+
+/**
+ * Initializes the entire Hum Mode page, setting up event listeners.
+ */
+export function initHumPage() {
+    initGamePage(humMode);
+}
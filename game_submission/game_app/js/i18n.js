@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Translations: the message catalogs in locales/, the
+ * player's language, and numbers, dates and relative times formatted for
+ * it through Intl. The language is read once as the page loads, so modules
+ * can translate their constants; switching it saves the choice and reloads
+ * the page. Static markup is translated from `data-i18n` attributes by
+ * localizePage().
+ *
+ * Messages may contain `{name}` placeholders, filled from the params given
+ * to t(). A message can instead be an object of plural forms (`one`,
+ * `other`, ...; see Intl.PluralRules), picked by the `count` param.
+ */
+import en from './locales/en.js';
+import vi from './locales/vi.js';
+
+export const LANGUAGE_KEY = 'language';
+export const DEFAULT_LANGUAGE = 'en';
+
+/** Every shipped language: its name, in that language, and its catalog. */
+export const LANGUAGES = Object.freeze({
+    en: { name: "English", messages: en },
+    vi: { name: "Tiếng Việt", messages: vi },
+});
+
+/**
+ * The saved language, else the first of the browser's preferred languages
+ * that ships, else English.
+ * @returns {string}
+ */
+function detectLanguage() {
+    const saved = typeof localStorage !== 'undefined' ? localStorage.getItem(LANGUAGE_KEY) : null;
+    if (saved && saved in LANGUAGES) return saved;
+    const preferred = (typeof navigator !== 'undefined' && navigator.languages) || [];
+    return preferred.map(tag => tag.slice(0, 2).toLowerCase()).find(code => code in LANGUAGES) || DEFAULT_LANGUAGE;
+}
+
+const language = detectLanguage();
+const formatters = new Map(); // Intl formatters by kind and options, as they are slow to create
+
+/**
+ * A cached Intl formatter for the current language.
+ * @param {'NumberFormat' | 'DateTimeFormat' | 'RelativeTimeFormat' | 'PluralRules'} kind
+ * @param {Object} [options]
+ */
+const formatter = (kind, options = {}) => {
+    const key = `${kind}|${JSON.stringify(options)}`;
+    if (!formatters.has(key)) formatters.set(key, new Intl[kind](language, options));
+    return formatters.get(key);
+};
+
+/** @returns {string} The language code in use, e.g. "vi". */
+export const getLanguage = () => language;
+
+/**
+ * Saves the player's language. It applies from the next page load.
+ * @param {string} code One of LANGUAGES.
+ */
+export function setLanguage(code) {
+    if (!(code in LANGUAGES)) throw new Error(`Unknown language "${code}".`);
+    localStorage.setItem(LANGUAGE_KEY, code);
+}
+
+/**
+ * Formats a number for the current language.
+ * @param {number} value
+ * @param {{decimals?: number, sign?: boolean}} [options] `decimals` fixes the
+ *     digits after the decimal point; `sign` adds a + to positive values.
+ * @returns {string} e.g. "1,234.5", or "1.234,5" in Vietnamese.
+ */
+export const formatNumber = (value, { decimals, sign = false } = {}) => formatter('NumberFormat', {
+    ...(decimals !== undefined && { minimumFractionDigits: decimals, maximumFractionDigits: decimals }),
+    ...(sign && { signDisplay: 'exceptZero' }),
+}).format(value);
+
+/**
+ * Formats a fraction as a whole percentage.
+ * @param {number} fraction e.g. 0.53
+ * @returns {string} e.g. "53%"
+ */
+export const formatPercent = (fraction) => formatter('NumberFormat', { style: 'percent', maximumFractionDigits: 0 }).format(fraction);
+
+/**
+ * Formats a date, a time or both for the current language.
+ * @param {number} ts
+ * @param {Intl.DateTimeFormatOptions} [options] Defaults to the date and time.
+ * @returns {string}
+ */
+export const formatDate = (ts, options = { dateStyle: 'short', timeStyle: 'short' }) => formatter('DateTimeFormat', options).format(ts);
+
+/**
+ * How long ago a time was, in the largest whole unit up to days.
+ * @param {number} ts
+ * @returns {string} e.g. "5m ago", or "5 phút trước" in Vietnamese.
+ */
+export function formatRelativeTime(ts) {
+    const seconds = Math.floor((Date.now() - (ts || 0)) / 1000);
+    const [value, unit] = seconds < 60 ? [seconds, 'second']
+        : seconds < 3600 ? [Math.floor(seconds / 60), 'minute']
+            : seconds < 86400 ? [Math.floor(seconds / 3600), 'hour']
+                : [Math.floor(seconds / 86400), 'day'];
+    return formatter('RelativeTimeFormat', { style: 'narrow', numeric: 'always' }).format(-value, unit);
+}
+
+/**
+ * Looks up a message in the current language, falling back to English.
+ * @param {string} key e.g. "game.roundFinished"
+ * @param {Object<string, string | number>} [params] Placeholder values.
+ *     Numbers are formatted with formatNumber(). `count` also picks the
+ *     plural form.
+ * @returns {string} The message, or the key itself if no catalog has it.
+ */
+export function t(key, params = {}) {
+    let message = LANGUAGES[language].messages[key] ?? en[key];
+    if (message === undefined) {
+        console.warn(`Missing message "${key}".`);
+        return key;
+    }
+    if (typeof message === 'object') {
+        message = message[formatter('PluralRules').select(params.count ?? 0)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) return match;
+        const value = params[name];
+        return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+}
+
+/**
+ * Fills a language picker and switches language when it changes.
+ * @param {HTMLSelectElement} select
+ */
+export function initLanguageSwitcher(select) {
+    select.replaceChildren(...Object.entries(LANGUAGES).map(([code, { name }]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.lang = code;
+        option.textContent = name;
+        return option;
+    }));
+    select.value = language;
+    select.onchange = () => {
+        setLanguage(select.value);
+        location.reload();
+    };
+}
+
+/**
+ * Translates a page's static markup. Elements name their message with
+ * `data-i18n` (text), `data-i18n-html` (markup, for messages with links or
+ * emphasis) or `data-i18n-attr="attribute:key; ..."`. The English text in
+ * the markup is only shown if scripts don't run.
+ * @param {ParentNode} [root]
+ */
+export function localizePage(root = document) {
+    document.documentElement.lang = language;
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-html]').forEach(el => { el.innerHTML = t(el.dataset.i18nHtml); });
+    root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+        el.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(s => s.trim());
+            if (attribute && key) el.setAttribute(attribute, t(key));
+        });
+    });
+    root.querySelectorAll('select[data-language-switcher]').forEach(initLanguageSwitcher);
+}
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Which YAMNet classes count as laughter in Laugh mode, and
+ * how much. Each rule weights one class; negative weights mark sounds that
+ * are not laughter, such as speech or shouting. Pure functions, no DOM or
+ * audio dependencies.
+ */
+import { t } from './i18n.js';
+
+/**
+ * @typedef {Object} LabelRule
+ * @property {number} index The class index in YAMNet's class map.
+ * @property {string} name The class's display name in YAMNet. Stored in the
+ *     breakdown, and used to match results that come without an index.
+ * @property {number} weight What a class score of 1 adds to the laughter
+ *     probability. Negative weights subtract.
+ */
+
+/** The rules Laugh mode scores with. */
+export const LAUGH_LABEL_POLICY = Object.freeze([
+    { index: 13, name: "Laughter", weight: 1 },
+    { index: 14, name: "Baby laughter", weight: 1 },
+    { index: 15, name: "Giggle", weight: 1 },
+    { index: 16, name: "Snicker", weight: 0.8 },
+    { index: 17, name: "Belly laugh", weight: 1.2 },
+    { index: 18, name: "Chuckle, chortle", weight: 0.9 },
+    { index: 0, name: "Speech", weight: -0.3 },
+    { index: 6, name: "Shout", weight: -0.5 },
+    { index: 9, name: "Yell", weight: -0.5 },
+    { index: 11, name: "Screaming", weight: -0.5 },
+].map(rule => Object.freeze(rule)));
+
+/**
+ * A breakdown class name in the player's language.
+ * @param {string} name A rule's YAMNet name, e.g. "Giggle".
+ * @returns {string} The translated name, or `name` for classes not in the
+ *     default policy.
+ */
+export function labelName(name) {
+    const rule = LAUGH_LABEL_POLICY.find(r => r.name === name);
+    return rule ? t(`labels.${rule.index}`) : name;
+}
+
+/**
+ * @typedef {Object} Category A YAMNet result, as sent by yamnet-worker.js.
+ * @property {number} [index]
+ * @property {string} categoryName
+ * @property {number} score
+ */
+
+/**
+ * Turns one classification result into a laughter probability. The
+ * strongest laughter class sets the probability: classes such as Laughter
+ * and Giggle overlap, so adding them up would count the same laugh twice.
+ * Every negative class then subtracts its weighted score.
+ * @param {Category[]} categories
+ * @param {readonly LabelRule[]} [policy]
+ * @returns {{probability: number, contributions: Object<string, number>}}
+ *     The probability (0-1), split between the classes by name: laughter
+ *     classes share what they added in proportion to their weighted scores,
+ *     and negative classes share what they took away. The contributions sum
+ *     to the probability.
+ */
+export function applyLabelPolicy(categories, policy = LAUGH_LABEL_POLICY) {
+    const byIndex = new Map();
+    const byName = new Map();
+    categories.forEach(c => {
+        if (Number.isInteger(c.index)) byIndex.set(c.index, c.score);
+        else byName.set(c.categoryName, c.score);
+    });
+
+    const gains = [];
+    const losses = [];
+    policy.forEach(({ index, name, weight }) => {
+        const amount = weight * (byIndex.get(index) ?? byName.get(name) ?? 0);
+        if (amount > 0) gains.push([name, amount]);
+        else if (amount < 0) losses.push([name, -amount]);
+    });
+
+    const gain = Math.min(1, gains.reduce((max, [, a]) => Math.max(max, a), 0));
+    const loss = losses.reduce((sum, [, a]) => sum + a, 0);
+    const probability = Math.max(0, gain - loss);
+
+    const contributions = {};
+    const gainTotal = gains.reduce((sum, [, a]) => sum + a, 0);
+    gains.forEach(([name, a]) => { contributions[name] = gain * a / gainTotal; });
+    losses.forEach(([name, a]) => { contributions[name] = -(gain - probability) * a / loss; });
+    return { probability, contributions };
+}
+
+/**
+ * Adds up each class's share of the laughter probability over a round.
+ * @returns {{
+ *   push: (contributions: Object<string, number>) => void,
+ *   result: () => Object<string, number>,
+ * }} `push` takes one tick's contributions from `applyLabelPolicy`. `result`
+ *     returns JoyRank points per class, largest first, which sum to the
+ *     round's base score (100x the mean probability).
+ */
+export function createLabelBreakdown() {
+    const totals = {};
+    let ticks = 0;
+    return {
+        push(contributions) {
+            ticks++;
+            Object.entries(contributions).forEach(([name, amount]) => { totals[name] = (totals[name] || 0) + amount; });
+        },
+        result() {
+            return Object.fromEntries(Object.entries(totals)
+                .map(([name, total]) => [name, Math.round(1000 * total / ticks) / 10])
+                .filter(([, points]) => points !== 0)
+                .sort((a, b) => b[1] - a[1]));
+        },
+    };
+}
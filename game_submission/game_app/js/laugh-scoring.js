@@ -0,0 +1,142 @@
+/**
+ * @fileoverview JoyRank scoring engine for Laugh mode.
+ * Pure functions with no DOM or audio dependencies: feed it one
+ * `{probability, rms}` tick at a time (4 Hz in the game) plus the calibrated
+ * baseline RMS, and it returns the running score and its components.
+ * Also defines the JSON trace format used to record and replay rounds.
+ */
+
+export const LAUGH_TRACE_FORMAT = 'togetherwe-laugh-trace';
+export const LAUGH_TRACE_VERSION = 1;
+
+/**
+ * Default scoring parameters.
+ *  - loudOffset: RMS above `baselineRMS + loudOffset` counts as too loud.
+ *  - loudPenaltyCap: the most one tick can add to the raw loudness penalty.
+ *  - penaltyWeight: JoyRank points per unit of raw loudness penalty.
+ *  - streakThreshold: laughter probability that keeps a streak going.
+ *  - streakTicks: streak length (in ticks) that earns one bonus.
+ *  - bonusWeight: JoyRank points per streak bonus.
+ */
+export const LAUGH_SCORING_DEFAULTS = Object.freeze({
+    loudOffset: 0.10,
+    loudPenaltyCap: 0.03,
+    penaltyWeight: 15,
+    streakThreshold: 0.6,
+    streakTicks: 4,
+    bonusWeight: 2,
+});
+
+/**
+ * @typedef {Object} LaughTick
+ * @property {number} probability Laughter probability for the tick (0-1).
+ * @property {number} rms Microphone RMS at the tick.
+ */
+
+/**
+ * @typedef {Object} LaughScore
+ * @property {number} score The JoyRank, rounded and never negative.
+ * @property {{baseScore: number, loudPenalty: number, streakBonus: number, maxStreak: number, ticks: number}} components
+ *     baseScore is 100x the mean probability; loudPenalty and streakBonus are
+ *     in JoyRank points; maxStreak is the longest streak in ticks.
+ * @property {{penalty: number, bonus: boolean}} lastTick What the latest tick added.
+ */
+
+/**
+ * Creates an incremental JoyRank scorer for one round.
+ * @param {number} baselineRMS The calibrated background noise level.
+ * @param {Partial<typeof LAUGH_SCORING_DEFAULTS>} [options] Parameter overrides.
+ * @returns {{push: (tick: LaughTick) => LaughScore, result: () => LaughScore}}
+ */
+export function createLaughScorer(baselineRMS, options = {}) {
+    const params = { ...LAUGH_SCORING_DEFAULTS, ...options };
+    const loudThreshold = baselineRMS + params.loudOffset;
+    let probabilitySum = 0, tickCount = 0;
+    let loudPenalty = 0, streak = 0, maxStreak = 0, streakBonus = 0;
+    let lastTick = { penalty: 0, bonus: false };
+
+    const snapshot = () => {
+        const baseScore = tickCount > 0 ? 100 * (probabilitySum / tickCount) : 0;
+        const finalPenalty = params.penaltyWeight * loudPenalty;
+        const finalBonus = params.bonusWeight * streakBonus;
+        return {
+            score: Math.round(Math.max(0, baseScore - finalPenalty + finalBonus)),
+            components: { baseScore, loudPenalty: finalPenalty, streakBonus: finalBonus, maxStreak, ticks: tickCount },
+            lastTick,
+        };
+    };
+
+    return {
+        push({ probability, rms }) {
+            const p = Math.max(0, Math.min(1, Number(probability) || 0));
+            const level = Number(rms) || 0;
+
+            const penalty = level > loudThreshold ? Math.min(params.loudPenaltyCap, level - loudThreshold) : 0;
+            loudPenalty += penalty;
+
+            let bonus = false;
+            if (p >= params.streakThreshold) {
+                streak++;
+                maxStreak = Math.max(maxStreak, streak);
+                if (streak % params.streakTicks === 0) {
+                    streakBonus++;
+                    bonus = true;
+                }
+            } else {
+                streak = 0;
+            }
+
+            probabilitySum += p;
+            tickCount++;
+            lastTick = { penalty, bonus };
+            return snapshot();
+        },
+        result: snapshot,
+    };
+}
+
+/**
+ * Scores a complete sequence of ticks.
+ * @param {LaughTick[]} ticks
+ * @param {number} baselineRMS
+ * @param {Partial<typeof LAUGH_SCORING_DEFAULTS>} [options]
+ * @returns {LaughScore}
+ */
+export function scoreLaughTicks(ticks, baselineRMS, options = {}) {
+    const scorer = createLaughScorer(baselineRMS, options);
+    ticks.forEach(tick => scorer.push(tick));
+    return scorer.result();
+}
+
+/**
+ * Packages a round's ticks as a trace that can be saved as JSON.
+ * @param {{baselineRMS: number, tickInterval: number, ticks: LaughTick[], options?: Object, score?: number}} round
+ * @returns {Object} The trace document.
+ */
+export function createLaughTrace({ baselineRMS, tickInterval, ticks, options = {}, score }) {
+    return {
+        format: LAUGH_TRACE_FORMAT,
+        version: LAUGH_TRACE_VERSION,
+        recordedAt: new Date().toISOString(),
+        baselineRMS,
+        tickInterval,
+        options,
+        score,
+        ticks: ticks.map(({ probability, rms }) => ({ probability, rms })),
+    };
+}
+
+/**
+ * Replays a recorded trace through the engine.
+ * @param {Object} trace A trace document from `createLaughTrace`.
+ * @param {Partial<typeof LAUGH_SCORING_DEFAULTS>} [options] Overrides applied
+ *     on top of the trace's own options, e.g. to try new tuning.
+ * @returns {LaughScore}
+ * @throws {Error} If the document is not a valid laugh trace.
+ */
+export function replayLaughTrace(trace, options = {}) {
+    if (!trace || trace.format !== LAUGH_TRACE_FORMAT) throw new Error("Not a Laugh mode trace.");
+    if (trace.version > LAUGH_TRACE_VERSION) throw new Error(`Unsupported trace version ${trace.version}.`);
+    if (!Number.isFinite(trace.baselineRMS) || !Array.isArray(trace.ticks)) throw new Error("Trace is missing its baseline or ticks.");
+    return scoreLaughTicks(trace.ticks, trace.baselineRMS, { ...trace.options, ...options });
+}
@@ -4,312 +4,212 @@
  */
 import * as core from './core.js';
 import * as ui from './ui.js';
+import { openMicrophone, calibrateBaseline, startRmsMeter } from './mic.js';
+import { createYamnetClient } from './yamnet-client.js';
+import { createLaughScorer, createLaughTrace, replayLaughTrace } from './laugh-scoring.js';
+import { applyLabelPolicy, createLabelBreakdown, labelName } from './label-policy.js';
+import { checkLaughRound } from './anticheat.js';
+import { initGamePage } from './game-page.js';
+import { createTimelineRecorder, MARKER_STYLES } from './timeline.js';
+import { t, formatNumber } from './i18n.js';
+
+/** The values shown in the post-round timeline. */
+const TIMELINE_CHANNELS = [
+    { key: 'rms', label: t('laugh.channel.rms'), decimals: 3 },
+    { key: 'laugh', label: t('laugh.channel.laugh'), unit: '%', decimals: 1 },
+    { key: 'joy', label: "JoyRank" },
+];
 
 // --- State Variables ---
-let audioClassifier = null;
+const classifier = createYamnetClient({ log: ui.logDebug });
+let classifierReady = false;
 let audioContext = null;
-let analyserNode = null;
-let scriptProcessorNode = null;
-let rafId = 0;
-let isRoundRunning = false;
+let capture = null;
+let microphone = null;
+let stopRmsMeter = null;
 let baselineRMS = 0.0;
-const EMA_ALPHA = 0.2;
 let emaLaughProb = 0;
+let lastTrace = null;
+// Current round
+let scorer = null;
+let breakdown = createLabelBreakdown();
+let timeline = null;
+let scoringOptions = {};
+let ticks = [];
+let frameRms = [];
+let frameDuration = 0;
+let roundStart = 0;
+let tickInterval = 250;
+let emaAlpha = 0.2;
 
 /**
- * Dynamically imports MediaPipe Tasks Audio, with a CDN fallback.
- */
-async function importTasksAudio() {
-    try {
-        ui.logDebug("Loading @mediapipe/tasks-audio from jsDelivr…");
-        return await import(core.MP_JSDELIVR_URL);
-    } catch (e) {
-        ui.logDebug("jsDelivr failed, falling back to unpkg…");
-        return await import(core.MP_UNPKG_URL);
-    }
-}
-
-/**
- * Initializes the MediaPipe AudioClassifier if it doesn't exist.
+ * Starts the YAMNet worker and loads the model if that hasn't happened yet.
+ * Assets are resolved local-first (./vendor/) with CDN fallbacks.
  */
 async function ensureClassifier() {
-    if (audioClassifier) return;
-    ui.setStatus("Loading audio model...", "warn");
+    if (classifierReady) return;
+    ui.setStatus(t('laugh.loadingModel'), "warn");
     try {
-        const { FilesetResolver, AudioClassifier } = await importTasksAudio();
-        let fileset;
-        try {
-            fileset = await FilesetResolver.forAudioTasks(core.MP_JSDELIVR_URL + core.MP_WASM_DIR);
-        } catch {
-            fileset = await FilesetResolver.forAudioTasks(core.MP_UNPKG_URL + core.MP_WASM_DIR);
-        }
-        
-        try {
-            audioClassifier = await AudioClassifier.createFromOptions(fileset, { baseOptions: { modelAssetPath: core.YAMNET_MODEL_PRIMARY_URL }, runningMode: "AUDIO_CLIPS" });
-            ui.logDebug("YAMNet model loaded from TF Hub.");
-        } catch (e) {
-            ui.logDebug(`TF Hub failed (${e.message}), falling back to GCS...`);
-            audioClassifier = await AudioClassifier.createFromOptions(fileset, { baseOptions: { modelAssetPath: core.YAMNET_MODEL_FALLBACK_URL }, runningMode: "AUDIO_CLIPS" });
-            ui.logDebug("YAMNet model loaded from GCS fallback.");
-        }
-        ui.setStatus("Model loaded. Ready.", "ok");
+        await classifier.init();
+        classifierReady = true;
+        ui.setStatus(t('laugh.modelLoaded'), "ok");
     } catch (error) {
         console.error("Failed to initialize AudioClassifier:", error);
-        ui.setStatus("Error loading audio model.", "bad");
+        ui.setStatus(t('laugh.modelError'), "bad");
         throw error;
     }
 }
 
 /**
- * Checks if a YAMNet category name is related to laughter.
- * @param {string} name The category name.
- * @returns {boolean}
+ * Shows what made up the round's JoyRank: each laughter type's share, the
+ * sounds that counted against it, the streak bonus and the loudness penalty.
+ * @param {import('./laugh-scoring.js').LaughScore['components'] & {labels: Object<string, number>}} components
  */
-function isLaughterCategory(name) {
-    const n = name.toLowerCase();
-    return n.includes("laugh") || n.includes("giggle") || n.includes("chuckle") || n.includes("chortle") || n.includes("snicker");
-}
-
-/**
- * Starts the RMS meter visualization.
- * @param {MediaStreamAudioSourceNode} sourceNode
- */
-function startRmsMeter(sourceNode) {
-    analyserNode = audioContext.createAnalyser();
-    analyserNode.fftSize = 1024;
-    const dataArray = new Float32Array(analyserNode.fftSize);
-    sourceNode.connect(analyserNode);
-
-    const updateMeter = () => {
-        analyserNode.getFloatTimeDomainData(dataArray);
-        let sumSquares = 0.0;
-        for (const amplitude of dataArray) {
-            sumSquares += amplitude * amplitude;
-        }
-        const rms = Math.sqrt(sumSquares / dataArray.length);
-        ui.updateMeter('rms', rms * 300, rms.toFixed(3)); // Scaling factor for better visualization
-        rafId = requestAnimationFrame(updateMeter);
-    };
-    updateMeter();
+function showBreakdown({ labels, streakBonus, loudPenalty }) {
+    const rows = Object.entries(labels).map(([name, points]) => [labelName(name), points]);
+    if (streakBonus > 0) rows.push([MARKER_STYLES.bonus.label, streakBonus]);
+    if (loudPenalty > 0) rows.push([MARKER_STYLES.penalty.label, -loudPenalty]);
+    core.$('#laugh-breakdown-list').innerHTML = rows.length === 0
+        ? `<li class="text-center text-slate-500">${t('laugh.noLaughter')}</li>`
+        : rows.map(([name, points]) => `
+            <li class="flex justify-between gap-3">
+                <span>${core.escapeHtml(name)}</span>
+                <span class="font-mono ${points < 0 ? 'text-red-600' : 'text-emerald-600'}">${points < 0 ? '−' : '+'}${formatNumber(Math.abs(points), { decimals: 1 })}</span>
+            </li>
+        `).join('');
+    core.$('#laugh-breakdown').classList.remove('hidden');
 }
 
 /**
  * Cleans up all audio resources.
  */
 function cleanupAudio() {
-    isRoundRunning = false;
-    cancelAnimationFrame(rafId);
-    if (scriptProcessorNode) {
-        scriptProcessorNode.onaudioprocess = null;
-        scriptProcessorNode.disconnect();
-    }
-    if (analyserNode) analyserNode.disconnect();
-    if (audioContext && audioContext.state !== 'closed') {
-        audioContext.close().catch(console.error);
-    }
-    scriptProcessorNode = null;
-    analyserNode = null;
+    if (stopRmsMeter) stopRmsMeter();
+    if (microphone) microphone.close();
+    stopRmsMeter = null;
+    microphone = null;
+    capture = null;
     audioContext = null;
 }
 
 /**
- * Main function to start and run a 10-second laugh round.
- * @param {string} playerName The current player's name.
+ * Laugh mode for the shared game page (see game-page.js).
+ * @type {import('./game-page.js').GameMode}
  */
-async function startLaughRound(playerName) {
-    cleanupAudio();
-    await ensureClassifier();
-    
-    ui.setStatus("Requesting microphone...", "warn");
-    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-    
-    const AudioContext = window.AudioContext || window.webkitAudioContext;
-    audioContext = new AudioContext({ sampleRate: 16000 });
-    if (audioContext.state === 'suspended') await audioContext.resume();
-    
-    const sourceNode = audioContext.createMediaStreamSource(stream);
-    
-    // --- Calibration Phase ---
-    ui.setStatus("Calibrating background noise... (2s)", "warn");
-    const calibrationAnalyser = audioContext.createAnalyser();
-    calibrationAnalyser.fftSize = 1024;
-    const calibData = new Float32Array(calibrationAnalyser.fftSize);
-    sourceNode.connect(calibrationAnalyser);
-    let rmsSum = 0, rmsCount = 0;
-    const calibEndTime = performance.now() + 2000;
-    while(performance.now() < calibEndTime) {
-        calibrationAnalyser.getFloatTimeDomainData(calibData);
-        let sumSquares = 0.0;
-        for (const amp of calibData) sumSquares += amp * amp;
-        rmsSum += Math.sqrt(sumSquares / calibData.length);
-        rmsCount++;
-        await new Promise(r => setTimeout(r, 50));
-    }
-    baselineRMS = rmsCount > 0 ? (rmsSum / rmsCount) : 0.01;
-    sourceNode.disconnect(calibrationAnalyser);
-    ui.logDebug(`Calibration complete. Baseline RMS: ${baselineRMS.toFixed(4)}`);
-
-    // --- Game Phase ---
-    startRmsMeter(sourceNode);
-    const ringBuffer = new Float32Array(16000); // 1 second of audio at 16kHz
-    let ringBufferIndex = 0;
-
-    scriptProcessorNode = audioContext.createScriptProcessor(16384, 1, 1);
-    scriptProcessorNode.onaudioprocess = (event) => {
-        const inputData = event.inputBuffer.getChannelData(0);
-        for (let i = 0; i < inputData.length; i++) {
-            ringBuffer[ringBufferIndex++] = inputData[i];
-            if (ringBufferIndex >= ringBuffer.length) ringBufferIndex = 0;
-        }
-    };
-    sourceNode.connect(scriptProcessorNode);
-    scriptProcessorNode.connect(audioContext.destination);
-
-    isRoundRunning = true;
-    ui.setStatus("Go! Laugh for 10 seconds!", "ok");
-    
-    let laughProbSum = 0, frameCount = 0;
-    let loudPenalty = 0, streak = 0, streakBonus = 0;
-    emaLaughProb = 0;
-
-    const ROUND_DURATION = 10000;
-    const TICK_INTERVAL = 250; // 4 Hz
-    let elapsedTime = 0;
-
-    const gameLoop = setInterval(() => {
-        if (!isRoundRunning) return;
-
+const laughMode = {
+    id: 'laugh',
+    requiresSecureContext: true,
+    simulationHint: t('laugh.simulationHint'),
+    startError: t('mic.startError'),
+    goMessage: (seconds) => t('laugh.go', { seconds }),
+    tickInterval: (settings) => settings.params.tickInterval,
+
+    /** Loads the model, opens the microphone and measures the background noise. */
+    async calibrate() {
+        await ensureClassifier();
+
+        // One capture stream feeds calibration, the RMS meter and the 1s classification window.
+        microphone = await openMicrophone();
+        ({ audioContext, capture } = microphone);
+
+        ui.setStatus(t('mic.calibrating'), "warn");
+        baselineRMS = await calibrateBaseline(capture, 2000);
+        ui.logDebug(`Calibration complete. Baseline RMS: ${baselineRMS.toFixed(4)}`);
+    },
+
+    start(settings) {
+        stopRmsMeter = startRmsMeter(capture);
+        classifier.reset();
+        const { streakThreshold, loudOffset } = settings.params;
+        ({ tickInterval, emaAlpha } = settings.params);
+        scoringOptions = { streakThreshold, loudOffset };
+        scorer = createLaughScorer(baselineRMS, scoringOptions);
+        breakdown = createLabelBreakdown();
+        timeline = createTimelineRecorder(TIMELINE_CHANNELS, tickInterval);
+        ticks = [];
+        core.$('#laugh-breakdown').classList.add('hidden');
+        emaLaughProb = 0;
+
+        // Per-frame loudness for the plausibility checks (looped clips, dropped audio).
+        frameRms = [];
+        capture.onFrame((frame, rms) => frameRms.push(rms));
+        frameDuration = capture.frameSize / audioContext.sampleRate;
+        roundStart = performance.now();
+    },
+
+    tick() {
         // Get current RMS for loudness penalty
-        const rmsData = new Float32Array(analyserNode.fftSize);
-        analyserNode.getFloatTimeDomainData(rmsData);
-        let sumSquares = 0; for (const amp of rmsData) sumSquares += amp * amp;
-        const currentRMS = Math.sqrt(sumSquares / rmsData.length);
-        const loudThreshold = baselineRMS + 0.10;
-        if (currentRMS > loudThreshold) {
-            loudPenalty += Math.min(0.03, currentRMS - loudThreshold);
-        }
+        const currentRMS = capture.rms;
 
-        // Get 1s audio data from ring buffer
-        const audioSlice = new Float32Array(ringBuffer.length);
-        const tailLength = ringBuffer.length - ringBufferIndex;
-        audioSlice.set(ringBuffer.subarray(ringBufferIndex), 0);
-        audioSlice.set(ringBuffer.subarray(0, ringBufferIndex), tailLength);
+        // Send the latest 1s of audio to the worker and use its most recent result.
+        // If the worker is still busy, older windows are dropped rather than queued.
+        classifier.submit(capture.getWindow(), audioContext.sampleRate);
+        // Laughter probability for this tick, weighted by the label policy
+        const { probability: p, contributions } = applyLabelPolicy(classifier.latestCategories);
+        breakdown.push(contributions);
 
-        // Classify audio
-        let classifications = [];
-        try {
-            classifications = audioClassifier.classify(audioSlice, audioContext.sampleRate)?.[0]?.classifications?.[0]?.categories || [];
-        } catch (err) {
-            ui.logDebug(`Classification error: ${err.message || err}`);
-        }
-        
-        // Calculate laughter probability for this tick
-        let p = classifications.reduce((sum, cat) => sum + (isLaughterCategory(cat.categoryName) ? cat.score : 0), 0);
-        p = core.clamp(p, 0, 1);
-
-        // Update streak bonus
-        if (p >= 0.6) {
-            streak++;
-            if (streak > 0 && streak % 4 === 0) streakBonus++; // Bonus per ~1s
-        } else {
-            streak = 0;
-        }
-
-        laughProbSum += p;
-        frameCount++;
+        // Score the tick (loudness penalty, streak bonus, running mean)
+        const tick = { probability: p, rms: currentRMS };
+        ticks.push(tick);
+        const { score: joyRank, lastTick } = scorer.push(tick);
 
         // Update UI
-        emaLaughProb = EMA_ALPHA * (p * 100) + (1 - EMA_ALPHA) * emaLaughProb;
-        ui.updateMeter('laugh', emaLaughProb, `${emaLaughProb.toFixed(1)}%`);
-
-        const baseScore = 100 * (laughProbSum / frameCount);
-        const finalPenalty = 15 * loudPenalty;
-        const finalBonus = 2 * streakBonus;
-        const joyRank = Math.round(Math.max(0, baseScore - finalPenalty + finalBonus));
-
-        ui.updateMeter('joy', joyRank, joyRank.toString());
-
-        elapsedTime += TICK_INTERVAL;
-        // End of round
-        if (elapsedTime >= ROUND_DURATION) {
-            stopRound(playerName, joyRank);
-        }
-    }, TICK_INTERVAL);
-
-    // Ensure the loop is cleared when stopping
-    const stopRound = (name, finalScore) => {
-        if (!isRoundRunning) return;
-        isRoundRunning = false;
-        clearInterval(gameLoop);
-        cleanupAudio();
-        
-        ui.setStatus("Round finished!", "ok");
-        ui.setButtonStates({ start: false, stop: false, again: true });
-        
-        const isNewBest = core.saveScore('laugh', name, finalScore);
-        if (isNewBest) {
-            ui.setStatus("New personal best!", "ok");
-            ui.triggerConfetti();
-        }
-    };
-    
-    core.$('#stop-btn').onclick = () => stopRound(playerName, 0);
-}
+        emaLaughProb = emaAlpha * (p * 100) + (1 - emaAlpha) * emaLaughProb;
+        const markers = [];
+        if (lastTick.bonus) markers.push('bonus');
+        if (lastTick.penalty > 0) markers.push('penalty');
+        timeline.push({ rms: currentRMS, laugh: emaLaughProb, joy: joyRank }, markers);
+        ui.updateMeter('laugh', emaLaughProb, `${formatNumber(emaLaughProb, { decimals: 1 })}%`);
+        ui.updateMeter('joy', joyRank, formatNumber(joyRank));
+        return joyRank;
+    },
+
+    score() {
+        const { score, components: scored } = scorer.result();
+        const components = { ...scored, longestStreakSeconds: scored.maxStreak * tickInterval / 1000, labels: breakdown.result() };
+        showBreakdown(components);
+        // Judge loudness against the same margin the round was scored with.
+        const flags = checkLaughRound(
+            { ticks, baselineRMS, frameRms, frameDuration, durationMs: performance.now() - roundStart },
+            { loudOffset: scoringOptions.loudOffset },
+        );
+        lastTrace = createLaughTrace({ baselineRMS, tickInterval, ticks, options: scoringOptions, score });
+        core.$('#trace-download-btn').disabled = false;
+        return { score, components, flags, timeline: timeline.result() };
+    },
+
+    cleanup: cleanupAudio,
+
+    reset() {
+        ui.updateMeter('rms', 0, formatNumber(0, { decimals: 3 }));
+        ui.updateMeter('laugh', 0, `${formatNumber(0, { decimals: 1 })}%`);
+        ui.updateMeter('joy', 0, '0');
+        core.$('#laugh-breakdown').classList.add('hidden');
+    },
+};
 
 /**
  * Initializes the entire Laugh Mode page, setting up event listeners.
  */
 export function initLaughPage() {
-    const nameInput = core.$('#name-input');
-    const saveNameBtn = core.$('#save-name-btn');
-    const nameStatus = core.$('#name-status');
-    const startBtn = core.$('#start-btn');
+    initGamePage(laughMode);
 
-    // Name handling
-    nameInput.value = localStorage.getItem(core.PLAYER_NAME_KEY) || '';
-    saveNameBtn.onclick = () => {
-        const name = core.sanitizeName(nameInput.value);
-        if (name) {
-            localStorage.setItem(core.PLAYER_NAME_KEY, name);
-            nameStatus.textContent = "Saved!";
-            nameStatus.className = "text-sm text-emerald-600";
-        } else {
-            nameStatus.textContent = "Invalid name";
-            nameStatus.className = "text-sm text-red-600";
-        }
+    // Trace tools (debug panel): save the last round, or re-score a saved one.
+    core.$('#trace-download-btn').onclick = () => {
+        if (!lastTrace) return;
+        const stamp = lastTrace.recordedAt.replace(/[:.]/g, '-');
+        ui.downloadFile(`laugh-trace-${stamp}.json`, JSON.stringify(lastTrace, null, 2), 'application/json');
     };
-
-    // Game controls
-    startBtn.onclick = async () => {
-        if (!core.isSecureContext()) {
-            alert("This feature requires a secure connection (HTTPS) or localhost.");
-            return;
-        }
-        const playerName = core.sanitizeName(nameInput.value);
-        if (!playerName) {
-            nameStatus.textContent = "Please save a valid name first.";
-            nameStatus.className = "text-sm text-red-600";
-            return;
-        }
-        
-        ui.setButtonStates({ start: false, stop: true, again: false });
+    core.$('#trace-replay-input').onchange = async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
         try {
-            await startLaughRound(playerName);
+            const trace = JSON.parse(await file.text());
+            const { score, components } = replayLaughTrace(trace);
+            ui.logDebug(`Replayed ${file.name}: JoyRank ${score} (recorded ${trace.score ?? 'n/a'}) ${JSON.stringify(components)}`);
         } catch (error) {
-            console.error(error);
-            ui.setStatus(error.message || "Could not start microphone.", "bad");
-            ui.setButtonStates({ start: true, stop: false, again: false });
-            cleanupAudio();
+            ui.logDebug(`Could not replay ${file.name}: ${error.message}`);
         }
+        event.target.value = '';
     };
-    
-    core.$('#again-btn').onclick = () => {
-        ui.setStatus("Ready.");
-        ui.setButtonStates({ start: true, stop: false, again: false });
-        ui.updateMeter('rms', 0, '0.000');
-        ui.updateMeter('laugh', 0, '0.0%');
-        ui.updateMeter('joy', 0, '0');
-    };
-
-    ui.displayOriginStatus(core.isSecureContext());
 }
\ No newline at end of file
@@ -0,0 +1,481 @@
+/**
+ * @fileoverview English messages. This is the source catalog: every key the
+ * app uses is defined here, and other languages translate these. See
+ * i18n.js for placeholders and plural forms, and run
+ * `node tools/check-i18n.mjs` from game_submission/ after changing keys.
+ */
+export default Object.freeze({
+    // Score stores and the origin line
+    'store.local': "This device",
+    'store.remote': "Shared leaderboard",
+    'origin.secure': "Secure",
+    'origin.insecure': "Insecure",
+    'origin.origin': "Origin: {origin}",
+    'origin.permission': "Perm: {status}",
+    'origin.perm.granted': "granted",
+    'origin.perm.denied': "denied",
+    'origin.perm.notRequired': "not required",
+    'origin.perm.simulated': "simulated",
+    'origin.accel': "Accel: {source}",
+
+    // Game page lifecycle (game-page.js)
+    'game.partyTurn': "Party round {round} of {of}: {player}, it's your turn!",
+    'game.nameSaved': "Saved!",
+    'game.nameInvalid': "Invalid name",
+    'game.saveNameFirst': "Please save a valid name first.",
+    'game.start': "Start {seconds}s",
+    'game.ready': "Ready.",
+    'game.waitingForRoom': "Ready. Waiting for the room's countdown...",
+    'game.roundFlagged': "Round flagged: {reason}",
+    'game.roundFinished': "Round finished!",
+    'game.newBest': "New personal best!",
+    'game.achievementUnlocked': "Achievement unlocked: {title}",
+    'game.needsSecureContext': "This feature requires a secure connection (HTTPS) or localhost.",
+    'game.cardDownloaded': "Result card saved as an image.",
+    'game.cardFailed': "Could not create the result card.",
+    // Sensors (mic.js, motion.js) and simulation mode (simulate.js)
+    'mic.requesting': "Requesting microphone...",
+    'mic.calibrating': "Calibrating background noise... (2s)",
+    'mic.startError': "Could not start microphone.",
+    'motion.requesting': "Requesting motion access...",
+    'motion.notGranted': "Motion access was not granted.",
+    'motion.permissionFailed': "Could not get motion permission.",
+    'motion.noData': "No motion data detected. (Try on a mobile device).",
+    'simulation.banner': "Simulation mode: {hint} (Alt+Shift+S to turn off)",
+    'simulation.defaultHint': "sensors are simulated.",
+
+    // Round timelines (timeline.js)
+    'timeline.bonus': "Streak bonus",
+    'timeline.penalty': "Too loud",
+    'timeline.length': "{seconds} second timeline.",
+    'timeline.peaks': "{label} peaks at {value}.",
+    'timeline.markerCount': { one: "{label}: {count} time.", other: "{label}: {count} times." },
+    'timeline.lanePeak': "{label} (peak {value})",
+
+    // Round settings (settings.js)
+    'settings.gentle': "Gentle",
+    'settings.normal': "Normal",
+    'settings.intense': "Intense",
+    'settings.custom': "Custom",
+
+    // Laugh mode (laugh.js, label-policy.js)
+    'laugh.channel.rms': "Loudness (RMS)",
+    'laugh.channel.laugh': "Laughter (smoothed)",
+    'laugh.loadingModel': "Loading audio model...",
+    'laugh.modelLoaded': "Model loaded. Ready.",
+    'laugh.modelError': "Error loading audio model.",
+    'laugh.noLaughter': "No laughter heard this round.",
+    'laugh.simulationHint': "a recorded or synthetic laugh plays instead of the microphone.",
+    'laugh.go': "Go! Laugh for {seconds} seconds!",
+    'labels.13': "Laughter",
+    'labels.14': "Baby laughter",
+    'labels.15': "Giggle",
+    'labels.16': "Snicker",
+    'labels.17': "Belly laugh",
+    'labels.18': "Chuckle, chortle",
+    'labels.0': "Speech",
+    'labels.6': "Shout",
+    'labels.9': "Yell",
+    'labels.11': "Screaming",
+
+    // Shake mode (shake.js)
+    'shake.channel.acc': "Acceleration",
+    'shake.channel.rot': "Rotation",
+    'shake.simulationHint': "hold any letter key or move the mouse to shake.",
+    'shake.startError': "Could not start motion sensors.",
+    'shake.go': "Go! Shake your device for {seconds} seconds!",
+
+    // Where Shake mode's acceleration comes from (gravity.js)
+    'gravity.source.linear': "device linear acceleration",
+    'gravity.source.fused': "gravity removed (low-pass + gyro)",
+    'gravity.source.lowpass': "gravity removed (low-pass)",
+    'gravity.source.none': "no acceleration data",
+
+    // Breathe mode (breathe.js)
+    'breathe.missed.mic': "No breaths were detected. Try breathing a little closer to the microphone.",
+    'breathe.missed.chest': "No breaths were detected. Try lying back with the phone flat on your chest.",
+    'breathe.in': "Breathe in",
+    'breathe.out': "Breathe out",
+    'breathe.ready': "Ready",
+    'breathe.rest': "Rest",
+    'breathe.simulationHint': "a synthetic breathing sound plays, or with Phone on chest, a simulated chest rises and falls.",
+    'breathe.startError': "Could not start the breathing sensors.",
+    'breathe.go': "Follow the circle for {seconds} seconds. Breathe in as it grows, out as it shrinks.",
+    'breathe.calibratingChest': "Lie back and rest the phone flat on your chest... (3s)",
+    'breathe.breaths': { one: "{count} breath", other: "{count} breaths" },
+    'breathe.stopped': "Round stopped. Take your time, and start again whenever you're ready.",
+    'breathe.summary': {
+        one: "You took {count} measured breath, {period}s each on average, against a {target}s guide: a {match} rhythm match and a CalmRank of {score}.",
+        other: "You took {count} measured breaths, {period}s each on average, against a {target}s guide: a {match} rhythm match and a CalmRank of {score}.",
+    },
+    'breathe.calmestYet': "That's your calmest round yet.",
+
+    // Hum mode (hum.js)
+    'hum.next': "Next: {note}",
+    'hum.simulationHint': "a synthetic voice hums along to the target notes.",
+    'hum.go': "Go! Hum each target note for {seconds} seconds!",
+    'hum.findingNote': "Hum any comfortable note... (2s)",
+
+    // Laugh mode's menu card, scoreboard, settings and result card (modes/laugh.js)
+    'modes.laugh.label': "Laugh",
+    'modes.laugh.description': "Use your microphone to measure the joy in your laughter.",
+    'modes.laugh.boardTitle': "Top 10 Laughers",
+    'modes.laugh.field.tickInterval': "Tick interval (ms)",
+    'modes.laugh.field.streakThreshold': "Streak threshold (probability)",
+    'modes.laugh.field.loudOffset': "Too-loud margin (RMS above baseline)",
+    'modes.laugh.field.emaAlpha': "Laughter meter smoothing (EMA alpha)",
+    'modes.laugh.stat.laughter': "Laughter",
+    'modes.laugh.stat.topLaugh': "Top laugh",
+    'modes.laugh.message.1': "Laughter relaxes the whole body. Share one with someone today.",
+    'modes.laugh.message.2': "A good laugh is contagious. Pass it on!",
+    'modes.laugh.message.3': "Laughing together brings people closer.",
+
+    // Shake mode's menu card, scoreboard, settings and result card (modes/shake.js)
+    'modes.shake.label': "Shake",
+    'modes.shake.description': "Use your phone's motion sensors to score your shake energy.",
+    'modes.shake.boardTitle': "Top 10 Shakers",
+    'modes.shake.field.accWeight': "Acceleration weight",
+    'modes.shake.field.rotWeight': "Rotation weight",
+    'modes.shake.field.accMeterScale': "Acceleration meter (% per m/s²)",
+    'modes.shake.field.rotMeterScale': "Rotation meter (% per °/s)",
+    'modes.shake.field.rankMeterMax': "ShakeRank that fills the meter (per 10s)",
+    'modes.shake.stat.movement': "Movement energy",
+    'modes.shake.stat.spin': "Spin energy",
+    'modes.shake.message.1': "Moving your body is a quick way to lift your mood.",
+    'modes.shake.message.2': "A little movement shakes off a lot of stress.",
+    'modes.shake.message.3': "Energy shared is energy doubled. Challenge a friend!",
+
+    // Breathe mode's menu card, scoreboard, settings and result card (modes/breathe.js)
+    'modes.breathe.label': "Breathe",
+    'modes.breathe.description': "Follow a calm breathing guide, heard by your microphone or felt with the phone on your chest.",
+    'modes.breathe.boardTitle': "Top 10 Breathers",
+    'modes.breathe.field.inhaleSeconds': "Inhale (s)",
+    'modes.breathe.field.exhaleSeconds': "Exhale (s)",
+    'modes.breathe.field.tolerance': "Rhythm tolerance (share of a breath)",
+    'modes.breathe.stat.breaths': "Breaths",
+    'modes.breathe.stat.averageBreath': "Average breath",
+    'modes.breathe.stat.rhythmMatch': "Rhythm match",
+    'modes.breathe.message.1': "Slow breathing calms the body and the mind.",
+    'modes.breathe.message.2': "A few calm breaths are always within reach.",
+    'modes.breathe.message.3': "Taking time to breathe is taking care of yourself.",
+
+    // Hum mode's menu card, scoreboard, settings and result card (modes/hum.js)
+    'modes.hum.label': "Hum",
+    'modes.hum.description': "Hum along to a short melody and hold each note as steadily as you can.",
+    'modes.hum.boardTitle': "Top 10 Hummers",
+    'modes.hum.field.noteSeconds': "Seconds per note",
+    'modes.hum.field.toleranceCents': "Tolerance (cents off target)",
+    'modes.hum.field.glideSeconds': "Glide time to each note (s)",
+    'modes.hum.stat.melodyOn': "Melody on",
+    'modes.hum.stat.notesHeld': "Notes held",
+    'modes.hum.stat.steadiness': "Steadiness",
+    'modes.hum.message.1': "Humming slows your breath and helps you unwind.",
+    'modes.hum.message.2': "Music is better shared. Hum along with a friend!",
+    'modes.hum.message.3': "Every note you hold is a moment of calm.",
+    // Plausibility flags (anticheat.js, http-store.js)
+    'flags.shakeSaturation': { one: "Motion sensor maxed out on {count} reading (likely an impact).", other: "Motion sensor maxed out on {count} readings (likely an impact)." },
+    'flags.shakeJerk': { one: "{count} physically impossible jump in acceleration (slams or taps).", other: "{count} physically impossible jumps in acceleration (slams or taps)." },
+    'flags.shakeEventRate': "Unusual motion event rate ({rate} per second).",
+    'flags.laughLoudNoise': "Loud sound that wasn't laughter for {share} of the round.",
+    'flags.laughLoop': "The audio repeats itself every {seconds}s (a looped clip?).",
+    'flags.laughEventRate': "Received {received} audio frames, expected about {expected}.",
+    'flags.breatheRegular': "{count} breaths of almost exactly the same length (a recording or a machine?).",
+    'flags.humPureTone': "The pitch held steadier than a voice can (median change {cents} cents).",
+    'flags.remoteFlagged': "Flagged by the device that played it.",
+
+    // Result cards (share-card.js)
+    'card.anonymousPlayer': "A TogetherWe player",
+    'card.modeTitle': "{mode} mode",
+    'card.shareText': "{player} scored {score} {scoreLabel} in TogetherWe {mode} mode!",
+    'card.shareTextAnonymous': "I scored {score} {scoreLabel} in TogetherWe {mode} mode!",
+    // Rooms (room-panel.js, rooms.js)
+    'common.you': "(you)",
+    'room.host': "host",
+    'room.countdown': "Round starts in {seconds}…",
+    'room.go': "Go!",
+    'room.saveNameFirst': "Save a valid name first.",
+    'room.connecting': "Connecting…",
+    'room.joined': "In room {code}. Share the code so others can join.",
+    'room.invalidCode': "Room codes are 4 letters.",
+    'room.left': "Left the room.",
+    'room.unreachable': "Could not reach the room server at {url}.",
+    'room.connectionFailed': "Connection to the room server failed.",
+    'room.error.invalidName': "Save a valid name first.",
+    'room.error.invalidMode': "This mode can't be played in a room.",
+    'room.error.noRoom': "No room with that code.",
+    'room.error.otherMode': "That room is playing {mode}.",
+    'room.error.full': "That room is full.",
+    'room.error.notInRoom': "Join a room first.",
+    'room.error.notHost': "Only the host can start the round.",
+    'room.error.protocol': "The room server didn't understand this page. Reload it and try again.",
+
+    // Party tournaments (party.js, tournament.js)
+    'party.duplicatePlayer': "\"{name}\" is on the roster twice.",
+    'party.tooFewPlayers': "Add at least two players.",
+    'party.tooManyPlayers': "A party can have at most {max} players.",
+    'party.noModes': "Choose at least one mode.",
+    'party.roundCount': "Choose between 1 and {max} rounds.",
+    'party.player': "Player",
+    'party.points': "Points",
+    'party.pointsShort': { one: "{count} pt", other: "{count} pts" },
+    'party.new': "New Party",
+    'party.end': "End Party",
+    'party.progress': "Round {round} of {rounds} · Turn {turn} of {turns}",
+    'party.upNext': "{player}, you're up!",
+    'party.confirmSkip': "Skip {player}'s {mode} turn? It scores no points.",
+    'party.confirmEnd': "End this party? Standings will be lost; scores stay on the leaderboards.",
+    // Scoreboard page (scoreboard.js)
+    'board.name': "Name",
+    'board.when': "When",
+    'board.review': "Review",
+    'board.reviewRound': "Review {name}'s round",
+    'board.score': "Score",
+    'board.loading': "Loading…",
+    'board.unreachable': "Couldn't reach the {board}. Check the server and try again.",
+    'board.emptyLocal': "Play a round to see your scores!",
+    'board.emptyRemote': "No scores on the shared board yet.",
+    'board.suspicious': "Suspicious round: {reasons}",
+    'board.simulated': "Played with simulated sensors: not a personal best, and not sent to the shared leaderboard.",
+    'board.chooseRound': "Choose a round…",
+    'board.noTimelines': "No rounds with a timeline yet",
+    'board.change': "Change",
+    'board.connect': "Connect",
+    'board.descriptionRemote': "Top 10 scores from everyone connected to {url}.",
+    'board.descriptionLocal': "Top 10 scores are saved on this device. Every round is kept in each player's profile.",
+    'board.notConnected': "Not connected. Scores stay on this device.",
+    'board.connected': "Connected to {url}.",
+    'board.pending': { one: "{count} round waiting to be sent.", other: "{count} rounds waiting to be sent." },
+    'board.invalidUrl': "Enter the server's address, starting with http:// or https://.",
+
+    // Exporting and importing scores (scoreboard.js, transfer.js)
+    'transfer.exported': { one: "Exported {count} round.", other: "Exported {count} rounds." },
+    'transfer.chooseFile': "Choose a file to import.",
+    'transfer.noFile': "No file selected.",
+    'transfer.nothingImported': "Nothing was imported from {file}. Fix these problems and try again:",
+    'transfer.confirmReplace': "Replace all {stored} stored round(s) with {count} from {file}?",
+    'transfer.replaced': { one: "Replaced scores with {count} round from {file}.", other: "Replaced scores with {count} rounds from {file}." },
+    'transfer.imported': { one: "Imported {count} new round from {file}.", other: "Imported {count} new rounds from {file}." },
+    'transfer.importedSkipped': {
+        one: "Imported {count} new round from {file}, skipped {skipped} duplicate(s).",
+        other: "Imported {count} new rounds from {file}, skipped {skipped} duplicate(s).",
+    },
+    'transfer.failed': "Import failed.",
+    'import.unterminatedQuote': "Unterminated quoted field.",
+    'import.notAnObject': "Entry is not an object.",
+    'import.unknownMode': "Unknown mode \"{value}\".",
+    'import.invalidName': "Invalid name \"{value}\" (1-16 letters, digits, spaces or _).",
+    'import.invalidScore': "Invalid score \"{value}\".",
+    'import.invalidTimestamp': "Invalid timestamp \"{value}\".",
+    'import.invalidDuration': "Invalid duration \"{value}\".",
+    'import.componentsJson': "Components column is not valid JSON.",
+    'import.componentsObject': "Components must be an object.",
+    'import.flagsJson': "Flags column is not valid JSON.",
+    'import.flagsList': "Flags must be a list of {code, reason} objects.",
+    'import.settingsJson': "Settings column is not valid JSON.",
+    'import.settingsInvalid': "Settings must have a key, a duration and every value for the mode.",
+    'import.timelineInvalid': "Timeline must be a round timeline recorded by this app.",
+    'import.emptyFile': "The file is empty.",
+    'import.invalidJson': "Not valid JSON: {message}",
+    'import.newerVersion': "File version {version} is newer than this app supports ({supported}).",
+    'import.notAnExport': "JSON file is not a TogetherWe score export.",
+    'import.invalidCsv': "Not valid CSV: {message}",
+    'import.missingColumns': "CSV header is missing column(s): {columns}.",
+    'import.entry': "Entry {number}",
+    'import.row': "Row {number}",
+    'import.moreErrors': "…and {count} more.",
+    // Player profiles (profile.js)
+    'profile.empty': "Play a round to create your profile!",
+    'profile.dailyStreak': "Daily streak:",
+    'profile.longestStreak': "Longest: {days}",
+    'profile.days': { one: "{count} day", other: "{count} days" },
+    'profile.badges': "Badges",
+    'profile.notEarned': "(not earned yet)",
+    'profile.flagged': "flagged",
+    'profile.simulated': "simulated",
+    'profile.mode': "Mode",
+    'profile.rounds': "Rounds",
+    'profile.best': "Best",
+    'profile.average': "Average",
+    'profile.last': "Last",
+    'profile.history': "Round history",
+    // Mood check-ins (mood.js)
+    'mood.veryLow': "Very low",
+    'mood.low': "Low",
+    'mood.okay': "Okay",
+    'mood.good': "Good",
+    'mood.great': "Great",
+    'mood.askBefore': "How do you feel right now?",
+    'mood.optional': "(optional)",
+    'mood.askAfter': "And how do you feel now?",
+    'mood.note': "Note (optional)",
+    'mood.notePlaceholder': "e.g. Laughed with my sister",
+    'mood.save': "Save check-in",
+    'mood.skip': "Skip",
+    'mood.privacy': "Check-ins stay on this device. See your {link}.",
+    'mood.trendsLink': "mood trends",
+    'mood.saved': "Check-in saved. Thank you!",
+    'mood.saveFailed': "Could not save the check-in.",
+    // Mood trends page (trends.js)
+    'trends.last.day': { one: "the last day", other: "the last {count} days" },
+    'trends.last.week': { one: "the last week", other: "the last {count} weeks" },
+    'trends.describeEmpty': "No mood check-ins in {span}.",
+    'trends.describe': "Average mood change per round over {span}.",
+    'trends.describeMode': {
+        one: "{mode}: {change} on average over {count} round.",
+        other: "{mode}: {change} on average over {count} rounds.",
+    },
+    'trends.noNotes': "No notes yet.",
+    'trends.beforeAfter': "Before and after",
+    'trends.allPlayers': "All players",
+    'trends.confirmDelete': {
+        one: "Delete {count} mood check-in? Your rounds and scores are kept.",
+        other: "Delete {count} mood check-ins? Your rounds and scores are kept.",
+    },
+    'trends.deleted': { one: "Deleted {count} mood check-in.", other: "Deleted {count} mood check-ins." },
+    'trends.deleteFailed': "Could not delete the check-ins.",
+    // Shared page markup: navigation, the mode pages' panels (*.html)
+    'nav.backToMenu': "← Back to Menu",
+    'language.label': "Language",
+    'name.label': "Display Name:",
+    'name.placeholder': "Your game name",
+    'name.save': "Save",
+    'game.stop': "Stop",
+    'game.again': "Play Again",
+    'game.share': "Share result",
+    'game.backToParty': "Back to Party",
+    'meters.laughter': "Laughter",
+    'meters.pitch': "Pitch",
+    'meters.breath': "Breath",
+    'laugh.breakdownTitle': "What made your JoyRank",
+    'timeline.title': "Your round, second by second",
+    'timeline.label': "Round timeline",
+    'mood.title': "Mood check-in",
+    'breathe.sourceLegend': "Follow my breathing with",
+    'breathe.source.mic': "Microphone",
+    'breathe.source.chest': "Phone on chest",
+    'hum.targetNote': "Target note",
+    'hum.onTarget': "On target",
+    'settings.title': "Round settings:",
+    'settings.fromLink': "These settings come from the link you opened. Change any of them to make your own.",
+    'settings.difficulty': "Difficulty",
+    'settings.length': "Round length",
+    'settings.comparedNote': "Scores are only compared with rounds played under the same settings.",
+    'room.title': "Play together (room)",
+    'room.code': "Room code",
+    'room.join': "Join",
+    'room.create': "New room",
+    'room.intro': "Everyone in a room starts together and sees each other's scores.",
+    'room.startAll': "Start for everyone",
+    'room.leave': "Leave room",
+    'modes.laugh.pageTitle': "Laugh Mode",
+    'modes.laugh.documentTitle': "TogetherWe | Laugh Mode",
+    'modes.shake.pageTitle': "Shake Mode",
+    'modes.shake.documentTitle': "TogetherWe | Shake Mode",
+    'modes.breathe.pageTitle': "Breathe Mode",
+    'modes.breathe.documentTitle': "TogetherWe | Breathe Mode",
+    'modes.hum.pageTitle': "Hum Mode",
+    'modes.hum.documentTitle': "TogetherWe | Hum Mode",
+    // Main menu (index.html)
+    'menu.documentTitle': "TogetherWe | Main Menu",
+    'menu.logo': "TogetherWe Logo",
+    'menu.intro': "Simple games, one big idea: boost your mood with laughter and movement. Scores stay on this device unless you connect a shared leaderboard.",
+    'menu.privacy': "Privacy: All processing is on-device. Scores stay on this device unless you connect a shared leaderboard.",
+    'nav.scoreboard': "Scoreboard",
+    'nav.profiles': "Profiles",
+    'nav.mood': "Mood",
+    'nav.party': "Party",
+    'nav.about': "About",
+    // Scoreboard page markup (scoreboard.html)
+    'board.documentTitle': "TogetherWe | Scoreboard",
+    'nav.profilesNext': "Player Profiles →",
+    'board.title': "Leaderboards",
+    'board.source': "Which leaderboard",
+    'board.sharedBoard': "Shared board",
+    'board.settingsNote': "Only rounds played with the same settings are ranked together.",
+    'board.flaggedNote': "marks rounds that failed a plausibility check (hover for the reason).",
+    'board.hideFlagged': "Hide flagged rounds",
+    'board.reviewTitle': "Review a round",
+    'board.reviewIntro': "Laugh and Shake rounds keep their score and sensor readings second by second. Open any of them played on this device to see how the round went. Rounds on the boards above have a Review button too.",
+    'board.round': "Round:",
+    'board.close': "Close",
+    'board.sharedTitle': "Shared leaderboard",
+    'board.sharedIntro': "Connect to a leaderboard server (see the README) to send every round's name, score and time to a board shared with your class. Rounds played offline are sent when the server is reachable again.",
+    'board.server': "Server:",
+    'board.disconnect': "Disconnect",
+    'transfer.title': "Move scores between devices",
+    'transfer.intro': "Export every round from every mode, then import the file on another device. JSON keeps everything; CSV opens in a spreadsheet.",
+    'transfer.exportJson': "Export JSON",
+    'transfer.exportCsv': "Export CSV",
+    'transfer.file': "Import file:",
+    'transfer.behaviour': "Import behaviour",
+    'transfer.merge': "Merge",
+    'transfer.replace': "Replace",
+    'transfer.import': "Import",
+    // Profiles page markup (profile.html)
+    'profile.documentTitle': "TogetherWe | Player Profiles",
+    'nav.moodTrends': "Mood Trends",
+    'nav.leaderboardsNext': "Leaderboards →",
+    'profile.title': "Player Profiles",
+    'profile.intro': "Every round each player has played on this device, with their badges, daily streaks, personal bests and averages.",
+    // Party page markup (party.html)
+    'party.documentTitle': "TogetherWe | Party",
+    'party.title': "Party Tournament",
+    'party.intro': "Pass one device around. Players take turns automatically, and every round is also saved to the normal leaderboards.",
+    'party.roster': "Players (one name per line)",
+    'party.modes': "Modes",
+    'party.rounds': "Rounds:",
+    'party.start': "Start Party",
+    'party.play': "Play",
+    'party.skip': "Skip turn",
+    'party.podium': "Final Podium",
+    'party.standings': "Standings",
+    'party.pointsRule': "In each heat the best score earns one point per player, the next one fewer, and so on. Skipped and flagged rounds earn no points.",
+    // Mood trends page markup (trends.html)
+    'trends.documentTitle': "TogetherWe | Mood Trends",
+    'trends.title': "Mood Trends",
+    'trends.intro': "How playing changes how you feel, from the optional check-ins before and after each round. Check-ins never leave this device.",
+    'trends.player': "Player:",
+    'trends.groupBy': "Group by",
+    'trends.days': "Days",
+    'trends.weeks': "Weeks",
+    'trends.chartTitle': "Average mood change per round",
+    'trends.chartLabel': "Mood change chart",
+    'trends.empty': "No check-ins yet. Answer the mood questions before and after a round to see your trends.",
+    'trends.byMode': "By mode",
+    'trends.checkins': "Check-ins",
+    'trends.before': "Before",
+    'trends.after': "After",
+    'trends.change': "Change",
+    'trends.feltBetter': "Felt better",
+    'trends.notes': "Recent notes",
+    'trends.yourData': "Your check-in data",
+    'trends.askMood': "Ask how I feel before and after each round",
+    'trends.privacy': "Check-ins are stored with your rounds on this device only. They are never sent to a shared leaderboard or a room. A JSON export of your scores includes them.",
+    'trends.deleteAll': "Delete all mood check-ins",
+    // About page (about.html). The reference list is not translated.
+    'about.documentTitle': "TogetherWe | About",
+    'about.title': "About TogetherWe",
+    'about.intro': "TogetherWe is a small experiment in creating joyful micro-interactions that can serve as brief, positive interruptions in our day. The goal is to raise awareness about mental well-being through simple, accessible activities: laughter and movement.",
+    'about.contextIntro': "Mental health challenges are universal, but access to support varies greatly. This project highlights the situations in Vietnam and Australia as examples of a global concern.",
+    'about.powerIntro': "While technology is not a substitute for professional care, it can help promote behaviors known to support well-being. The two modes in this game are based on established principles:",
+    'about.contextTitle': "The Social Context",
+    'about.powerTitle': "The Power of Laughter & Movement",
+    'about.vietnam': "In <strong>Vietnam</strong>, a 2023 survey found that 1 in 5 adolescents (21.7%) reported a mental health problem in the past year, with anxiety being particularly prevalent (18.6%). However, only about 8.4% of those with a problem had accessed support services. [1, 2]",
+    'about.australia': "In <strong>Australia</strong>, recent data from 2020-22 shows that approximately 1 in 5 people (22%) aged 16-85 experienced a mental disorder in the past year, with anxiety affecting 17% of the population. [3, 4]",
+    'about.movement': "<strong>Movement:</strong> Large-scale reviews confirm that physical exercise, especially brisk aerobic activity, is a highly effective, well-tolerated treatment for improving mood and reducing symptoms of depression. [5, 6] The \"Shake\" mode encourages a brief burst of such activity.",
+    'about.laughter': "<strong>Laughter:</strong> Meta-analyses have shown that laughter and humor-based interventions can significantly reduce both depression and anxiety across various populations. [7] The \"Laugh\" mode uses on-device machine learning to encourage and \"score\" genuine laughter. [8]",
+    'about.disclaimer': "<strong>Disclaimer:</strong> This game is for informational and entertainment purposes only. It is not a medical tool and does not provide medical advice. If you are concerned about your mental health, please seek guidance from a qualified healthcare professional.",
+    'about.references': "References",
+
+    // Accessibility aids (game-page.js) and tapping in Shake mode (shake.js)
+    'game.liveScore': "{scoreLabel} {score}, {seconds} seconds left.",
+    'game.finalScore': "Your {scoreLabel}: {score}.",
+    'game.keyboardHint': "Keyboard: Enter starts, Esc stops.",
+    'cues.sound': "Sound cues",
+    'cues.vibrate': "Vibrate",
+    'shake.inputLegend': "Shake with",
+    'shake.input.motion': "Motion sensors",
+    'shake.input.tap': "Tapping",
+    'shake.tapPad': "Tap here, or press Space, as fast as you can",
+    'shake.goTap': "Go! Tap as fast as you can for {seconds} seconds!",
+});
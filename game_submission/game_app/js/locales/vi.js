@@ -0,0 +1,476 @@
+/**
+ * @fileoverview Vietnamese messages, translated from en.js with the same
+ * keys and placeholders. Vietnamese has a single plural form, so plural
+ * messages only need `other`.
+ */
+export default Object.freeze({
+    // Score stores and the origin line
+    'store.local': "Thiết bị này",
+    'store.remote': "Bảng xếp hạng chung",
+    'origin.secure': "Bảo mật",
+    'origin.insecure': "Không bảo mật",
+    'origin.origin': "Nguồn: {origin}",
+    'origin.permission': "Quyền: {status}",
+    'origin.perm.granted': "đã cấp",
+    'origin.perm.denied': "bị từ chối",
+    'origin.perm.notRequired': "không cần",
+    'origin.perm.simulated': "mô phỏng",
+    'origin.accel': "Gia tốc: {source}",
+
+    // Game page lifecycle (game-page.js)
+    'game.partyTurn': "Vòng tiệc {round}/{of}: {player}, đến lượt bạn!",
+    'game.nameSaved': "Đã lưu!",
+    'game.nameInvalid': "Tên không hợp lệ",
+    'game.saveNameFirst': "Vui lòng lưu một tên hợp lệ trước.",
+    'game.start': "Bắt đầu {seconds}s",
+    'game.ready': "Sẵn sàng.",
+    'game.waitingForRoom': "Sẵn sàng. Đang chờ phòng đếm ngược...",
+    'game.roundFlagged': "Lượt chơi bị gắn cờ: {reason}",
+    'game.roundFinished': "Kết thúc lượt chơi!",
+    'game.newBest': "Kỷ lục cá nhân mới!",
+    'game.achievementUnlocked': "Mở khóa thành tích: {title}",
+    'game.needsSecureContext': "Tính năng này cần kết nối bảo mật (HTTPS) hoặc localhost.",
+    'game.cardDownloaded': "Đã lưu thẻ kết quả thành ảnh.",
+    'game.cardFailed': "Không thể tạo thẻ kết quả.",
+    // Sensors (mic.js, motion.js) and simulation mode (simulate.js)
+    'mic.requesting': "Đang xin quyền dùng micrô...",
+    'mic.calibrating': "Đang đo tiếng ồn nền... (2s)",
+    'mic.startError': "Không thể bật micrô.",
+    'motion.requesting': "Đang xin quyền truy cập chuyển động...",
+    'motion.notGranted': "Quyền truy cập chuyển động chưa được cấp.",
+    'motion.permissionFailed': "Không thể lấy quyền truy cập chuyển động.",
+    'motion.noData': "Không nhận được dữ liệu chuyển động. (Hãy thử trên điện thoại).",
+    'simulation.banner': "Chế độ mô phỏng: {hint} (Alt+Shift+S để tắt)",
+    'simulation.defaultHint': "các cảm biến được mô phỏng.",
+
+    // Round timelines (timeline.js)
+    'timeline.bonus': "Thưởng chuỗi",
+    'timeline.penalty': "Quá ồn",
+    'timeline.length': "Diễn biến {seconds} giây.",
+    'timeline.peaks': "{label} cao nhất ở mức {value}.",
+    'timeline.markerCount': { other: "{label}: {count} lần." },
+    'timeline.lanePeak': "{label} (cao nhất {value})",
+
+    // Round settings (settings.js)
+    'settings.gentle': "Nhẹ nhàng",
+    'settings.normal': "Bình thường",
+    'settings.intense': "Mạnh mẽ",
+    'settings.custom': "Tùy chỉnh",
+
+    // Laugh mode (laugh.js, label-policy.js)
+    'laugh.channel.rms': "Độ lớn (RMS)",
+    'laugh.channel.laugh': "Tiếng cười (làm mượt)",
+    'laugh.loadingModel': "Đang tải mô hình âm thanh...",
+    'laugh.modelLoaded': "Đã tải mô hình. Sẵn sàng.",
+    'laugh.modelError': "Lỗi khi tải mô hình âm thanh.",
+    'laugh.noLaughter': "Lượt này chưa nghe thấy tiếng cười nào.",
+    'laugh.simulationHint': "một tiếng cười thu sẵn hoặc tổng hợp được phát thay cho micrô.",
+    'laugh.go': "Bắt đầu! Hãy cười trong {seconds} giây!",
+    'labels.13': "Tiếng cười",
+    'labels.14': "Tiếng cười trẻ em",
+    'labels.15': "Cười khúc khích",
+    'labels.16': "Cười khẩy",
+    'labels.17': "Cười sảng khoái",
+    'labels.18': "Cười tủm tỉm",
+    'labels.0': "Lời nói",
+    'labels.6': "Tiếng hét",
+    'labels.9': "Tiếng la",
+    'labels.11': "Tiếng thét",
+
+    // Shake mode (shake.js)
+    'shake.channel.acc': "Gia tốc",
+    'shake.channel.rot': "Xoay",
+    'shake.simulationHint': "giữ một phím chữ bất kỳ hoặc di chuột để lắc.",
+    'shake.startError': "Không thể bật cảm biến chuyển động.",
+    'shake.go': "Bắt đầu! Hãy lắc thiết bị trong {seconds} giây!",
+
+    // Where Shake mode's acceleration comes from (gravity.js)
+    'gravity.source.linear': "gia tốc tuyến tính của thiết bị",
+    'gravity.source.fused': "đã loại bỏ trọng lực (lọc thông thấp + con quay)",
+    'gravity.source.lowpass': "đã loại bỏ trọng lực (lọc thông thấp)",
+    'gravity.source.none': "không có dữ liệu gia tốc",
+
+    // Breathe mode (breathe.js)
+    'breathe.missed.mic': "Không phát hiện hơi thở nào. Hãy thử thở gần micrô hơn một chút.",
+    'breathe.missed.chest': "Không phát hiện hơi thở nào. Hãy thử nằm ngửa và đặt điện thoại phẳng trên ngực.",
+    'breathe.in': "Hít vào",
+    'breathe.out': "Thở ra",
+    'breathe.ready': "Sẵn sàng",
+    'breathe.rest': "Nghỉ",
+    'breathe.simulationHint': "một tiếng thở tổng hợp được phát, hoặc với Điện thoại trên ngực, một lồng ngực mô phỏng phồng lên xẹp xuống.",
+    'breathe.startError': "Không thể bật cảm biến hơi thở.",
+    'breathe.go': "Theo vòng tròn trong {seconds} giây. Hít vào khi nó lớn dần, thở ra khi nó nhỏ lại.",
+    'breathe.calibratingChest': "Nằm ngửa và đặt điện thoại phẳng trên ngực... (3s)",
+    'breathe.breaths': { other: "{count} hơi thở" },
+    'breathe.stopped': "Đã dừng lượt chơi. Cứ thong thả, bắt đầu lại khi bạn sẵn sàng.",
+    'breathe.summary': {
+        other: "Bạn đã thở {count} hơi được đo, trung bình {period}s mỗi hơi, theo nhịp hướng dẫn {target}s: khớp nhịp {match} và CalmRank {score}.",
+    },
+    'breathe.calmestYet': "Đó là lượt thư thái nhất của bạn từ trước đến nay.",
+
+    // Hum mode (hum.js)
+    'hum.next': "Tiếp theo: {note}",
+    'hum.simulationHint': "một giọng tổng hợp ngân theo các nốt mục tiêu.",
+    'hum.go': "Bắt đầu! Ngân mỗi nốt mục tiêu trong {seconds} giây!",
+    'hum.findingNote': "Ngân một nốt bất kỳ thấy dễ chịu... (2s)",
+
+    // Laugh mode's menu card, scoreboard, settings and result card (modes/laugh.js)
+    'modes.laugh.label': "Cười",
+    'modes.laugh.description': "Dùng micrô để đo niềm vui trong tiếng cười của bạn.",
+    'modes.laugh.boardTitle': "Top 10 người cười",
+    'modes.laugh.field.tickInterval': "Khoảng chấm điểm (ms)",
+    'modes.laugh.field.streakThreshold': "Ngưỡng chuỗi (xác suất)",
+    'modes.laugh.field.loudOffset': "Biên độ quá ồn (RMS trên mức nền)",
+    'modes.laugh.field.emaAlpha': "Độ mượt thanh đo tiếng cười (EMA alpha)",
+    'modes.laugh.stat.laughter': "Tiếng cười",
+    'modes.laugh.stat.topLaugh': "Kiểu cười nhiều nhất",
+    'modes.laugh.message.1': "Tiếng cười giúp cả cơ thể thư giãn. Hãy chia sẻ một nụ cười với ai đó hôm nay.",
+    'modes.laugh.message.2': "Tiếng cười rất dễ lây. Hãy lan tỏa nó!",
+    'modes.laugh.message.3': "Cùng nhau cười giúp mọi người gần nhau hơn.",
+
+    // Shake mode's menu card, scoreboard, settings and result card (modes/shake.js)
+    'modes.shake.label': "Lắc",
+    'modes.shake.description': "Dùng cảm biến chuyển động của điện thoại để chấm điểm năng lượng khi lắc.",
+    'modes.shake.boardTitle': "Top 10 người lắc",
+    'modes.shake.field.accWeight': "Trọng số gia tốc",
+    'modes.shake.field.rotWeight': "Trọng số xoay",
+    'modes.shake.field.accMeterScale': "Thanh đo gia tốc (% trên m/s²)",
+    'modes.shake.field.rotMeterScale': "Thanh đo xoay (% trên °/s)",
+    'modes.shake.field.rankMeterMax': "ShakeRank làm đầy thanh đo (mỗi 10s)",
+    'modes.shake.stat.movement': "Năng lượng chuyển động",
+    'modes.shake.stat.spin': "Năng lượng xoay",
+    'modes.shake.message.1': "Vận động cơ thể là cách nhanh để nâng cao tâm trạng.",
+    'modes.shake.message.2': "Một chút vận động rũ bỏ rất nhiều căng thẳng.",
+    'modes.shake.message.3': "Năng lượng được chia sẻ là năng lượng nhân đôi. Hãy thách đấu một người bạn!",
+
+    // Breathe mode's menu card, scoreboard, settings and result card (modes/breathe.js)
+    'modes.breathe.label': "Thở",
+    'modes.breathe.description': "Theo hướng dẫn thở chậm, được micrô lắng nghe hoặc cảm nhận bằng điện thoại đặt trên ngực.",
+    'modes.breathe.boardTitle': "Top 10 người thở",
+    'modes.breathe.field.inhaleSeconds': "Hít vào (s)",
+    'modes.breathe.field.exhaleSeconds': "Thở ra (s)",
+    'modes.breathe.field.tolerance': "Dung sai nhịp (phần của một hơi thở)",
+    'modes.breathe.stat.breaths': "Hơi thở",
+    'modes.breathe.stat.averageBreath': "Hơi thở trung bình",
+    'modes.breathe.stat.rhythmMatch': "Khớp nhịp",
+    'modes.breathe.message.1': "Thở chậm giúp cơ thể và tâm trí bình tĩnh.",
+    'modes.breathe.message.2': "Vài hơi thở bình tâm luôn ở ngay trong tầm tay.",
+    'modes.breathe.message.3': "Dành thời gian để thở là chăm sóc bản thân.",
+
+    // Hum mode's menu card, scoreboard, settings and result card (modes/hum.js)
+    'modes.hum.label': "Ngân nga",
+    'modes.hum.description': "Ngân theo một giai điệu ngắn và giữ mỗi nốt thật đều.",
+    'modes.hum.boardTitle': "Top 10 người ngân nga",
+    'modes.hum.field.noteSeconds': "Số giây mỗi nốt",
+    'modes.hum.field.toleranceCents': "Dung sai (cent lệch mục tiêu)",
+    'modes.hum.field.glideSeconds': "Thời gian lướt tới mỗi nốt (s)",
+    'modes.hum.stat.melodyOn': "Giai điệu",
+    'modes.hum.stat.notesHeld': "Nốt giữ được",
+    'modes.hum.stat.steadiness': "Độ ổn định",
+    'modes.hum.message.1': "Ngân nga làm chậm hơi thở và giúp bạn thư giãn.",
+    'modes.hum.message.2': "Âm nhạc hay hơn khi được chia sẻ. Hãy ngân cùng một người bạn!",
+    'modes.hum.message.3': "Mỗi nốt bạn giữ là một khoảnh khắc bình yên.",
+    // Plausibility flags (anticheat.js, http-store.js)
+    'flags.shakeSaturation': { other: "Cảm biến chuyển động chạm mức tối đa ở {count} lần đo (có thể do va đập)." },
+    'flags.shakeJerk': { other: "{count} lần gia tốc nhảy vọt bất khả thi về mặt vật lý (đập hoặc gõ)." },
+    'flags.shakeEventRate': "Tần suất sự kiện chuyển động bất thường ({rate} mỗi giây).",
+    'flags.laughLoudNoise': "Âm thanh lớn không phải tiếng cười trong {share} lượt chơi.",
+    'flags.laughLoop': "Âm thanh tự lặp lại mỗi {seconds}s (một đoạn ghi âm lặp?).",
+    'flags.laughEventRate': "Nhận được {received} khung âm thanh, dự kiến khoảng {expected}.",
+    'flags.breatheRegular': "{count} hơi thở có độ dài gần như giống hệt nhau (bản ghi âm hay máy móc?).",
+    'flags.humPureTone': "Cao độ giữ đều hơn mức giọng người có thể (thay đổi trung vị {cents} cent).",
+    'flags.remoteFlagged': "Bị gắn cờ bởi thiết bị đã chơi lượt này.",
+
+    // Result cards (share-card.js)
+    'card.anonymousPlayer': "Một người chơi TogetherWe",
+    'card.modeTitle': "Chế độ {mode}",
+    'card.shareText': "{player} đạt {score} {scoreLabel} ở chế độ {mode} của TogetherWe!",
+    'card.shareTextAnonymous': "Mình đạt {score} {scoreLabel} ở chế độ {mode} của TogetherWe!",
+    // Rooms (room-panel.js, rooms.js)
+    'common.you': "(bạn)",
+    'room.host': "chủ phòng",
+    'room.countdown': "Lượt chơi bắt đầu sau {seconds}…",
+    'room.go': "Bắt đầu!",
+    'room.saveNameFirst': "Hãy lưu một tên hợp lệ trước.",
+    'room.connecting': "Đang kết nối…",
+    'room.joined': "Đang ở phòng {code}. Chia sẻ mã để người khác tham gia.",
+    'room.invalidCode': "Mã phòng gồm 4 chữ cái.",
+    'room.left': "Đã rời phòng.",
+    'room.unreachable': "Không thể kết nối tới máy chủ phòng tại {url}.",
+    'room.connectionFailed': "Kết nối tới máy chủ phòng thất bại.",
+    'room.error.invalidName': "Hãy lưu một tên hợp lệ trước.",
+    'room.error.invalidMode': "Chế độ này không chơi được trong phòng.",
+    'room.error.noRoom': "Không có phòng nào với mã này.",
+    'room.error.otherMode': "Phòng đó đang chơi {mode}.",
+    'room.error.full': "Phòng đó đã đủ người.",
+    'room.error.notInRoom': "Hãy vào một phòng trước.",
+    'room.error.notHost': "Chỉ chủ phòng mới bắt đầu được lượt chơi.",
+    'room.error.protocol': "Máy chủ phòng không hiểu trang này. Hãy tải lại trang rồi thử lại.",
+
+    // Party tournaments (party.js, tournament.js)
+    'party.duplicatePlayer': "\"{name}\" có hai lần trong danh sách.",
+    'party.tooFewPlayers': "Hãy thêm ít nhất hai người chơi.",
+    'party.tooManyPlayers': "Một bữa tiệc có tối đa {max} người chơi.",
+    'party.noModes': "Hãy chọn ít nhất một chế độ.",
+    'party.roundCount': "Hãy chọn từ 1 đến {max} vòng.",
+    'party.player': "Người chơi",
+    'party.points': "Điểm",
+    'party.pointsShort': { other: "{count} đ" },
+    'party.new': "Bữa tiệc mới",
+    'party.end': "Kết thúc tiệc",
+    'party.progress': "Vòng {round}/{rounds} · Lượt {turn}/{turns}",
+    'party.upNext': "{player}, đến lượt bạn!",
+    'party.confirmSkip': "Bỏ qua lượt {mode} của {player}? Lượt này không được điểm.",
+    'party.confirmEnd': "Kết thúc bữa tiệc này? Bảng xếp hạng tiệc sẽ mất; điểm vẫn còn trên bảng xếp hạng.",
+    // Scoreboard page (scoreboard.js)
+    'board.name': "Tên",
+    'board.when': "Thời gian",
+    'board.review': "Xem lại",
+    'board.reviewRound': "Xem lại lượt chơi của {name}",
+    'board.score': "Điểm",
+    'board.loading': "Đang tải…",
+    'board.unreachable': "Không thể kết nối tới {board}. Hãy kiểm tra máy chủ và thử lại.",
+    'board.emptyLocal': "Chơi một lượt để xem điểm của bạn!",
+    'board.emptyRemote': "Bảng chung chưa có điểm nào.",
+    'board.suspicious': "Lượt chơi đáng ngờ: {reasons}",
+    'board.simulated': "Chơi với cảm biến mô phỏng: không tính là kỷ lục cá nhân và không gửi lên bảng xếp hạng chung.",
+    'board.chooseRound': "Chọn một lượt chơi…",
+    'board.noTimelines': "Chưa có lượt chơi nào có diễn biến",
+    'board.change': "Thay đổi",
+    'board.connect': "Kết nối",
+    'board.descriptionRemote': "Top 10 điểm của mọi người kết nối tới {url}.",
+    'board.descriptionLocal': "Top 10 điểm được lưu trên thiết bị này. Mọi lượt chơi đều được giữ trong hồ sơ của từng người chơi.",
+    'board.notConnected': "Chưa kết nối. Điểm được giữ trên thiết bị này.",
+    'board.connected': "Đã kết nối tới {url}.",
+    'board.pending': { other: "{count} lượt chơi đang chờ gửi." },
+    'board.invalidUrl': "Nhập địa chỉ máy chủ, bắt đầu bằng http:// hoặc https://.",
+
+    // Exporting and importing scores (scoreboard.js, transfer.js)
+    'transfer.exported': { other: "Đã xuất {count} lượt chơi." },
+    'transfer.chooseFile': "Chọn một tệp để nhập.",
+    'transfer.noFile': "Chưa chọn tệp.",
+    'transfer.nothingImported': "Không nhập được gì từ {file}. Hãy sửa các lỗi sau rồi thử lại:",
+    'transfer.confirmReplace': "Thay toàn bộ {stored} lượt chơi đã lưu bằng {count} lượt từ {file}?",
+    'transfer.replaced': { other: "Đã thay điểm bằng {count} lượt chơi từ {file}." },
+    'transfer.imported': { other: "Đã nhập {count} lượt chơi mới từ {file}." },
+    'transfer.importedSkipped': {
+        other: "Đã nhập {count} lượt chơi mới từ {file}, bỏ qua {skipped} lượt trùng.",
+    },
+    'transfer.failed': "Nhập thất bại.",
+    'import.unterminatedQuote': "Trường trong ngoặc kép chưa được đóng.",
+    'import.notAnObject': "Mục không phải là một đối tượng.",
+    'import.unknownMode': "Chế độ không xác định \"{value}\".",
+    'import.invalidName': "Tên không hợp lệ \"{value}\" (1-16 chữ cái, chữ số, dấu cách hoặc _).",
+    'import.invalidScore': "Điểm không hợp lệ \"{value}\".",
+    'import.invalidTimestamp': "Thời điểm không hợp lệ \"{value}\".",
+    'import.invalidDuration': "Thời lượng không hợp lệ \"{value}\".",
+    'import.componentsJson': "Cột Components không phải JSON hợp lệ.",
+    'import.componentsObject': "Components phải là một đối tượng.",
+    'import.flagsJson': "Cột Flags không phải JSON hợp lệ.",
+    'import.flagsList': "Flags phải là danh sách các đối tượng {code, reason}.",
+    'import.settingsJson': "Cột Settings không phải JSON hợp lệ.",
+    'import.settingsInvalid': "Settings phải có khóa, thời lượng và mọi giá trị của chế độ.",
+    'import.timelineInvalid': "Timeline phải là diễn biến lượt chơi do ứng dụng này ghi lại.",
+    'import.emptyFile': "Tệp trống.",
+    'import.invalidJson': "JSON không hợp lệ: {message}",
+    'import.newerVersion': "Phiên bản tệp {version} mới hơn mức ứng dụng này hỗ trợ ({supported}).",
+    'import.notAnExport': "Tệp JSON không phải bản xuất điểm TogetherWe.",
+    'import.invalidCsv': "CSV không hợp lệ: {message}",
+    'import.missingColumns': "Tiêu đề CSV thiếu cột: {columns}.",
+    'import.entry': "Mục {number}",
+    'import.row': "Dòng {number}",
+    'import.moreErrors': "…và {count} lỗi khác.",
+    // Player profiles (profile.js)
+    'profile.empty': "Chơi một lượt để tạo hồ sơ của bạn!",
+    'profile.dailyStreak': "Chuỗi ngày chơi:",
+    'profile.longestStreak': "Dài nhất: {days}",
+    'profile.days': { other: "{count} ngày" },
+    'profile.badges': "Huy hiệu",
+    'profile.notEarned': "(chưa đạt)",
+    'profile.flagged': "bị gắn cờ",
+    'profile.simulated': "mô phỏng",
+    'profile.mode': "Chế độ",
+    'profile.rounds': "Lượt chơi",
+    'profile.best': "Cao nhất",
+    'profile.average': "Trung bình",
+    'profile.last': "Gần nhất",
+    'profile.history': "Lịch sử lượt chơi",
+    // Mood check-ins (mood.js)
+    'mood.veryLow': "Rất tệ",
+    'mood.low': "Tệ",
+    'mood.okay': "Bình thường",
+    'mood.good': "Tốt",
+    'mood.great': "Rất tốt",
+    'mood.askBefore': "Bây giờ bạn cảm thấy thế nào?",
+    'mood.optional': "(không bắt buộc)",
+    'mood.askAfter': "Còn bây giờ bạn cảm thấy thế nào?",
+    'mood.note': "Ghi chú (không bắt buộc)",
+    'mood.notePlaceholder': "vd. Cười cùng chị gái",
+    'mood.save': "Lưu cảm nhận",
+    'mood.skip': "Bỏ qua",
+    'mood.privacy': "Cảm nhận chỉ được lưu trên thiết bị này. Xem {link} của bạn.",
+    'mood.trendsLink': "xu hướng tâm trạng",
+    'mood.saved': "Đã lưu cảm nhận. Cảm ơn bạn!",
+    'mood.saveFailed': "Không thể lưu cảm nhận.",
+    // Mood trends page (trends.js)
+    'trends.last.day': { other: "{count} ngày qua" },
+    'trends.last.week': { other: "{count} tuần qua" },
+    'trends.describeEmpty': "Không có cảm nhận nào trong {span}.",
+    'trends.describe': "Thay đổi tâm trạng trung bình mỗi lượt chơi trong {span}.",
+    'trends.describeMode': {
+        other: "{mode}: trung bình {change} qua {count} lượt chơi.",
+    },
+    'trends.noNotes': "Chưa có ghi chú nào.",
+    'trends.beforeAfter': "Trước và sau",
+    'trends.allPlayers': "Tất cả người chơi",
+    'trends.confirmDelete': {
+        other: "Xóa {count} cảm nhận? Lượt chơi và điểm của bạn vẫn được giữ.",
+    },
+    'trends.deleted': { other: "Đã xóa {count} cảm nhận." },
+    'trends.deleteFailed': "Không thể xóa các cảm nhận.",
+    // Shared page markup: navigation, the mode pages' panels (*.html)
+    'nav.backToMenu': "← Về trang chính",
+    'language.label': "Ngôn ngữ",
+    'name.label': "Tên hiển thị:",
+    'name.placeholder': "Tên trong trò chơi",
+    'name.save': "Lưu",
+    'game.stop': "Dừng",
+    'game.again': "Chơi lại",
+    'game.share': "Chia sẻ kết quả",
+    'game.backToParty': "Về bữa tiệc",
+    'meters.laughter': "Tiếng cười",
+    'meters.pitch': "Cao độ",
+    'meters.breath': "Hơi thở",
+    'laugh.breakdownTitle': "Điều gì tạo nên JoyRank của bạn",
+    'timeline.title': "Lượt chơi của bạn, từng giây một",
+    'timeline.label': "Diễn biến lượt chơi",
+    'mood.title': "Cảm nhận tâm trạng",
+    'breathe.sourceLegend': "Theo dõi hơi thở của tôi bằng",
+    'breathe.source.mic': "Micrô",
+    'breathe.source.chest': "Điện thoại trên ngực",
+    'hum.targetNote': "Nốt mục tiêu",
+    'hum.onTarget': "Đúng nốt",
+    'settings.title': "Cài đặt lượt chơi:",
+    'settings.fromLink': "Các cài đặt này đến từ liên kết bạn đã mở. Thay đổi bất kỳ mục nào để tạo cài đặt của riêng bạn.",
+    'settings.difficulty': "Độ khó",
+    'settings.length': "Độ dài lượt chơi",
+    'settings.comparedNote': "Điểm chỉ được so sánh với các lượt chơi có cùng cài đặt.",
+    'room.title': "Chơi cùng nhau (phòng)",
+    'room.code': "Mã phòng",
+    'room.join': "Tham gia",
+    'room.create': "Phòng mới",
+    'room.intro': "Mọi người trong phòng bắt đầu cùng lúc và thấy điểm của nhau.",
+    'room.startAll': "Bắt đầu cho mọi người",
+    'room.leave': "Rời phòng",
+    'modes.laugh.pageTitle': "Chế độ Cười",
+    'modes.laugh.documentTitle': "TogetherWe | Chế độ Cười",
+    'modes.shake.pageTitle': "Chế độ Lắc",
+    'modes.shake.documentTitle': "TogetherWe | Chế độ Lắc",
+    'modes.breathe.pageTitle': "Chế độ Thở",
+    'modes.breathe.documentTitle': "TogetherWe | Chế độ Thở",
+    'modes.hum.pageTitle': "Chế độ Ngân nga",
+    'modes.hum.documentTitle': "TogetherWe | Chế độ Ngân nga",
+    // Main menu (index.html)
+    'menu.documentTitle': "TogetherWe | Trang chính",
+    'menu.logo': "Logo TogetherWe",
+    'menu.intro': "Những trò chơi đơn giản, một ý tưởng lớn: nâng cao tâm trạng bằng tiếng cười và vận động. Điểm được giữ trên thiết bị này trừ khi bạn kết nối bảng xếp hạng chung.",
+    'menu.privacy': "Quyền riêng tư: Mọi xử lý đều diễn ra trên thiết bị. Điểm được giữ trên thiết bị này trừ khi bạn kết nối bảng xếp hạng chung.",
+    'nav.scoreboard': "Bảng điểm",
+    'nav.profiles': "Hồ sơ",
+    'nav.mood': "Tâm trạng",
+    'nav.party': "Tiệc",
+    'nav.about': "Giới thiệu",
+    // Scoreboard page markup (scoreboard.html)
+    'board.documentTitle': "TogetherWe | Bảng điểm",
+    'nav.profilesNext': "Hồ sơ người chơi →",
+    'board.title': "Bảng xếp hạng",
+    'board.source': "Bảng xếp hạng nào",
+    'board.sharedBoard': "Bảng chung",
+    'board.settingsNote': "Chỉ các lượt chơi có cùng cài đặt mới được xếp hạng cùng nhau.",
+    'board.flaggedNote': "đánh dấu các lượt chơi không qua kiểm tra tính hợp lý (di chuột để xem lý do).",
+    'board.hideFlagged': "Ẩn các lượt bị gắn cờ",
+    'board.reviewTitle': "Xem lại một lượt chơi",
+    'board.reviewIntro': "Các lượt Cười và Lắc lưu điểm và số đo cảm biến theo từng giây. Mở bất kỳ lượt nào đã chơi trên thiết bị này để xem lượt chơi diễn ra thế nào. Các lượt trên bảng phía trên cũng có nút Xem lại.",
+    'board.round': "Lượt chơi:",
+    'board.close': "Đóng",
+    'board.sharedTitle': "Bảng xếp hạng chung",
+    'board.sharedIntro': "Kết nối tới máy chủ bảng xếp hạng (xem README) để gửi tên, điểm và thời gian của mọi lượt chơi lên bảng chung với lớp của bạn. Các lượt chơi ngoại tuyến sẽ được gửi khi máy chủ kết nối lại được.",
+    'board.server': "Máy chủ:",
+    'board.disconnect': "Ngắt kết nối",
+    'transfer.title': "Chuyển điểm giữa các thiết bị",
+    'transfer.intro': "Xuất mọi lượt chơi của mọi chế độ, rồi nhập tệp trên thiết bị khác. JSON giữ lại mọi thứ; CSV mở được trong bảng tính.",
+    'transfer.exportJson': "Xuất JSON",
+    'transfer.exportCsv': "Xuất CSV",
+    'transfer.file': "Tệp nhập:",
+    'transfer.behaviour': "Cách nhập",
+    'transfer.merge': "Gộp",
+    'transfer.replace': "Thay thế",
+    'transfer.import': "Nhập",
+    // Profiles page markup (profile.html)
+    'profile.documentTitle': "TogetherWe | Hồ sơ người chơi",
+    'nav.moodTrends': "Xu hướng tâm trạng",
+    'nav.leaderboardsNext': "Bảng xếp hạng →",
+    'profile.title': "Hồ sơ người chơi",
+    'profile.intro': "Mọi lượt chơi của từng người chơi trên thiết bị này, cùng huy hiệu, chuỗi ngày chơi, kỷ lục cá nhân và điểm trung bình.",
+    // Party page markup (party.html)
+    'party.documentTitle': "TogetherWe | Tiệc",
+    'party.title': "Giải đấu tiệc",
+    'party.intro': "Chuyền tay một thiết bị. Người chơi tự động lần lượt chơi, và mọi lượt chơi cũng được lưu vào bảng xếp hạng thông thường.",
+    'party.roster': "Người chơi (mỗi dòng một tên)",
+    'party.modes': "Chế độ",
+    'party.rounds': "Số vòng:",
+    'party.start': "Bắt đầu tiệc",
+    'party.play': "Chơi",
+    'party.skip': "Bỏ lượt",
+    'party.podium': "Bục vinh quang",
+    'party.standings': "Bảng xếp hạng tiệc",
+    'party.pointsRule': "Ở mỗi lượt đấu, điểm cao nhất được số điểm bằng số người chơi, người tiếp theo ít hơn một, và cứ thế. Lượt bị bỏ qua hoặc bị gắn cờ không được điểm.",
+    // Mood trends page markup (trends.html)
+    'trends.documentTitle': "TogetherWe | Xu hướng tâm trạng",
+    'trends.title': "Xu hướng tâm trạng",
+    'trends.intro': "Việc chơi thay đổi cảm nhận của bạn thế nào, dựa trên các lần ghi cảm nhận không bắt buộc trước và sau mỗi lượt. Cảm nhận không bao giờ rời khỏi thiết bị này.",
+    'trends.player': "Người chơi:",
+    'trends.groupBy': "Nhóm theo",
+    'trends.days': "Ngày",
+    'trends.weeks': "Tuần",
+    'trends.chartTitle': "Thay đổi tâm trạng trung bình mỗi lượt chơi",
+    'trends.chartLabel': "Biểu đồ thay đổi tâm trạng",
+    'trends.empty': "Chưa có cảm nhận nào. Trả lời câu hỏi tâm trạng trước và sau một lượt chơi để xem xu hướng của bạn.",
+    'trends.byMode': "Theo chế độ",
+    'trends.checkins': "Lần ghi cảm nhận",
+    'trends.before': "Trước",
+    'trends.after': "Sau",
+    'trends.change': "Thay đổi",
+    'trends.feltBetter': "Thấy tốt hơn",
+    'trends.notes': "Ghi chú gần đây",
+    'trends.yourData': "Dữ liệu cảm nhận của bạn",
+    'trends.askMood': "Hỏi tôi cảm thấy thế nào trước và sau mỗi lượt chơi",
+    'trends.privacy': "Cảm nhận được lưu cùng lượt chơi chỉ trên thiết bị này. Chúng không bao giờ được gửi lên bảng xếp hạng chung hay phòng chơi. Bản xuất JSON điểm của bạn có bao gồm chúng.",
+    'trends.deleteAll': "Xóa tất cả cảm nhận",
+    // About page (about.html). The reference list is not translated.
+    'about.documentTitle': "TogetherWe | Giới thiệu",
+    'about.title': "Giới thiệu TogetherWe",
+    'about.intro': "TogetherWe là một thử nghiệm nhỏ nhằm tạo ra những khoảnh khắc tương tác vui vẻ, như những quãng nghỉ ngắn và tích cực trong ngày. Mục tiêu là nâng cao nhận thức về sức khỏe tinh thần qua những hoạt động đơn giản, dễ tiếp cận: tiếng cười và vận động.",
+    'about.contextIntro': "Những khó khăn về sức khỏe tâm thần là phổ biến ở mọi nơi, nhưng khả năng tiếp cận hỗ trợ lại rất khác nhau. Dự án này nêu bật tình hình ở Việt Nam và Úc như những ví dụ về một mối quan tâm toàn cầu.",
+    'about.powerIntro': "Tuy công nghệ không thể thay thế chăm sóc chuyên môn, nó có thể giúp khuyến khích những hành vi được biết là hỗ trợ sức khỏe tinh thần. Các chế độ trong trò chơi dựa trên những nguyên tắc đã được công nhận:",
+    'about.contextTitle': "Bối cảnh xã hội",
+    'about.powerTitle': "Sức mạnh của tiếng cười và vận động",
+    'about.vietnam': "Tại <strong>Việt Nam</strong>, một khảo sát năm 2023 cho thấy cứ 5 trẻ vị thành niên thì có 1 em (21,7%) gặp vấn đề sức khỏe tâm thần trong năm qua, trong đó lo âu đặc biệt phổ biến (18,6%). Tuy nhiên, chỉ khoảng 8,4% trong số đó đã tiếp cận dịch vụ hỗ trợ. [1, 2]",
+    'about.australia': "Tại <strong>Úc</strong>, dữ liệu gần đây giai đoạn 2020-22 cho thấy khoảng 1 trong 5 người (22%) từ 16-85 tuổi mắc một rối loạn tâm thần trong năm qua, với lo âu ảnh hưởng tới 17% dân số. [3, 4]",
+    'about.movement': "<strong>Vận động:</strong> Các tổng quan quy mô lớn khẳng định rằng tập thể dục, đặc biệt là hoạt động aerobic nhanh, là cách điều trị rất hiệu quả và dễ dung nạp để cải thiện tâm trạng và giảm triệu chứng trầm cảm. [5, 6] Chế độ \"Lắc\" khuyến khích một đợt vận động ngắn như vậy.",
+    'about.laughter': "<strong>Tiếng cười:</strong> Các phân tích gộp cho thấy tiếng cười và các can thiệp dựa trên sự hài hước có thể giảm đáng kể cả trầm cảm lẫn lo âu ở nhiều nhóm dân số. [7] Chế độ \"Cười\" dùng học máy ngay trên thiết bị để khuyến khích và \"chấm điểm\" tiếng cười thật. [8]",
+    'about.disclaimer': "<strong>Lưu ý:</strong> Trò chơi này chỉ nhằm mục đích cung cấp thông tin và giải trí. Đây không phải là công cụ y tế và không đưa ra lời khuyên y tế. Nếu bạn lo lắng về sức khỏe tâm thần của mình, hãy tìm sự tư vấn từ chuyên gia y tế có chuyên môn.",
+    'about.references': "Tài liệu tham khảo",
+
+    // Accessibility aids (game-page.js) and tapping in Shake mode (shake.js)
+    'game.liveScore': "{scoreLabel} {score}, còn {seconds} giây.",
+    'game.finalScore': "{scoreLabel} của bạn: {score}.",
+    'game.keyboardHint': "Bàn phím: Enter để bắt đầu, Esc để dừng.",
+    'cues.sound': "Âm báo",
+    'cues.vibrate': "Rung",
+    'shake.inputLegend': "Lắc bằng",
+    'shake.input.motion': "Cảm biến chuyển động",
+    'shake.input.tap': "Chạm",
+    'shake.tapPad': "Chạm vào đây, hoặc nhấn phím cách, càng nhanh càng tốt",
+    'shake.goTap': "Bắt đầu! Chạm càng nhanh càng tốt trong {seconds} giây!",
+});
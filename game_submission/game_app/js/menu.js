@@ -0,0 +1,26 @@
+/**
+ * @fileoverview The main menu: one card per registered game mode.
+ */
+import { escapeHtml } from './core.js';
+import { getModes } from './modes.js';
+
+/**
+ * Renders the mode cards.
+ */
+function renderModeCards() {
+    document.getElementById('mode-cards').innerHTML = getModes().map(({ label, description, page, accent, icon }) => `
+        <a href="${escapeHtml(page)}" class="group block p-8 bg-white/80 backdrop-blur-sm rounded-2xl shadow-lg hover:shadow-2xl transition-shadow duration-300 ring-1 ring-slate-200/50 hover:ring-${accent}-400">
+            <div class="flex flex-col items-center">
+                <div class="w-16 h-16 bg-${accent}-100 rounded-full flex items-center justify-center mb-4 transition-transform group-hover:scale-110">
+                    <svg xmlns="http://www.w3.org/2000/svg" class="h-8 w-8 text-${accent}-500" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                        <path stroke-linecap="round" stroke-linejoin="round" d="${escapeHtml(icon)}" />
+                    </svg>
+                </div>
+                <h2 class="text-2xl font-bold text-slate-900">${escapeHtml(label)}</h2>
+                <p class="mt-2 text-slate-500">${escapeHtml(description)}</p>
+            </div>
+        </a>
+    `).join('');
+}
+
+document.addEventListener('DOMContentLoaded', renderModeCards);
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Microphone input for the modes that listen: opening the
+ * microphone (or the simulated one), the capture stream, measuring the
+ * background noise and the live RMS meter.
+ */
+import * as ui from './ui.js';
+import * as sim from './simulate.js';
+import { createAudioCapture } from './audio-capture.js';
+import { t, formatNumber } from './i18n.js';
+
+/**
+ * @typedef {Awaited<ReturnType<typeof createAudioCapture>>} AudioCapture
+ */
+
+/**
+ * @typedef {Object} Microphone
+ * @property {AudioContext} audioContext
+ * @property {AudioCapture} capture One stream for calibration, meters and analysis.
+ * @property {{setPitch?: (frequency: number) => void} | null} simulated
+ *     The simulated microphone in simulation mode, else null.
+ * @property {() => void} close Stops the capture and releases the microphone.
+ */
+
+/**
+ * Opens the microphone, or in simulation mode a simulated one.
+ * @param {{sampleRate?: number, simulatedSound?: 'laughter' | 'breathing' | 'humming'}} [options]
+ *     `simulatedSound` is what the simulated microphone plays.
+ * @returns {Promise<Microphone>}
+ */
+export async function openMicrophone({ sampleRate = 16000, simulatedSound = 'laughter' } = {}) {
+    let mediaStream = null;
+    let simulatedMic = null;
+    let audioContext = null;
+    let capture = null;
+
+    const close = () => {
+        if (capture) capture.stop();
+        if (mediaStream) mediaStream.getTracks().forEach(track => track.stop());
+        if (simulatedMic) simulatedMic.stop();
+        if (audioContext && audioContext.state !== 'closed') {
+            audioContext.close().catch(console.error);
+        }
+    };
+
+    try {
+        if (sim.isSimulationEnabled()) {
+            simulatedMic = await sim.createSimulatedMicrophone(simulatedSound);
+            mediaStream = simulatedMic.stream;
+            ui.logDebug("Simulation mode: using simulated microphone.");
+        } else {
+            ui.setStatus(t('mic.requesting'), "warn");
+            mediaStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        }
+
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        audioContext = new AudioContext({ sampleRate });
+        if (audioContext.state === 'suspended') await audioContext.resume();
+
+        const sourceNode = audioContext.createMediaStreamSource(mediaStream);
+        capture = await createAudioCapture(audioContext, sourceNode);
+        ui.logDebug(`Audio capture: ${capture.kind}`);
+    } catch (error) {
+        close();
+        throw error;
+    }
+
+    return { audioContext, capture, simulated: simulatedMic, close };
+}
+
+/**
+ * Measures the background noise level from the capture stream.
+ * @param {AudioCapture} capture
+ * @param {number} durationMs How long to listen for.
+ * @returns {Promise<number>} The mean frame RMS.
+ */
+export async function calibrateBaseline(capture, durationMs) {
+    let rmsSum = 0, rmsCount = 0;
+    const unsubscribe = capture.onFrame((frame, rms) => {
+        rmsSum += rms;
+        rmsCount++;
+    });
+    await new Promise(r => setTimeout(r, durationMs));
+    unsubscribe();
+    return rmsCount > 0 ? (rmsSum / rmsCount) : 0.01;
+}
+
+/**
+ * Starts the RMS meter (`#rms-bar`, `#rms-txt`) visualization from the capture stream.
+ * @param {AudioCapture} capture
+ * @returns {() => void} Stops the meter.
+ */
+export function startRmsMeter(capture) {
+    let rafId = 0;
+    const updateMeter = () => {
+        const rms = capture.rms;
+        ui.updateMeter('rms', rms * 300, formatNumber(rms, { decimals: 3 })); // Scaling factor for better visualization
+        rafId = requestAnimationFrame(updateMeter);
+    };
+    updateMeter();
+    return () => cancelAnimationFrame(rafId);
+}
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview The game mode registry. Each mode describes itself once
+ * (see js/modes/) and the shared pages (menu, scoreboard, profiles, party)
+ * and storage are generated from these descriptions. Import the registry
+ * through modes.js, which loads every mode.
+ */
+
+/**
+ * @typedef {Object} SettingField A value players can tune under Custom settings.
+ * @property {string} key
+ * @property {string} label
+ * @property {number} min
+ * @property {number} max
+ * @property {number} step
+ * @property {number} normal The value in the Normal preset.
+ */
+
+/**
+ * @typedef {Object} ModeInfo
+ * @property {string} id Lowercase letters only; used in URLs, storage and the servers.
+ * @property {string} label Short name, e.g. "Laugh".
+ * @property {string} description One line for the menu card.
+ * @property {string} page The mode's page, relative to the app root.
+ * @property {string} scoreLabel Name of the score, e.g. "JoyRank".
+ * @property {string} boardTitle Scoreboard heading, e.g. "Top 10 Laughers".
+ * @property {string} accent Tailwind color name for the mode's headings and card; one of ACCENT_COLORS.
+ * @property {string} icon SVG path data (24x24, stroked) for the menu card.
+ * @property {string} [legacyScoreKey] localStorage key of the top-10 list saved by early versions.
+ * @property {ModeSettings} settings
+ * @property {ModeCard} card What the shareable result card shows (see share-card.js).
+ */
+
+/**
+ * @typedef {Object} ModeCard
+ * @property {(components: Object) => Array<[string, string]>} stats The round's key scoring
+ *     components as up to three [label, value] pairs, e.g. ["Breaths", "6"].
+ * @property {string[]} messages Positive wellbeing messages; the card shows one at random.
+ */
+
+/**
+ * @typedef {Object} ModeSettings
+ * @property {SettingField[]} fields Tunable values.
+ * @property {{gentle: Object<string, number>, intense: Object<string, number>}} presets
+ *     How the Gentle and Intense presets differ from Normal.
+ * @property {number[]} [durations] Round lengths offered, in ms, if not the usual ones (see settings.js).
+ * @property {number} [defaultDuration] Round length chosen until the player picks one; one of `durations`.
+ */
+
+/** The 500 shade of each accent, for drawing on canvases where Tailwind classes don't apply. */
+export const ACCENT_COLORS = Object.freeze({
+    sky: '#0ea5e9',
+    emerald: '#10b981',
+    teal: '#14b8a6',
+    violet: '#8b5cf6',
+    indigo: '#6366f1',
+});
+
+const modes = new Map();
+
+/**
+ * Registers a game mode. Modes are listed in registration order.
+ * @param {ModeInfo} info
+ * @returns {ModeInfo} The frozen description.
+ * @throws {Error} If the id is invalid or already registered.
+ */
+export function registerMode(info) {
+    if (!/^[a-z]{1,16}$/.test(info?.id || '')) throw new Error(`Invalid mode id "${info?.id}".`);
+    if (modes.has(info.id)) throw new Error(`Mode "${info.id}" is already registered.`);
+    const frozen = Object.freeze({ ...info });
+    modes.set(info.id, frozen);
+    return frozen;
+}
+
+/** @returns {ModeInfo[]} Every registered mode. */
+export const getModes = () => [...modes.values()];
+
+/**
+ * @param {string} id
+ * @returns {ModeInfo | null}
+ */
+export const getMode = (id) => modes.get(id) || null;
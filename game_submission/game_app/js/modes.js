@@ -0,0 +1,11 @@
+/**
+ * @fileoverview Loads every game mode into the registry. To add a mode,
+ * describe it in js/modes/ and import it here; the menu, scoreboard,
+ * profiles, party setup and storage pick it up from the registry.
+ */
+import './modes/laugh.js';
+import './modes/shake.js';
+import './modes/breathe.js';
+import './modes/hum.js';
+
+export { getModes, getMode, ACCENT_COLORS } from './mode-registry.js';
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Breathe mode: paced breathing, scored as CalmRank by how
+ * closely the player's breaths follow the guide's rhythm. The game itself
+ * is in js/breathe.js; this is its entry in the mode registry.
+ */
+import { registerMode } from '../mode-registry.js';
+import { t, formatNumber, formatPercent } from '../i18n.js';
+
+export default registerMode({
+    id: 'breathe',
+    label: t('modes.breathe.label'),
+    description: t('modes.breathe.description'),
+    page: './breathe.html',
+    scoreLabel: "CalmRank",
+    boardTitle: t('modes.breathe.boardTitle'),
+    accent: 'teal',
+    icon: 'M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z',
+    // inhaleSeconds and exhaleSeconds set the guide's rhythm; tolerance: see
+    // breathe-scoring.js.
+    settings: {
+        fields: [
+            { key: 'inhaleSeconds', label: t('modes.breathe.field.inhaleSeconds'), min: 2, max: 8, step: 0.5, normal: 4 },
+            { key: 'exhaleSeconds', label: t('modes.breathe.field.exhaleSeconds'), min: 2, max: 10, step: 0.5, normal: 6 },
+            { key: 'tolerance', label: t('modes.breathe.field.tolerance'), min: 0.1, max: 1, step: 0.05, normal: 0.5 },
+        ],
+        // Gentle is a quicker, easier rhythm; Intense is slower and stricter.
+        presets: {
+            gentle: { inhaleSeconds: 3, exhaleSeconds: 4, tolerance: 0.7 },
+            intense: { inhaleSeconds: 5, exhaleSeconds: 7, tolerance: 0.3 },
+        },
+        // A breath takes about 10 s, so rounds are longer than in the other modes.
+        durations: [30000, 60000, 120000],
+        defaultDuration: 60000,
+    },
+    // Stats from the components in breathe-scoring.js.
+    card: {
+        stats: ({ cycles = 0, meanPeriod = 0, match = 0 } = {}) => [
+            [t('modes.breathe.stat.breaths'), formatNumber(cycles)],
+            [t('modes.breathe.stat.averageBreath'), `${formatNumber(meanPeriod, { decimals: 1 })}s`],
+            [t('modes.breathe.stat.rhythmMatch'), formatPercent(match)],
+        ],
+        messages: [
+            t('modes.breathe.message.1'),
+            t('modes.breathe.message.2'),
+            t('modes.breathe.message.3'),
+        ],
+    },
+});
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Hum mode: pitch held on target notes, scored as HumRank,
+ * with no audio model. The game itself is in js/hum.js; this is its entry
+ * in the mode registry.
+ */
+import { registerMode } from '../mode-registry.js';
+import { t, formatPercent } from '../i18n.js';
+import { noteName } from '../pitch.js';
+
+export default registerMode({
+    id: 'hum',
+    label: t('modes.hum.label'),
+    description: t('modes.hum.description'),
+    page: './hum.html',
+    scoreLabel: "HumRank",
+    boardTitle: t('modes.hum.boardTitle'),
+    accent: 'violet',
+    icon: 'M9 19V6l12-3v13M9 19c0 1.105-1.343 2-3 2s-3-.895-3-2 1.343-2 3-2 3 .895 3 2zm12-3c0 1.105-1.343 2-3 2s-3-.895-3-2 1.343-2 3-2 3 .895 3 2zM9 10l12-3',
+    // See hum-scoring.js.
+    settings: {
+        fields: [
+            { key: 'noteSeconds', label: t('modes.hum.field.noteSeconds'), min: 1, max: 6, step: 0.5, normal: 2.5 },
+            { key: 'toleranceCents', label: t('modes.hum.field.toleranceCents'), min: 10, max: 150, step: 5, normal: 50 },
+            { key: 'glideSeconds', label: t('modes.hum.field.glideSeconds'), min: 0, max: 2, step: 0.1, normal: 0.6 },
+        ],
+        // Intense changes notes faster and allows less time and pitch error.
+        presets: {
+            gentle: { noteSeconds: 3.5, toleranceCents: 80, glideSeconds: 1 },
+            intense: { noteSeconds: 1.5, toleranceCents: 30, glideSeconds: 0.4 },
+        },
+    },
+    // Stats from the components in hum-scoring.js.
+    card: {
+        stats: ({ baseNote = 55, voiced = 0, steadiness = 0 } = {}) => [
+            [t('modes.hum.stat.melodyOn'), noteName(baseNote)],
+            [t('modes.hum.stat.notesHeld'), formatPercent(voiced)],
+            [t('modes.hum.stat.steadiness'), formatPercent(steadiness)],
+        ],
+        messages: [
+            t('modes.hum.message.1'),
+            t('modes.hum.message.2'),
+            t('modes.hum.message.3'),
+        ],
+    },
+});
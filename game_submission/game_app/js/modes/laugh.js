@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Laugh mode: microphone laughter scored as JoyRank. The game
+ * itself is in js/laugh.js; this is its entry in the mode registry.
+ */
+import { registerMode } from '../mode-registry.js';
+import { t, formatNumber } from '../i18n.js';
+import { labelName } from '../label-policy.js';
+
+export default registerMode({
+    id: 'laugh',
+    label: t('modes.laugh.label'),
+    description: t('modes.laugh.description'),
+    page: './laugh.html',
+    scoreLabel: "JoyRank",
+    boardTitle: t('modes.laugh.boardTitle'),
+    accent: 'sky',
+    icon: 'M19 11a7 7 0 01-7 7m0 0a7 7 0 01-7-7m7 7v4m0 0H8m4 0h4m-4-8a3 3 0 01-3-3V5a3 3 0 116 0v6a3 3 0 01-3 3z',
+    legacyScoreKey: 'scores_laugh',
+    // tickInterval: ms between scoring ticks; streakThreshold and loudOffset:
+    // see laugh-scoring.js; emaAlpha: smoothing of the laughter meter.
+    settings: {
+        fields: [
+            { key: 'tickInterval', label: t('modes.laugh.field.tickInterval'), min: 100, max: 1000, step: 50, normal: 250 },
+            { key: 'streakThreshold', label: t('modes.laugh.field.streakThreshold'), min: 0.3, max: 0.95, step: 0.05, normal: 0.6 },
+            { key: 'loudOffset', label: t('modes.laugh.field.loudOffset'), min: 0.02, max: 0.5, step: 0.01, normal: 0.10 },
+            { key: 'emaAlpha', label: t('modes.laugh.field.emaAlpha'), min: 0.05, max: 1, step: 0.05, normal: 0.2 },
+        ],
+        // Gentle streaks start at a lower laughter probability and tolerate more noise.
+        presets: {
+            gentle: { streakThreshold: 0.5, loudOffset: 0.15 },
+            intense: { streakThreshold: 0.75, loudOffset: 0.06 },
+        },
+    },
+    // Stats from the components in laugh-scoring.js and label-policy.js.
+    card: {
+        stats: ({ baseScore = 0, streakBonus = 0, labels = {} } = {}) => [
+            [t('modes.laugh.stat.laughter'), formatNumber(Math.round(baseScore))],
+            [t('timeline.bonus'), formatNumber(Math.round(streakBonus), { sign: true })],
+            [t('modes.laugh.stat.topLaugh'), labelName(Object.entries(labels).find(([, points]) => points > 0)?.[0] || "—")],
+        ],
+        messages: [
+            t('modes.laugh.message.1'),
+            t('modes.laugh.message.2'),
+            t('modes.laugh.message.3'),
+        ],
+    },
+});
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Shake mode: motion sensor energy scored as ShakeRank. The
+ * game itself is in js/shake.js; this is its entry in the mode registry.
+ */
+import { registerMode } from '../mode-registry.js';
+import { t, formatNumber } from '../i18n.js';
+
+export default registerMode({
+    id: 'shake',
+    label: t('modes.shake.label'),
+    description: t('modes.shake.description'),
+    page: './shake.html',
+    scoreLabel: "ShakeRank",
+    boardTitle: t('modes.shake.boardTitle'),
+    accent: 'emerald',
+    icon: 'M12 18h.01M8 21h8a2 2 0 002-2V5a2 2 0 00-2-2H8a2 2 0 00-2 2v14a2 2 0 002 2z',
+    legacyScoreKey: 'scores_shake',
+    // accWeight and rotWeight: see shake-scoring.js. The meter scales are
+    // % per m/s², % per °/s and the ShakeRank that fills the meter in 10 s.
+    settings: {
+        fields: [
+            { key: 'accWeight', label: t('modes.shake.field.accWeight'), min: 1, max: 20, step: 0.5, normal: 6 },
+            { key: 'rotWeight', label: t('modes.shake.field.rotWeight'), min: 0, max: 10, step: 0.5, normal: 2 },
+            { key: 'accMeterScale', label: t('modes.shake.field.accMeterScale'), min: 1, max: 20, step: 0.5, normal: 6 },
+            { key: 'rotMeterScale', label: t('modes.shake.field.rotMeterScale'), min: 0.1, max: 2, step: 0.1, normal: 0.4 },
+            { key: 'rankMeterMax', label: t('modes.shake.field.rankMeterMax'), min: 100, max: 5000, step: 50, normal: 500 },
+        ],
+        // Intense shaking needs more energy for the same ShakeRank.
+        presets: {
+            gentle: { accWeight: 8, rotWeight: 3 },
+            intense: { accWeight: 4, rotWeight: 1 },
+        },
+    },
+    // Stats from the components in shake-scoring.js.
+    card: {
+        stats: ({ accEnergy = 0, rotEnergy = 0 } = {}) => [
+            [t('modes.shake.stat.movement'), formatNumber(accEnergy, { decimals: 1 })],
+            [t('modes.shake.stat.spin'), formatNumber(rotEnergy, { decimals: 1 })],
+        ],
+        messages: [
+            t('modes.shake.message.1'),
+            t('modes.shake.message.2'),
+            t('modes.shake.message.3'),
+        ],
+    },
+});
@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Optional mood check-ins: how the player feels before and
+ * after a round, on a five-point scale, with an optional short note. A
+ * check-in is saved with its round on this device only; the shared
+ * leaderboard and rooms never receive it. See trends.js for the charts.
+ */
+import { $ } from './core.js';
+import { getRounds, putRounds } from './storage.js';
+import { t } from './i18n.js';
+
+/** Set to '0' to stop asking; check-ins are on by default. */
+export const MOOD_CHECKINS_KEY = 'moodCheckins';
+export const MAX_NOTE_LENGTH = 80;
+
+/** The five-point scale, from 1 (lowest) to 5. */
+export const MOOD_SCALE = Object.freeze([
+    { value: 1, emoji: '😞', label: t('mood.veryLow') },
+    { value: 2, emoji: '🙁', label: t('mood.low') },
+    { value: 3, emoji: '😐', label: t('mood.okay') },
+    { value: 4, emoji: '🙂', label: t('mood.good') },
+    { value: 5, emoji: '😄', label: t('mood.great') },
+]);
+
+/**
+ * @typedef {Object} MoodCheckin
+ * @property {number} [before] 1-5, before the round.
+ * @property {number} [after] 1-5, after the round.
+ * @property {string} [note] A short note, written after the round.
+ */
+
+/** @returns {boolean} Whether mode pages ask for check-ins. */
+export const moodCheckinsEnabled = () => localStorage.getItem(MOOD_CHECKINS_KEY) !== '0';
+
+/** @param {boolean} enabled */
+export const setMoodCheckinsEnabled = (enabled) => localStorage.setItem(MOOD_CHECKINS_KEY, enabled ? '1' : '0');
+
+/**
+ * Keeps only the valid parts of a check-in, e.g. one read from an import.
+ * @param {any} raw
+ * @returns {MoodCheckin | null} Null if nothing valid is left.
+ */
+export function cleanMood(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const mood = {};
+    const onScale = (v) => Number.isInteger(v) && v >= 1 && v <= MOOD_SCALE.length;
+    if (onScale(raw.before)) mood.before = raw.before;
+    if (onScale(raw.after)) mood.after = raw.after;
+    const note = typeof raw.note === 'string' ? raw.note.replace(/\s+/g, ' ').trim().slice(0, MAX_NOTE_LENGTH) : '';
+    if (note) mood.note = note;
+    return Object.keys(mood).length > 0 ? mood : null;
+}
+
+/**
+ * How much a round changed the player's mood.
+ * @param {MoodCheckin | undefined} mood
+ * @returns {number | null} After minus before (-4 to 4), or null without both answers.
+ */
+export const moodChange = (mood) => (Number.isInteger(mood?.before) && Number.isInteger(mood?.after) ? mood.after - mood.before : null);
+
+/**
+ * Saves a check-in with a stored round, replacing any earlier one.
+ * @param {import('./storage.js').RoundRecord} round
+ * @param {MoodCheckin} mood
+ * @returns {Promise<void>}
+ */
+export async function saveMood(round, mood) {
+    const { mood: _previous, ...rest } = round;
+    const clean = cleanMood(mood);
+    await putRounds([clean ? { ...rest, mood: clean } : rest]);
+}
+
+/**
+ * Removes every check-in from this device. Rounds and scores are kept.
+ * @returns {Promise<number>} How many rounds had one.
+ */
+export async function deleteAllMoods() {
+    const withMood = getRounds({ filter: r => !!r.mood });
+    await putRounds(withMood.map(({ mood: _mood, ...rest }) => rest));
+    return withMood.length;
+}
+
+/**
+ * The emoji buttons of one question, as radio inputs.
+ * @param {string} name The radio group's name.
+ * @returns {string} The HTML.
+ */
+const scaleHtml = (name) => MOOD_SCALE.map(({ value, emoji, label }) => `
+    <label class="cursor-pointer">
+        <input type="radio" name="${name}" value="${value}" class="sr-only peer" />
+        <span class="block text-3xl leading-none p-2 rounded-full peer-checked:bg-indigo-100 peer-checked:ring-2 peer-checked:ring-indigo-500 peer-focus-visible:ring-2 peer-focus-visible:ring-indigo-300" title="${label}" aria-hidden="true">${emoji}</span>
+        <span class="sr-only">${label}</span>
+    </label>
+`).join('');
+
+/**
+ * The value picked in a radio group.
+ * @param {string} name
+ * @returns {number | null}
+ */
+const picked = (name) => {
+    const input = document.querySelector(`input[name="${name}"]:checked`);
+    return input ? Number(input.value) : null;
+};
+
+/**
+ * Adds the check-in questions to a mode page's `#mood-checkin` container:
+ * one before the round, one with a note after it.
+ * @returns {{before: () => number | null, askAfter: (round: import('./storage.js').RoundRecord) => void, reset: () => void} | null}
+ *     `before` is the answer to the first question. `askAfter` asks the
+ *     second and saves both with the round. `reset` clears the answers for
+ *     the next round. Null if the page has no container or check-ins are off.
+ */
+export function initMoodCheckin() {
+    const container = $('#mood-checkin');
+    if (!container || !moodCheckinsEnabled()) return null;
+    container.innerHTML = `
+        <fieldset id="mood-before" class="text-center">
+            <legend class="w-full font-medium text-slate-700 mb-2">${t('mood.askBefore')} <span class="font-normal text-slate-400">${t('mood.optional')}</span></legend>
+            <div class="flex justify-center gap-1">${scaleHtml('mood-before')}</div>
+        </fieldset>
+        <form id="mood-after" class="hidden space-y-3 text-center">
+            <fieldset>
+                <legend class="w-full font-medium text-slate-700 mb-2">${t('mood.askAfter')}</legend>
+                <div class="flex justify-center gap-1">${scaleHtml('mood-after')}</div>
+            </fieldset>
+            <label class="block text-sm text-slate-600">${t('mood.note')}
+                <input id="mood-note" type="text" maxlength="${MAX_NOTE_LENGTH}" class="input w-full mt-1" placeholder="${t('mood.notePlaceholder')}" autocomplete="off" />
+            </label>
+            <div class="flex justify-center gap-3">
+                <button type="submit" class="btn btn-primary">${t('mood.save')}</button>
+                <button id="mood-skip" type="button" class="btn">${t('mood.skip')}</button>
+            </div>
+        </form>
+        <p id="mood-status" class="text-sm text-center text-emerald-600 min-h-[1.25rem]" role="status"></p>
+        <p class="text-xs text-center text-slate-400">${t('mood.privacy', { link: `<a href="./trends.html" class="underline hover:text-indigo-600">${t('mood.trendsLink')}</a>` })}</p>
+    `;
+    container.classList.remove('hidden');
+
+    const beforeEl = $('#mood-before');
+    const afterForm = $('#mood-after');
+    const statusEl = $('#mood-status');
+    let round = null;
+
+    const reset = () => {
+        round = null;
+        container.querySelectorAll('input[type="radio"]').forEach(input => { input.checked = false; });
+        $('#mood-note').value = '';
+        statusEl.textContent = '';
+        beforeEl.classList.remove('hidden');
+        afterForm.classList.add('hidden');
+    };
+
+    afterForm.onsubmit = async (event) => {
+        event.preventDefault();
+        if (!round) return;
+        const mood = { ...round.mood, after: picked('mood-after'), note: $('#mood-note').value };
+        try {
+            await saveMood(round, mood);
+            statusEl.textContent = t('mood.saved');
+        } catch (error) {
+            console.error("Could not save the check-in:", error);
+            statusEl.textContent = t('mood.saveFailed');
+        }
+        round = null;
+        afterForm.classList.add('hidden');
+    };
+    $('#mood-skip').onclick = () => {
+        round = null;
+        afterForm.classList.add('hidden');
+    };
+
+    return {
+        before: () => picked('mood-before'),
+        askAfter(stored) {
+            round = stored;
+            statusEl.textContent = '';
+            beforeEl.classList.add('hidden');
+            afterForm.classList.remove('hidden');
+        },
+        reset,
+    };
+}
+
+/**
+ * The emoji for a mood value.
+ * @param {number | undefined} value
+ * @returns {string} The emoji, or a dash if there is no answer.
+ */
+export const moodEmoji = (value) => MOOD_SCALE.find(m => m.value === value)?.emoji || '–';
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Motion sensor input for the modes that use `devicemotion`:
+ * the permission prompt some browsers require, and listening for samples
+ * (or simulated ones in simulation mode).
+ */
+import * as core from './core.js';
+import * as ui from './ui.js';
+import * as sim from './simulate.js';
+import { sampleFromEvent } from './shake-scoring.js';
+import { t } from './i18n.js';
+
+/** Message keys for each permission state. */
+const PERMISSION_STATUS_KEYS = Object.freeze({
+    'granted': 'origin.perm.granted',
+    'denied': 'origin.perm.denied',
+    'not required': 'origin.perm.notRequired',
+    'simulated': 'origin.perm.simulated',
+});
+
+/** Message keys naming each acceleration source (see gravity.js). */
+const ACCELERATION_SOURCE_KEYS = Object.freeze({
+    'linear': 'gravity.source.linear',
+    'gravity-fused': 'gravity.source.fused',
+    'gravity-lowpass': 'gravity.source.lowpass',
+    'none': 'gravity.source.none',
+});
+
+/**
+ * @param {import('./gravity.js').AccelerationSource} source
+ * @returns {string} The source's name in the page language.
+ */
+export const accelerationSourceLabel = (source) => t(ACCELERATION_SOURCE_KEYS[source]);
+
+let permissionStatus = undefined;
+
+/**
+ * The motion permission state shown in the origin status line.
+ * @returns {string | undefined} The state in the page language, or undefined before asking.
+ */
+export function motionPermissionStatus() {
+    if (!permissionStatus) return undefined;
+    const key = PERMISSION_STATUS_KEYS[permissionStatus];
+    return key ? t(key) : permissionStatus;
+}
+
+/**
+ * Asks for motion access where the browser requires it (iOS). The first
+ * request must come from a tap; once granted, later calls skip the prompt so
+ * room rounds can start without one.
+ */
+export async function ensureMotionPermission() {
+    if (sim.isSimulationEnabled()) {
+        permissionStatus = 'simulated';
+    } else if (permissionStatus === 'granted') {
+        return;
+    } else if (typeof DeviceMotionEvent !== 'undefined' && typeof DeviceMotionEvent.requestPermission === 'function') {
+        ui.setStatus(t('motion.requesting'), "warn");
+        try {
+            const permissionState = await DeviceMotionEvent.requestPermission();
+            permissionStatus = permissionState;
+            ui.displayOriginStatus(core.isSecureContext(), motionPermissionStatus());
+            if (permissionState !== 'granted') {
+                throw new Error(t('motion.notGranted'));
+            }
+        } catch (error) {
+            console.error(error);
+            throw new Error(t('motion.permissionFailed'));
+        }
+    } else {
+        permissionStatus = 'not required';
+    }
+    ui.displayOriginStatus(core.isSecureContext(), motionPermissionStatus());
+}
+
+/**
+ * Passes every `devicemotion` event to `onSample` as a plain sample. In
+ * simulation mode, `simulate` generates the events.
+ * @param {(sample: import('./shake-scoring.js').MotionSample) => void} onSample
+ * @param {() => () => void} [simulate] Starts a simulated motion generator and returns its stop function.
+ * @returns {() => void} Stops listening.
+ */
+export function listenForMotion(onSample, simulate = sim.startSimulatedMotion) {
+    const onDeviceMotion = (event) => onSample(sampleFromEvent(event));
+    window.addEventListener('devicemotion', onDeviceMotion, { passive: true });
+    const stopSimulated = sim.isSimulationEnabled() ? simulate() : null;
+    return () => {
+        window.removeEventListener('devicemotion', onDeviceMotion);
+        if (stopSimulated) stopSimulated();
+    };
+}
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview The party page: roster setup, whose turn is next, running
+ * standings and the final podium. Turns are played on the mode pages.
+ */
+import { initStorage, escapeHtml } from './core.js';
+import { triggerConfetti } from './ui.js';
+import * as tournaments from './tournament.js';
+import { getModes } from './modes.js';
+import { t, formatNumber } from './i18n.js';
+
+const MODES = Object.fromEntries(getModes().map(({ id, label, scoreLabel, accent, page }) => [
+    id, { label, scoreLabel, page, color: `text-${accent}-600` },
+]));
+
+const show = (id, visible) => document.getElementById(id).classList.toggle('hidden', !visible);
+
+/**
+ * Renders the standings table.
+ * @param {import('./tournament.js').Tournament} tournament
+ */
+function renderStandings(tournament) {
+    const standings = tournaments.computeStandings(tournament);
+    document.getElementById('party-standings-head').innerHTML = `
+        <tr class="border-b border-slate-200">
+            <th class="p-2 text-left font-semibold text-slate-600 w-8">#</th>
+            <th class="p-2 text-left font-semibold text-slate-600">${t('party.player')}</th>
+            ${tournament.modes.map(mode => `<th class="p-2 text-right font-semibold ${MODES[mode].color}">${MODES[mode].scoreLabel}</th>`).join('')}
+            <th class="p-2 text-right font-semibold text-slate-600">${t('party.points')}</th>
+        </tr>
+    `;
+    document.getElementById('party-standings-body').innerHTML = standings.map(row => `
+        <tr class="border-b border-slate-100 last:border-b-0">
+            <td class="p-2 font-medium text-slate-500 text-center">${row.place}</td>
+            <td class="p-2 font-semibold text-slate-800">${escapeHtml(row.player)}</td>
+            ${tournament.modes.map(mode => `<td class="p-2 font-mono text-right">${formatNumber(row.totals[mode])}</td>`).join('')}
+            <td class="p-2 font-mono text-right text-indigo-600 font-bold">${formatNumber(row.points)}</td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Renders the top three places, tallest in the middle.
+ * @param {import('./tournament.js').Tournament} tournament
+ */
+function renderPodium(tournament) {
+    const podium = tournaments.computeStandings(tournament).filter(row => row.place <= 3);
+    const heights = { 1: 'h-32', 2: 'h-24', 3: 'h-16' };
+    const order = [2, 1, 3];
+    document.getElementById('party-podium-list').innerHTML = order.map(place => {
+        const names = podium.filter(row => row.place === place);
+        if (names.length === 0) return '';
+        return `
+            <li class="flex flex-col items-center w-28">
+                <span class="font-semibold text-slate-800 text-center">${names.map(row => escapeHtml(row.player)).join('<br>')}</span>
+                <span class="text-xs text-slate-500 mb-1">${t('party.pointsShort', { count: names[0].points })}</span>
+                <div class="${heights[place]} w-full rounded-t-lg bg-indigo-100 flex items-start justify-center pt-2 text-2xl font-bold text-indigo-600">${place}</div>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Shows the view for the current party state: setup, next turn or podium.
+ */
+function render() {
+    const tournament = tournaments.loadTournament();
+    show('party-setup', !tournament);
+    show('party-standings', !!tournament);
+    if (!tournament) {
+        show('party-next', false);
+        show('party-podium', false);
+        return;
+    }
+
+    renderStandings(tournament);
+    const finished = tournaments.isFinished(tournament);
+    show('party-next', !finished);
+    show('party-podium', finished);
+    document.getElementById('party-end-btn').textContent = t(finished ? 'party.new' : 'party.end');
+
+    if (finished) {
+        renderPodium(tournament);
+        triggerConfetti();
+        return;
+    }
+    const turn = tournaments.nextTurn(tournament);
+    const mode = MODES[turn.mode];
+    document.getElementById('party-next-round').textContent = t('party.progress', { round: turn.round, rounds: tournament.rounds, turn: tournament.current + 1, turns: tournament.turns.length });
+    document.getElementById('party-next-title').innerHTML = `${t('party.upNext', { player: escapeHtml(turn.player) })} <span class="${mode.color}">${escapeHtml(mode.label)}</span>`;
+    document.getElementById('party-play-btn').href = `${mode.page}?party=1`;
+}
+
+// --- Initialization ---
+document.addEventListener('DOMContentLoaded', async () => {
+    await initStorage();
+    document.getElementById('party-modes').innerHTML = Object.entries(MODES).map(([id, { label }]) => `
+        <label><input type="checkbox" name="party-mode" value="${id}" checked /> ${escapeHtml(label)}</label>
+    `).join('');
+    render();
+
+    document.getElementById('party-setup').onsubmit = (event) => {
+        event.preventDefault();
+        const { tournament, error } = tournaments.createTournament({
+            players: document.getElementById('party-roster').value.split('\n'),
+            modes: [...document.querySelectorAll('input[name="party-mode"]:checked')].map(el => el.value),
+            rounds: Number(document.getElementById('party-rounds').value),
+        });
+        document.getElementById('party-setup-error').textContent = error || '';
+        if (!tournament) return;
+        tournaments.saveTournament(tournament);
+        render();
+    };
+
+    document.getElementById('party-skip-btn').onclick = () => {
+        const tournament = tournaments.loadTournament();
+        const turn = tournament && tournaments.nextTurn(tournament);
+        if (!turn || !confirm(t('party.confirmSkip', { player: turn.player, mode: MODES[turn.mode].label }))) return;
+        tournaments.saveTournament(tournaments.completeTurn(tournament, { skipped: true }));
+        render();
+    };
+
+    document.getElementById('party-end-btn').onclick = () => {
+        const tournament = tournaments.loadTournament();
+        if (tournament && !tournaments.isFinished(tournament) && !confirm(t('party.confirmEnd'))) return;
+        if (tournament) document.getElementById('party-roster').value = tournament.players.join('\n');
+        tournaments.clearTournament();
+        render();
+    };
+});
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Pitch detection with the YIN algorithm (de Cheveigné &
+ * Kawahara, 2002), and conversions between frequencies and musical notes.
+ * Pure functions with no DOM or audio dependencies, so they run on any
+ * buffer of samples, in the browser or in Node.
+ */
+
+/**
+ * Default detector parameters.
+ *  - threshold: the largest normalized difference (0-1) accepted as a
+ *    period; lower is stricter about what counts as a clear pitch.
+ *  - minFrequency / maxFrequency: the range searched, in Hz. The defaults
+ *    cover hummed and sung voices.
+ */
+export const PITCH_DEFAULTS = Object.freeze({
+    threshold: 0.15,
+    minFrequency: 70,
+    maxFrequency: 1000,
+});
+
+const NOTE_NAMES = ['C', 'C♯', 'D', 'D♯', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'A♯', 'B'];
+
+/**
+ * @typedef {Object} Pitch
+ * @property {number} frequency The fundamental frequency in Hz.
+ * @property {number} clarity How periodic the buffer is (0-1); 1 is a pure tone.
+ */
+
+/**
+ * Finds the fundamental frequency of a buffer. The buffer must hold at least
+ * two periods of the lowest frequency searched.
+ * @param {Float32Array | number[]} buffer Samples, e.g. the latest 2048 from the microphone.
+ * @param {number} sampleRate In Hz.
+ * @param {Partial<typeof PITCH_DEFAULTS>} [options]
+ * @returns {Pitch | null} The pitch, or null if there is no clear one (silence, noise).
+ */
+export function detectPitch(buffer, sampleRate, options = {}) {
+    const params = { ...PITCH_DEFAULTS, ...options };
+    const maxLag = Math.min(Math.floor(sampleRate / params.minFrequency), Math.floor(buffer.length / 2));
+    const minLag = Math.max(2, Math.floor(sampleRate / params.maxFrequency));
+    const size = buffer.length - maxLag;
+    if (maxLag <= minLag) return null;
+
+    // Difference function, then its cumulative mean normalized form (steps 2 and 3 of YIN).
+    const normalized = new Float32Array(maxLag + 1);
+    normalized[0] = 1;
+    let runningSum = 0;
+    for (let lag = 1; lag <= maxLag; lag++) {
+        let sum = 0;
+        for (let i = 0; i < size; i++) {
+            const delta = buffer[i] - buffer[i + lag];
+            sum += delta * delta;
+        }
+        runningSum += sum;
+        normalized[lag] = runningSum > 0 ? sum * lag / runningSum : 1;
+    }
+
+    // The first dip below the threshold, followed down to its minimum (step 4).
+    let lag = minLag;
+    while (lag < maxLag && normalized[lag] >= params.threshold) lag++;
+    if (lag >= maxLag) return null;
+    while (lag + 1 < maxLag && normalized[lag + 1] < normalized[lag]) lag++;
+
+    // Parabolic interpolation between neighbouring lags (step 5).
+    const before = normalized[lag - 1];
+    const at = normalized[lag];
+    const after = normalized[lag + 1];
+    const curvature = before + after - 2 * at;
+    const shift = curvature > 0 ? (before - after) / (2 * curvature) : 0;
+    return { frequency: sampleRate / (lag + shift), clarity: Math.max(0, 1 - at) };
+}
+
+/**
+ * @param {number} frequency In Hz.
+ * @returns {number} The MIDI note number (69 is A4 at 440 Hz), with a fractional part.
+ */
+export const frequencyToMidi = (frequency) => 69 + 12 * Math.log2(frequency / 440);
+
+/**
+ * @param {number} midi A MIDI note number.
+ * @returns {number} Its frequency in Hz.
+ */
+export const midiToFrequency = (midi) => 440 * 2 ** ((midi - 69) / 12);
+
+/**
+ * The name of the nearest note, e.g. "A3" or "C♯4".
+ * @param {number} midi A MIDI note number.
+ * @returns {string}
+ */
+export function noteName(midi) {
+    const note = Math.round(midi);
+    return `${NOTE_NAMES[((note % 12) + 12) % 12]}${Math.floor(note / 12) - 1}`;
+}
+
+/**
+ * How far a frequency is from a reference, in cents (100 to a semitone).
+ * @param {number} frequency In Hz.
+ * @param {number} reference In Hz.
+ * @returns {number} Positive when sharp, negative when flat.
+ */
+export const centsBetween = (frequency, reference) => 1200 * Math.log2(frequency / reference);
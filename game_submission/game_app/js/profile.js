@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Renders player profiles: daily streak, badges, per-mode
+ * stats and full round history.
+ */
+import { initStorage, loadProfiles, summarizeRounds, isFlagged, isSimulated, countsTowardsRecords, profileKey, timeAgo, escapeHtml, PLAYER_NAME_KEY } from './core.js';
+import { settingsLabel } from './settings.js';
+import { getModes } from './modes.js';
+import { loadAchievements, isAchieved, dailyStreaks, achievementText } from './achievements.js';
+import { t, formatNumber } from './i18n.js';
+
+const MODES = getModes().map(({ id, label, scoreLabel, accent }) => ({ id, label, scoreLabel, color: `text-${accent}-600` }));
+
+/**
+ * Renders the stats table rows for one profile.
+ * @param {{rounds: Object<string, Array<{score: number, ts: number}>>}} profile
+ * @returns {string} The table rows HTML.
+ */
+function renderStatsRows(profile) {
+    return MODES.map(({ id, label, color }) => {
+        const stats = summarizeRounds(profile.rounds[id]);
+        // Flagged and simulated rounds count as played, but not towards the best score.
+        const best = summarizeRounds((profile.rounds[id] || []).filter(countsTowardsRecords)).best;
+        return `
+            <tr class="border-b border-slate-100 last:border-b-0">
+                <td class="p-2 font-semibold ${color}">${label}</td>
+                <td class="p-2 font-mono text-right">${formatNumber(stats.rounds)}</td>
+                <td class="p-2 font-mono text-right text-indigo-600">${formatNumber(best)}</td>
+                <td class="p-2 font-mono text-right">${formatNumber(stats.average, { decimals: 1 })}</td>
+                <td class="p-2 font-mono text-right text-slate-500">${stats.lastPlayed ? timeAgo(stats.lastPlayed) : '–'}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Renders a player's full round history, newest first.
+ * @param {{rounds: Object<string, Array<{score: number, ts: number}>>}} profile
+ * @returns {string} The history list HTML.
+ */
+function renderHistory(profile) {
+    const rounds = MODES
+        .flatMap(({ id, label, scoreLabel }) => (profile.rounds[id] || []).map(r => ({ ...r, label, scoreLabel })))
+        .sort((a, b) => (b.ts || 0) - (a.ts || 0));
+
+    return rounds.map(r => `
+        <li class="flex justify-between py-1 border-b border-slate-100 last:border-b-0">
+            <span>${r.label}${r.settings ? ` <span class="text-slate-400">${escapeHtml(settingsLabel(r.settings.key))}</span>` : ''}${isFlagged(r) ? ` <span class="text-yellow-600" title="${escapeHtml(r.flags.map(f => f.reason).join(' '))}">⚠ ${t('profile.flagged')}</span>` : ''}${isSimulated(r) ? ` <span class="text-sky-600" title="${escapeHtml(t('board.simulated'))}">🧪 ${t('profile.simulated')}</span>` : ''}</span>
+            <span class="font-mono text-indigo-600">${formatNumber(r.score)} <span class="text-slate-400">${r.scoreLabel}</span></span>
+            <span class="font-mono text-slate-500">${timeAgo(r.ts)}</span>
+        </li>
+    `).join('');
+}
+
+/**
+ * Renders a player's daily streak and every badge, earned ones first.
+ * @param {{rounds: Object<string, Array<import('./storage.js').RoundRecord>>}} profile
+ * @param {import('./achievements.js').Achievement[]} achievements
+ * @returns {string} The HTML.
+ */
+function renderBadges(profile, achievements) {
+    const rounds = Object.values(profile.rounds).flat();
+    const { current, longest } = dailyStreaks(rounds.filter(countsTowardsRecords));
+    const badges = achievements
+        .map(a => ({ ...a, ...achievementText(a), earned: isAchieved(a, rounds) }))
+        .sort((a, b) => b.earned - a.earned);
+    const days = (count) => t('profile.days', { count });
+    return `
+        <p class="text-sm text-slate-600 mb-2">
+            <span aria-hidden="true">🔥</span> ${t('profile.dailyStreak')} <strong>${days(current)}</strong>
+            <span class="text-slate-400 ml-2">${t('profile.longestStreak', { days: days(longest) })}</span>
+        </p>
+        <ul class="flex flex-wrap gap-2 mb-3" aria-label="${t('profile.badges')}">${badges.map(b => `
+            <li class="px-2 py-1 rounded-full text-xs ring-1 ${b.earned ? 'bg-indigo-50 text-indigo-700 ring-indigo-200' : 'bg-slate-100 text-slate-400 ring-slate-200'}" title="${escapeHtml(b.description)}">
+                <span aria-hidden="true"${b.earned ? '' : ' class="grayscale opacity-50"'}>${escapeHtml(b.icon || '🏅')}</span>
+                ${escapeHtml(b.title)}<span class="sr-only">: ${escapeHtml(b.description)}${b.earned ? '' : ` ${t('profile.notEarned')}`}</span>
+            </li>
+        `).join('')}</ul>
+    `;
+}
+
+/**
+ * Renders every stored profile. The current player's profile is listed first.
+ * @param {import('./achievements.js').Achievement[]} achievements
+ */
+function renderProfiles(achievements) {
+    const container = document.getElementById('profiles-list');
+    if (!container) return;
+
+    const currentKey = profileKey(localStorage.getItem(PLAYER_NAME_KEY) || '');
+    const lastPlayed = (p) => Math.max(0, ...MODES.map(({ id }) => summarizeRounds(p.rounds[id]).lastPlayed));
+    const entries = Object.entries(loadProfiles())
+        .sort(([keyA, a], [keyB, b]) => (keyB === currentKey) - (keyA === currentKey) || lastPlayed(b) - lastPlayed(a));
+
+    if (entries.length === 0) {
+        container.innerHTML = `<p class="p-4 text-center text-slate-500">${t('profile.empty')}</p>`;
+        return;
+    }
+
+    container.innerHTML = entries.map(([key, profile]) => `
+        <section class="bg-white/80 backdrop-blur-sm rounded-2xl shadow-lg ring-1 ${key === currentKey ? 'ring-indigo-400' : 'ring-slate-200/50'} p-4">
+            <h2 class="text-xl font-bold text-slate-900 mb-2">${escapeHtml(profile.name)}${key === currentKey ? ` <span class="text-sm font-medium text-indigo-600">${t('common.you')}</span>` : ''}</h2>
+            ${renderBadges(profile, achievements)}
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="border-b border-slate-200">
+                        <th class="p-2 text-left font-semibold text-slate-600">${t('profile.mode')}</th>
+                        <th class="p-2 text-right font-semibold text-slate-600">${t('profile.rounds')}</th>
+                        <th class="p-2 text-right font-semibold text-slate-600">${t('profile.best')}</th>
+                        <th class="p-2 text-right font-semibold text-slate-600">${t('profile.average')}</th>
+                        <th class="p-2 text-right font-semibold text-slate-600">${t('profile.last')}</th>
+                    </tr>
+                </thead>
+                <tbody>${renderStatsRows(profile)}</tbody>
+            </table>
+            <details class="mt-3 text-sm">
+                <summary class="cursor-pointer font-medium text-slate-600">${t('profile.history')}</summary>
+                <ul class="mt-2">${renderHistory(profile)}</ul>
+            </details>
+        </section>
+    `).join('');
+}
+
+// --- Initialization ---
+document.addEventListener('DOMContentLoaded', async () => {
+    const [achievements] = await Promise.all([loadAchievements(), initStorage()]);
+    renderProfiles(achievements);
+});
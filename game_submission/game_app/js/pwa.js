@@ -0,0 +1,17 @@
+/**
+ * @fileoverview Set-up every page shares: translates the page's static
+ * markup (see i18n.js) and registers the service worker that makes
+ * TogetherWe installable and playable offline. Included by every page.
+ */
+import { isSecureContext } from './core.js';
+import { localizePage } from './i18n.js';
+
+localizePage();
+
+if ('serviceWorker' in navigator && isSecureContext()) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('./sw.js').catch((error) => {
+            console.warn("Service worker registration failed:", error);
+        });
+    });
+}
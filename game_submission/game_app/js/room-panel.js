@@ -0,0 +1,153 @@
+/**
+ * @fileoverview The "Play together" panel on the mode pages: join or create
+ * a room, see who is in it with their live scores, and start a synchronized
+ * round. The networking lives in rooms.js.
+ */
+import { $, escapeHtml } from './core.js';
+import { connectRoom, normalizeRoomCode } from './rooms.js';
+import { t, formatNumber } from './i18n.js';
+
+/**
+ * Wires up the room panel.
+ * @param {{
+ *   mode: string,
+ *   scoreLabel: string,
+ *   getName: () => string,
+ *   onStart: (localStartTime: number) => void,
+ *   beforeJoin?: () => void,
+ * }} options `getName` returns the sanitized player name (or '');
+ *     `onStart` is called as soon as the host starts a round, with the
+ *     agreed start time in `Date.now()` terms; `beforeJoin` runs in the
+ *     Join/New room click, for permissions that need a user gesture.
+ * @returns {{sendLive: (score: number) => void, sendFinal: (score: number, flagged?: boolean) => void}}
+ */
+export function initRoomPanel({ mode, scoreLabel, getName, onStart, beforeJoin }) {
+    const statusEl = $('#room-status');
+    const membersEl = $('#room-members');
+    const startBtn = $('#room-start-btn');
+    const leaveBtn = $('#room-leave-btn');
+    let room = null;
+    let myId = '';
+    let hostId = '';
+    let countdownId = 0;
+    let lastLocalRender = 0;
+    let attempt = 0; // Ignores events from connections that have been replaced
+    const scores = new Map(); // member id -> {name, score, final, flagged}
+
+    const setStatus = (text, isError = false) => {
+        statusEl.textContent = text;
+        statusEl.className = `text-sm ${isError ? 'text-red-600' : 'text-slate-500'}`;
+    };
+
+    const renderMembers = () => {
+        membersEl.innerHTML = [...scores.entries()].map(([id, m]) => `
+            <li class="flex justify-between py-1 border-b border-slate-100 last:border-b-0">
+                <span class="font-semibold">${escapeHtml(m.name)}${id === myId ? ` <span class="text-indigo-600 font-normal">${t('common.you')}</span>` : ''}${id === hostId ? ` <span class="text-slate-400 font-normal">${t('room.host')}</span>` : ''}</span>
+                <span class="font-mono ${m.final ? 'text-indigo-600 font-bold' : 'text-slate-500'}">${m.score === null ? '–' : `${formatNumber(m.score)} ${scoreLabel}`}${m.final ? (m.flagged ? ' ⚠' : ' ✓') : ''}</span>
+            </li>
+        `).join('');
+        startBtn.classList.toggle('hidden', !room || myId !== hostId);
+        leaveBtn.classList.toggle('hidden', !room);
+    };
+
+    const setMembers = (newHostId, members) => {
+        hostId = newHostId;
+        const previous = new Map(scores);
+        scores.clear();
+        members.forEach(({ id, name }) => scores.set(id, previous.get(id) || { name, score: null, final: false, flagged: false }));
+        renderMembers();
+    };
+
+    const countDown = (localStartTime) => {
+        clearInterval(countdownId);
+        scores.forEach(m => Object.assign(m, { score: null, final: false, flagged: false }));
+        renderMembers();
+        const tick = () => {
+            const seconds = Math.ceil((localStartTime - Date.now()) / 1000);
+            if (seconds > 0) {
+                setStatus(t('room.countdown', { seconds }));
+            } else {
+                clearInterval(countdownId);
+                setStatus(t('room.go'));
+            }
+        };
+        tick();
+        countdownId = setInterval(tick, 200);
+    };
+
+    const join = async (code) => {
+        const name = getName();
+        if (!name) {
+            setStatus(t('room.saveNameFirst'), true);
+            return;
+        }
+        beforeJoin?.();
+        if (room) room.leave();
+        room = null;
+        const current = ++attempt;
+        setStatus(t('room.connecting'));
+        try {
+            room = await connectRoom({ room: code || undefined, name, mode }, {
+                onJoined: (joined) => {
+                    myId = joined.id;
+                    $('#room-code-input').value = joined.code;
+                    setStatus(t('room.joined', { code: joined.code }));
+                    setMembers(joined.hostId, joined.members);
+                },
+                onMembers: setMembers,
+                onStart: (localStartTime) => {
+                    countDown(localStartTime);
+                    onStart(localStartTime);
+                },
+                onLive: (id, score) => {
+                    const m = scores.get(id);
+                    if (m && !m.final) { m.score = score; renderMembers(); }
+                },
+                onFinal: (id, score, flagged) => {
+                    const m = scores.get(id);
+                    if (m) { Object.assign(m, { score, final: true, flagged }); renderMembers(); }
+                },
+                onError: (message) => setStatus(message, true),
+                onClose: () => {
+                    if (current !== attempt) return;
+                    room = null;
+                    scores.clear();
+                    renderMembers();
+                },
+            });
+        } catch (error) {
+            setStatus(error.message, true);
+        }
+    };
+
+    $('#room-join-btn').onclick = () => {
+        const code = normalizeRoomCode($('#room-code-input').value);
+        if (!code) {
+            setStatus(t('room.invalidCode'), true);
+            return;
+        }
+        join(code);
+    };
+    $('#room-create-btn').onclick = () => join('');
+    startBtn.onclick = () => room?.requestStart();
+    leaveBtn.onclick = () => {
+        room?.leave();
+        setStatus(t('room.left'));
+    };
+
+    return {
+        sendLive(score) {
+            if (!room) return;
+            room.sendLive(score);
+            const me = scores.get(myId);
+            if (me && !me.final && Date.now() - lastLocalRender >= 250) {
+                lastLocalRender = Date.now();
+                me.score = score;
+                renderMembers();
+            }
+        },
+        sendFinal(score, flagged = false) {
+            room?.sendFinal(score, flagged);
+        },
+    };
+}
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Client for the multiplayer room relay (server/relay.mjs).
+ * Joins or creates a room over WebSocket, keeps an estimate of the offset
+ * between this device's clock and the relay's so everyone starts together,
+ * and relays live and final scores.
+ */
+import { t } from './i18n.js';
+import { getMode } from './modes.js';
+
+const RELAY_URL_KEY = 'relayUrl';
+const RELAY_PORT = 8787;
+const SYNC_SAMPLES = 5;
+const LIVE_INTERVAL = 250; // Live scores are sent at most 4 times per second
+
+// The relay's error codes and their messages.
+const RELAY_ERROR_KEYS = {
+    'invalid-name': 'room.error.invalidName',
+    'invalid-mode': 'room.error.invalidMode',
+    'no-room': 'room.error.noRoom',
+    'other-mode': 'room.error.otherMode',
+    'room-full': 'room.error.full',
+    'not-in-room': 'room.error.notInRoom',
+    'not-host': 'room.error.notHost',
+    'unknown-type': 'room.error.protocol',
+    'invalid-json': 'room.error.protocol',
+};
+
+/**
+ * The player-facing text of an error from the relay. Unknown codes, e.g. from
+ * a newer relay, fall back to the relay's own message.
+ * @param {{code?: string, message?: string, mode?: string}} error
+ * @returns {string}
+ */
+function relayErrorText({ code, message, mode }) {
+    const key = RELAY_ERROR_KEYS[code];
+    if (!key) return String(message || t('room.connectionFailed'));
+    return t(key, { mode: getMode(mode)?.label ?? String(mode) });
+}
+
+/**
+ * The relay URL: `?relay=` in the page URL (remembered), else the last one
+ * used, else port 8787 on the host that served the page.
+ * @returns {string}
+ */
+export function getRelayUrl() {
+    const fromUrl = new URLSearchParams(location.search).get('relay');
+    if (fromUrl) localStorage.setItem(RELAY_URL_KEY, fromUrl);
+    const saved = fromUrl || localStorage.getItem(RELAY_URL_KEY);
+    if (saved) return saved;
+    const scheme = location.protocol === 'https:' ? 'wss' : 'ws';
+    return `${scheme}://${location.hostname || 'localhost'}:${RELAY_PORT}`;
+}
+
+/**
+ * Normalizes what a player typed as a room code.
+ * @param {string} code
+ * @returns {string} The code, or an empty string if it can't be one.
+ */
+export const normalizeRoomCode = (code) => {
+    const c = (code || '').trim().toUpperCase();
+    return /^[A-Z]{4}$/.test(c) ? c : '';
+};
+
+/**
+ * @typedef {Object} RoomMember
+ * @property {string} id
+ * @property {string} name
+ */
+
+/**
+ * @typedef {Object} RoomEvents
+ * @property {(room: {code: string, id: string, mode: string, hostId: string, members: RoomMember[]}) => void} [onJoined]
+ * @property {(hostId: string, members: RoomMember[]) => void} [onMembers]
+ * @property {(localStartTime: number) => void} [onStart] Called with the start time in this device's `Date.now()` terms.
+ * @property {(id: string, score: number) => void} [onLive]
+ * @property {(id: string, score: number, flagged: boolean) => void} [onFinal]
+ * @property {(message: string) => void} [onError]
+ * @property {() => void} [onClose]
+ */
+
+/**
+ * Connects to the relay and creates or joins a room.
+ * @param {{url?: string, room?: string, name: string, mode: string}} options
+ *     Leave out `room` to create a new one.
+ * @param {RoomEvents} events
+ * @returns {Promise<{
+ *   readonly clockOffset: number,
+ *   requestStart: () => void,
+ *   sendLive: (score: number) => void,
+ *   sendFinal: (score: number, flagged?: boolean) => void,
+ *   leave: () => void,
+ * }>} Resolves once the socket is open; room events follow.
+ */
+export async function connectRoom({ url = getRelayUrl(), room, name, mode }, events = {}) {
+    const socket = new WebSocket(url);
+    await new Promise((resolve, reject) => {
+        socket.onopen = resolve;
+        socket.onerror = () => reject(new Error(t('room.unreachable', { url })));
+    });
+
+    const send = (message) => {
+        if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+    };
+
+    // Clock sync: keep the offset measured on the fastest round trip.
+    let clockOffset = 0;
+    let bestRoundTrip = Infinity;
+    let lastLive = 0;
+
+    socket.onmessage = (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch {
+            return;
+        }
+        switch (message.type) {
+            case 'sync': {
+                const now = Date.now();
+                const roundTrip = now - message.t;
+                if (roundTrip < bestRoundTrip) {
+                    bestRoundTrip = roundTrip;
+                    clockOffset = message.serverTime - (message.t + roundTrip / 2);
+                }
+                break;
+            }
+            case 'joined':
+                events.onJoined?.({ code: message.room, id: message.id, mode: message.mode, hostId: message.hostId, members: message.members });
+                break;
+            case 'members':
+                events.onMembers?.(message.hostId, message.members);
+                break;
+            case 'start':
+                events.onStart?.(message.startAt - clockOffset);
+                break;
+            case 'live':
+                events.onLive?.(message.id, message.score);
+                break;
+            case 'final':
+                events.onFinal?.(message.id, message.score, message.flagged);
+                break;
+            case 'error':
+                events.onError?.(relayErrorText(message));
+                break;
+        }
+    };
+    socket.onerror = () => events.onError?.(t('room.connectionFailed'));
+    socket.onclose = () => events.onClose?.();
+
+    for (let i = 0; i < SYNC_SAMPLES; i++) {
+        setTimeout(() => send({ type: 'sync', t: Date.now() }), i * 100);
+    }
+    send(room ? { type: 'join', room, name, mode } : { type: 'create', name, mode });
+
+    return {
+        get clockOffset() { return clockOffset; },
+        requestStart: () => send({ type: 'start' }),
+        sendLive(score) {
+            const now = Date.now();
+            if (now - lastLive < LIVE_INTERVAL) return;
+            lastLive = now;
+            send({ type: 'live', score });
+        },
+        sendFinal: (score, flagged = false) => send({ type: 'final', score, flagged }),
+        leave() {
+            send({ type: 'leave' });
+            socket.close();
+        },
+    };
+}
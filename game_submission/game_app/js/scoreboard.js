@@ -1,29 +1,104 @@
 /**
- * @fileoverview Renders the leaderboards on the scoreboard page.
+ * @fileoverview Renders the leaderboards on the scoreboard page (from this
+ * device or a shared leaderboard server), opens past rounds' timelines for
+ * review and handles exporting and importing scores.
  */
-import { loadScores, timeAgo, escapeHtml } from './core.js';
+import { initStorage, getScoreStore, connectLeaderboard, isFlagged, isSimulated, timeAgo, escapeHtml, GAME_MODES } from './core.js';
+import { getRounds, putRounds, replaceRounds } from './storage.js';
+import { toJson, toCsv, parseImport, newRoundsOnly, dedupeRounds } from './transfer.js';
+import { DEFAULT_SETTINGS_KEY, roundSettingsKey, settingsLabel, boardSettingsKey } from './settings.js';
+import { getModes, getMode } from './modes.js';
+import { downloadFile } from './ui.js';
+import { drawTimeline } from './timeline.js';
+import { t, formatNumber, formatDate } from './i18n.js';
+
+const HIDE_FLAGGED_KEY = 'hideFlaggedRounds';
+const BOARD_SOURCE_KEY = 'boardSource';
+const BOARD_SETTINGS_KEY = 'boardSettings';
+const renders = {}; // mode -> id of the latest render, so slow responses can't overwrite newer ones
+
+/**
+ * The store the boards are showing: the shared one if connected and
+ * selected, else this device.
+ * @returns {import('./core.js').ScoreStore}
+ */
+const selectedStore = () => (localStorage.getItem(BOARD_SOURCE_KEY) === 'remote' && getScoreStore('remote')) || getScoreStore('local');
+
+/**
+ * Builds an empty leaderboard table for every registered mode.
+ */
+function renderBoards() {
+    document.getElementById('boards').innerHTML = getModes().map(({ id, boardTitle, scoreLabel, accent }) => `
+        <div>
+            <h2 class="text-2xl font-bold text-${accent}-600 text-center">${escapeHtml(boardTitle)}</h2>
+            <p id="${id}-board-settings" class="text-sm text-slate-500 mb-4 text-center"></p>
+            <div class="bg-white/80 backdrop-blur-sm rounded-2xl shadow-lg ring-1 ring-slate-200/50 p-4">
+                <table class="w-full text-sm">
+                    <thead>
+                        <tr class="border-b border-slate-200">
+                            <th class="p-2 text-left font-semibold text-slate-600 w-8">#</th>
+                            <th class="p-2 text-left font-semibold text-slate-600">${t('board.name')}</th>
+                            <th class="p-2 text-right font-semibold text-slate-600">${escapeHtml(scoreLabel)}</th>
+                            <th class="p-2 text-right font-semibold text-slate-600">${t('board.when')}</th>
+                            <th class="p-2 w-12"><span class="sr-only">${t('board.review')}</span></th>
+                        </tr>
+                    </thead>
+                    <tbody id="${id}-scores-body"></tbody>
+                </table>
+            </div>
+        </div>
+    `).join('');
+}
 
 /**
  * Renders a scoreboard table for a given mode.
- * @param {'laugh' | 'shake'} mode The game mode to render.
+ * @param {string} mode The game mode to render.
  */
-function renderScoreboard(mode) {
-    const scores = loadScores(mode);
+async function renderScoreboard(mode) {
     const tbody = document.getElementById(`${mode}-scores-body`);
     if (!tbody) return;
+    const store = selectedStore();
+    const current = renders[mode] = (renders[mode] || 0) + 1;
+    const message = (text, className = 'text-slate-500') => {
+        tbody.innerHTML = `<tr><td colspan="5" class="p-4 text-center ${className}">${escapeHtml(text)}</td></tr>`;
+    };
+
+    const settingsKey = boardSettingsKey(mode, localStorage.getItem(BOARD_SETTINGS_KEY) || DEFAULT_SETTINGS_KEY);
+    document.getElementById(`${mode}-board-settings`).textContent = settingsLabel(settingsKey);
+
+    if (store.id !== 'local') message(t('board.loading'));
+    let scores;
+    try {
+        scores = await store.list(mode, {
+            includeFlagged: localStorage.getItem(HIDE_FLAGGED_KEY) !== '1',
+            settingsKey,
+        });
+    } catch (error) {
+        console.error(error);
+        if (current === renders[mode]) message(t('board.unreachable', { board: store.label.toLowerCase() }), 'text-red-600');
+        return;
+    }
+    if (current !== renders[mode]) return;
 
     if (scores.length === 0) {
-        tbody.innerHTML = `<tr><td colspan="4" class="p-4 text-center text-slate-500">Play a round to see your scores!</td></tr>`;
+        message(t(store.id === 'local' ? 'board.emptyLocal' : 'board.emptyRemote'));
         return;
     }
 
+    // Rounds from this device can be reviewed, wherever the board came from.
+    const reviewable = new Set(getRounds({ mode, filter: r => !!r.timeline }).map(r => r.id));
     const rowsHtml = scores.map((entry, index) => {
+        const flagged = isFlagged(entry);
+        const suspicious = flagged ? escapeHtml(t('board.suspicious', { reasons: entry.flags.map(f => f.reason).join(' ') })) : '';
+        const simulated = isSimulated(entry);
+        const simulatedText = escapeHtml(t('board.simulated'));
         return `
-            <tr class="border-b border-slate-100 last:border-b-0 hover:bg-slate-50">
+            <tr class="border-b border-slate-100 last:border-b-0 hover:bg-slate-50${flagged || simulated ? ' opacity-60' : ''}">
                 <td class="p-2 font-medium text-slate-500 text-center">${index + 1}</td>
-                <td class="p-2 font-semibold text-slate-800">${escapeHtml(entry.name)}</td>
-                <td class="p-2 font-mono text-right text-indigo-600">${entry.score}</td>
+                <td class="p-2 font-semibold text-slate-800">${escapeHtml(entry.name)}${flagged ? ` <span class="text-yellow-600 cursor-help" title="${suspicious}">⚠<span class="sr-only">${suspicious}</span></span>` : ''}${simulated ? ` <span class="text-sky-600 cursor-help" title="${simulatedText}">🧪<span class="sr-only">${simulatedText}</span></span>` : ''}</td>
+                <td class="p-2 font-mono text-right text-indigo-600">${formatNumber(entry.score)}</td>
                 <td class="p-2 font-mono text-right text-slate-500">${timeAgo(entry.ts)}</td>
+                <td class="p-2 text-right">${reviewable.has(entry.id) ? `<button type="button" class="text-xs text-indigo-600 hover:underline" data-review="${escapeHtml(entry.id)}" aria-label="${escapeHtml(t('board.reviewRound', { name: entry.name }))}">${t('board.review')}</button>` : ''}</td>
             </tr>
         `;
     }).join('');
@@ -31,8 +106,222 @@ function renderScoreboard(mode) {
     tbody.innerHTML = rowsHtml;
 }
 
+/**
+ * Fills the review picker with every round on this device that has a
+ * timeline, newest first, grouped by mode.
+ */
+function renderReviewPicker() {
+    const select = document.getElementById('review-select');
+    const groups = getModes().map(({ id, label }) => {
+        const rounds = getRounds({ mode: id, filter: r => !!r.timeline }).sort((a, b) => b.ts - a.ts);
+        if (rounds.length === 0) return '';
+        return `<optgroup label="${escapeHtml(label)}">${rounds.map(r => `
+            <option value="${escapeHtml(r.id)}">${escapeHtml(r.name)} · ${formatNumber(r.score)} · ${escapeHtml(formatDate(r.ts))}</option>
+        `).join('')}</optgroup>`;
+    }).join('');
+    select.innerHTML = groups
+        ? `<option value="">${t('board.chooseRound')}</option>${groups}`
+        : `<option value="">${t('board.noTimelines')}</option>`;
+    select.disabled = !groups;
+}
+
+/**
+ * Opens a stored round's timeline in the review dialog.
+ * @param {string} id The round's record id.
+ */
+function openReview(id) {
+    const round = getRounds({ filter: r => r.id === id })[0];
+    if (!round?.timeline) return;
+    const mode = getMode(round.mode);
+    document.getElementById('review-title').textContent = `${mode?.label || round.mode}: ${round.name}`;
+    document.getElementById('review-details').textContent =
+        `${mode?.scoreLabel || t('board.score')} ${formatNumber(round.score)} · ${settingsLabel(roundSettingsKey(round))} · ${formatDate(round.ts)}`;
+    document.getElementById('review-dialog').showModal();
+    // Drawn once the dialog is open, so the canvas has its displayed width.
+    drawTimeline(document.getElementById('review-canvas'), round.timeline);
+}
+
+/**
+ * Fills the settings filter with every settings key among the stored rounds.
+ */
+function renderSettingsFilter() {
+    const select = document.getElementById('settings-filter');
+    const keys = new Set([DEFAULT_SETTINGS_KEY, ...getRounds().map(roundSettingsKey)]);
+    const selected = localStorage.getItem(BOARD_SETTINGS_KEY) || DEFAULT_SETTINGS_KEY;
+    keys.add(selected);
+    select.innerHTML = [...keys].sort().map(key => `
+        <option value="${escapeHtml(key)}"${key === selected ? ' selected' : ''}>${escapeHtml(settingsLabel(key))}</option>
+    `).join('');
+}
+
+/**
+ * Shows the result of an export or import.
+ * @param {string} message The summary line.
+ * @param {string[]} [errors] Problems to list below it.
+ */
+function showTransferResult(message, errors = []) {
+    const statusEl = document.getElementById('transfer-status');
+    const errorsEl = document.getElementById('transfer-errors');
+    statusEl.textContent = message;
+    statusEl.className = `mt-3 text-sm min-h-[1.25rem] ${errors.length ? 'text-red-600' : 'text-emerald-600'}`;
+    errorsEl.replaceChildren(...errors.map(text => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        return li;
+    }));
+}
+
+/**
+ * Downloads every stored round in the given format.
+ * @param {'json' | 'csv'} format
+ */
+function exportScores(format) {
+    const rounds = getRounds().filter(r => GAME_MODES.includes(r.mode)).sort((a, b) => a.ts - b.ts);
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'json') {
+        downloadFile(`togetherwe-scores-${date}.json`, toJson(rounds), 'application/json');
+    } else {
+        downloadFile(`togetherwe-scores-${date}.csv`, toCsv(rounds), 'text/csv');
+    }
+    showTransferResult(t('transfer.exported', { count: rounds.length }));
+}
+
+/**
+ * Imports the selected file, merging with or replacing the stored rounds.
+ */
+async function importScores() {
+    const file = document.getElementById('import-file').files[0];
+    if (!file) {
+        showTransferResult(t('transfer.chooseFile'), [t('transfer.noFile')]);
+        return;
+    }
+    const { rounds, errors } = parseImport(await file.text());
+    if (errors.length > 0) {
+        showTransferResult(t('transfer.nothingImported', { file: file.name }), errors);
+        return;
+    }
+
+    const replace = document.querySelector('input[name="import-mode"]:checked')?.value === 'replace';
+    if (replace) {
+        if (!confirm(t('transfer.confirmReplace', { stored: getRounds().length, count: rounds.length, file: file.name }))) return;
+        const stored = await replaceRounds(GAME_MODES, dedupeRounds(rounds));
+        showTransferResult(t('transfer.replaced', { count: stored.length, file: file.name }));
+    } else {
+        const added = await putRounds(newRoundsOnly(getRounds(), rounds));
+        const skipped = rounds.length - added.length;
+        showTransferResult(skipped
+            ? t('transfer.importedSkipped', { count: added.length, file: file.name, skipped })
+            : t('transfer.imported', { count: added.length, file: file.name }));
+    }
+    renderSettingsFilter();
+    renderReviewPicker();
+    GAME_MODES.forEach(renderScoreboard);
+}
+
+/**
+ * Updates the shared leaderboard controls to match the connected server.
+ */
+function renderLeaderboardStatus() {
+    const remote = getScoreStore('remote');
+    const statusEl = document.getElementById('leaderboard-status');
+    document.getElementById('board-source').classList.toggle('hidden', !remote);
+    document.getElementById('leaderboard-disconnect-btn').classList.toggle('hidden', !remote);
+    document.getElementById('leaderboard-connect-btn').textContent = t(remote ? 'board.change' : 'board.connect');
+    const source = remote && localStorage.getItem(BOARD_SOURCE_KEY) === 'remote' ? 'remote' : 'local';
+    document.querySelector(`input[name="board-source"][value="${source}"]`).checked = true;
+    document.getElementById('board-description').textContent = source === 'remote'
+        ? t('board.descriptionRemote', { url: remote.url })
+        : t('board.descriptionLocal');
+
+    if (!remote) {
+        statusEl.textContent = t('board.notConnected');
+        return;
+    }
+    const pending = remote.pending;
+    statusEl.textContent = pending
+        ? `${t('board.connected', { url: remote.url })} ${t('board.pending', { count: pending })}`
+        : t('board.connected', { url: remote.url });
+}
+
+/**
+ * Sends any queued rounds, then refreshes the status and boards.
+ */
+async function syncLeaderboard() {
+    const remote = getScoreStore('remote');
+    if (!remote) return;
+    try {
+        await remote.flush();
+    } catch (error) {
+        console.warn("Leaderboard sync failed:", error);
+    }
+    renderLeaderboardStatus();
+    if (selectedStore() === remote) GAME_MODES.forEach(renderScoreboard);
+}
+
 // --- Initialization ---
-document.addEventListener('DOMContentLoaded', () => {
-    renderScoreboard('laugh');
-    renderScoreboard('shake');
+document.addEventListener('DOMContentLoaded', async () => {
+    await initStorage();
+    renderBoards();
+    renderSettingsFilter();
+    renderReviewPicker();
+    renderLeaderboardStatus();
+    GAME_MODES.forEach(renderScoreboard);
+    syncLeaderboard();
+
+    const urlInput = document.getElementById('leaderboard-url');
+    urlInput.value = getScoreStore('remote')?.url || '';
+    document.getElementById('leaderboard-form').onsubmit = (event) => {
+        event.preventDefault();
+        if (!connectLeaderboard(urlInput.value)) {
+            document.getElementById('leaderboard-status').textContent = t('board.invalidUrl');
+            return;
+        }
+        localStorage.setItem(BOARD_SOURCE_KEY, 'remote');
+        renderLeaderboardStatus();
+        GAME_MODES.forEach(renderScoreboard);
+        syncLeaderboard();
+    };
+    document.getElementById('leaderboard-disconnect-btn').onclick = () => {
+        connectLeaderboard('');
+        urlInput.value = '';
+        renderLeaderboardStatus();
+        GAME_MODES.forEach(renderScoreboard);
+    };
+    document.querySelectorAll('input[name="board-source"]').forEach(input => {
+        input.onchange = () => {
+            localStorage.setItem(BOARD_SOURCE_KEY, input.value);
+            renderLeaderboardStatus();
+            GAME_MODES.forEach(renderScoreboard);
+        };
+    });
+    window.addEventListener('online', () => syncLeaderboard());
+
+    document.getElementById('boards').onclick = (event) => {
+        const button = event.target.closest('[data-review]');
+        if (button) openReview(button.dataset.review);
+    };
+    const reviewSelect = document.getElementById('review-select');
+    reviewSelect.onchange = () => {
+        if (reviewSelect.value) openReview(reviewSelect.value);
+    };
+
+    const settingsFilter = document.getElementById('settings-filter');
+    settingsFilter.onchange = () => {
+        localStorage.setItem(BOARD_SETTINGS_KEY, settingsFilter.value);
+        GAME_MODES.forEach(renderScoreboard);
+    };
+
+    const hideFlagged = document.getElementById('hide-flagged');
+    hideFlagged.checked = localStorage.getItem(HIDE_FLAGGED_KEY) === '1';
+    hideFlagged.onchange = () => {
+        localStorage.setItem(HIDE_FLAGGED_KEY, hideFlagged.checked ? '1' : '0');
+        GAME_MODES.forEach(renderScoreboard);
+    };
+
+    document.getElementById('export-json-btn').onclick = () => exportScores('json');
+    document.getElementById('export-csv-btn').onclick = () => exportScores('csv');
+    document.getElementById('import-btn').onclick = () => importScores().catch((error) => {
+        console.error(error);
+        showTransferResult(t('transfer.failed'), [error.message || String(error)]);
+    });
 });
\ No newline at end of file
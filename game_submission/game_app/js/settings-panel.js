@@ -0,0 +1,67 @@
+/**
+ * @fileoverview The "Round settings" panel on the mode pages: difficulty
+ * preset, round length and, for the Custom difficulty, every tunable value.
+ * The presets themselves live in settings.js.
+ */
+import { $ } from './core.js';
+import {
+    settingFields, roundDurations, defaultDuration, resolveSettings, settingsLabel,
+    loadSettingsChoice, saveSettingsChoice, settingsFromUrl,
+} from './settings.js';
+
+/**
+ * Wires up the settings panel.
+ * @param {string} mode
+ * @param {{onChange?: (settings: import('./settings.js').RoundSettings) => void}} [options]
+ *     `onChange` is called with the resolved settings at startup and after every change.
+ * @returns {{readonly current: import('./settings.js').RoundSettings}}
+ */
+export function initSettingsPanel(mode, { onChange } = {}) {
+    const fromUrl = settingsFromUrl(mode);
+    let choice = fromUrl || loadSettingsChoice(mode);
+    let current = resolveSettings(mode, choice);
+    const customEl = $('#settings-custom');
+
+    customEl.innerHTML = settingFields(mode).map(({ key, label, min, max, step }) => `
+        <label class="flex items-center justify-between gap-3">
+            <span>${label}</span>
+            <input data-setting="${key}" class="input w-28 text-right" type="number" min="${min}" max="${max}" step="${step}" />
+        </label>
+    `).join('');
+    $('#settings-duration').innerHTML = roundDurations(mode).map(ms => `
+        <label><input type="radio" name="settings-duration" value="${ms}" /> ${ms / 1000}s</label>
+    `).join('');
+
+    const render = () => {
+        document.querySelector(`input[name="settings-difficulty"][value="${current.difficulty}"]`).checked = true;
+        document.querySelector(`input[name="settings-duration"][value="${current.duration}"]`).checked = true;
+        customEl.classList.toggle('hidden', current.difficulty !== 'custom');
+        customEl.querySelectorAll('input[data-setting]').forEach(input => {
+            input.value = current.params[input.dataset.setting];
+        });
+        $('#settings-summary').textContent = settingsLabel(current.key);
+        onChange?.(current);
+    };
+
+    const update = () => {
+        const custom = {};
+        customEl.querySelectorAll('input[data-setting]').forEach(input => { custom[input.dataset.setting] = Number(input.value); });
+        choice = {
+            difficulty: document.querySelector('input[name="settings-difficulty"]:checked')?.value || 'normal',
+            duration: Number(document.querySelector('input[name="settings-duration"]:checked')?.value) || defaultDuration(mode),
+            custom,
+        };
+        current = resolveSettings(mode, choice);
+        saveSettingsChoice(mode, choice);
+        $('#settings-note').classList.add('hidden');
+        render();
+    };
+
+    document.querySelectorAll('#settings-panel input').forEach(input => { input.onchange = update; });
+    if (fromUrl) $('#settings-note').classList.remove('hidden');
+    render();
+
+    return {
+        get current() { return current; },
+    };
+}
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Round settings: difficulty presets, round lengths and the
+ * advanced custom values for each mode. A player's choice is kept per mode
+ * in localStorage and can be overridden with URL parameters. Every round
+ * stores the settings it was played with, and scores are only compared
+ * between rounds whose settings share a key.
+ */
+import { getMode } from './modes.js';
+import { t } from './i18n.js';
+
+const SETTINGS_KEY_PREFIX = 'roundSettings_';
+
+/** Difficulty presets and their labels. */
+export const DIFFICULTIES = Object.freeze({
+    gentle: t('settings.gentle'),
+    normal: t('settings.normal'),
+    intense: t('settings.intense'),
+    custom: t('settings.custom'),
+});
+
+/** Round lengths offered, in ms, unless a mode lists its own. */
+export const DURATIONS = Object.freeze([5000, 10000, 30000]);
+
+/** Settings key of the defaults, which every round saved before settings existed used. */
+export const DEFAULT_SETTINGS_KEY = 'normal-10s';
+
+/**
+ * The values players can tune for a mode under Custom settings.
+ * @param {string} mode
+ * @returns {import('./mode-registry.js').SettingField[]}
+ */
+export const settingFields = (mode) => getMode(mode)?.settings.fields || [];
+
+/**
+ * The round lengths offered for a mode, in ms.
+ * @param {string} mode
+ * @returns {readonly number[]}
+ */
+export const roundDurations = (mode) => getMode(mode)?.settings.durations || DURATIONS;
+
+/**
+ * The round length a mode starts with, in ms.
+ * @param {string} mode
+ * @returns {number}
+ */
+export const defaultDuration = (mode) => getMode(mode)?.settings.defaultDuration || 10000;
+
+/**
+ * @typedef {Object} SettingsChoice What the player picked.
+ * @property {keyof typeof DIFFICULTIES} difficulty
+ * @property {number} duration Round length in ms, one of `roundDurations(mode)`.
+ * @property {Object<string, number>} [custom] Values used with the Custom difficulty.
+ */
+
+/**
+ * @typedef {Object} RoundSettings The settings a round is played with.
+ * @property {string} key Rounds with the same key are comparable, e.g. `normal-10s`.
+ * @property {keyof typeof DIFFICULTIES} difficulty
+ * @property {number} duration Round length in ms.
+ * @property {Object<string, number>} params Every value in `settingFields(mode)`.
+ */
+
+/**
+ * The Normal values for a mode.
+ * @param {string} mode
+ * @returns {Object<string, number>}
+ */
+const normalParams = (mode) => Object.fromEntries(settingFields(mode).map(f => [f.key, f.normal]));
+
+/**
+ * Short, stable hash of custom values, so equal custom settings share a key.
+ * @param {Object<string, number>} params
+ * @returns {string}
+ */
+function hashParams(params) {
+    const text = Object.keys(params).sort().map(k => `${k}=${params[k]}`).join('&');
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+    return hash.toString(36).slice(0, 6);
+}
+
+/**
+ * Turns a choice into the full settings for a round. Unknown difficulties
+ * and lengths fall back to Normal and the mode's default length; custom
+ * values are clamped to their field's range.
+ * @param {string} mode
+ * @param {Partial<SettingsChoice>} [choice]
+ * @returns {RoundSettings}
+ */
+export function resolveSettings(mode, { difficulty = 'normal', duration = defaultDuration(mode), custom = {} } = {}) {
+    const level = Object.hasOwn(DIFFICULTIES, difficulty) ? difficulty : 'normal';
+    const length = roundDurations(mode).includes(duration) ? duration : defaultDuration(mode);
+    const params = normalParams(mode);
+    if (level === 'custom') {
+        settingFields(mode).forEach(({ key, min, max }) => {
+            const value = Number(custom?.[key]);
+            if (Number.isFinite(value)) params[key] = Math.max(min, Math.min(max, value));
+        });
+    } else {
+        Object.assign(params, getMode(mode)?.settings.presets[level]);
+    }
+    const seconds = `${length / 1000}s`;
+    const key = level === 'custom' ? `custom-${seconds}-${hashParams(params)}` : `${level}-${seconds}`;
+    return { key, difficulty: level, duration: length, params };
+}
+
+/**
+ * The settings key a stored round was played with.
+ * @param {{settings?: {key?: string}}} round
+ * @returns {string}
+ */
+export const roundSettingsKey = (round) => round?.settings?.key || DEFAULT_SETTINGS_KEY;
+
+/**
+ * The settings key a mode's scoreboard shows when the filter is set to `key`.
+ * A mode that doesn't offer the key's round length shows the same difficulty
+ * at its default length instead.
+ * @param {string} mode
+ * @param {string} key
+ * @returns {string}
+ */
+export function boardSettingsKey(mode, key) {
+    const [difficulty, seconds] = key.split('-');
+    if (roundDurations(mode).includes(parseFloat(seconds) * 1000)) return key;
+    return `${difficulty === 'custom' ? 'normal' : difficulty}-${defaultDuration(mode) / 1000}s`;
+}
+
+/**
+ * A short description of a settings key, e.g. "Normal · 10s".
+ * @param {string} key
+ * @returns {string}
+ */
+export function settingsLabel(key) {
+    const [difficulty, seconds, hash] = String(key || DEFAULT_SETTINGS_KEY).split('-');
+    const label = `${DIFFICULTIES[difficulty] || difficulty} · ${seconds || ''}`;
+    return hash ? `${label} (${hash})` : label;
+}
+
+/**
+ * Loads the player's saved choice for a mode.
+ * @param {string} mode
+ * @returns {SettingsChoice}
+ */
+export function loadSettingsChoice(mode) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY_PREFIX + mode) || "null");
+        if (saved && typeof saved === 'object') return { difficulty: 'normal', duration: defaultDuration(mode), custom: {}, ...saved };
+    } catch (e) {
+        console.error(`Ignoring unreadable ${mode} settings:`, e);
+    }
+    return { difficulty: 'normal', duration: defaultDuration(mode), custom: {} };
+}
+
+/**
+ * Saves the player's choice for a mode.
+ * @param {string} mode
+ * @param {SettingsChoice} choice
+ */
+export function saveSettingsChoice(mode, choice) {
+    localStorage.setItem(SETTINGS_KEY_PREFIX + mode, JSON.stringify(choice));
+}
+
+/**
+ * Reads settings from URL parameters: `difficulty` (gentle, normal, intense
+ * or custom), `duration` in seconds (one of `roundDurations(mode)`), and any
+ * field key from `settingFields(mode)` (e.g. `streakThreshold=0.5`), which
+ * implies custom.
+ * @param {string} mode
+ * @param {string} [search] The query string.
+ * @returns {SettingsChoice | null} The choice, or null if the URL sets nothing.
+ */
+export function settingsFromUrl(mode, search = location.search) {
+    const query = new URLSearchParams(search);
+    const custom = {};
+    settingFields(mode).forEach(({ key }) => {
+        if (query.has(key)) custom[key] = Number(query.get(key));
+    });
+    const hasCustom = Object.keys(custom).length > 0;
+    if (!query.has('difficulty') && !query.has('duration') && !hasCustom) return null;
+    const saved = loadSettingsChoice(mode);
+    return {
+        difficulty: hasCustom ? 'custom' : (query.get('difficulty') || saved.difficulty),
+        duration: query.has('duration') ? Number(query.get('duration')) * 1000 : saved.duration,
+        custom: hasCustom ? { ...normalParams(mode), ...custom } : saved.custom,
+    };
+}
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview ShakeRank scoring engine for Shake mode.
+ * Pure functions with no DOM dependencies: feed it timestamped motion
+ * samples (as captured from `devicemotion` events) and it integrates
+ * acceleration and rotation energy into a score. Devices without linear
+ * acceleration go through the gravity estimator in gravity.js. Also defines
+ * the JSON recording format used to save and replay rounds.
+ */
+import { createGravityEstimator } from './gravity.js';
+
+export const SHAKE_RECORDING_FORMAT = 'togetherwe-shake-recording';
+export const SHAKE_RECORDING_VERSION = 1;
+
+/**
+ * Default scoring parameters.
+ *  - accWeight / rotWeight: ShakeRank points per unit of integrated energy.
+ *  - defaultDt: step (s) used for the first sample and for rejected gaps.
+ *  - maxDt: gaps longer than this (s), or non-positive ones, use defaultDt.
+ *  - gravity: options for the gravity estimator (see gravity.js).
+ */
+export const SHAKE_SCORING_DEFAULTS = Object.freeze({
+    accWeight: 6,
+    rotWeight: 2,
+    defaultDt: 0.016,
+    maxDt: 0.25,
+    gravity: {},
+});
+
+/**
+ * @typedef {Object} MotionSample
+ * @property {number} t Event timestamp in milliseconds.
+ * @property {{x: number, y: number, z: number} | null} acceleration Linear acceleration (m/s²).
+ * @property {{x: number, y: number, z: number} | null} accelerationIncludingGravity Raw acceleration (m/s²).
+ * @property {{alpha: number, beta: number, gamma: number} | null} rotationRate Rotation rate (°/s).
+ */
+
+/**
+ * @typedef {Object} ShakeScore
+ * @property {number} score The rounded ShakeRank.
+ * @property {{accEnergy: number, rotEnergy: number, samples: number, accSource: import('./gravity.js').AccelerationSource}} components
+ *     Integrated acceleration energy (m²/s³), rotation energy (rad²/s),
+ *     sample count and where the acceleration came from.
+ */
+
+/**
+ * Copies the fields of a `devicemotion` event into a plain sample.
+ * @param {DeviceMotionEvent} event
+ * @param {number} [t] Timestamp override in milliseconds.
+ * @returns {MotionSample}
+ */
+export function sampleFromEvent(event, t = event.timeStamp || performance.now()) {
+    const xyz = (v) => (v && v.x !== null && v.x !== undefined ? { x: v.x, y: v.y, z: v.z } : null);
+    const rot = event.rotationRate;
+    return {
+        t,
+        acceleration: xyz(event.acceleration),
+        accelerationIncludingGravity: xyz(event.accelerationIncludingGravity),
+        rotationRate: rot ? { alpha: rot.alpha || 0, beta: rot.beta || 0, gamma: rot.gamma || 0 } : null,
+    };
+}
+
+/**
+ * Creates an incremental ShakeRank scorer for one round.
+ * @param {Partial<typeof SHAKE_SCORING_DEFAULTS>} [options] Parameter overrides.
+ * @returns {{
+ *   push: (sample: MotionSample) => {acceleration: number, rotation: number, dt: number, source: import('./gravity.js').AccelerationSource},
+ *   result: () => ShakeScore,
+ * }} `push` returns the sample's acceleration (m/s²), rotation (°/s), the dt (s) used and the acceleration source.
+ */
+export function createShakeScorer(options = {}) {
+    const params = { ...SHAKE_SCORING_DEFAULTS, ...options };
+    const gravity = createGravityEstimator(params.gravity);
+    let accSource = 'none';
+    let lastTimestamp = 0;
+    let accEnergy = 0;
+    let rotEnergy = 0;
+    let sampleCount = 0;
+
+    return {
+        push(sample) {
+            let dt = lastTimestamp ? (sample.t - lastTimestamp) / 1000 : params.defaultDt;
+            if (dt <= 0 || dt > params.maxDt) dt = params.defaultDt;
+            lastTimestamp = sample.t;
+
+            let linear = { x: 0, y: 0, z: 0 };
+            let source = 'none';
+            if (sample.acceleration) {
+                linear = sample.acceleration;
+                source = 'linear';
+            } else if (sample.accelerationIncludingGravity) {
+                ({ linear, source } = gravity.update(sample.accelerationIncludingGravity, sample.rotationRate, dt));
+            }
+            if (source !== 'none') accSource = source;
+            const acceleration = Math.hypot(linear.x || 0, linear.y || 0, linear.z || 0);
+
+            const r = sample.rotationRate || { alpha: 0, beta: 0, gamma: 0 };
+            const rotation = Math.hypot(r.alpha || 0, r.beta || 0, r.gamma || 0);
+            const rotRad = rotation * (Math.PI / 180);
+
+            accEnergy += (acceleration * acceleration) * dt;
+            rotEnergy += (rotRad * rotRad) * dt;
+            sampleCount++;
+            return { acceleration, rotation, dt, source };
+        },
+        result() {
+            return {
+                score: Math.round(params.accWeight * accEnergy + params.rotWeight * rotEnergy),
+                components: { accEnergy, rotEnergy, samples: sampleCount, accSource },
+            };
+        },
+    };
+}
+
+/**
+ * Scores a complete sequence of samples.
+ * @param {MotionSample[]} samples
+ * @param {Partial<typeof SHAKE_SCORING_DEFAULTS>} [options]
+ * @returns {ShakeScore}
+ */
+export function scoreShakeSamples(samples, options = {}) {
+    const scorer = createShakeScorer(options);
+    samples.forEach(sample => scorer.push(sample));
+    return scorer.result();
+}
+
+/**
+ * Packages a round's raw motion samples as a recording that can be saved as JSON.
+ * @param {{samples: MotionSample[], duration: number, options?: Object, score?: number}} round
+ * @returns {Object} The recording document.
+ */
+export function createShakeRecording({ samples, duration, options = {}, score }) {
+    return {
+        format: SHAKE_RECORDING_FORMAT,
+        version: SHAKE_RECORDING_VERSION,
+        recordedAt: new Date().toISOString(),
+        duration,
+        options,
+        score,
+        samples,
+    };
+}
+
+/**
+ * Replays a recording through the engine.
+ * @param {Object} recording A document from `createShakeRecording`.
+ * @param {Partial<typeof SHAKE_SCORING_DEFAULTS>} [options] Overrides applied
+ *     on top of the recording's own options.
+ * @returns {ShakeScore}
+ * @throws {Error} If the document is not a valid shake recording.
+ */
+export function replayShakeRecording(recording, options = {}) {
+    if (!recording || recording.format !== SHAKE_RECORDING_FORMAT) throw new Error("Not a Shake mode recording.");
+    if (recording.version > SHAKE_RECORDING_VERSION) throw new Error(`Unsupported recording version ${recording.version}.`);
+    if (!Array.isArray(recording.samples)) throw new Error("Recording has no samples.");
+    return scoreShakeSamples(recording.samples, { ...recording.options, ...options });
+}
@@ -1,199 +1,188 @@
 /**
  * @fileoverview Main logic for the Shake Mode.
- * Handles device motion events, permission requests, and scoring.
+ * Handles device motion events, permission requests, and scoring. Players
+ * can tap a pad instead of shaking (see tap-input.js).
  */
 import * as core from './core.js';
 import * as ui from './ui.js';
+import { createShakeScorer, createShakeRecording, replayShakeRecording } from './shake-scoring.js';
+import { ensureMotionPermission, motionPermissionStatus, listenForMotion, accelerationSourceLabel } from './motion.js';
+import { initGamePage } from './game-page.js';
+import { checkShakeRound } from './anticheat.js';
+import { createTimelineRecorder } from './timeline.js';
+import { startTapMotion } from './tap-input.js';
+import { t, formatNumber } from './i18n.js';
+
+const SHAKE_INPUT_KEY = 'shakeInput';
+
+/** The values shown in the post-round timeline. */
+const TIMELINE_CHANNELS = [
+    { key: 'acc', label: t('shake.channel.acc'), unit: 'm/s²', decimals: 2 },
+    { key: 'rot', label: t('shake.channel.rot'), unit: '°/s', decimals: 1 },
+    { key: 'shake', label: "ShakeRank" },
+];
 
 // --- State Variables ---
 let isRoundRunning = false;
 let motionDataAvailable = false;
-let lastTimestamp = 0;
-let integratedAccEnergy = 0;
-let integratedRotEnergy = 0;
+let scorer = createShakeScorer();
+let samples = [];
+let lastRecording = null;
 let liveAcceleration = 0;
 let liveRotation = 0;
-let gameLoopId = 0;
+let stopMotion = null;
+let accelerationSource = 'none';
+// Current round
+let input = 'motion';
+let scoringOptions = {};
+let meterScales = {};
+let rankMeterFull = 500;
+let roundStart = 0;
+let timeline = null;
+
+/** @returns {'motion' | 'tap'} The input picked on the page. */
+const selectedInput = () => document.querySelector('input[name="shake-input"]:checked')?.value === 'tap' ? 'tap' : 'motion';
 
 /**
- * The event handler for `devicemotion` events.
- * @param {DeviceMotionEvent} event
+ * Handles each motion sample during a round.
+ * @param {import('./shake-scoring.js').MotionSample} sample
  */
-function onDeviceMotion(event) {
+function onMotionSample(sample) {
     if (!motionDataAvailable) motionDataAvailable = true;
 
-    const now = event.timeStamp || performance.now();
-    let dt = lastTimestamp ? (now - lastTimestamp) / 1000 : 0.016;
-    if (dt <= 0 || dt > 0.25) dt = 0.016; // Clamp dt to a reasonable range
-    lastTimestamp = now;
-
-    // --- Linear Acceleration Magnitude ---
-    const acc = event.acceleration;
-    const accG = event.accelerationIncludingGravity;
-    let ax = 0, ay = 0, az = 0;
-    if (acc && acc.x !== null) {
-        ax = acc.x; ay = acc.y; az = acc.z;
-    } else if (accG && accG.x !== null) {
-        // Fallback for browsers that don't provide linear acceleration
-        // This is a rough approximation and not very accurate.
-        ax = accG.x; ay = accG.y; az = accG.z - 9.81;
+    // Keep the raw sample for the recorder, then integrate it into the score.
+    samples.push(sample);
+    const { acceleration, rotation, source } = scorer.push(sample);
+    liveAcceleration = acceleration;
+    liveRotation = rotation;
+
+    if (input === 'motion' && source !== accelerationSource) {
+        accelerationSource = source;
+        const label = accelerationSourceLabel(source);
+        ui.logDebug(`Acceleration source: ${label}`);
+        ui.displayOriginStatus(core.isSecureContext(), motionPermissionStatus(), t('origin.accel', { source: label }));
     }
-    liveAcceleration = Math.hypot(ax, ay, az);
-
-    // --- Rotation Rate Magnitude ---
-    const rot = event.rotationRate || { alpha: 0, beta: 0, gamma: 0 };
-    liveRotation = Math.hypot(rot.alpha || 0, rot.beta || 0, rot.gamma || 0);
-    const rotRad = liveRotation * (Math.PI / 180);
-
-    // --- Integrate Energies ---
-    integratedAccEnergy += (liveAcceleration * liveAcceleration) * dt;
-    integratedRotEnergy += (rotRad * rotRad) * dt;
 }
 
 /**
- * Cleans up motion event listeners and game loops.
+ * Cleans up motion event listeners.
  */
 function cleanupMotion() {
     isRoundRunning = false;
-    window.removeEventListener('devicemotion', onDeviceMotion);
-    if (gameLoopId) clearTimeout(gameLoopId);
+    if (stopMotion) stopMotion();
+    stopMotion = null;
+    document.querySelectorAll('input[name="shake-input"]').forEach(radio => { radio.disabled = false; });
 }
 
 /**
- * Main function to start and run a 10-second shake round.
- * @param {string} playerName The current player's name.
+ * Shake mode for the shared game page (see game-page.js).
+ * @type {import('./game-page.js').GameMode}
  */
-async function startShakeRound(playerName) {
-    cleanupMotion();
-
-    // --- iOS Permission Request ---
-    if (typeof DeviceMotionEvent !== 'undefined' && typeof DeviceMotionEvent.requestPermission === 'function') {
-        ui.setStatus("Requesting motion access...", "warn");
-        try {
-            const permissionState = await DeviceMotionEvent.requestPermission();
-            ui.displayOriginStatus(core.isSecureContext(), permissionState);
-            if (permissionState !== 'granted') {
-                throw new Error("Motion access was not granted.");
-            }
-        } catch (error) {
-            console.error(error);
-            throw new Error("Could not get motion permission.");
-        }
-    } else {
-        ui.displayOriginStatus(core.isSecureContext(), 'not required');
-    }
-
-    // --- Reset State & Start ---
-    isRoundRunning = true;
-    motionDataAvailable = false;
-    lastTimestamp = 0;
-    integratedAccEnergy = 0;
-    integratedRotEnergy = 0;
-    liveAcceleration = 0;
-    liveRotation = 0;
-    
-    window.addEventListener('devicemotion', onDeviceMotion, { passive: true });
-
-    // Check for sensor data after a short delay
-    setTimeout(() => {
-        if (!motionDataAvailable && isRoundRunning) {
-            ui.setStatus("No motion data detected. (Try on a mobile device).", "warn");
+const shakeMode = {
+    id: 'shake',
+    simulationHint: t('shake.simulationHint'),
+    startError: t('shake.startError'),
+    goMessage: (seconds) => t(input === 'tap' ? 'shake.goTap' : 'shake.go', { seconds }),
+    tickInterval: () => 1000 / 60, // ~60 FPS meters
+    permission: () => (selectedInput() === 'tap' ? Promise.resolve() : ensureMotionPermission()),
+
+    start(settings) {
+        isRoundRunning = true;
+        motionDataAvailable = false;
+        input = selectedInput();
+        const { accWeight, rotWeight } = settings.params;
+        meterScales = settings.params;
+        rankMeterFull = settings.params.rankMeterMax * settings.duration / 10000;
+        scoringOptions = { accWeight, rotWeight };
+        scorer = createShakeScorer(scoringOptions);
+        samples = [];
+        accelerationSource = 'none';
+        liveAcceleration = 0;
+        liveRotation = 0;
+        roundStart = performance.now();
+        timeline = createTimelineRecorder(TIMELINE_CHANNELS, shakeMode.tickInterval());
+
+        document.querySelectorAll('input[name="shake-input"]').forEach(radio => { radio.disabled = true; });
+        if (input === 'tap') {
+            const pad = core.$('#tap-pad');
+            stopMotion = startTapMotion(pad, onMotionSample);
+            pad.focus(); // Keyboard players can press Space right away
+            return;
         }
-    }, 2000);
-
-    ui.setStatus("Go! Shake your device for 10 seconds!", "ok");
+        stopMotion = listenForMotion(onMotionSample);
 
-    const ROUND_DURATION = 10000;
-    const FRAME_INTERVAL = 1000 / 60; // ~60 FPS
-    let elapsedTime = 0;
-    
-    const gameLoop = () => {
-        if (!isRoundRunning) return;
+        // Check for sensor data after a short delay
+        setTimeout(() => {
+            if (!motionDataAvailable && isRoundRunning) {
+                ui.setStatus(t('motion.noData'), "warn");
+            }
+        }, 2000);
+    },
 
+    tick() {
         // Update live meters
-        ui.updateMeter('acc', core.clamp(liveAcceleration * 6, 0, 100), `${liveAcceleration.toFixed(2)} m/s²`);
-        ui.updateMeter('rot', core.clamp(liveRotation * 0.4, 0, 100), `${liveRotation.toFixed(1)} °/s`);
+        ui.updateMeter('acc', core.clamp(liveAcceleration * meterScales.accMeterScale, 0, 100), `${formatNumber(liveAcceleration, { decimals: 2 })} m/s²`);
+        ui.updateMeter('rot', core.clamp(liveRotation * meterScales.rotMeterScale, 0, 100), `${formatNumber(liveRotation, { decimals: 1 })} °/s`);
 
         // Calculate and update ShakeRank
-        const shakeRank = Math.round(6 * integratedAccEnergy + 2 * integratedRotEnergy);
-        ui.updateMeter('shake', core.clamp(shakeRank / 5, 0, 100), shakeRank.toString());
-
-        elapsedTime += FRAME_INTERVAL;
-        if (elapsedTime >= ROUND_DURATION) {
-            stopRound(playerName, shakeRank);
-        } else {
-            gameLoopId = setTimeout(gameLoop, FRAME_INTERVAL);
-        }
-    };
-    gameLoop();
-    
-    const stopRound = (name, finalScore) => {
-        if (!isRoundRunning) return;
-        cleanupMotion();
-        
-        ui.setStatus("Round finished!", "ok");
-        ui.setButtonStates({ start: false, stop: false, again: true });
-        
-        const isNewBest = core.saveScore('shake', name, finalScore);
-        if (isNewBest) {
-            ui.setStatus("New personal best!", "ok");
-            ui.triggerConfetti();
-        }
-    };
-
-    core.$('#stop-btn').onclick = () => stopRound(playerName, 0);
-}
+        const shakeRank = scorer.result().score;
+        ui.updateMeter('shake', core.clamp(100 * shakeRank / rankMeterFull, 0, 100), formatNumber(shakeRank));
+        timeline.push({ acc: liveAcceleration, rot: liveRotation, shake: shakeRank });
+        return shakeRank;
+    },
+
+    score(elapsedMs) {
+        const { score, components } = scorer.result();
+        lastRecording = createShakeRecording({ samples, duration: elapsedMs, options: scoringOptions, score });
+        core.$('#recording-download-btn').disabled = false;
+        const flags = checkShakeRound(samples, performance.now() - roundStart);
+        return { score, components: { ...components, input }, flags, timeline: timeline.result() };
+    },
+
+    cleanup: cleanupMotion,
+
+    reset() {
+        ui.updateMeter('acc', 0, `${formatNumber(0, { decimals: 2 })} m/s²`);
+        ui.updateMeter('rot', 0, `${formatNumber(0, { decimals: 1 })} °/s`);
+        ui.updateMeter('shake', 0, '0');
+    },
+};
 
 /**
  * Initializes the entire Shake Mode page, setting up event listeners.
  */
 export function initShakePage() {
-    const nameInput = core.$('#name-input');
-    const saveNameBtn = core.$('#save-name-btn');
-    const nameStatus = core.$('#name-status');
-    const startBtn = core.$('#start-btn');
-
-    // Name handling
-    nameInput.value = localStorage.getItem(core.PLAYER_NAME_KEY) || '';
-    saveNameBtn.onclick = () => {
-        const name = core.sanitizeName(nameInput.value);
-        if (name) {
-            localStorage.setItem(core.PLAYER_NAME_KEY, name);
-            nameStatus.textContent = "Saved!";
-            nameStatus.className = "text-sm text-emerald-600";
-        } else {
-            nameStatus.textContent = "Invalid name";
-            nameStatus.className = "text-sm text-red-600";
-        }
+    const saved = localStorage.getItem(SHAKE_INPUT_KEY) === 'tap' ? 'tap' : 'motion';
+    const showInput = () => core.$('#tap-pad').classList.toggle('hidden', selectedInput() !== 'tap');
+    document.querySelectorAll('input[name="shake-input"]').forEach(radio => {
+        radio.checked = radio.value === saved;
+        radio.onchange = () => {
+            localStorage.setItem(SHAKE_INPUT_KEY, selectedInput());
+            showInput();
+        };
+    });
+    showInput();
+
+    initGamePage(shakeMode);
+
+    // Recording tools (debug panel): save the last round, or re-score a saved one.
+    core.$('#recording-download-btn').onclick = () => {
+        if (!lastRecording) return;
+        const stamp = lastRecording.recordedAt.replace(/[:.]/g, '-');
+        ui.downloadFile(`shake-recording-${stamp}.json`, JSON.stringify(lastRecording), 'application/json');
     };
-
-    // Game controls
-    startBtn.onclick = async () => {
-        const playerName = core.sanitizeName(nameInput.value);
-        if (!playerName) {
-            nameStatus.textContent = "Please save a valid name first.";
-            nameStatus.className = "text-sm text-red-600";
-            return;
-        }
-        
-        ui.setButtonStates({ start: false, stop: true, again: false });
+    core.$('#recording-replay-input').onchange = async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
         try {
-            await startShakeRound(playerName);
+            const recording = JSON.parse(await file.text());
+            const { score, components } = replayShakeRecording(recording);
+            ui.logDebug(`Replayed ${file.name}: ShakeRank ${score} (recorded ${recording.score ?? 'n/a'}) ${JSON.stringify(components)}`);
+            checkShakeRound(recording.samples, recording.duration)
+                .forEach(flag => ui.logDebug(`Flagged (${flag.code}): ${flag.reason}`));
         } catch (error) {
-            console.error(error);
-            ui.setStatus(error.message || "Could not start motion sensors.", "bad");
-            ui.setButtonStates({ start: true, stop: false, again: false });
-            cleanupMotion();
+            ui.logDebug(`Could not replay ${file.name}: ${error.message}`);
         }
+        event.target.value = '';
     };
-
-    core.$('#again-btn').onclick = () => {
-        ui.setStatus("Ready.");
-        ui.setButtonStates({ start: true, stop: false, again: false });
-        ui.updateMeter('acc', 0, '0.00 m/s²');
-        ui.updateMeter('rot', 0, '0.0 °/s');
-        ui.updateMeter('shake', 0, '0');
-    };
-
-    ui.displayOriginStatus(core.isSecureContext());
 }
\ No newline at end of file
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Shareable result cards: a square PNG of a finished round
+ * (mode, player, score, key components from the mode's `card` and a
+ * wellbeing message), drawn on a canvas with the logo. Shared through the
+ * Web Share API where it can share files, downloaded otherwise.
+ */
+import { sanitizeName } from './core.js';
+import { getMode, ACCENT_COLORS } from './modes.js';
+import { downloadFile } from './ui.js';
+import { t, formatNumber } from './i18n.js';
+
+const CARD_SIZE = 1080;
+const LOGO_URL = './assets/logo.svg';
+const FONT = "system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif";
+
+/**
+ * @typedef {Object} CardRound
+ * @property {string} mode The mode id.
+ * @property {string} name The player's name.
+ * @property {number} score
+ * @property {Object | null} components The round's scoring components.
+ * @property {boolean} [isNewBest]
+ */
+
+/**
+ * Loads an image, resolving to null if it can't be loaded.
+ * @param {string} src
+ * @returns {Promise<HTMLImageElement | null>}
+ */
+function loadImage(src) {
+    return new Promise((resolve) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => resolve(null);
+        image.src = src;
+    });
+}
+
+/**
+ * Splits text into lines that fit a width in the context's current font.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} text
+ * @param {number} maxWidth
+ * @returns {string[]}
+ */
+function wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    text.split(/\s+/).forEach(word => {
+        const next = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(next).width > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = next;
+        }
+    });
+    if (line) lines.push(line);
+    return lines;
+}
+
+/**
+ * Draws the result card for a round.
+ * @param {HTMLCanvasElement} canvas Resized to the card's size.
+ * @param {CardRound} round
+ * @returns {Promise<void>} Resolves once the logo has loaded and the card is drawn.
+ */
+export async function drawResultCard(canvas, { mode, name, score, components, isNewBest = false }) {
+    const info = getMode(mode);
+    const accent = ACCENT_COLORS[info.accent] || ACCENT_COLORS.indigo;
+    const player = sanitizeName(name) || t('card.anonymousPlayer');
+    const stats = info.card.stats(components || {}).slice(0, 3);
+    const messages = info.card.messages;
+    const message = messages[Math.floor(Math.random() * messages.length)];
+    const logo = await loadImage(LOGO_URL);
+
+    canvas.width = CARD_SIZE;
+    canvas.height = CARD_SIZE;
+    const ctx = canvas.getContext('2d');
+    const center = CARD_SIZE / 2;
+
+    // Background: white fading to light grey, with the mode's accent along the top.
+    const background = ctx.createLinearGradient(0, 0, 0, CARD_SIZE);
+    background.addColorStop(0, '#ffffff');
+    background.addColorStop(1, '#f1f5f9');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, CARD_SIZE, CARD_SIZE);
+    ctx.fillStyle = accent;
+    ctx.fillRect(0, 0, CARD_SIZE, 16);
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+    if (logo) ctx.drawImage(logo, center - 200, 60, 400, 120);
+
+    ctx.fillStyle = accent;
+    ctx.font = `bold 44px ${FONT}`;
+    ctx.fillText(t('card.modeTitle', { mode: info.label }).toUpperCase(), center, 260);
+
+    ctx.fillStyle = '#1e293b';
+    ctx.font = `600 60px ${FONT}`;
+    ctx.fillText(player, center, 350);
+
+    ctx.fillStyle = accent;
+    ctx.font = `bold 240px ${FONT}`;
+    ctx.fillText(formatNumber(score), center, 600);
+    ctx.fillStyle = '#64748b';
+    ctx.font = `500 44px ${FONT}`;
+    ctx.fillText(isNewBest ? `${info.scoreLabel} · ${t('game.newBest')}` : info.scoreLabel, center, 670);
+
+    // Key components, side by side.
+    const boxWidth = 300;
+    const gap = 30;
+    const left = center - (stats.length * boxWidth + (stats.length - 1) * gap) / 2;
+    stats.forEach(([label, value], i) => {
+        const x = left + i * (boxWidth + gap);
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = '#e2e8f0';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        if (ctx.roundRect) ctx.roundRect(x, 730, boxWidth, 150, 24);
+        else ctx.rect(x, 730, boxWidth, 150);
+        ctx.fill();
+        ctx.stroke();
+        ctx.fillStyle = '#1e293b';
+        ctx.font = `bold 52px ${FONT}`;
+        ctx.fillText(value, x + boxWidth / 2, 800, boxWidth - 30);
+        ctx.fillStyle = '#64748b';
+        ctx.font = `32px ${FONT}`;
+        ctx.fillText(label, x + boxWidth / 2, 850, boxWidth - 30);
+    });
+
+    ctx.fillStyle = '#334155';
+    ctx.font = `italic 38px ${FONT}`;
+    wrapText(ctx, message, CARD_SIZE - 160).slice(0, 2)
+        .forEach((line, i) => ctx.fillText(line, center, 960 + i * 48));
+}
+
+/**
+ * @typedef {Object} ResultCard
+ * @property {File} file The card as a PNG.
+ * @property {string} title
+ * @property {string} text A line to share with the image.
+ */
+
+/**
+ * Draws a round's card as a PNG file.
+ * @param {CardRound} round
+ * @returns {Promise<ResultCard>}
+ */
+export async function createResultCard(round) {
+    const info = getMode(round.mode);
+    const canvas = document.createElement('canvas');
+    await drawResultCard(canvas, round);
+    const blob = await new Promise((resolve, reject) => {
+        canvas.toBlob(b => (b ? resolve(b) : reject(new Error("Could not create the image."))), 'image/png');
+    });
+    const player = sanitizeName(round.name);
+    const params = { player, score: round.score, scoreLabel: info.scoreLabel, mode: info.label };
+    return {
+        file: new File([blob], `togetherwe-${round.mode}-${round.score}.png`, { type: 'image/png' }),
+        title: `TogetherWe ${info.label}`,
+        text: player ? t('card.shareText', params) : t('card.shareTextAnonymous', params),
+    };
+}
+
+/**
+ * Shares a card through the Web Share API, or downloads it when the browser
+ * can't share files. Browsers only share from a tap, so create the card
+ * beforehand and call this straight from the click handler.
+ * @param {ResultCard} card
+ * @returns {Promise<'shared' | 'downloaded' | 'cancelled'>}
+ */
+export async function shareResultCard({ file, title, text }) {
+    if (navigator.canShare?.({ files: [file] })) {
+        try {
+            await navigator.share({ files: [file], title, text });
+            return 'shared';
+        } catch (error) {
+            if (error.name === 'AbortError') return 'cancelled';
+            console.warn("Sharing failed, downloading instead:", error);
+        }
+    }
+    downloadFile(file.name, file, file.type);
+    return 'downloaded';
+}
@@ -0,0 +1,301 @@
+/**
+ * @fileoverview Developer simulation mode: stands in for the microphone and
+ * motion sensors so every game can run on a laptop.
+ *
+ * Enable with `?sim=1` in the URL, or toggle it with Alt+Shift+S (remembered
+ * in localStorage). Options:
+ *  - `?simAudio=<url>` loops a recorded audio file into the microphone
+ *    instead of the built-in synthetic laughter, breathing or humming.
+ *  - `?simMotion=script` plays a scripted shake pattern in Shake mode instead
+ *    of the keyboard/mouse generator.
+ */
+import { t } from './i18n.js';
+
+const SIM_MODE_KEY = 'simMode';
+const MOTION_INTERVAL = 1000 / 60;
+
+const params = () => new URLSearchParams(location.search);
+
+/**
+ * Whether simulation mode is on for this page.
+ * @returns {boolean}
+ */
+export function isSimulationEnabled() {
+    const flag = params().get('sim');
+    if (flag !== null) return flag !== '0';
+    return localStorage.getItem(SIM_MODE_KEY) === '1';
+}
+
+/**
+ * Installs the hidden Alt+Shift+S toggle and, when simulation is on, a banner
+ * explaining the controls.
+ * @param {string} hint Mode-specific instructions for the banner.
+ */
+export function initSimulationToggle(hint) {
+    window.addEventListener('keydown', (event) => {
+        if (event.altKey && event.shiftKey && event.code === 'KeyS') {
+            const enabled = !isSimulationEnabled();
+            localStorage.setItem(SIM_MODE_KEY, enabled ? '1' : '0');
+            const url = new URL(location.href);
+            url.searchParams.delete('sim');
+            location.replace(url);
+        }
+    });
+
+    if (!isSimulationEnabled()) return;
+    const banner = document.createElement('div');
+    banner.setAttribute('role', 'note');
+    banner.className = 'bg-yellow-100 text-yellow-900 text-sm text-center p-2';
+    banner.textContent = t('simulation.banner', { hint });
+    document.body.prepend(banner);
+}
+
+// --- Simulated microphone ---
+
+/**
+ * Builds a synthetic "ha-ha-ha" signal: voiced bursts at ~5 Hz with a falling
+ * pitch, separated by short pauses, with light background noise.
+ * @param {BaseAudioContext} context
+ * @param {number} seconds Length of the loop.
+ * @returns {AudioBuffer}
+ */
+function synthesizeLaughter(context, seconds = 4) {
+    const rate = context.sampleRate;
+    const buffer = context.createBuffer(1, Math.floor(rate * seconds), rate);
+    const data = buffer.getChannelData(0);
+    let phase = 0;
+    for (let i = 0; i < data.length; i++) {
+        const t = i / rate;
+        const bout = t % 2;                       // 1.4s of laughing, 0.6s pause
+        const syllable = (bout * 5) % 1;          // ~5 syllables per second
+        const envelope = bout < 1.4 ? Math.sin(Math.PI * Math.min(1, syllable / 0.6)) ** 2 * (syllable < 0.6 ? 1 : 0) : 0;
+        const pitch = 320 - 60 * (bout / 1.4);    // falling pitch through a bout
+        phase += (2 * Math.PI * pitch) / rate;
+        const voiced = Math.sin(phase) + 0.5 * Math.sin(2 * phase) + 0.25 * Math.sin(3 * phase);
+        const breath = (Math.random() * 2 - 1) * 0.3;
+        data[i] = 0.25 * envelope * (voiced + breath) + 0.005 * (Math.random() * 2 - 1);
+    }
+    return buffer;
+}
+
+/**
+ * Builds a synthetic breathing signal: two breaths of breath noise, each a
+ * soft 4 s inhale and a louder exhale, one slightly shorter and one slightly
+ * longer than 10 s so the rhythm isn't machine-perfect.
+ * @param {BaseAudioContext} context
+ * @returns {AudioBuffer}
+ */
+function synthesizeBreathing(context) {
+    const rate = context.sampleRate;
+    const breaths = [{ inhale: 4, exhale: 5.6 }, { inhale: 4.2, exhale: 6.2 }];
+    const seconds = breaths.reduce((sum, b) => sum + b.inhale + b.exhale, 0);
+    const buffer = context.createBuffer(1, Math.floor(rate * seconds), rate);
+    const data = buffer.getChannelData(0);
+    let start = 0;
+    let noise = 0;
+    breaths.forEach(({ inhale, exhale }) => {
+        const end = start + inhale + exhale;
+        for (let i = Math.floor(start * rate); i < Math.min(data.length, end * rate); i++) {
+            const t = i / rate - start;
+            const envelope = t < inhale ? 0.3 * Math.sin(Math.PI * t / inhale) : Math.sin(Math.PI * (t - inhale) / exhale);
+            noise += ((Math.random() * 2 - 1) - noise) * 0.3; // Low-passed: breath is a soft hiss
+            data[i] = 0.3 * envelope * noise + 0.003 * (Math.random() * 2 - 1);
+        }
+        start = end;
+    });
+    return buffer;
+}
+
+/**
+ * Plays a synthetic hummed voice into `destination`: a triangle wave with a
+ * slight 5 Hz vibrato, starting at 220 Hz (A3), that glides to each new
+ * pitch the way a voice does.
+ * @param {BaseAudioContext} context
+ * @param {AudioNode} destination
+ * @returns {{stop: () => void, setPitch: (frequency: number) => void}}
+ */
+function startHumming(context, destination) {
+    const voice = context.createOscillator();
+    voice.type = 'triangle';
+    voice.frequency.value = 220;
+    const vibrato = context.createOscillator();
+    vibrato.frequency.value = 5;
+    const vibratoDepth = context.createGain();
+    vibratoDepth.gain.value = 1.5; // Hz
+    vibrato.connect(vibratoDepth).connect(voice.frequency);
+    const level = context.createGain();
+    level.gain.value = 0.2;
+    voice.connect(level).connect(destination);
+    voice.start();
+    vibrato.start();
+    return {
+        stop: () => {
+            voice.stop();
+            vibrato.stop();
+        },
+        setPitch: (frequency) => voice.frequency.setTargetAtTime(frequency, context.currentTime, 0.12),
+    };
+}
+
+/**
+ * Creates a MediaStream that plays a recorded file (`?simAudio=`) on a loop,
+ * or a synthetic sound, for use in place of `getUserMedia`.
+ * @param {'laughter' | 'breathing' | 'humming'} [sound] The synthetic sound to play.
+ * @returns {Promise<{stream: MediaStream, stop: () => void, setPitch?: (frequency: number) => void}>}
+ *     `setPitch` moves the synthetic humming to a new note.
+ */
+export async function createSimulatedMicrophone(sound = 'laughter') {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContext();
+    if (context.state === 'suspended') await context.resume();
+    const destination = context.createMediaStreamDestination();
+
+    let player;
+    const audioUrl = params().get('simAudio');
+    if (!audioUrl && sound === 'humming') {
+        player = startHumming(context, destination);
+    } else {
+        let buffer;
+        if (audioUrl) {
+            const response = await fetch(audioUrl);
+            if (!response.ok) throw new Error(`Could not load simulated audio (${response.status}).`);
+            buffer = await context.decodeAudioData(await response.arrayBuffer());
+        } else {
+            buffer = sound === 'breathing' ? synthesizeBreathing(context) : synthesizeLaughter(context);
+        }
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        source.connect(destination);
+        source.start();
+        player = { stop: () => source.stop() };
+    }
+
+    return {
+        stream: destination.stream,
+        stop: () => {
+            player.stop();
+            destination.stream.getTracks().forEach(track => track.stop());
+            context.close().catch(console.error);
+        },
+        setPitch: player.setPitch,
+    };
+}
+
+// --- Simulated motion ---
+
+/**
+ * Dispatches a `devicemotion` event on `window` with the given readings.
+ * @param {{x: number, y: number, z: number}} acceleration Linear acceleration (m/s²).
+ * @param {{alpha: number, beta: number, gamma: number}} rotationRate Rotation rate (°/s).
+ * @param {{x: number, y: number, z: number}} [gravity] Gravity in the device frame (m/s²); default: lying flat.
+ */
+function dispatchMotion(acceleration, rotationRate, gravity = { x: 0, y: 0, z: 9.81 }) {
+    const accelerationIncludingGravity = { x: acceleration.x + gravity.x, y: acceleration.y + gravity.y, z: acceleration.z + gravity.z };
+    const init = { acceleration, accelerationIncludingGravity, rotationRate, interval: MOTION_INTERVAL };
+    let event;
+    try {
+        event = new DeviceMotionEvent('devicemotion', init);
+    } catch {
+        // Browsers without a DeviceMotionEvent constructor get a plain event with the same fields.
+        event = new Event('devicemotion');
+        Object.entries(init).forEach(([key, value]) => Object.defineProperty(event, key, { value }));
+    }
+    window.dispatchEvent(event);
+}
+
+/**
+ * Intensity (0-1) of the scripted pattern: three bursts of increasing effort.
+ * @param {number} t Seconds since the start.
+ * @returns {number}
+ */
+const scriptedIntensity = (t) => {
+    const s = t % 10;
+    if (s < 2) return 0.4;
+    if (s < 3) return 0.05;
+    if (s < 6) return 0.7;
+    if (s < 7) return 0.05;
+    return 1;
+};
+
+/**
+ * Starts generating motion events. Holding any key or moving the mouse shakes
+ * the virtual phone; with `?simMotion=script` a fixed pattern plays instead.
+ * @returns {() => void} Stops the generator.
+ */
+export function startSimulatedMotion() {
+    const scripted = params().get('simMotion') === 'script';
+    const startTime = performance.now();
+    let effort = 0;        // What the player is doing right now (0-1)
+    let intensity = 0;     // Smoothed shaking intensity (0-1)
+    const keysDown = new Set();
+
+    const onKeyDown = (event) => {
+        if (event.altKey || event.ctrlKey || event.metaKey) return;
+        keysDown.add(event.code);
+    };
+    const onKeyUp = (event) => keysDown.delete(event.code);
+    const onMouseMove = (event) => {
+        const speed = Math.hypot(event.movementX || 0, event.movementY || 0);
+        effort = Math.max(effort, Math.min(1, speed / 60));
+    };
+    window.addEventListener('keydown', onKeyDown);
+    window.addEventListener('keyup', onKeyUp);
+    window.addEventListener('mousemove', onMouseMove);
+
+    const intervalId = setInterval(() => {
+        const t = (performance.now() - startTime) / 1000;
+        const target = scripted ? scriptedIntensity(t) : Math.max(effort, keysDown.size > 0 ? 1 : 0);
+        intensity += (target - intensity) * 0.15;
+        effort *= 0.9;
+
+        // A ~4 Hz back-and-forth shake with some jitter, scaled by intensity.
+        const swing = Math.sin(2 * Math.PI * 4 * t);
+        const jitter = () => (Math.random() * 2 - 1) * 0.15;
+        dispatchMotion(
+            { x: intensity * 18 * (swing + jitter()), y: intensity * 8 * (Math.cos(2 * Math.PI * 4 * t) + jitter()), z: intensity * 4 * jitter() },
+            { alpha: intensity * 200 * (swing + jitter()), beta: intensity * 120 * jitter(), gamma: intensity * 150 * swing },
+        );
+    }, MOTION_INTERVAL);
+
+    return () => {
+        clearInterval(intervalId);
+        window.removeEventListener('keydown', onKeyDown);
+        window.removeEventListener('keyup', onKeyUp);
+        window.removeEventListener('mousemove', onMouseMove);
+    };
+}
+
+/**
+ * Starts generating the motion of a phone resting on a breathing chest: a
+ * slow tilt of about 1.5°, following a 4 s inhale and a 6 s exhale with
+ * some variation from breath to breath.
+ * @returns {() => void} Stops the generator.
+ */
+export function startSimulatedChest() {
+    const tilt = 1.5 * Math.PI / 180;
+    let breathStart = performance.now();
+    let breath = { inhale: 4, exhale: 6 };
+
+    const intervalId = setInterval(() => {
+        let t = (performance.now() - breathStart) / 1000;
+        if (t >= breath.inhale + breath.exhale) {
+            breathStart = performance.now();
+            breath = { inhale: 4 * (0.9 + Math.random() * 0.2), exhale: 6 * (0.9 + Math.random() * 0.2) };
+            t = 0;
+        }
+        // The chest rises through the inhale and falls through the exhale.
+        const rise = t < breath.inhale
+            ? (1 - Math.cos(Math.PI * t / breath.inhale)) / 2
+            : (1 + Math.cos(Math.PI * (t - breath.inhale) / breath.exhale)) / 2;
+        const angle = tilt * rise;
+        const jitter = () => (Math.random() * 2 - 1) * 0.02;
+        dispatchMotion(
+            { x: jitter(), y: jitter(), z: jitter() },
+            { alpha: 0, beta: 0, gamma: 0 },
+            { x: 0, y: 9.81 * Math.sin(angle), z: 9.81 * Math.cos(angle) },
+        );
+    }, MOTION_INTERVAL);
+
+    return () => clearInterval(intervalId);
+}
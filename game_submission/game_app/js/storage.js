@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Versioned round storage backed by IndexedDB.
+ * Every round is one record. All records are mirrored in memory so reads stay
+ * synchronous; writes go to IndexedDB in the background. If IndexedDB is
+ * unavailable (e.g. some private browsing modes), records fall back to
+ * localStorage.
+ */
+
+const DB_NAME = 'togetherwe';
+export const DB_VERSION = 1;
+const ROUNDS_STORE = 'rounds';
+const META_STORE = 'meta';
+const FALLBACK_KEY = 'rounds_fallback';
+const LEGACY_IMPORTED_KEY = 'legacyImported';
+
+/**
+ * @typedef {Object} RoundRecord
+ * @property {string} id Unique record id.
+ * @property {string} mode The game mode (e.g. 'laugh').
+ * @property {string} name The sanitized player name.
+ * @property {number} score The final score.
+ * @property {number} ts When the round finished, in milliseconds.
+ * @property {number | null} duration Round length in milliseconds, if known.
+ * @property {Object | null} components The scoring components, if known.
+ * @property {Array<{code: string, reason: string}>} [flags] Failed plausibility checks (see anticheat.js).
+ * @property {import('./settings.js').RoundSettings} [settings] The settings the round was played with; rounds without them used the defaults.
+ * @property {import('./timeline.js').Timeline} [timeline] The round's per-tick values, for reviewing it later.
+ * @property {import('./mood.js').MoodCheckin} [mood] How the player felt before and after the round. Kept on this device only.
+ * @property {boolean} [stopped] Set when the player stopped the round early; it scores 0.
+ * @property {boolean} [simulated] Set when the round was played with simulated sensors (see simulate.js). Kept on this device only.
+ */
+
+/**
+ * Schema upgrades, keyed by the version they upgrade to. Each one runs inside
+ * the `versionchange` transaction, in order, for every version above the
+ * database's current one. Never edit a shipped migration; add a new version.
+ */
+const MIGRATIONS = {
+    1: (db) => {
+        const rounds = db.createObjectStore(ROUNDS_STORE, { keyPath: 'id' });
+        rounds.createIndex('mode', 'mode');
+        rounds.createIndex('ts', 'ts');
+        db.createObjectStore(META_STORE, { keyPath: 'key' });
+    },
+};
+
+let db = null;
+let readyPromise = null;
+let records = [];
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Opens the database, running any pending migrations.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error("IndexedDB is not available."));
+            return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (event) => {
+            for (let v = event.oldVersion + 1; v <= DB_VERSION; v++) {
+                MIGRATIONS[v](request.result, request.transaction);
+            }
+        };
+        request.onsuccess = () => {
+            const database = request.result;
+            // Let a newer version of the app (in another tab) upgrade the schema.
+            database.onversionchange = () => database.close();
+            resolve(database);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error("Database upgrade blocked by another open tab."));
+    });
+}
+
+/**
+ * Creates a unique record id.
+ * @param {number} ts The record timestamp.
+ * @returns {string}
+ */
+const createId = (ts) => `${ts.toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Checks that a stored value looks like a round record.
+ * @param {any} r
+ * @returns {boolean}
+ */
+const isValidRecord = (r) => !!r && typeof r.id === 'string' && typeof r.mode === 'string'
+    && typeof r.name === 'string' && Number.isFinite(r.score) && Number.isFinite(r.ts);
+
+/**
+ * Fills in defaults and an id for a new round.
+ * @param {Partial<RoundRecord>} round
+ * @returns {RoundRecord}
+ */
+export function createRecord(round) {
+    const ts = Number.isFinite(round.ts) ? round.ts : Date.now();
+    return {
+        duration: null,
+        components: null,
+        ...round,
+        id: round.id || createId(ts),
+        ts,
+    };
+}
+
+/**
+ * Reads the localStorage fallback records.
+ * @returns {RoundRecord[]}
+ */
+function readFallback() {
+    try {
+        return JSON.parse(localStorage.getItem(FALLBACK_KEY) || "[]").filter(isValidRecord);
+    } catch (e) {
+        console.error("Failed to read fallback rounds:", e);
+        return [];
+    }
+}
+
+/**
+ * Writes records to IndexedDB, or to the localStorage fallback.
+ * @param {RoundRecord[]} toPut Records to insert or replace.
+ * @param {string[]} [toDelete] Ids of records to remove.
+ * @returns {Promise<void>}
+ */
+async function persist(toPut, toDelete = []) {
+    if (!db) {
+        try {
+            localStorage.setItem(FALLBACK_KEY, JSON.stringify(records));
+        } catch (e) {
+            console.error("Failed to save rounds:", e);
+        }
+        return;
+    }
+    const tx = db.transaction(ROUNDS_STORE, 'readwrite');
+    const store = tx.objectStore(ROUNDS_STORE);
+    toPut.forEach(r => store.put(r));
+    toDelete.forEach(id => store.delete(id));
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Opens the store and loads all rounds into memory. On the first run, rounds
+ * returned by `importLegacy` are copied in. Safe to call more than once.
+ * @param {{importLegacy?: () => Array<Partial<RoundRecord>>}} [options]
+ * @returns {Promise<void>}
+ */
+export function initStorage({ importLegacy = () => [] } = {}) {
+    if (readyPromise) return readyPromise;
+    readyPromise = (async () => {
+        let loaded;
+        try {
+            db = await openDatabase();
+            const meta = db.transaction(META_STORE).objectStore(META_STORE);
+            const imported = await promisify(meta.get(LEGACY_IMPORTED_KEY));
+            if (!imported) {
+                const legacy = importLegacy().map(createRecord);
+                const tx = db.transaction([ROUNDS_STORE, META_STORE], 'readwrite');
+                legacy.forEach(r => tx.objectStore(ROUNDS_STORE).put(r));
+                tx.objectStore(META_STORE).put({ key: LEGACY_IMPORTED_KEY, value: Date.now(), count: legacy.length });
+                await new Promise((resolve, reject) => {
+                    tx.oncomplete = resolve;
+                    tx.onerror = () => reject(tx.error);
+                });
+            }
+            loaded = await promisify(db.transaction(ROUNDS_STORE).objectStore(ROUNDS_STORE).getAll());
+        } catch (e) {
+            console.error("IndexedDB unavailable, using localStorage fallback:", e);
+            db = null;
+            loaded = readFallback();
+            if (loaded.length === 0 && localStorage.getItem(FALLBACK_KEY) === null) {
+                loaded = importLegacy().map(createRecord);
+            }
+        }
+        // Keep anything recorded while the store was still opening.
+        const loadedIds = new Set(loaded.map(r => r.id));
+        const pending = records.filter(r => !loadedIds.has(r.id));
+        records = [...loaded.filter(isValidRecord), ...pending];
+        if (pending.length > 0 || !db) await persist(pending);
+    })();
+    return readyPromise;
+}
+
+/**
+ * Returns stored rounds, optionally filtered.
+ * @param {{mode?: string, filter?: (r: RoundRecord) => boolean}} [query]
+ * @returns {RoundRecord[]} The matching records, in insertion order.
+ */
+export function getRounds({ mode, filter } = {}) {
+    return records.filter(r => (!mode || r.mode === mode) && (!filter || filter(r)));
+}
+
+/**
+ * Adds a round. It is visible to `getRounds` immediately.
+ * @param {Partial<RoundRecord>} round
+ * @returns {{record: RoundRecord, saved: Promise<void>}} The stored record and a promise for the write.
+ */
+export function addRound(round) {
+    const record = createRecord(round);
+    records.push(record);
+    // Before initStorage() runs, the record is persisted as part of loading.
+    const saved = readyPromise ? readyPromise.then(() => persist([record])) : Promise.resolve();
+    saved.catch(e => console.error("Failed to save round:", e));
+    return { record, saved };
+}
+
+/**
+ * Adds or replaces several rounds in one transaction. Records with an id that
+ * is already stored replace the stored copy.
+ * @param {Partial<RoundRecord>[]} rounds
+ * @returns {Promise<RoundRecord[]>} The stored records.
+ */
+export async function putRounds(rounds) {
+    await readyPromise;
+    const incoming = rounds.map(createRecord);
+    const ids = new Set(incoming.map(r => r.id));
+    records = [...records.filter(r => !ids.has(r.id)), ...incoming];
+    await persist(incoming);
+    return incoming;
+}
+
+/**
+ * Replaces every stored round of the given modes with `rounds`.
+ * @param {string[]} modes The modes to clear.
+ * @param {Partial<RoundRecord>[]} rounds The new rounds.
+ * @returns {Promise<RoundRecord[]>} The stored records.
+ */
+export async function replaceRounds(modes, rounds) {
+    await readyPromise;
+    const incoming = rounds.map(createRecord);
+    const ids = new Set(incoming.map(r => r.id));
+    const removed = records.filter(r => modes.includes(r.mode) && !ids.has(r.id));
+    records = [...records.filter(r => !modes.includes(r.mode) && !ids.has(r.id)), ...incoming];
+    await persist(incoming, removed.map(r => r.id));
+    return incoming;
+}
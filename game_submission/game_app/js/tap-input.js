@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Tapping as an alternative to shaking, for players who can't
+ * shake a phone or whose device has no motion sensors. Taps on a pad (or
+ * Space/Enter while it has focus) set how hard a virtual phone shakes, and
+ * its motion samples go through the same ShakeRank integrator as real ones.
+ */
+
+/**
+ * Tap input parameters.
+ *  - fullRate: taps per second that shake the virtual phone as hard as it goes.
+ *  - window: ms of taps the rate is measured over.
+ *  - smoothing: share of the gap to the target intensity closed each sample.
+ *  - sampleInterval: ms between motion samples (~60 Hz, like most phones).
+ *  - frequency: Hz of the virtual phone's back-and-forth.
+ *  - acc / rot: peak acceleration (m/s²) and rotation rate (°/s) at full
+ *    intensity. With the default weights, tapping flat out for 10 s scores
+ *    about 500, the ShakeRank that fills the meter, like a brisk real shake.
+ */
+export const TAP_INPUT_DEFAULTS = Object.freeze({
+    fullRate: 6,
+    window: 1000,
+    smoothing: 0.15,
+    sampleInterval: 1000 / 60,
+    frequency: 4,
+    acc: { x: 3.5, y: 1.5 },
+    rot: { alpha: 120, gamma: 90 },
+});
+
+/**
+ * The shaking intensity (0-1) that taps at these times ask for.
+ * @param {number[]} taps Tap timestamps in ms.
+ * @param {number} now
+ * @param {typeof TAP_INPUT_DEFAULTS} [params]
+ * @returns {number}
+ */
+export function tapIntensity(taps, now, params = TAP_INPUT_DEFAULTS) {
+    const recent = taps.filter(t => t > now - params.window && t <= now).length;
+    return Math.min(1, recent * (1000 / params.window) / params.fullRate);
+}
+
+/**
+ * Turns taps on `pad` into motion samples for `onSample` until stopped.
+ * @param {HTMLElement} pad
+ * @param {(sample: import('./shake-scoring.js').MotionSample) => void} onSample
+ * @param {Partial<typeof TAP_INPUT_DEFAULTS>} [options]
+ * @returns {() => void} Stops listening.
+ */
+export function startTapMotion(pad, onSample, options = {}) {
+    const params = { ...TAP_INPUT_DEFAULTS, ...options };
+    const startTime = performance.now();
+    let taps = [];
+    let intensity = 0;
+
+    const tap = () => taps.push(performance.now());
+    const onPointerDown = (event) => {
+        event.preventDefault(); // No double-tap zoom or text selection
+        tap();
+    };
+    const onKeyDown = (event) => {
+        if (event.repeat || (event.key !== ' ' && event.key !== 'Enter')) return;
+        event.preventDefault(); // The pad is a button: don't click it too
+        tap();
+    };
+    pad.addEventListener('pointerdown', onPointerDown);
+    pad.addEventListener('keydown', onKeyDown);
+
+    const intervalId = setInterval(() => {
+        const now = performance.now();
+        taps = taps.filter(t => t > now - params.window);
+        intensity += (tapIntensity(taps, now, params) - intensity) * params.smoothing;
+
+        const phase = 2 * Math.PI * params.frequency * (now - startTime) / 1000;
+        const swing = Math.sin(phase);
+        const sway = Math.cos(phase);
+        onSample({
+            t: now,
+            acceleration: { x: intensity * params.acc.x * swing, y: intensity * params.acc.y * sway, z: 0 },
+            accelerationIncludingGravity: null,
+            rotationRate: { alpha: intensity * params.rot.alpha * swing, beta: 0, gamma: intensity * params.rot.gamma * sway },
+        });
+    }, params.sampleInterval);
+
+    return () => {
+        clearInterval(intervalId);
+        pad.removeEventListener('pointerdown', onPointerDown);
+        pad.removeEventListener('keydown', onKeyDown);
+    };
+}
@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Per-tick round timelines: recording a mode's live values,
+ * compressing them to store with the round, and drawing them on a canvas.
+ * A stored timeline keeps at most MAX_POINTS samples per series (peaks are
+ * kept when it is thinned), rounded to each series' decimals and
+ * delta-encoded, so a round adds a few kilobytes at most.
+ */
+import { t, formatNumber } from './i18n.js';
+
+export const TIMELINE_VERSION = 1;
+/** The most samples a stored series keeps; longer rounds are thinned. */
+const MAX_POINTS = 240;
+const SERIES_COLORS = ['#6366f1', '#0ea5e9', '#f59e0b', '#10b981'];
+
+/** How each marker kind is drawn and labelled. */
+export const MARKER_STYLES = Object.freeze({
+    bonus: { label: t('timeline.bonus'), color: '#10b981' },
+    penalty: { label: t('timeline.penalty'), color: '#ef4444' },
+});
+
+/**
+ * @typedef {Object} TimelineChannel
+ * @property {string} key The value's key in each pushed sample.
+ * @property {string} label Shown on the chart, e.g. "JoyRank". Stored with
+ *     the round, in the language it was played in.
+ * @property {string} [unit] Shown after values, e.g. "m/s²".
+ * @property {number} [decimals] Decimals kept when stored (default 0).
+ */
+
+/**
+ * @typedef {Object} Timeline A compressed timeline, as stored with a round.
+ * @property {number} v Format version.
+ * @property {number} interval Milliseconds between stored samples.
+ * @property {Array<TimelineChannel & {data: number[]}>} series Each series'
+ *     values, scaled by 10^decimals and stored as differences from the
+ *     previous value.
+ * @property {Array<{i: number, kind: string}>} markers Events by sample index; see MARKER_STYLES.
+ */
+
+/**
+ * Records a round's values one tick at a time.
+ * @param {TimelineChannel[]} channels The series to record.
+ * @param {number} interval Milliseconds between ticks.
+ * @returns {{
+ *   push: (values: Object<string, number>, markers?: string[]) => void,
+ *   result: () => Timeline | null,
+ * }} `push` records one tick and any markers on it. `result` returns the
+ *     compressed timeline, or null if nothing was recorded.
+ */
+export function createTimelineRecorder(channels, interval) {
+    const values = channels.map(() => []);
+    const markers = [];
+    return {
+        push(sample, kinds = []) {
+            channels.forEach(({ key }, c) => values[c].push(Number(sample[key]) || 0));
+            kinds.forEach(kind => markers.push({ i: values[0].length - 1, kind }));
+        },
+        result() {
+            const length = values[0]?.length || 0;
+            if (length === 0) return null;
+            const step = Math.ceil(length / MAX_POINTS);
+            const seen = new Set();
+            return {
+                v: TIMELINE_VERSION,
+                interval: interval * step,
+                series: channels.map(({ key, label, unit = '', decimals = 0 }, c) => {
+                    const scale = 10 ** decimals;
+                    const data = [];
+                    let previous = 0;
+                    for (let i = 0; i < length; i += step) {
+                        const peak = Math.max(...values[c].slice(i, i + step));
+                        const scaled = Math.round(peak * scale);
+                        data.push(scaled - previous);
+                        previous = scaled;
+                    }
+                    return { key, label, unit, decimals, data };
+                }),
+                markers: markers
+                    .map(({ i, kind }) => ({ i: Math.floor(i / step), kind }))
+                    .filter(({ i, kind }) => {
+                        // Thinning can put several markers of a kind on one sample.
+                        if (seen.has(`${i}|${kind}`)) return false;
+                        seen.add(`${i}|${kind}`);
+                        return true;
+                    }),
+            };
+        },
+    };
+}
+
+/**
+ * Checks that a value looks like a stored timeline, e.g. from an import.
+ * @param {any} timeline
+ * @returns {boolean}
+ */
+export function isValidTimeline(timeline) {
+    if (!timeline || timeline.v !== TIMELINE_VERSION || !(timeline.interval > 0)) return false;
+    const { series, markers } = timeline;
+    if (!Array.isArray(series) || series.length === 0 || series.length > SERIES_COLORS.length) return false;
+    const length = series[0].data?.length;
+    return series.every(s => s && typeof s.key === 'string' && typeof s.label === 'string' && s.label.length <= 40
+            && (s.unit === undefined || typeof s.unit === 'string')
+            && Number.isInteger(s.decimals) && s.decimals >= 0 && s.decimals <= 6
+            && Array.isArray(s.data) && s.data.length === length && length <= MAX_POINTS
+            && s.data.every(Number.isInteger))
+        && Array.isArray(markers)
+        && markers.every(m => m && Number.isInteger(m.i) && m.i >= 0 && m.i < length && m.kind in MARKER_STYLES);
+}
+
+/**
+ * Undoes the compression of a stored timeline.
+ * @param {Timeline} timeline
+ * @returns {{interval: number, series: Array<TimelineChannel & {values: number[]}>, markers: Timeline['markers']}}
+ */
+export function expandTimeline({ interval, series, markers }) {
+    return {
+        interval,
+        markers,
+        series: series.map(({ data, ...channel }) => {
+            let value = 0;
+            const scale = 10 ** channel.decimals;
+            return { ...channel, values: data.map(delta => (value += delta) / scale) };
+        }),
+    };
+}
+
+/**
+ * Formats a value with its series' decimals and unit.
+ * @param {number} value
+ * @param {{decimals: number, unit?: string}} series
+ * @returns {string}
+ */
+const formatValue = (value, { decimals, unit }) => `${formatNumber(value, { decimals })}${unit ? ` ${unit}` : ''}`;
+
+/**
+ * Describes a timeline in words, for the chart's accessible name.
+ * @param {Timeline} timeline
+ * @returns {string} e.g. "30 second timeline. JoyRank peaks at 54. Streak bonus: 3 times."
+ */
+export function describeTimeline(timeline) {
+    const { interval, series, markers } = expandTimeline(timeline);
+    const seconds = Math.round(interval * series[0].values.length / 1000);
+    const peaks = series.map(s => t('timeline.peaks', { label: s.label, value: formatValue(Math.max(...s.values), s) }));
+    const counts = Object.entries(MARKER_STYLES)
+        .map(([kind, { label }]) => [label, markers.filter(m => m.kind === kind).length])
+        .filter(([, count]) => count > 0)
+        .map(([label, count]) => t('timeline.markerCount', { label, count }));
+    return [t('timeline.length', { seconds }), ...peaks, ...counts].join(' ');
+}
+
+/**
+ * Draws a timeline on a canvas: one lane per series, each scaled to its own
+ * peak, sharing a time axis, with markers as vertical lines across all
+ * lanes. The canvas is sized to its displayed width.
+ * @param {HTMLCanvasElement} canvas
+ * @param {Timeline} timeline
+ */
+export function drawTimeline(canvas, timeline) {
+    const { interval, series, markers } = expandTimeline(timeline);
+    const laneHeight = 64;
+    const top = markers.length > 0 ? 20 : 4;
+    const axis = 18;
+    const width = canvas.clientWidth || 600;
+    const height = top + series.length * laneHeight + axis;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    canvas.style.height = `${height}px`;
+    canvas.setAttribute('aria-label', describeTimeline(timeline));
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '11px system-ui, sans-serif';
+    ctx.textBaseline = 'top';
+
+    const count = series[0].values.length;
+    const x = (i) => ((i + 0.5) / count) * width; // Each sample covers one interval
+
+    // Markers, with a legend of the kinds shown.
+    let legendX = 0;
+    Object.entries(MARKER_STYLES).forEach(([kind, { label, color }]) => {
+        const ofKind = markers.filter(m => m.kind === kind);
+        if (ofKind.length === 0) return;
+        ctx.strokeStyle = color;
+        ctx.globalAlpha = 0.5;
+        ofKind.forEach(({ i }) => {
+            ctx.beginPath();
+            ctx.moveTo(x(i) + 0.5, top);
+            ctx.lineTo(x(i) + 0.5, height - axis);
+            ctx.stroke();
+        });
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = color;
+        ctx.fillRect(legendX, 4, 10, 10);
+        ctx.fillStyle = '#475569';
+        ctx.fillText(label, legendX + 14, 3);
+        legendX += 24 + ctx.measureText(label).width;
+    });
+
+    // One lane per series.
+    series.forEach((s, lane) => {
+        const laneTop = top + lane * laneHeight;
+        const peak = Math.max(...s.values);
+        const y = (value) => laneTop + laneHeight - 4 - (peak > 0 ? value / peak : 0) * (laneHeight - 20);
+        ctx.strokeStyle = '#e2e8f0';
+        ctx.beginPath();
+        ctx.moveTo(0, laneTop + laneHeight - 3.5);
+        ctx.lineTo(width, laneTop + laneHeight - 3.5);
+        ctx.stroke();
+
+        ctx.strokeStyle = SERIES_COLORS[lane % SERIES_COLORS.length];
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        s.values.forEach((value, i) => (i === 0 ? ctx.moveTo(x(i), y(value)) : ctx.lineTo(x(i), y(value))));
+        ctx.stroke();
+        ctx.lineWidth = 1;
+
+        ctx.fillStyle = '#334155';
+        ctx.fillText(t('timeline.lanePeak', { label: s.label, value: formatValue(peak, s) }), 2, laneTop + 2);
+    });
+
+    // Time axis, labelled about every sixth of the round.
+    const seconds = interval * count / 1000;
+    const tick = [1, 2, 5, 10, 15, 30, 60].find(step => seconds / step <= 6) || 120;
+    ctx.fillStyle = '#64748b';
+    ctx.textAlign = 'center';
+    for (let s = 0; s <= seconds; s += tick) {
+        const px = Math.min(width - 12, Math.max(8, (s / seconds) * width));
+        ctx.fillText(`${s}s`, px, height - axis + 4);
+    }
+    ctx.textAlign = 'start';
+}
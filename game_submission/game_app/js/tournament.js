@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Pass-and-play party tournaments on one shared device.
+ * A tournament is a fixed schedule of turns (every player, in every chosen
+ * mode, for a number of rounds). It lives in sessionStorage so it survives
+ * the hops between party.html and the mode pages, and ends with the tab.
+ * The rounds themselves are played and saved by the normal mode pages.
+ */
+import { sanitizeName, profileKey, GAME_MODES } from './core.js';
+import { t } from './i18n.js';
+
+const PARTY_KEY = 'party';
+export const MAX_PARTY_PLAYERS = 12;
+export const MAX_PARTY_ROUNDS = 5;
+
+/**
+ * @typedef {Object} PartyTurn
+ * @property {number} round 1-based round number.
+ * @property {string} mode The game mode.
+ * @property {string} player The player's name.
+ * @property {number | null} score The score, or null until played.
+ * @property {boolean} flagged Whether the round failed a plausibility check or was played with simulated sensors.
+ * @property {boolean} skipped Whether the host skipped the turn.
+ */
+
+/**
+ * @typedef {Object} Tournament
+ * @property {string[]} players
+ * @property {string[]} modes
+ * @property {number} rounds
+ * @property {PartyTurn[]} turns In play order.
+ * @property {number} current Index of the next turn to play.
+ * @property {number} createdAt
+ */
+
+/**
+ * Creates a tournament. Each round plays every chosen mode in turn, and
+ * every player takes a turn in a mode before the next mode starts.
+ * @param {{players: string[], modes: string[], rounds: number}} setup
+ * @returns {{tournament?: Tournament, error?: string}}
+ */
+export function createTournament({ players, modes, rounds }) {
+    const roster = [];
+    const seen = new Set();
+    for (const raw of players) {
+        const name = sanitizeName(raw);
+        if (!name) continue;
+        if (seen.has(profileKey(name))) return { error: t('party.duplicatePlayer', { name }) };
+        seen.add(profileKey(name));
+        roster.push(name);
+    }
+    if (roster.length < 2) return { error: t('party.tooFewPlayers') };
+    if (roster.length > MAX_PARTY_PLAYERS) return { error: t('party.tooManyPlayers', { max: MAX_PARTY_PLAYERS }) };
+
+    const chosenModes = GAME_MODES.filter(mode => modes.includes(mode));
+    if (chosenModes.length === 0) return { error: t('party.noModes') };
+    if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_PARTY_ROUNDS) {
+        return { error: t('party.roundCount', { max: MAX_PARTY_ROUNDS }) };
+    }
+
+    const turns = [];
+    for (let round = 1; round <= rounds; round++) {
+        chosenModes.forEach(mode => roster.forEach(player => {
+            turns.push({ round, mode, player, score: null, flagged: false, skipped: false });
+        }));
+    }
+    return { tournament: { players: roster, modes: chosenModes, rounds, turns, current: 0, createdAt: Date.now() } };
+}
+
+/**
+ * Loads the tournament running in this tab.
+ * @returns {Tournament | null}
+ */
+export function loadTournament() {
+    try {
+        const tournament = JSON.parse(sessionStorage.getItem(PARTY_KEY) || 'null');
+        return tournament && Array.isArray(tournament.turns) ? tournament : null;
+    } catch (e) {
+        console.error("Ignoring unreadable party state:", e);
+        return null;
+    }
+}
+
+/**
+ * Saves the tournament for this tab.
+ * @param {Tournament} tournament
+ */
+export function saveTournament(tournament) {
+    sessionStorage.setItem(PARTY_KEY, JSON.stringify(tournament));
+}
+
+/**
+ * Ends the tournament running in this tab.
+ */
+export function clearTournament() {
+    sessionStorage.removeItem(PARTY_KEY);
+}
+
+/**
+ * Returns the next turn to play, or null once every turn is done.
+ * @param {Tournament} tournament
+ * @returns {PartyTurn | null}
+ */
+export const nextTurn = (tournament) => tournament.turns[tournament.current] || null;
+
+/**
+ * Whether every turn has been played or skipped.
+ * @param {Tournament} tournament
+ * @returns {boolean}
+ */
+export const isFinished = (tournament) => tournament.current >= tournament.turns.length;
+
+/**
+ * Records the result of the next turn and moves on.
+ * @param {Tournament} tournament
+ * @param {{score?: number, flagged?: boolean, skipped?: boolean}} result
+ * @returns {Tournament} The updated tournament.
+ */
+export function completeTurn(tournament, { score = 0, flagged = false, skipped = false }) {
+    const turn = nextTurn(tournament);
+    if (!turn) return tournament;
+    Object.assign(turn, { score: skipped ? 0 : score, flagged, skipped });
+    tournament.current++;
+    return tournament;
+}
+
+/**
+ * Computes the standings. Each heat (one mode in one round) awards points
+ * by placing: the best score earns one point per player, the next one
+ * fewer, and so on; tied scores share the higher award. Skipped and
+ * flagged (or simulated) turns earn nothing. Scores aren't added across modes because
+ * JoyRank and ShakeRank use different scales.
+ * @param {Tournament} tournament
+ * @returns {Array<{player: string, points: number, place: number, totals: Object<string, number>, played: number}>}
+ *     Sorted by place. `totals` sums each mode's counted scores.
+ */
+export function computeStandings(tournament) {
+    const rows = new Map(tournament.players.map(player => [player, {
+        player,
+        points: 0,
+        place: 0,
+        totals: Object.fromEntries(tournament.modes.map(mode => [mode, 0])),
+        played: 0,
+    }]));
+
+    const heats = new Map();
+    tournament.turns.forEach(turn => {
+        if (turn.score === null) return;
+        const row = rows.get(turn.player);
+        row.played++;
+        if (turn.skipped || turn.flagged) return;
+        row.totals[turn.mode] += turn.score;
+        const key = `${turn.round}|${turn.mode}`;
+        (heats.get(key) || heats.set(key, []).get(key)).push(turn);
+    });
+
+    const playerCount = tournament.players.length;
+    heats.forEach(turns => {
+        turns.forEach(turn => {
+            const better = turns.filter(other => other.score > turn.score).length;
+            rows.get(turn.player).points += playerCount - better;
+        });
+    });
+
+    const standings = [...rows.values()].sort((a, b) => b.points - a.points);
+    standings.forEach((row, i) => {
+        row.place = i > 0 && row.points === standings[i - 1].points ? standings[i - 1].place : i + 1;
+    });
+    return standings;
+}
+
+// --- Mode page integration ---
+
+/**
+ * Returns the party turn a mode page should play: the tournament's next
+ * turn, if the page was opened from party.html (`?party=1`) in that mode.
+ * @param {string} mode The page's game mode.
+ * @returns {(PartyTurn & {of: number}) | null} The turn, with the total
+ *     number of rounds as `of`.
+ */
+export function activeTurn(mode) {
+    if (new URLSearchParams(location.search).get('party') !== '1') return null;
+    const tournament = loadTournament();
+    const turn = tournament && nextTurn(tournament);
+    return turn && turn.mode === mode ? { ...turn, of: tournament.rounds } : null;
+}
+
+/**
+ * Records a finished round for the given party turn, if it is still the
+ * tournament's next turn (a second round on the same page doesn't count).
+ * @param {PartyTurn} turn The turn returned by `activeTurn`.
+ * @param {number} score
+ * @param {Array} [flags] Failed plausibility checks from anticheat.js.
+ * @param {{simulated?: boolean}} [options] Simulated rounds count like flagged ones.
+ * @returns {boolean} Whether the result was recorded.
+ */
+export function finishActiveTurn(turn, score, flags = [], { simulated = false } = {}) {
+    const tournament = loadTournament();
+    const next = tournament && nextTurn(tournament);
+    if (!next || next.mode !== turn.mode || next.player !== turn.player || next.round !== turn.round) return false;
+    saveTournament(completeTurn(tournament, { score, flagged: flags.length > 0 || simulated }));
+    return true;
+}
@@ -0,0 +1,297 @@
+/**
+ * @fileoverview Export and import of stored rounds as JSON (lossless) and
+ * CSV (spreadsheet-friendly). Imported entries are validated row by row so a
+ * malformed file is reported instead of being written to the store.
+ */
+import { sanitizeName, GAME_MODES } from './core.js';
+import { settingFields } from './settings.js';
+import { isValidTimeline } from './timeline.js';
+import { t } from './i18n.js';
+
+export const EXPORT_FORMAT = 'togetherwe-scores';
+export const EXPORT_VERSION = 1;
+const CSV_COLUMNS = ['mode', 'name', 'score', 'timestamp', 'duration', 'components', 'flags', 'settings', 'stopped', 'simulated'];
+
+// Rounds must have been played after the game existed and not in the future.
+const MIN_TS = Date.UTC(2020, 0, 1);
+const MAX_SCORE = 1000000;
+const MAX_DURATION = 10 * 60 * 1000;
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * Serializes rounds as a JSON export document. Mood check-ins are left out:
+ * they stay on the device that recorded them.
+ * @param {Array<import('./storage.js').RoundRecord>} rounds
+ * @returns {string}
+ */
+export function toJson(rounds) {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        rounds: rounds.map(({ mood, ...round }) => round),
+    }, null, 2);
+}
+
+/**
+ * Quotes a CSV field when needed.
+ * @param {any} value
+ * @returns {string}
+ */
+const csvField = (value) => {
+    const s = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * Serializes rounds as CSV with one row per round.
+ * @param {Array<import('./storage.js').RoundRecord>} rounds
+ * @returns {string}
+ */
+export function toCsv(rounds) {
+    const rows = rounds.map(r => [
+        r.mode,
+        r.name,
+        r.score,
+        new Date(r.ts).toISOString(),
+        r.duration ?? '',
+        r.components ? JSON.stringify(r.components) : '',
+        r.flags?.length ? JSON.stringify(r.flags) : '',
+        r.settings ? JSON.stringify(r.settings) : '',
+        r.stopped ? 'true' : '',
+        r.simulated ? 'true' : '',
+    ].map(csvField).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180 quoting).
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [], field = '', inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (inQuotes) {
+            if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (c === '"') inQuotes = false;
+            else field += c;
+        } else if (c === '"') {
+            inQuotes = true;
+        } else if (c === ',') {
+            row.push(field); field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); rows.push(row);
+            row = []; field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (inQuotes) throw new Error(t('import.unterminatedQuote'));
+    if (field || row.length) { row.push(field); rows.push(row); }
+    return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+/**
+ * Whether an imported flag is set: `true` in JSON, "true" in CSV.
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isTrue = (value) => value === true || String(value).trim().toLowerCase() === 'true';
+
+/**
+ * Validates one imported entry and normalizes it into a round.
+ * @param {Object} raw The entry as read from the file.
+ * @returns {{round?: Object, error?: string}}
+ */
+export function validateEntry(raw) {
+    if (!raw || typeof raw !== 'object') return { error: t('import.notAnObject') };
+
+    const mode = String(raw.mode || '').trim().toLowerCase();
+    if (!GAME_MODES.includes(mode)) return { error: t('import.unknownMode', { value: String(raw.mode) }) };
+
+    const name = sanitizeName(String(raw.name ?? ''));
+    if (!name) return { error: t('import.invalidName', { value: String(raw.name) }) };
+
+    const score = Number(raw.score);
+    if (raw.score === '' || !Number.isInteger(score) || score < 0 || score > MAX_SCORE) {
+        return { error: t('import.invalidScore', { value: String(raw.score) }) };
+    }
+
+    const rawTs = raw.ts ?? raw.timestamp;
+    const ts = typeof rawTs === 'number' || /^\d+$/.test(String(rawTs)) ? Number(rawTs) : Date.parse(rawTs);
+    if (!Number.isFinite(ts) || ts < MIN_TS || ts > Date.now() + 24 * 3600 * 1000) {
+        return { error: t('import.invalidTimestamp', { value: String(rawTs) }) };
+    }
+
+    let duration = null;
+    if (raw.duration !== undefined && raw.duration !== null && raw.duration !== '') {
+        duration = Number(raw.duration);
+        if (!Number.isFinite(duration) || duration < 0 || duration > MAX_DURATION) {
+            return { error: t('import.invalidDuration', { value: String(raw.duration) }) };
+        }
+    }
+
+    let components = raw.components ?? null;
+    if (typeof components === 'string') {
+        try {
+            components = components.trim() ? JSON.parse(components) : null;
+        } catch {
+            return { error: t('import.componentsJson') };
+        }
+    }
+    if (components !== null && (typeof components !== 'object' || Array.isArray(components))) {
+        return { error: t('import.componentsObject') };
+    }
+
+    let flags = raw.flags ?? [];
+    if (typeof flags === 'string') {
+        try {
+            flags = flags.trim() ? JSON.parse(flags) : [];
+        } catch {
+            return { error: t('import.flagsJson') };
+        }
+    }
+    if (!Array.isArray(flags) || !flags.every(f => f && typeof f.code === 'string' && typeof f.reason === 'string')) {
+        return { error: t('import.flagsList') };
+    }
+
+    let settings = raw.settings ?? null;
+    if (typeof settings === 'string') {
+        try {
+            settings = settings.trim() ? JSON.parse(settings) : null;
+        } catch {
+            return { error: t('import.settingsJson') };
+        }
+    }
+    if (settings !== null) {
+        const fields = settingFields(mode);
+        const valid = typeof settings === 'object'
+            && typeof settings.key === 'string' && /^[\w-]{1,40}$/.test(settings.key)
+            && Number.isFinite(settings.duration) && settings.duration > 0 && settings.duration <= MAX_DURATION
+            && settings.params && fields.every(f => Number.isFinite(settings.params[f.key]));
+        if (!valid) return { error: t('import.settingsInvalid') };
+        settings = {
+            key: settings.key,
+            difficulty: String(settings.difficulty || ''),
+            duration: settings.duration,
+            params: Object.fromEntries(fields.map(f => [f.key, settings.params[f.key]])),
+        };
+    }
+
+    // Timelines only travel in JSON exports; CSV has no column for them.
+    const timeline = raw.timeline ?? null;
+    if (timeline !== null && !isValidTimeline(timeline)) {
+        return { error: t('import.timelineInvalid') };
+    }
+
+    const round = { mode, name, score, ts, duration, components };
+    if (flags.length > 0) round.flags = flags.map(({ code, reason }) => ({ code, reason }));
+    if (settings) round.settings = settings;
+    if (isTrue(raw.stopped)) round.stopped = true;
+    if (isTrue(raw.simulated)) round.simulated = true;
+    if (timeline) {
+        round.timeline = {
+            v: timeline.v,
+            interval: timeline.interval,
+            series: timeline.series.map(({ key, label, unit = '', decimals, data }) => ({ key, label, unit, decimals, data })),
+            markers: timeline.markers.map(({ i, kind }) => ({ i, kind })),
+        };
+    }
+    if (typeof raw.id === 'string' && /^[\w-]{1,64}$/.test(raw.id)) round.id = raw.id;
+    return { round };
+}
+
+/**
+ * Parses an export file. Nothing is returned for import unless every entry is valid.
+ * @param {string} text The file contents.
+ * @returns {{rounds: Object[], errors: string[]}} Valid rounds, or the problems found.
+ */
+export function parseImport(text) {
+    const trimmed = (text || '').replace(/^\uFEFF/, '').trim();
+    if (!trimmed) return { rounds: [], errors: [t('import.emptyFile')] };
+
+    let entries;
+    let label;
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        let doc;
+        try {
+            doc = JSON.parse(trimmed);
+        } catch (e) {
+            return { rounds: [], errors: [t('import.invalidJson', { message: e.message })] };
+        }
+        if (Array.isArray(doc)) {
+            entries = doc;
+        } else if (doc.format === EXPORT_FORMAT && Array.isArray(doc.rounds)) {
+            if (doc.version > EXPORT_VERSION) {
+                return { rounds: [], errors: [t('import.newerVersion', { version: String(doc.version), supported: String(EXPORT_VERSION) })] };
+            }
+            entries = doc.rounds;
+        } else {
+            return { rounds: [], errors: [t('import.notAnExport')] };
+        }
+        label = (i) => t('import.entry', { number: i + 1 });
+    } else {
+        let rows;
+        try {
+            rows = parseCsvRows(trimmed);
+        } catch (e) {
+            return { rounds: [], errors: [t('import.invalidCsv', { message: e.message })] };
+        }
+        const header = rows.shift().map(h => h.trim().toLowerCase());
+        const missing = ['mode', 'name', 'score', 'timestamp'].filter(c => !header.includes(c));
+        if (missing.length > 0) {
+            return { rounds: [], errors: [t('import.missingColumns', { columns: missing.join(', ') })] };
+        }
+        entries = rows.map(fields => Object.fromEntries(header.map((h, i) => [h, fields[i]])));
+        label = (i) => t('import.row', { number: i + 2 });
+    }
+
+    const rounds = [];
+    const errors = [];
+    entries.forEach((entry, i) => {
+        const { round, error } = validateEntry(entry);
+        if (error) errors.push(`${label(i)}: ${error}`);
+        else rounds.push(round);
+    });
+    if (errors.length > MAX_REPORTED_ERRORS) {
+        errors.splice(MAX_REPORTED_ERRORS, Infinity, t('import.moreErrors', { count: errors.length - MAX_REPORTED_ERRORS }));
+    }
+    return errors.length > 0 ? { rounds: [], errors } : { rounds, errors };
+}
+
+/**
+ * A key that identifies the same round across devices.
+ * @param {{mode: string, name: string, score: number, ts: number}} r
+ * @returns {string}
+ */
+const roundKey = (r) => `${r.mode}|${r.name.toLowerCase()}|${r.score}|${r.ts}`;
+
+/**
+ * Returns the incoming rounds that are not already stored (by id or content),
+ * dropping duplicates within the import as well.
+ * @param {Object[]} existing The stored rounds.
+ * @param {Object[]} incoming The imported rounds.
+ * @returns {Object[]} The rounds to add.
+ */
+export function newRoundsOnly(existing, incoming) {
+    const ids = new Set(existing.map(r => r.id));
+    const keys = new Set(existing.map(roundKey));
+    return incoming.filter(r => {
+        const key = roundKey(r);
+        if ((r.id && ids.has(r.id)) || keys.has(key)) return false;
+        keys.add(key);
+        if (r.id) ids.add(r.id);
+        return true;
+    });
+}
+
+/**
+ * Drops duplicate rounds within one list, keeping the first copy.
+ * @param {Object[]} rounds
+ * @returns {Object[]}
+ */
+export const dedupeRounds = (rounds) => newRoundsOnly([], rounds);
@@ -0,0 +1,305 @@
+/**
+ * @fileoverview Renders the mood trends page: how the check-ins before and
+ * after rounds change per mode over recent days or weeks, each mode's
+ * averages, recent notes, and the controls to stop asking or delete every
+ * check-in. Everything is worked out from the rounds on this device.
+ */
+import { initStorage, profileKey, dayKey, timeAgo, escapeHtml, PLAYER_NAME_KEY } from './core.js';
+import { getRounds } from './storage.js';
+import { getModes, getMode, ACCENT_COLORS } from './modes.js';
+import { moodChange, moodEmoji, deleteAllMoods, moodCheckinsEnabled, setMoodCheckinsEnabled } from './mood.js';
+import { t, formatNumber, formatPercent, formatDate } from './i18n.js';
+
+/** How many of the most recent periods the chart shows. */
+const PERIODS = { day: 14, week: 8 };
+const MAX_NOTES = 10;
+
+/**
+ * The local midnight a number of days after a timestamp's day.
+ * @param {number} ts
+ * @param {number} days May be negative.
+ * @returns {Date}
+ */
+const addDays = (ts, days) => {
+    const date = new Date(ts);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+};
+
+/**
+ * The start of the period a timestamp falls in: its day, or the Monday
+ * starting its week.
+ * @param {number} ts
+ * @param {'day' | 'week'} period
+ * @returns {Date} Local midnight.
+ */
+const periodStart = (ts, period) => addDays(ts, period === 'week' ? -((new Date(ts).getDay() + 6) % 7) : 0);
+
+/**
+ * The period a timestamp falls in.
+ * @param {number} ts
+ * @param {'day' | 'week'} period
+ * @returns {string} The day key of the period's start, see core.dayKey.
+ */
+export const periodKey = (ts, period) => dayKey(periodStart(ts, period).getTime());
+
+/**
+ * The periods the chart shows, oldest first, ending with the current one.
+ * @param {'day' | 'week'} period
+ * @param {number} [now]
+ * @returns {Array<{key: string, label: string}>}
+ */
+export function recentPeriods(period, now = Date.now()) {
+    const step = period === 'week' ? 7 : 1;
+    const last = periodStart(now, period).getTime();
+    return Array.from({ length: PERIODS[period] }, (_, i) => {
+        const start = addDays(last, (i - PERIODS[period] + 1) * step);
+        return {
+            key: dayKey(start.getTime()),
+            label: formatDate(start, { month: 'short', day: 'numeric' }),
+        };
+    });
+}
+
+/**
+ * The mean of some numbers.
+ * @param {number[]} values
+ * @returns {number | null} Null for no values.
+ */
+const mean = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+/**
+ * The average mood change per period for every mode with check-ins.
+ * @param {import('./storage.js').RoundRecord[]} rounds Rounds with a mood check-in.
+ * @param {'day' | 'week'} period
+ * @param {number} [now]
+ * @returns {{periods: Array<{key: string, label: string}>, modes: Array<{id: string, label: string, accent: string, changes: Array<number | null>, rounds: number}>}}
+ *     `changes` holds each period's average change, or null if the mode
+ *     wasn't checked in that period. `rounds` counts the rounds charted.
+ */
+export function moodTrends(rounds, period, now = Date.now()) {
+    const periods = recentPeriods(period, now);
+    const index = new Map(periods.map(({ key }, i) => [key, i]));
+    const modes = getModes().map(({ id, label, accent }) => {
+        const byPeriod = periods.map(() => []);
+        rounds.forEach(r => {
+            const change = moodChange(r.mood);
+            const i = index.get(periodKey(r.ts, period));
+            if (r.mode === id && change !== null && i !== undefined) byPeriod[i].push(change);
+        });
+        return { id, label, accent, changes: byPeriod.map(mean), rounds: byPeriod.flat().length };
+    });
+    return { periods, modes: modes.filter(m => m.rounds > 0) };
+}
+
+/**
+ * Formats a mood change with its sign.
+ * @param {number | null} change
+ * @returns {string} e.g. "+1.5", or a dash for no value.
+ */
+const signed = (change) => (change === null ? '–' : formatNumber(change, { decimals: 1, sign: true }));
+
+/**
+ * Describes the chart in words, for its accessible name.
+ * @param {ReturnType<typeof moodTrends>} trends
+ * @param {'day' | 'week'} period
+ * @returns {string}
+ */
+function describeTrends({ modes }, period) {
+    const span = t(`trends.last.${period}`, { count: PERIODS[period] });
+    if (modes.length === 0) return t('trends.describeEmpty', { span });
+    return [t('trends.describe', { span }), ...modes.map(m => {
+        const overall = mean(m.changes.filter(c => c !== null));
+        return t('trends.describeMode', { mode: m.label, change: signed(overall), count: m.rounds });
+    })].join(' ');
+}
+
+/**
+ * Draws the trends as grouped bars: one group per period, one bar per mode
+ * in its accent colour, rising above the zero line when players felt
+ * better after a round and falling below it when they felt worse. The
+ * canvas is sized to its displayed width.
+ * @param {HTMLCanvasElement} canvas
+ * @param {ReturnType<typeof moodTrends>} trends
+ * @param {'day' | 'week'} period
+ */
+function drawTrends(canvas, trends, period) {
+    const { periods, modes } = trends;
+    const legend = 20;
+    const axis = 18;
+    const labels = 28;
+    const width = canvas.clientWidth || 600;
+    const height = 240;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    canvas.style.height = `${height}px`;
+    canvas.setAttribute('aria-label', describeTrends(trends, period));
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '11px system-ui, sans-serif';
+    ctx.textBaseline = 'middle';
+
+    // Scale to the largest average change, in whole points.
+    const all = modes.flatMap(m => m.changes).filter(c => c !== null);
+    const range = Math.max(1, Math.ceil(Math.max(0, ...all.map(Math.abs))));
+    const plotLeft = labels;
+    const plotWidth = width - plotLeft;
+    const plotTop = legend + 4;
+    const plotHeight = height - plotTop - axis;
+    const zero = plotTop + plotHeight / 2;
+    const y = (value) => zero - (value / range) * (plotHeight / 2);
+
+    // Grid lines at zero and at the ends of the scale.
+    ctx.fillStyle = '#64748b';
+    ctx.textAlign = 'right';
+    [range, 0, -range].forEach(value => {
+        ctx.strokeStyle = value === 0 ? '#94a3b8' : '#e2e8f0';
+        ctx.beginPath();
+        ctx.moveTo(plotLeft, Math.round(y(value)) + 0.5);
+        ctx.lineTo(width, Math.round(y(value)) + 0.5);
+        ctx.stroke();
+        ctx.fillText(formatNumber(value, { sign: true }), plotLeft - 4, y(value));
+    });
+
+    // Legend, one swatch per mode.
+    let legendX = plotLeft;
+    ctx.textAlign = 'start';
+    modes.forEach(({ label, accent }) => {
+        ctx.fillStyle = ACCENT_COLORS[accent] || ACCENT_COLORS.indigo;
+        ctx.fillRect(legendX, 5, 10, 10);
+        ctx.fillStyle = '#475569';
+        ctx.fillText(label, legendX + 14, 10);
+        legendX += 24 + ctx.measureText(label).width;
+    });
+
+    // Bars, grouped by period.
+    const group = plotWidth / periods.length;
+    const bar = (group * 0.8) / Math.max(1, modes.length);
+    modes.forEach(({ accent, changes }, m) => {
+        ctx.fillStyle = ACCENT_COLORS[accent] || ACCENT_COLORS.indigo;
+        changes.forEach((change, i) => {
+            if (change === null) return;
+            const x = plotLeft + i * group + group * 0.1 + m * bar;
+            // A tiny stub marks an average change of zero, so the check-in still shows.
+            const top = Math.min(y(change), zero - 1);
+            ctx.fillRect(x, top, Math.max(1, bar - 1), Math.max(2, Math.abs(y(change) - zero)));
+        });
+    });
+
+    // Period labels, thinned out when they would overlap.
+    ctx.fillStyle = '#64748b';
+    ctx.textAlign = 'center';
+    const every = Math.ceil(44 / group);
+    periods.forEach(({ label }, i) => {
+        if ((periods.length - 1 - i) % every !== 0) return;
+        ctx.fillText(label, plotLeft + (i + 0.5) * group, height - axis / 2);
+    });
+    ctx.textAlign = 'start';
+}
+
+/**
+ * Renders each mode's averages over every check-in shown.
+ * @param {import('./storage.js').RoundRecord[]} rounds Rounds with a mood check-in.
+ */
+function renderSummary(rounds) {
+    const average = (values) => {
+        const value = mean(values);
+        return value === null ? '–' : formatNumber(value, { decimals: 1 });
+    };
+    document.getElementById('trends-summary').innerHTML = getModes().map(({ id, label, accent }) => {
+        const inMode = rounds.filter(r => r.mode === id);
+        const changes = inMode.map(r => moodChange(r.mood)).filter(c => c !== null);
+        const better = changes.length > 0 ? formatPercent(changes.filter(c => c > 0).length / changes.length) : '–';
+        return `
+            <tr class="border-b border-slate-100 last:border-b-0">
+                <td class="p-2 font-semibold text-${accent}-600">${label}</td>
+                <td class="p-2 font-mono text-right">${formatNumber(inMode.length)}</td>
+                <td class="p-2 font-mono text-right">${average(inMode.map(r => r.mood.before).filter(Number.isInteger))}</td>
+                <td class="p-2 font-mono text-right">${average(inMode.map(r => r.mood.after).filter(Number.isInteger))}</td>
+                <td class="p-2 font-mono text-right text-indigo-600">${signed(mean(changes))}</td>
+                <td class="p-2 font-mono text-right">${better}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Renders the most recent notes, newest first.
+ * @param {import('./storage.js').RoundRecord[]} rounds Rounds with a mood check-in.
+ */
+function renderNotes(rounds) {
+    const notes = rounds.filter(r => r.mood.note).sort((a, b) => b.ts - a.ts).slice(0, MAX_NOTES);
+    document.getElementById('trends-notes').innerHTML = notes.length === 0
+        ? `<li class="text-slate-500">${t('trends.noNotes')}</li>`
+        : notes.map(r => `
+            <li class="flex justify-between gap-3 py-1 border-b border-slate-100 last:border-b-0">
+                <span class="whitespace-nowrap" title="${t('trends.beforeAfter')}">${moodEmoji(r.mood.before)} → ${moodEmoji(r.mood.after)}</span>
+                <span class="flex-grow">${escapeHtml(r.mood.note)} <span class="text-slate-400">${escapeHtml(getMode(r.mode)?.label || r.mode)} · ${escapeHtml(r.name)}</span></span>
+                <span class="font-mono text-slate-500 whitespace-nowrap">${timeAgo(r.ts)}</span>
+            </li>
+        `).join('');
+}
+
+/**
+ * Fills the player picker with everyone who has check-ins, keeping the
+ * current choice if it is still there.
+ * @param {import('./storage.js').RoundRecord[]} rounds Rounds with a mood check-in.
+ */
+function renderPlayers(rounds) {
+    const select = document.getElementById('trends-player');
+    const players = new Map(rounds.map(r => [profileKey(r.name), r.name]));
+    // Start with the current player's check-ins, if they have any.
+    const current = select.options.length > 0 ? select.value : profileKey(localStorage.getItem(PLAYER_NAME_KEY) || '');
+    select.innerHTML = `<option value="">${t('trends.allPlayers')}</option>${[...players].map(([key, name]) =>
+        `<option value="${escapeHtml(key)}">${escapeHtml(name)}</option>`).join('')}`;
+    select.value = players.has(current) ? current : '';
+}
+
+/**
+ * Renders the whole page for the chosen player and period.
+ */
+function render() {
+    const withMood = getRounds({ filter: r => !!r.mood });
+    renderPlayers(withMood);
+    const player = document.getElementById('trends-player').value;
+    const period = document.querySelector('input[name="trends-period"]:checked').value;
+    const rounds = withMood.filter(r => !player || profileKey(r.name) === player);
+
+    const canvas = document.getElementById('trends-canvas');
+    const trends = moodTrends(rounds, period);
+    canvas.classList.toggle('hidden', trends.modes.length === 0);
+    document.getElementById('trends-empty').classList.toggle('hidden', trends.modes.length > 0);
+    if (trends.modes.length > 0) drawTrends(canvas, trends, period);
+    renderSummary(rounds);
+    renderNotes(rounds);
+    document.getElementById('delete-moods-btn').disabled = withMood.length === 0;
+}
+
+// --- Initialization ---
+document.addEventListener('DOMContentLoaded', async () => {
+    await initStorage();
+    const ask = document.getElementById('ask-mood');
+    ask.checked = moodCheckinsEnabled();
+    ask.onchange = () => setMoodCheckinsEnabled(ask.checked);
+
+    document.getElementById('trends-player').onchange = render;
+    document.querySelectorAll('input[name="trends-period"]').forEach(input => { input.onchange = render; });
+
+    const status = document.getElementById('delete-moods-status');
+    document.getElementById('delete-moods-btn').onclick = async () => {
+        const count = getRounds({ filter: r => !!r.mood }).length;
+        if (!confirm(t('trends.confirmDelete', { count }))) return;
+        try {
+            await deleteAllMoods();
+            status.textContent = t('trends.deleted', { count });
+        } catch (error) {
+            console.error(error);
+            status.textContent = t('trends.deleteFailed');
+        }
+        render();
+    };
+
+    render();
+});
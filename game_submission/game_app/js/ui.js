@@ -3,6 +3,7 @@
  * Handles DOM updates, animations, and user feedback.
  */
 import { $ } from './core.js';
+import { t } from './i18n.js';
 
 /**
  * Sets the main status message on the page.
@@ -13,6 +14,7 @@ export function setStatus(text, level = 'muted') {
     const statusEl = $('#status-text');
     if (!statusEl) return;
     statusEl.textContent = text;
+    announce(text);
     statusEl.className = 'text-center min-h-[1.5rem] ';
     switch (level) {
         case 'ok': statusEl.classList.add('text-emerald-600'); break;
@@ -23,7 +25,8 @@ export function setStatus(text, level = 'muted') {
 }
 
 /**
- * Updates a meter bar and its text value.
+ * Updates a meter bar and its text value. The bar's track is the meter's
+ * progressbar for assistive technology, so it gets the value too.
  * @param {string} name The base name of the meter (e.g., 'rms', 'joy').
  * @param {number} percentage The value for the bar width (0-100).
  * @param {string} text The text to display next to the bar.
@@ -31,10 +34,56 @@ export function setStatus(text, level = 'muted') {
 export function updateMeter(name, percentage, text) {
     const bar = $(`#${name}-bar`);
     const txt = $(`#${name}-txt`);
-    if (bar) bar.style.width = `${Math.max(0, Math.min(100, percentage))}%`;
+    const value = Math.max(0, Math.min(100, percentage));
+    if (bar) {
+        bar.style.width = `${value}%`;
+        const track = bar.parentElement;
+        if (track?.getAttribute('role') === 'progressbar') {
+            track.setAttribute('aria-valuenow', String(Math.round(value)));
+            track.setAttribute('aria-valuetext', text);
+        }
+    }
     if (txt) txt.textContent = text;
 }
 
+// Screen readers fall behind if a live region changes faster than they can
+// speak, so announcements are collected and read out at most once a second.
+const ANNOUNCE_INTERVAL = 1000;
+const pendingAnnouncements = new Map();
+let announceTimer = 0;
+let lastAnnounced = 0;
+
+/** Reads the pending announcements out through the page's live region. */
+function flushAnnouncements() {
+    announceTimer = 0;
+    let region = $('#announcer');
+    if (!region) {
+        region = document.createElement('div');
+        region.id = 'announcer';
+        region.className = 'sr-only';
+        region.setAttribute('role', 'status');
+        region.setAttribute('aria-live', 'polite');
+        document.body.appendChild(region);
+    }
+    region.textContent = [...pendingAnnouncements.values()].join(' ');
+    pendingAnnouncements.clear();
+    lastAnnounced = Date.now();
+}
+
+/**
+ * Announces a message to screen reader users, without showing it.
+ * Messages within a second of the last announcement are read out together.
+ * @param {string} text
+ * @param {string} [key] A newer message with the same key replaces one not
+ *     yet read out, e.g. the live score.
+ */
+export function announce(text, key = text) {
+    pendingAnnouncements.delete(key); // Keep the messages in the order they came
+    pendingAnnouncements.set(key, text);
+    if (announceTimer) return;
+    announceTimer = setTimeout(flushAnnouncements, Math.max(0, lastAnnounced + ANNOUNCE_INTERVAL - Date.now()));
+}
+
 /**
  * Manages the enabled/disabled state of game control buttons.
  * @param {{start?: boolean, stop?: boolean, again?: boolean}} states 
@@ -49,14 +98,16 @@ export function setButtonStates({ start, stop, again }) {
  * Displays the origin/security status line.
  * @param {boolean} isSecure Whether the context is secure.
  * @param {string | undefined} permStatus An optional permission status to show.
+ * @param {string | undefined} sensorInfo Optional sensor details (e.g. the acceleration source).
  */
-export function displayOriginStatus(isSecure, permStatus) {
+export function displayOriginStatus(isSecure, permStatus, sensorInfo) {
     const statusEl = $('#origin-status');
     if (!statusEl) return;
-    const secureText = isSecure ? '✅ Secure' : '❌ Insecure';
-    const originText = `Origin: ${location.origin}`;
-    const permText = permStatus ? `· Perm: ${permStatus}` : '';
-    statusEl.textContent = `${secureText} · ${originText} ${permText}`;
+    const secureText = isSecure ? `✅ ${t('origin.secure')}` : `❌ ${t('origin.insecure')}`;
+    const originText = t('origin.origin', { origin: location.origin });
+    const permText = permStatus ? `· ${t('origin.permission', { status: permStatus })}` : '';
+    const sensorText = sensorInfo ? ` · ${sensorInfo}` : '';
+    statusEl.textContent = `${secureText} · ${originText} ${permText}${sensorText}`;
     statusEl.classList.toggle('text-red-500', !isSecure);
 }
 
@@ -72,6 +123,23 @@ export function logDebug(message) {
     }
 }
 
+/**
+ * Saves text or a blob as a file through a temporary download link.
+ * @param {string} filename The suggested file name.
+ * @param {string | Blob} text The file contents.
+ * @param {string} type The MIME type.
+ */
+export function downloadFile(filename, text, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /**
  * Creates a confetti burst effect for high scores.
  * Respects prefers-reduced-motion.
@@ -129,4 +197,39 @@ export function triggerConfetti() {
         `;
         document.head.appendChild(style);
     }
-}
\ No newline at end of file
+}
+/**
+ * Shows a short notification in the corner of the page, e.g. an unlocked
+ * achievement. Toasts stack and disappear on their own.
+ * @param {string} title
+ * @param {string} text
+ * @param {string} [icon] An emoji shown beside the text.
+ */
+export function showToast(title, text, icon = '') {
+    let container = $('#toast-container');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'toast-container';
+        container.className = 'fixed bottom-4 right-4 left-4 sm:left-auto z-50 flex flex-col items-end gap-2 pointer-events-none';
+        container.setAttribute('role', 'status');
+        container.setAttribute('aria-live', 'polite');
+        document.body.appendChild(container);
+    }
+    const toast = document.createElement('div');
+    toast.className = 'flex items-center gap-3 max-w-sm bg-white rounded-xl shadow-lg ring-1 ring-slate-200 p-3 text-sm';
+    const iconEl = document.createElement('span');
+    iconEl.className = 'text-2xl';
+    iconEl.setAttribute('aria-hidden', 'true');
+    iconEl.textContent = icon;
+    const body = document.createElement('div');
+    const titleEl = document.createElement('div');
+    titleEl.className = 'font-semibold text-slate-900';
+    titleEl.textContent = title;
+    const textEl = document.createElement('div');
+    textEl.className = 'text-slate-600';
+    textEl.textContent = text;
+    body.append(titleEl, textEl);
+    toast.append(iconEl, body);
+    container.appendChild(toast);
+    setTimeout(() => toast.remove(), 6000);
+}
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Main-thread side of the YAMNet worker.
+ * At most one window is in flight at a time. Windows submitted while the
+ * worker is busy replace each other, so a slow device skips stale audio
+ * instead of building a queue.
+ */
+
+const LATENCY_REPORT_EVERY = 8; // results, i.e. ~2s at 4 Hz
+
+/**
+ * Creates a client for the YAMNet worker.
+ * @param {{log?: (message: string) => void}} [options]
+ */
+export function createYamnetClient({ log = () => {} } = {}) {
+    let worker = null;
+    let readyPromise = null;
+    let nextId = 1;
+    let acceptFrom = 1;
+    let inFlight = null;
+    let pending = null;
+    let latestCategories = [];
+    let latencies = [];
+    let skipped = 0;
+
+    const send = (job) => {
+        inFlight = job;
+        worker.postMessage({ type: 'classify', ...job }, [job.samples.buffer]);
+    };
+
+    const handleResult = ({ id, categories, latencyMs }) => {
+        if (id >= acceptFrom) latestCategories = categories;
+        latencies.push(latencyMs);
+        if (latencies.length >= LATENCY_REPORT_EVERY) {
+            const mean = latencies.reduce((a, b) => a + b, 0) / latencies.length;
+            log(`YAMNet worker: mean ${mean.toFixed(0)} ms, max ${Math.max(...latencies).toFixed(0)} ms, skipped ${skipped} stale window(s)`);
+            latencies = [];
+            skipped = 0;
+        }
+        inFlight = null;
+        if (pending) {
+            const job = pending;
+            pending = null;
+            send(job);
+        }
+    };
+
+    return {
+        /**
+         * Starts the worker and loads the model. Safe to call repeatedly.
+         * @returns {Promise<void>}
+         */
+        init() {
+            if (readyPromise) return readyPromise;
+            worker = new Worker(new URL('./yamnet-worker.js', import.meta.url));
+            readyPromise = new Promise((resolve, reject) => {
+                worker.onmessage = ({ data }) => {
+                    if (data.type === 'log') log(data.message);
+                    else if (data.type === 'ready') resolve();
+                    else if (data.type === 'error') reject(new Error(data.message));
+                    else if (data.type === 'result') handleResult(data);
+                };
+                worker.onerror = (event) => reject(new Error(event.message || "YAMNet worker failed to start."));
+            });
+            readyPromise.catch(() => this.terminate());
+            worker.postMessage({ type: 'init' });
+            return readyPromise;
+        },
+
+        /**
+         * Queues an audio window for classification. Ownership of the buffer
+         * moves to the worker.
+         * @param {Float32Array} samples The audio window.
+         * @param {number} sampleRate Its sample rate.
+         */
+        submit(samples, sampleRate) {
+            if (!worker) return;
+            const job = { id: nextId++, samples, sampleRate };
+            if (inFlight) {
+                if (pending) skipped++;
+                pending = job;
+            } else {
+                send(job);
+            }
+        },
+
+        /**
+         * The categories from the most recent finished classification.
+         * @returns {Array<{index: number, categoryName: string, score: number}>}
+         */
+        get latestCategories() {
+            return latestCategories;
+        },
+
+        /** Forgets results and pending windows from a previous round. */
+        reset() {
+            acceptFrom = nextId;
+            pending = null;
+            latestCategories = [];
+            latencies = [];
+            skipped = 0;
+        },
+
+        /** Stops the worker. The next init() starts a new one. */
+        terminate() {
+            if (worker) worker.terminate();
+            worker = null;
+            readyPromise = null;
+            inFlight = null;
+            pending = null;
+        },
+    };
+}
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Web Worker that owns the YAMNet AudioClassifier for Laugh mode.
+ * It receives 1s audio windows and returns category scores, keeping model
+ * inference off the main thread. Driven by yamnet-client.js.
+ *
+ * This is a classic (non-module) worker on purpose: the MediaPipe loader uses
+ * importScripts() for its WASM glue, which module workers do not allow.
+ * ES modules are still loaded with dynamic import().
+ *
+ * Messages in:  {type: 'init'} | {type: 'classify', id, samples, sampleRate}
+ * Messages out: {type: 'ready'} | {type: 'error', message} | {type: 'log', message}
+ *             | {type: 'result', id, categories, latencyMs}
+ */
+
+let classifierPromise = null;
+
+const log = (message) => self.postMessage({ type: 'log', message });
+
+/**
+ * Loads MediaPipe and the YAMNet model once, local-first.
+ * @returns {Promise<any>} The AudioClassifier.
+ */
+function ensureClassifier() {
+    if (!classifierPromise) {
+        classifierPromise = (async () => {
+            const assets = await import('./assets.js');
+            const { FilesetResolver, AudioClassifier } = await assets.loadAsset('tasksAudio', (url) => import(url), log);
+            const fileset = await assets.loadAsset('wasm', (url) => FilesetResolver.forAudioTasks(url), log);
+            return assets.loadAsset('yamnet', (url) => AudioClassifier.createFromOptions(fileset, {
+                baseOptions: { modelAssetPath: url },
+                runningMode: "AUDIO_CLIPS",
+            }), log);
+        })();
+        classifierPromise.catch(() => { classifierPromise = null; });
+    }
+    return classifierPromise;
+}
+
+self.onmessage = async ({ data }) => {
+    if (data.type === 'init') {
+        try {
+            await ensureClassifier();
+            self.postMessage({ type: 'ready' });
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message || String(error) });
+        }
+        return;
+    }
+
+    if (data.type === 'classify') {
+        const classifier = await ensureClassifier();
+        const start = performance.now();
+        let categories = [];
+        try {
+            const result = classifier.classify(data.samples, data.sampleRate);
+            categories = (result?.[0]?.classifications?.[0]?.categories || [])
+                .map(({ index, categoryName, score }) => ({ index, categoryName, score }));
+        } catch (error) {
+            log(`Classification error: ${error.message || error}`);
+        }
+        self.postMessage({ type: 'result', id: data.id, categories, latencyMs: performance.now() - start });
+    }
+};
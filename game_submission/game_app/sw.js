@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Service worker for TogetherWe.
+ * Precaches the app shell and model assets so the game installs as a PWA
+ * and keeps working offline after the first visit.
+ */
+
+// Bump this whenever the precache list or any cached file changes.
+const CACHE_VERSION = 'v33';
+const PRECACHE = `togetherwe-precache-${CACHE_VERSION}`;
+const RUNTIME = `togetherwe-runtime-${CACHE_VERSION}`;
+
+// Files that ship with the app. Installation fails if any is missing.
+const APP_SHELL = [
+    './',
+    './index.html',
+    './laugh.html',
+    './shake.html',
+    './breathe.html',
+    './hum.html',
+    './scoreboard.html',
+    './profile.html',
+    './trends.html',
+    './party.html',
+    './about.html',
+    './manifest.webmanifest',
+    './achievements.json',
+    './css/styles.css',
+    './js/core.js',
+    './js/ui.js',
+    './js/storage.js',
+    './js/transfer.js',
+    './js/anticheat.js',
+    './js/assets.js',
+    './js/pwa.js',
+    './js/i18n.js',
+    './js/locales/en.js',
+    './js/locales/vi.js',
+    './js/simulate.js',
+    './js/audio-capture.js',
+    './js/mic.js',
+    './js/motion.js',
+    './js/cues.js',
+    './js/tap-input.js',
+    './js/capture-worklet.js',
+    './js/yamnet-client.js',
+    './js/yamnet-worker.js',
+    './js/label-policy.js',
+    './js/timeline.js',
+    './js/share-card.js',
+    './js/achievements.js',
+    './js/mood.js',
+    './js/trends.js',
+    './js/laugh-scoring.js',
+    './js/laugh.js',
+    './js/gravity.js',
+    './js/shake-scoring.js',
+    './js/shake.js',
+    './js/breathe-scoring.js',
+    './js/breathe.js',
+    './js/pitch.js',
+    './js/hum-scoring.js',
+    './js/hum.js',
+    './js/scoreboard.js',
+    './js/profile.js',
+    './js/tournament.js',
+    './js/party.js',
+    './js/rooms.js',
+    './js/room-panel.js',
+    './js/http-store.js',
+    './js/settings.js',
+    './js/settings-panel.js',
+    './js/mode-registry.js',
+    './js/modes.js',
+    './js/modes/laugh.js',
+    './js/modes/shake.js',
+    './js/modes/breathe.js',
+    './js/modes/hum.js',
+    './js/game-page.js',
+    './js/menu.js',
+    './assets/logo.svg',
+    './assets/bg-noise.png',
+    './assets/confetti.svg',
+];
+
+// Self-hosted and CDN assets. These are cached when reachable but never block installation.
+const OPTIONAL_ASSETS = [
+    './vendor/tailwindcss.js',
+    './vendor/mediapipe/tasks-audio/audio_bundle.mjs',
+    './vendor/mediapipe/tasks-audio/wasm/audio_wasm_internal.js',
+    './vendor/mediapipe/tasks-audio/wasm/audio_wasm_internal.wasm',
+    './vendor/mediapipe/tasks-audio/wasm/audio_wasm_nosimd_internal.js',
+    './vendor/mediapipe/tasks-audio/wasm/audio_wasm_nosimd_internal.wasm',
+    './vendor/models/yamnet.tflite',
+    'https://cdn.tailwindcss.com',
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(PRECACHE);
+        await cache.addAll(APP_SHELL);
+        await Promise.allSettled(OPTIONAL_ASSETS.map(async (url) => {
+            const isRemote = new URL(url, self.location).origin !== self.location.origin;
+            const response = await fetch(url, isRemote ? { mode: 'no-cors' } : undefined);
+            if (response.ok || response.type === 'opaque') await cache.put(url, response);
+        }));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('togetherwe-') && key !== PRECACHE && key !== RUNTIME)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * Same-origin files: serve from cache and refresh it in the background.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request) {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    const network = fetch(request).then(async (response) => {
+        if (response.ok) {
+            const cache = await caches.open(RUNTIME);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    });
+    if (cached) {
+        network.catch(() => {});
+        return cached;
+    }
+    return network;
+}
+
+/**
+ * Versioned CDN files never change: serve from cache, else fetch and keep a copy.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(RUNTIME);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // The asset resolver probes local files with HEAD; answer it from the cache when offline.
+    if (request.method === 'HEAD' && url.origin === self.location.origin) {
+        event.respondWith(fetch(request).catch(async () => {
+            const cached = await caches.match(url.href);
+            return cached ? new Response(null, { status: 200, headers: cached.headers }) : Response.error();
+        }));
+        return;
+    }
+    if (request.method !== 'GET' || !url.protocol.startsWith('http')) return;
+    // Shared leaderboard scores are live data; never answer them from a cache. The
+    // server can be on any origin and under any path, and the game asks for its
+    // scores with `cache: 'no-store'`.
+    if (request.cache === 'no-store' || url.pathname.includes('/api/')) return;
+
+    event.respondWith(url.origin === self.location.origin ? staleWhileRevalidate(request) : cacheFirst(request));
+});
@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Reference REST server for a shared leaderboard, e.g. one per
+ * class. Scores are validated with the same rules as the game, submissions
+ * are rate-limited per client address, and everything is kept in one JSON
+ * file.
+ *
+ *   GET  /api/scores?mode=laugh&limit=10[&includeFlagged=1][&settings=normal-10s]
+ *   POST /api/scores   {id, mode, name, score, ts, duration?, flagged?, settings?}
+ *
+ * Run with `node server/leaderboard.mjs` (options: PORT, HOST, DATA_FILE).
+ * No dependencies beyond Node itself.
+ */
+import { createServer } from 'node:http';
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { sanitizeName } from './names.mjs';
+
+/**
+ * Server settings.
+ *  - maxBodySize: bytes per request body.
+ *  - rateLimit: submissions allowed per client address per window (ms).
+ *  - maxRounds: rounds kept in total; the oldest are dropped beyond this.
+ *  - maxLimit: the most rounds one list request returns.
+ *  - saveDelay: ms to batch writes to the data file.
+ */
+export const LEADERBOARD_DEFAULTS = Object.freeze({
+    maxBodySize: 4096,
+    rateLimit: { count: 20, window: 60 * 1000 },
+    maxRounds: 50000,
+    maxLimit: 100,
+    saveDelay: 500,
+});
+
+const MIN_TS = Date.UTC(2020, 0, 1);
+const MAX_SCORE = 1000000;
+const MAX_DURATION = 10 * 60 * 1000;
+// Rounds from clients older than round settings were played with the defaults.
+const DEFAULT_SETTINGS_KEY = 'normal-10s';
+const SETTINGS_KEY_PATTERN = /^[\w-]{1,40}$/;
+
+/**
+ * Validates a submitted round.
+ * @param {any} raw The request body.
+ * @returns {{round?: Object, error?: string}}
+ */
+export function validateSubmission(raw) {
+    if (!raw || typeof raw !== 'object') return { error: "Body must be a JSON object." };
+    if (typeof raw.id !== 'string' || !/^[\w-]{1,64}$/.test(raw.id)) return { error: "Invalid id." };
+    if (typeof raw.mode !== 'string' || !/^[a-z]{1,16}$/.test(raw.mode)) return { error: "Invalid mode." };
+    const name = sanitizeName(raw.name);
+    if (!name) return { error: "Invalid name (1-16 letters, digits, spaces or _)." };
+    if (!Number.isInteger(raw.score) || raw.score < 0 || raw.score > MAX_SCORE) return { error: "Invalid score." };
+    if (!Number.isFinite(raw.ts) || raw.ts < MIN_TS || raw.ts > Date.now() + 24 * 3600 * 1000) return { error: "Invalid timestamp." };
+    const duration = raw.duration ?? null;
+    if (duration !== null && (!Number.isFinite(duration) || duration < 0 || duration > MAX_DURATION)) return { error: "Invalid duration." };
+    const settings = raw.settings ?? DEFAULT_SETTINGS_KEY;
+    if (typeof settings !== 'string' || !SETTINGS_KEY_PATTERN.test(settings)) return { error: "Invalid settings key." };
+    return { round: { id: raw.id, mode: raw.mode, name, score: raw.score, ts: raw.ts, duration, flagged: raw.flagged === true, settings } };
+}
+
+/**
+ * Creates a leaderboard server. Call `listen` to start accepting requests.
+ * @param {Partial<typeof LEADERBOARD_DEFAULTS> & {dataFile?: string}} [options]
+ *     Without `dataFile`, rounds are kept in memory only.
+ * @returns {{
+ *   server: import('node:http').Server,
+ *   rounds: Object[],
+ *   submissions: Map<string, number[]>,
+ *   listen: (port?: number, host?: string) => Promise<import('node:net').AddressInfo>,
+ *   close: () => Promise<void>,
+ * }} `submissions` holds the recent submission times of each client address.
+ */
+export function createLeaderboard(options = {}) {
+    const params = { ...LEADERBOARD_DEFAULTS, ...options };
+    let rounds = [];
+    const ids = new Set();
+    const submissions = new Map(); // client address -> timestamps in the current window
+    let lastSweep = Date.now();
+    let saveTimer = null;
+    let loaded = Promise.resolve();
+
+    if (params.dataFile) {
+        loaded = readFile(params.dataFile, 'utf8')
+            .then(text => {
+                const stored = JSON.parse(text);
+                rounds = (Array.isArray(stored.rounds) ? stored.rounds : []).map(r => validateSubmission(r).round).filter(Boolean);
+                rounds.forEach(r => ids.add(r.id));
+            })
+            .catch(error => {
+                if (error.code !== 'ENOENT') console.error(`Could not read ${params.dataFile}:`, error.message);
+            });
+    }
+
+    const writeData = async () => {
+        try {
+            await mkdir(dirname(params.dataFile), { recursive: true });
+            const tmp = `${params.dataFile}.tmp`;
+            await writeFile(tmp, JSON.stringify({ rounds }));
+            await rename(tmp, params.dataFile);
+        } catch (error) {
+            console.error(`Could not write ${params.dataFile}:`, error.message);
+        }
+    };
+
+    const save = () => {
+        if (!params.dataFile || saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            writeData();
+        }, params.saveDelay);
+    };
+
+    const isRateLimited = (address) => {
+        const now = Date.now();
+        // Forget addresses with nothing in the window, at most once a window.
+        if (now - lastSweep >= params.rateLimit.window) {
+            lastSweep = now;
+            submissions.forEach((times, key) => {
+                if (now - times[times.length - 1] >= params.rateLimit.window) submissions.delete(key);
+            });
+        }
+        const recent = (submissions.get(address) || []).filter(t => now - t < params.rateLimit.window);
+        if (recent.length >= params.rateLimit.count) {
+            submissions.set(address, recent);
+            return Math.ceil((params.rateLimit.window - (now - recent[0])) / 1000);
+        }
+        recent.push(now);
+        submissions.set(address, recent);
+        return 0;
+    };
+
+    const reply = (response, status, body, headers = {}) => {
+        response.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type',
+            ...headers,
+        });
+        response.end(JSON.stringify(body));
+    };
+
+    const readBody = (request) => new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        const onData = (chunk) => {
+            size += chunk.length;
+            if (size > params.maxBodySize) {
+                // Stop reading but keep the connection, so the 413 reaches the client.
+                request.off('data', onData);
+                request.pause();
+                reject(Object.assign(new Error("Request body too large."), { status: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        request.on('data', onData);
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+
+    const listScores = (url, response) => {
+        const mode = url.searchParams.get('mode') || '';
+        if (!/^[a-z]{1,16}$/.test(mode)) return reply(response, 400, { error: "Invalid mode." });
+        const limit = Math.min(params.maxLimit, Math.max(1, Number.parseInt(url.searchParams.get('limit'), 10) || 10));
+        const includeFlagged = url.searchParams.get('includeFlagged') === '1';
+        const settings = url.searchParams.get('settings');
+        if (settings !== null && !SETTINGS_KEY_PATTERN.test(settings)) return reply(response, 400, { error: "Invalid settings key." });
+        const scores = rounds
+            .filter(r => r.mode === mode && (includeFlagged || !r.flagged) && (settings === null || r.settings === settings))
+            .sort((a, b) => b.score - a.score || a.ts - b.ts)
+            .slice(0, limit)
+            .map(({ id, name, score, ts, duration, flagged, settings }) => ({ id, name, score, ts, duration, flagged, settings }));
+        return reply(response, 200, { mode, scores });
+    };
+
+    const submitScore = async (request, response) => {
+        const retryAfter = isRateLimited(request.socket.remoteAddress);
+        if (retryAfter) return reply(response, 429, { error: "Too many submissions. Try again later." }, { 'Retry-After': String(retryAfter) });
+
+        let raw;
+        try {
+            raw = JSON.parse(await readBody(request));
+        } catch (error) {
+            if (error.status === 413) {
+                // The rest of the body is never read; close the connection once the answer is sent.
+                return reply(response, 413, { error: error.message }, { Connection: 'close' });
+            }
+            return reply(response, 400, { error: "Body must be JSON." });
+        }
+        const { round, error } = validateSubmission(raw);
+        if (error) return reply(response, 400, { error });
+        // Clients retry queued rounds, so a known id is accepted without storing it twice.
+        if (ids.has(round.id)) return reply(response, 200, { id: round.id, duplicate: true });
+
+        rounds.push(round);
+        ids.add(round.id);
+        if (rounds.length > params.maxRounds) {
+            rounds.sort((a, b) => a.ts - b.ts);
+            rounds.splice(0, rounds.length - params.maxRounds).forEach(r => ids.delete(r.id));
+        }
+        save();
+        return reply(response, 201, { id: round.id });
+    };
+
+    const server = createServer(async (request, response) => {
+        await loaded;
+        const url = new URL(request.url, 'http://localhost');
+        try {
+            if (request.method === 'OPTIONS') return reply(response, 204, {});
+            if (url.pathname === '/health') return reply(response, 200, { ok: true, rounds: rounds.length });
+            if (url.pathname !== '/api/scores') return reply(response, 404, { error: "Not found." });
+            if (request.method === 'GET') return listScores(url, response);
+            if (request.method === 'POST') return await submitScore(request, response);
+            return reply(response, 405, { error: "Method not allowed." }, { Allow: 'GET, POST, OPTIONS' });
+        } catch (error) {
+            console.error(error);
+            if (!response.headersSent) reply(response, 500, { error: "Internal error." });
+        }
+    });
+
+    return {
+        server,
+        get rounds() { return rounds; },
+        submissions,
+        listen(port = 8788, host = '0.0.0.0') {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => resolve(server.address()));
+            });
+        },
+        async close() {
+            await new Promise(resolve => server.close(() => resolve()));
+            if (saveTimer) {
+                clearTimeout(saveTimer);
+                saveTimer = null;
+                await writeData();
+            }
+        },
+    };
+}
+
+// --- Command line ---
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const here = dirname(fileURLToPath(import.meta.url));
+    const { PORT = '8788', HOST = '0.0.0.0', DATA_FILE = join(here, 'data', 'leaderboard.json') } = process.env;
+    const leaderboard = createLeaderboard({ dataFile: DATA_FILE });
+    leaderboard.listen(Number(PORT), HOST).then(({ address, port }) => {
+        console.log(`TogetherWe leaderboard listening on http://${address}:${port} (data: ${DATA_FILE})`);
+    });
+    process.on('SIGINT', () => leaderboard.close().then(() => process.exit(0)));
+}
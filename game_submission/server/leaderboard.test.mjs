@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Tests for the shared leaderboard server, with requests to a
+ * leaderboard on a free local port that keeps its rounds in memory.
+ * Run with `npm test` from game_submission/.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'node:http';
+import { createLeaderboard, validateSubmission, LEADERBOARD_DEFAULTS } from './leaderboard.mjs';
+
+const TS = Date.UTC(2025, 2, 1);
+
+/**
+ * A valid submission, with some fields replaced.
+ * @param {Object} [fields]
+ */
+const submission = (fields = {}) => ({ id: 'r1', mode: 'laugh', name: 'Ana', score: 50, ts: TS, duration: 10000, settings: 'normal-10s', ...fields });
+
+/**
+ * Starts a leaderboard and returns helpers to talk to it.
+ * @param {import('node:test').TestContext} t
+ * @param {Partial<typeof LEADERBOARD_DEFAULTS>} [options]
+ */
+async function openLeaderboard(t, options = {}) {
+    const leaderboard = createLeaderboard(options);
+    const { port } = await leaderboard.listen(0, '127.0.0.1');
+    t.after(() => leaderboard.close());
+    const base = `http://127.0.0.1:${port}`;
+    /**
+     * Posts a body, JSON-encoded unless it is a string.
+     * @returns {Promise<{status: number, headers: Headers, body: Object}>}
+     */
+    const post = async (body) => {
+        const response = await fetch(`${base}/api/scores`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: typeof body === 'string' ? body : JSON.stringify(body),
+        });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    };
+    /** Lists scores with the given query parameters. */
+    const list = async (query) => {
+        const response = await fetch(`${base}/api/scores?${new URLSearchParams(query)}`);
+        return { status: response.status, body: await response.json() };
+    };
+    return { leaderboard, port, post, list };
+}
+
+test('validates submissions with the same rules as the game', () => {
+    const { round } = validateSubmission(submission({ name: '  Ana  ', flagged: true }));
+    assert.deepEqual(round, { id: 'r1', mode: 'laugh', name: 'Ana', score: 50, ts: TS, duration: 10000, flagged: true, settings: 'normal-10s' });
+    // Rounds from older clients were played with the default settings.
+    assert.equal(validateSubmission(submission({ settings: undefined, duration: undefined })).round.settings, 'normal-10s');
+
+    assert.equal(validateSubmission(null).error, "Body must be a JSON object.");
+    assert.equal(validateSubmission(submission({ id: 'has spaces' })).error, "Invalid id.");
+    assert.equal(validateSubmission(submission({ mode: 'Laugh!' })).error, "Invalid mode.");
+    assert.match(validateSubmission(submission({ name: '' })).error, /^Invalid name/);
+    assert.equal(validateSubmission(submission({ score: 12.5 })).error, "Invalid score.");
+    assert.equal(validateSubmission(submission({ score: -1 })).error, "Invalid score.");
+    assert.equal(validateSubmission(submission({ ts: Date.UTC(2019, 0, 1) })).error, "Invalid timestamp.");
+    assert.equal(validateSubmission(submission({ ts: Date.now() + 2 * 24 * 3600 * 1000 })).error, "Invalid timestamp.");
+    assert.equal(validateSubmission(submission({ duration: -5 })).error, "Invalid duration.");
+    assert.equal(validateSubmission(submission({ settings: '../x' })).error, "Invalid settings key.");
+});
+
+test('stores a valid round once, and rejects invalid ones', async (t) => {
+    const { leaderboard, post } = await openLeaderboard(t);
+    assert.deepEqual(await post(submission()).then(r => [r.status, r.body]), [201, { id: 'r1' }]);
+    // A client retrying a queued round gets it acknowledged without a second copy.
+    assert.deepEqual(await post(submission()).then(r => [r.status, r.body]), [200, { id: 'r1', duplicate: true }]);
+    assert.equal(leaderboard.rounds.length, 1);
+
+    assert.deepEqual(await post(submission({ id: 'r2', score: 'lots' })).then(r => [r.status, r.body]), [400, { error: "Invalid score." }]);
+    assert.deepEqual(await post('{not json').then(r => [r.status, r.body]), [400, { error: "Body must be JSON." }]);
+    assert.equal(leaderboard.rounds.length, 1);
+});
+
+test('lists a mode best first, ties by the earlier round', async (t) => {
+    const { post, list } = await openLeaderboard(t);
+    const rounds = [
+        submission({ id: 'a', name: 'Ana', score: 40, ts: TS }),
+        submission({ id: 'b', name: 'Binh', score: 70, ts: TS + 2000 }),
+        submission({ id: 'c', name: 'Chi', score: 70, ts: TS + 1000 }),
+        submission({ id: 'd', name: 'Dan', score: 90, ts: TS, flagged: true }),
+        submission({ id: 'e', name: 'Em', score: 99, ts: TS, settings: 'intense-30s' }),
+        submission({ id: 'f', name: 'Fay', score: 99, ts: TS, mode: 'shake' }),
+    ];
+    for (const round of rounds) assert.equal((await post(round)).status, 201);
+
+    const ids = async (query) => (await list(query)).body.scores.map(score => score.id);
+    assert.deepEqual(await ids({ mode: 'laugh', settings: 'normal-10s' }), ['c', 'b', 'a']);
+    assert.deepEqual(await ids({ mode: 'laugh', settings: 'normal-10s', includeFlagged: '1' }), ['d', 'c', 'b', 'a']);
+    assert.deepEqual(await ids({ mode: 'laugh' }), ['e', 'c', 'b', 'a']);
+    assert.deepEqual(await ids({ mode: 'laugh', limit: '2' }), ['e', 'c']);
+    assert.deepEqual(await ids({ mode: 'shake' }), ['f']);
+
+    const { body } = await list({ mode: 'laugh', limit: '1' });
+    assert.deepEqual(body, { mode: 'laugh', scores: [{ id: 'e', name: 'Em', score: 99, ts: TS, duration: 10000, flagged: false, settings: 'intense-30s' }] });
+    assert.equal((await list({ mode: '' })).status, 400);
+    assert.equal((await list({ mode: 'laugh', settings: '../x' })).status, 400);
+});
+
+test('limits submissions per client address', async (t) => {
+    const { leaderboard, post } = await openLeaderboard(t, { rateLimit: { count: 2, window: 60 * 1000 } });
+    assert.equal((await post(submission({ id: 'a' }))).status, 201);
+    assert.equal((await post(submission({ id: 'b' }))).status, 201);
+    const limited = await post(submission({ id: 'c' }));
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('retry-after'), '60');
+    assert.deepEqual(leaderboard.rounds.map(round => round.id), ['a', 'b']);
+});
+
+test('forgets client addresses once their window has passed', async (t) => {
+    const window = 50;
+    const { leaderboard, post } = await openLeaderboard(t, { rateLimit: { count: 1, window } });
+    leaderboard.submissions.set('192.0.2.1', [Date.now()]); // Another client, seen once
+    assert.equal((await post(submission({ id: 'a' }))).status, 201);
+    assert.equal(leaderboard.submissions.size, 2);
+
+    await new Promise(resolve => setTimeout(resolve, window + 10));
+    assert.equal((await post(submission({ id: 'b' }))).status, 201);
+    assert.deepEqual([...leaderboard.submissions.keys()], ['127.0.0.1']);
+});
+
+test('answers an oversized body with 413 before closing the connection', async (t) => {
+    const { leaderboard, port } = await openLeaderboard(t);
+    // Much more than fits in the socket buffers, so the server answers mid-upload.
+    const body = JSON.stringify(submission({ padding: 'x'.repeat(4 * 1024 * 1024) }));
+    assert.ok(body.length > LEADERBOARD_DEFAULTS.maxBodySize);
+    const { status, headers, text } = await new Promise((resolve, reject) => {
+        const req = request({ port, host: '127.0.0.1', method: 'POST', path: '/api/scores', headers: { 'Content-Type': 'application/json' } }, (response) => {
+            let text = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => { text += chunk; });
+            response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, text }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+    assert.equal(status, 413);
+    assert.equal(headers.connection, 'close');
+    assert.deepEqual(JSON.parse(text), { error: "Request body too large." });
+    assert.equal(leaderboard.rounds.length, 0);
+});
@@ -0,0 +1,15 @@
+/**
+ * @fileoverview Player name rules for the servers. These mirror
+ * `sanitizeName` in game_app/js/core.js, which the browser modules use;
+ * keep the two in step.
+ */
+
+/**
+ * Sanitizes a player name.
+ * @param {any} name The proposed name.
+ * @returns {string} The sanitized name, or an empty string if invalid.
+ */
+export const sanitizeName = (name) => {
+    const s = (typeof name === 'string' ? name : "").trim();
+    return /^[A-Za-z0-9_ ]{1,16}$/.test(s) ? s : "";
+};
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Room relay for synchronized multiplayer rounds.
+ * Phones join a room by code; the host starts a round and every member gets
+ * the same start time (in server time, which clients sync to). During the
+ * round, members' live and final scores are relayed to the room. Rooms
+ * exist only in memory and vanish when the last member leaves.
+ *
+ * Run with `node server/relay.mjs` (options: PORT, HOST, and TLS_CERT /
+ * TLS_KEY file paths to serve wss:// for pages loaded over HTTPS).
+ * No dependencies beyond Node itself.
+ */
+import { createServer } from 'node:http';
+import { createServer as createTlsServer } from 'node:https';
+import { readFileSync } from 'node:fs';
+import { randomInt } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { acceptWebSocket } from './ws.mjs';
+import { sanitizeName } from './names.mjs';
+
+/**
+ * Relay settings.
+ *  - maxRoomSize: members per room.
+ *  - maxMessageSize: bytes per message.
+ *  - maxMessagesPerSecond: connections sending faster are closed.
+ *  - startDelay: ms between the host pressing start and the round starting,
+ *    long enough for every phone to get the message and count down.
+ */
+export const RELAY_DEFAULTS = Object.freeze({
+    maxRoomSize: 16,
+    maxMessageSize: 4096,
+    maxMessagesPerSecond: 30,
+    startDelay: 5000,
+});
+
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // No I or O
+const ROOM_CODE_LENGTH = 4;
+const MAX_SCORE = 1000000;
+
+/**
+ * Creates a relay server. Call `listen` to start accepting connections.
+ * @param {Partial<typeof RELAY_DEFAULTS> & {tls?: {cert: Buffer, key: Buffer}}} [options]
+ * @returns {{
+ *   server: import('node:http').Server,
+ *   rooms: Map<string, Object>,
+ *   listen: (port?: number, host?: string) => Promise<import('node:net').AddressInfo>,
+ *   close: () => Promise<void>,
+ * }}
+ */
+export function createRelay(options = {}) {
+    const params = { ...RELAY_DEFAULTS, ...options };
+    const rooms = new Map();
+    const connections = new Set();
+    let nextId = 1;
+
+    const handler = (request, response) => {
+        response.writeHead(request.url === '/health' ? 200 : 426, { 'Content-Type': 'text/plain' });
+        response.end(request.url === '/health' ? `ok ${rooms.size} room(s)\n` : "This is the TogetherWe room relay. Connect with WebSocket.\n");
+    };
+    const server = params.tls ? createTlsServer(params.tls, handler) : createServer(handler);
+
+    const send = (member, message) => member.connection.send(JSON.stringify(message));
+    // Clients show errors in the player's language by `code`; `message` is for logs and tools.
+    const fail = (member, code, message, details = {}) => send(member, { type: 'error', code, ...details, message });
+    const broadcast = (room, message, except = null) => {
+        room.members.forEach(member => { if (member !== except) send(member, message); });
+    };
+    const memberList = (room) => [...room.members.values()].map(({ id, name }) => ({ id, name }));
+    const announceMembers = (room) => broadcast(room, { type: 'members', hostId: room.hostId, members: memberList(room) });
+
+    const newRoomCode = () => {
+        let code;
+        do {
+            code = Array.from({ length: ROOM_CODE_LENGTH }, () => ROOM_CODE_ALPHABET[randomInt(ROOM_CODE_ALPHABET.length)]).join('');
+        } while (rooms.has(code));
+        return code;
+    };
+
+    const leaveRoom = (member) => {
+        const room = member.room;
+        if (!room) return;
+        room.members.delete(member.id);
+        member.room = null;
+        if (room.members.size === 0) {
+            rooms.delete(room.code);
+            return;
+        }
+        if (room.hostId === member.id) room.hostId = room.members.keys().next().value;
+        announceMembers(room);
+    };
+
+    const joinRoom = (member, room, name) => {
+        leaveRoom(member);
+        member.name = name;
+        member.room = room;
+        room.members.set(member.id, member);
+        send(member, { type: 'joined', room: room.code, id: member.id, mode: room.mode, hostId: room.hostId, members: memberList(room) });
+        announceMembers(room);
+    };
+
+    const validScore = (value) => Number.isFinite(value) && value >= 0 && value <= MAX_SCORE;
+
+    /**
+     * Handles one client message.
+     * @param {Object} member
+     * @param {Object} message
+     */
+    const handleMessage = (member, message) => {
+        const room = member.room;
+        switch (message.type) {
+            case 'sync':
+                send(member, { type: 'sync', t: message.t, serverTime: Date.now() });
+                return;
+            case 'create':
+            case 'join': {
+                const name = sanitizeName(message.name);
+                if (!name) return fail(member, 'invalid-name', "Invalid name.");
+                if (message.type === 'create') {
+                    const mode = typeof message.mode === 'string' && /^[a-z]{1,16}$/.test(message.mode) ? message.mode : '';
+                    if (!mode) return fail(member, 'invalid-mode', "Invalid mode.");
+                    const code = newRoomCode();
+                    const created = { code, mode, hostId: member.id, members: new Map() };
+                    rooms.set(code, created);
+                    return joinRoom(member, created, name);
+                }
+                const target = rooms.get(String(message.room || '').trim().toUpperCase());
+                if (!target) return fail(member, 'no-room', "No room with that code.");
+                if (target.mode !== message.mode) return fail(member, 'other-mode', `That room is playing ${target.mode}.`, { mode: target.mode });
+                if (target.members.size >= params.maxRoomSize && !target.members.has(member.id)) {
+                    return fail(member, 'room-full', "That room is full.");
+                }
+                return joinRoom(member, target, name);
+            }
+            case 'leave':
+                leaveRoom(member);
+                return send(member, { type: 'left' });
+        }
+
+        if (!room) return fail(member, 'not-in-room', "Join a room first.");
+        switch (message.type) {
+            case 'start':
+                if (room.hostId !== member.id) return fail(member, 'not-host', "Only the host can start the round.");
+                return broadcast(room, { type: 'start', mode: room.mode, startAt: Date.now() + params.startDelay });
+            case 'live':
+                if (!validScore(message.score)) return;
+                return broadcast(room, { type: 'live', id: member.id, score: message.score }, member);
+            case 'final':
+                if (!validScore(message.score)) return;
+                return broadcast(room, { type: 'final', id: member.id, score: message.score, flagged: !!message.flagged });
+            default:
+                return fail(member, 'unknown-type', `Unknown message type "${message.type}".`);
+        }
+    };
+
+    server.on('upgrade', (request, socket) => {
+        const connection = acceptWebSocket(request, socket, { maxMessageSize: params.maxMessageSize });
+        if (!connection) return;
+        const member = { id: String(nextId++), name: '', room: null, connection, windowStart: 0, windowCount: 0 };
+        connections.add(connection);
+
+        connection.onMessage((text) => {
+            const now = Date.now();
+            if (now - member.windowStart >= 1000) {
+                member.windowStart = now;
+                member.windowCount = 0;
+            }
+            if (++member.windowCount > params.maxMessagesPerSecond) {
+                connection.close(1008, "Too many messages.");
+                return;
+            }
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch {
+                fail(member, 'invalid-json', "Messages must be JSON.");
+                return;
+            }
+            if (message && typeof message === 'object') handleMessage(member, message);
+        });
+        connection.onClose(() => {
+            connections.delete(connection);
+            leaveRoom(member);
+        });
+    });
+
+    return {
+        server,
+        rooms,
+        listen(port = 8787, host = '0.0.0.0') {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => resolve(server.address()));
+            });
+        },
+        close() {
+            connections.forEach(connection => connection.close(1001, "Server shutting down."));
+            return new Promise(resolve => server.close(() => resolve()));
+        },
+    };
+}
+
+// --- Command line ---
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const { PORT = '8787', HOST = '0.0.0.0', TLS_CERT, TLS_KEY } = process.env;
+    const tls = TLS_CERT && TLS_KEY ? { cert: readFileSync(TLS_CERT), key: readFileSync(TLS_KEY) } : undefined;
+    const relay = createRelay({ tls });
+    relay.listen(Number(PORT), HOST).then(({ address, port }) => {
+        console.log(`TogetherWe relay listening on ${tls ? 'wss' : 'ws'}://${address}:${port}`);
+    });
+    process.on('SIGINT', () => relay.close().then(() => process.exit(0)));
+}
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Tests for the room relay, with in-process clients talking to
+ * a relay on a free local port. The clients are the raw-socket ones from
+ * ws-test-client.mjs, so the tests run on every supported Node version.
+ * Run with `npm test` from game_submission/.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRelay, RELAY_DEFAULTS } from './relay.mjs';
+import { clientFrame, connectWebSocket } from './ws-test-client.mjs';
+
+const START_DELAY = 100;
+
+/**
+ * Opens a JSON client. `next(type)` waits for the next message of that type
+ * it hasn't been given yet; `closed` resolves with the close code.
+ * @param {number} port
+ * @returns {Promise<{socket: import('node:net').Socket, send: (message: Object) => void, next: (type: string) => Promise<Object>, closed: Promise<number>}>}
+ */
+async function openClient(port) {
+    const { socket, nextFrame, closed } = await connectWebSocket(port);
+    const received = [];
+    const waiting = [];
+    const deliver = () => {
+        for (const waiter of [...waiting]) {
+            const index = received.findIndex(message => message.type === waiter.type);
+            if (index === -1) continue;
+            waiting.splice(waiting.indexOf(waiter), 1);
+            waiter.resolve(received.splice(index, 1)[0]);
+        }
+    };
+    (async () => {
+        for (let frame = await nextFrame(); frame.opcode !== 0x8; frame = await nextFrame()) {
+            if (frame.opcode !== 0x1) continue;
+            received.push(JSON.parse(frame.payload.toString()));
+            deliver();
+        }
+    })();
+    return {
+        socket,
+        closed,
+        send: (message) => socket.write(clientFrame(0x1, JSON.stringify(message))),
+        next: (type) => new Promise(resolve => {
+            waiting.push({ type, resolve });
+            deliver();
+        }),
+    };
+}
+
+/**
+ * Starts a relay, and a room with a host and a guest in it.
+ * @param {import('node:test').TestContext} t
+ */
+async function openRoom(t) {
+    const relay = createRelay({ startDelay: START_DELAY });
+    const { port } = await relay.listen(0, '127.0.0.1');
+    const clients = [];
+    t.after(async () => {
+        clients.forEach(client => client.socket.destroy());
+        await relay.close();
+    });
+    const client = async () => {
+        const opened = await openClient(port);
+        clients.push(opened);
+        return opened;
+    };
+
+    const host = await client();
+    host.send({ type: 'create', name: 'Ana', mode: 'laugh' });
+    const created = await host.next('joined');
+    const guest = await client();
+    guest.send({ type: 'join', name: 'Binh', mode: 'laugh', room: created.room.toLowerCase() });
+    const joined = await guest.next('joined');
+    // Everyone is told who is in the room after each join; start the tests after those.
+    await host.next('members');
+    const members = await host.next('members');
+    await guest.next('members');
+    return { relay, client, host, guest, created, joined, members };
+}
+
+test('creates a room and lets a guest join with the code in lowercase', async (t) => {
+    const { relay, created, joined, members } = await openRoom(t);
+    assert.match(created.room, /^[A-HJ-NP-Z]{4}$/);
+    assert.equal(created.mode, 'laugh');
+    assert.equal(created.hostId, created.id);
+    assert.ok(relay.rooms.has(created.room));
+
+    assert.equal(joined.room, created.room);
+    assert.equal(joined.hostId, created.id);
+    assert.deepEqual(joined.members.map(member => member.name), ['Ana', 'Binh']);
+    assert.deepEqual(members.members, joined.members);
+});
+
+test('rejects joining a room playing another mode, or no room', async (t) => {
+    const { client, created } = await openRoom(t);
+    const other = await client();
+    other.send({ type: 'join', name: 'Chi', mode: 'shake', room: created.room });
+    const otherMode = await other.next('error');
+    assert.equal(otherMode.code, 'other-mode');
+    assert.equal(otherMode.mode, 'laugh');
+    other.send({ type: 'join', name: 'Chi', mode: 'laugh', room: created.room === 'ZZZZ' ? 'YYYY' : 'ZZZZ' });
+    assert.equal((await other.next('error')).code, 'no-room');
+});
+
+test('only the host can start, and everyone gets the same start time', async (t) => {
+    const { host, guest } = await openRoom(t);
+    guest.send({ type: 'start' });
+    assert.equal((await guest.next('error')).code, 'not-host');
+
+    const before = Date.now();
+    host.send({ type: 'start' });
+    const [hostStart, guestStart] = await Promise.all([host.next('start'), guest.next('start')]);
+    assert.deepEqual(hostStart, guestStart);
+    assert.equal(hostStart.mode, 'laugh');
+    assert.ok(hostStart.startAt >= before + START_DELAY && hostStart.startAt <= Date.now() + START_DELAY);
+});
+
+test('relays live scores to the others and final scores to everyone', async (t) => {
+    const { host, guest, created, joined } = await openRoom(t);
+    guest.send({ type: 'live', score: 12 });
+    assert.deepEqual(await host.next('live'), { type: 'live', id: joined.id, score: 12 });
+
+    guest.send({ type: 'live', score: -1 }); // Invalid scores are dropped
+    host.send({ type: 'final', score: 345, flagged: true });
+    const final = { type: 'final', id: created.id, score: 345, flagged: true };
+    assert.deepEqual(await host.next('final'), final);
+    assert.deepEqual(await guest.next('final'), final);
+
+    guest.send({ type: 'live', score: 7 });
+    assert.equal((await host.next('live')).score, 7); // Not -1
+
+    guest.send({ type: 'final', score: 200 });
+    assert.deepEqual(await host.next('final'), { type: 'final', id: joined.id, score: 200, flagged: false });
+});
+
+test('answers messages it cannot handle with an error code', async (t) => {
+    const { client } = await openRoom(t);
+    const other = await client();
+    other.send({ type: 'start' });
+    assert.equal((await other.next('error')).code, 'not-in-room');
+    other.send({ type: 'create', name: '', mode: 'laugh' });
+    assert.equal((await other.next('error')).code, 'invalid-name');
+    other.send({ type: 'create', name: 'Chi', mode: 'Laugh!' });
+    assert.equal((await other.next('error')).code, 'invalid-mode');
+    other.socket.write(clientFrame(0x1, 'not json'));
+    assert.equal((await other.next('error')).code, 'invalid-json');
+});
+
+test('closes the connection of a client sending an oversized message', async (t) => {
+    const { host, guest, created } = await openRoom(t);
+    guest.send({ type: 'live', score: 1, padding: 'x'.repeat(RELAY_DEFAULTS.maxMessageSize) });
+    assert.equal(await guest.closed, 1002);
+
+    const members = await host.next('members'); // The guest left the room with its connection
+    assert.deepEqual(members.members.map(member => member.id), [created.id]);
+});
+
+test('closes the connection of a client sending too many messages', async (t) => {
+    const { guest } = await openRoom(t);
+    for (let i = 0; i <= RELAY_DEFAULTS.maxMessagesPerSecond; i++) guest.send({ type: 'sync', t: i });
+    assert.equal(await guest.closed, 1008);
+});
+
+test('hands the room to another member when the host leaves', async (t) => {
+    const { relay, host, guest, created, joined } = await openRoom(t);
+    host.send({ type: 'leave' });
+    await host.next('left');
+    const members = await guest.next('members');
+    assert.equal(members.hostId, joined.id);
+    assert.deepEqual(members.members.map(member => member.id), [joined.id]);
+
+    guest.send({ type: 'start' });
+    assert.equal((await guest.next('start')).mode, 'laugh');
+
+    guest.send({ type: 'leave' });
+    await guest.next('left');
+    assert.equal(relay.rooms.has(created.room), false);
+});
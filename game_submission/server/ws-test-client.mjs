@@ -0,0 +1,123 @@
+/**
+ * @fileoverview A bare WebSocket client for the server tests, on a raw
+ * `node:net` socket so it runs on every supported Node version and can send
+ * frames no browser would (unmasked, binary, split anywhere). Not a test
+ * file itself: ws.test.mjs and relay.test.mjs use it.
+ */
+import { connect } from 'node:net';
+import { once } from 'node:events';
+
+/**
+ * Encodes a client frame, masked unless told otherwise.
+ * @param {number} opcode
+ * @param {string | Buffer} payload
+ * @param {{fin?: boolean, masked?: boolean}} [flags]
+ * @returns {Buffer}
+ */
+export function clientFrame(opcode, payload, { fin = true, masked = true } = {}) {
+    const data = Buffer.from(payload);
+    let header;
+    if (data.length < 126) {
+        header = Buffer.from([0, data.length]);
+    } else if (data.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+    header[0] = (fin ? 0x80 : 0) | opcode;
+    if (!masked) return Buffer.concat([header, data]);
+    header[1] |= 0x80;
+    const mask = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+    return Buffer.concat([header, mask, data.map((byte, i) => byte ^ mask[i % 4])]);
+}
+
+/**
+ * @typedef {Object} Frame
+ * @property {boolean} fin
+ * @property {number} opcode
+ * @property {Buffer} payload
+ */
+
+/**
+ * Connects to a WebSocket server and completes the handshake.
+ * @param {number} port On 127.0.0.1.
+ * @returns {Promise<{
+ *   socket: import('node:net').Socket,
+ *   handshake: string,
+ *   nextFrame: () => Promise<Frame>,
+ *   closed: Promise<number>,
+ * }>} `handshake` is the server's response headers. `nextFrame` resolves
+ *     with the server's frames in order, and `closed` with the code of its
+ *     close frame, or 1006 if the socket just ended.
+ */
+export async function connectWebSocket(port) {
+    const socket = connect(port, '127.0.0.1');
+    await once(socket, 'connect');
+    socket.write([
+        'GET / HTTP/1.1',
+        'Host: localhost',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+        'Sec-WebSocket-Version: 13',
+        '', '',
+    ].join('\r\n'));
+
+    const frames = [];
+    const waiting = [];
+    let buffer = Buffer.alloc(0);
+    let handshake = null;
+    let resolveHandshake;
+    const handshakeDone = new Promise(resolve => { resolveHandshake = resolve; });
+    let resolveClosed;
+    const closed = new Promise(resolve => { resolveClosed = resolve; });
+
+    const deliver = (frame) => {
+        if (frame.opcode === 0x8) resolveClosed(frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1005);
+        if (waiting.length > 0) waiting.shift()(frame);
+        else frames.push(frame);
+    };
+
+    socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        if (handshake === null) {
+            const end = buffer.indexOf('\r\n\r\n');
+            if (end === -1) return;
+            handshake = buffer.subarray(0, end + 4).toString();
+            buffer = buffer.subarray(end + 4);
+            resolveHandshake(handshake);
+        }
+        // Server frames are never masked.
+        while (buffer.length >= 2) {
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                if (buffer.length < 4) return;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) return;
+                length = Number(buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if (buffer.length < offset + length) return;
+            deliver({ fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0f, payload: buffer.subarray(offset, offset + length) });
+            buffer = buffer.subarray(offset + length);
+        }
+    });
+    socket.on('close', () => resolveClosed(1006));
+    socket.on('error', () => {});
+
+    const response = await handshakeDone;
+    if (!/^HTTP\/1\.1 101 /.test(response)) throw new Error(`Handshake failed: ${response.split('\r\n')[0]}`);
+    return {
+        socket,
+        handshake: response,
+        closed,
+        nextFrame: () => (frames.length > 0 ? Promise.resolve(frames.shift()) : new Promise(resolve => waiting.push(resolve))),
+    };
+}
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview A minimal WebSocket (RFC 6455) server connection built on
+ * Node's `http` and `crypto` modules, so the relay has no dependencies.
+ * Supports text messages (including fragmented ones), ping/pong and close.
+ * Binary messages are rejected.
+ */
+import { createHash } from 'node:crypto';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = Object.freeze({
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa,
+});
+
+/**
+ * Encodes one unmasked (server-to-client) frame.
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * @typedef {Object} WebSocketConnection
+ * @property {(text: string) => void} send Sends a text message.
+ * @property {(code?: number, reason?: string) => void} close Sends a close frame and ends the connection.
+ * @property {(listener: (text: string) => void) => () => void} onMessage Subscribes to text messages.
+ * @property {(listener: (code: number) => void) => () => void} onClose Subscribes to the connection closing.
+ * @property {boolean} closed
+ */
+
+/**
+ * Wraps an upgraded socket in a WebSocket connection.
+ * @param {import('node:net').Socket} socket
+ * @param {{maxMessageSize: number}} options
+ * @returns {WebSocketConnection}
+ */
+function createConnection(socket, { maxMessageSize }) {
+    const messageListeners = new Set();
+    const closeListeners = new Set();
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+
+    const write = (opcode, payload) => {
+        if (!connection.closed && socket.writable) socket.write(encodeFrame(opcode, payload));
+    };
+
+    const finish = (code) => {
+        if (connection.closed) return;
+        connection.closed = true;
+        closeListeners.forEach(listener => listener(code));
+        messageListeners.clear();
+        closeListeners.clear();
+    };
+
+    const handleFrame = (fin, opcode, payload) => {
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.continuation: {
+                if (opcode === OPCODES.continuation && fragments.length === 0) throw new Error("Unexpected continuation frame.");
+                if (opcode === OPCODES.text && fragments.length > 0) throw new Error("Expected a continuation frame.");
+                fragments.push(payload);
+                const size = fragments.reduce((sum, part) => sum + part.length, 0);
+                if (size > maxMessageSize) throw new Error("Message too large.");
+                if (fin) {
+                    const text = Buffer.concat(fragments).toString('utf8');
+                    fragments = [];
+                    messageListeners.forEach(listener => listener(text));
+                }
+                break;
+            }
+            case OPCODES.ping:
+                write(OPCODES.pong, payload);
+                break;
+            case OPCODES.pong:
+                break;
+            case OPCODES.close:
+                connection.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+                break;
+            default:
+                connection.close(1003, "Only text messages are supported.");
+        }
+    };
+
+    // Parses as many complete frames as the buffer holds.
+    const drainFrames = () => {
+        while (buffer.length >= 2 && !connection.closed) {
+            const fin = (buffer[0] & 0x80) !== 0;
+            const opcode = buffer[0] & 0x0f;
+            const masked = (buffer[1] & 0x80) !== 0;
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                if (buffer.length < 4) return;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) return;
+                const big = buffer.readBigUInt64BE(2);
+                if (big > BigInt(maxMessageSize)) throw new Error("Frame too large.");
+                length = Number(big);
+                offset = 10;
+            }
+            if (!masked) throw new Error("Client frames must be masked.");
+            if (length > maxMessageSize) throw new Error("Frame too large.");
+            if (buffer.length < offset + 4 + length) return;
+
+            const mask = buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+            buffer = buffer.subarray(offset + 4 + length);
+            handleFrame(fin, opcode, payload);
+        }
+    };
+
+    const connection = {
+        closed: false,
+        send(text) {
+            write(OPCODES.text, Buffer.from(text, 'utf8'));
+        },
+        close(code = 1000, reason = '') {
+            if (connection.closed) return;
+            const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+            payload.writeUInt16BE(code, 0);
+            payload.write(reason, 2);
+            write(OPCODES.close, payload);
+            socket.end();
+            // Don't wait forever for a peer that never answers the close.
+            setTimeout(() => socket.destroy(), 1000).unref();
+            finish(code);
+        },
+        onMessage(listener) {
+            messageListeners.add(listener);
+            return () => messageListeners.delete(listener);
+        },
+        onClose(listener) {
+            closeListeners.add(listener);
+            return () => closeListeners.delete(listener);
+        },
+    };
+
+    socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        try {
+            drainFrames();
+        } catch (error) {
+            connection.close(1002, error.message);
+        }
+    });
+    // The HTTP server allows half-open sockets, so finish our side when the peer hangs up.
+    socket.on('end', () => {
+        socket.end();
+        finish(1006);
+    });
+    socket.on('close', () => finish(1006));
+    socket.on('error', () => finish(1006));
+    return connection;
+}
+
+/**
+ * Completes the WebSocket handshake for an HTTP upgrade request.
+ * @param {import('node:http').IncomingMessage} request
+ * @param {import('node:net').Socket} socket
+ * @param {{maxMessageSize?: number}} [options]
+ * @returns {WebSocketConnection | null} The connection, or null if the
+ *     request was not a valid WebSocket upgrade (it is answered with 400).
+ */
+export function acceptWebSocket(request, socket, { maxMessageSize = 4096 } = {}) {
+    const key = request.headers['sec-websocket-key'];
+    if ((request.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return null;
+    }
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', '',
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    return createConnection(socket, { maxMessageSize });
+}
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Frame-level tests for the WebSocket connection in ws.mjs,
+ * talking to it over a raw TCP socket so the frames can be built by hand.
+ * Run with `npm test` from game_submission/.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { once } from 'node:events';
+import { acceptWebSocket } from './ws.mjs';
+import { clientFrame, connectWebSocket } from './ws-test-client.mjs';
+
+/**
+ * Starts a server that accepts WebSockets with a 64-byte message limit, and
+ * connects a client to it.
+ * @param {import('node:test').TestContext} t
+ * @returns {Promise<{messages: string[]} & Awaited<ReturnType<typeof connectWebSocket>>>}
+ *     `messages` collects the text messages the server receives.
+ */
+async function openSocket(t) {
+    const messages = [];
+    const server = createServer();
+    server.on('upgrade', (request, socket) => {
+        acceptWebSocket(request, socket, { maxMessageSize: 64 })?.onMessage(text => messages.push(text));
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    const client = await connectWebSocket(server.address().port);
+    t.after(() => {
+        client.socket.destroy();
+        return new Promise(resolve => server.close(resolve));
+    });
+    return { messages, ...client };
+}
+
+test('completes the handshake with the RFC 6455 accept key', async (t) => {
+    const { handshake } = await openSocket(t);
+    assert.match(handshake, /\r\nSec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK\+xOo=\r\n/);
+});
+
+test('answers a ping with a pong carrying the same payload', async (t) => {
+    const { socket, nextFrame } = await openSocket(t);
+    socket.write(clientFrame(0x9, 'hello?'));
+    const pong = await nextFrame();
+    assert.equal(pong.opcode, 0xa);
+    assert.equal(pong.payload.toString(), 'hello?');
+});
+
+test('joins a fragmented text message', async (t) => {
+    const { socket, messages, nextFrame } = await openSocket(t);
+    socket.write(clientFrame(0x1, 'Toge', { fin: false }));
+    socket.write(clientFrame(0x9, '')); // Control frames may come between fragments
+    socket.write(clientFrame(0x0, 'ther', { fin: false }));
+    socket.write(clientFrame(0x0, 'We'));
+    socket.write(clientFrame(0x9, 'done')); // Answered once the frames before it are handled
+    while ((await nextFrame()).payload.toString() !== 'done');
+    assert.deepEqual(messages, ['TogetherWe']);
+});
+
+test('closes the connection on an unmasked frame', async (t) => {
+    const { socket, messages, nextFrame, closed } = await openSocket(t);
+    socket.write(clientFrame(0x1, 'not masked', { masked: false }));
+    const close = await nextFrame();
+    assert.equal(close.opcode, 0x8);
+    assert.equal(close.payload.subarray(2).toString(), "Client frames must be masked.");
+    assert.equal(await closed, 1002);
+    assert.deepEqual(messages, []);
+});
+
+test('closes the connection on a message over the size limit', async (t) => {
+    const { socket, messages, nextFrame, closed } = await openSocket(t);
+    socket.write(clientFrame(0x1, 'x'.repeat(40), { fin: false }));
+    socket.write(clientFrame(0x0, 'x'.repeat(40)));
+    assert.equal((await nextFrame()).payload.subarray(2).toString(), "Message too large.");
+    assert.equal(await closed, 1002);
+    assert.deepEqual(messages, []);
+});
+
+test('closes the connection on a frame over the size limit', async (t) => {
+    const { socket, closed } = await openSocket(t);
+    socket.write(clientFrame(0x1, 'x'.repeat(200)));
+    assert.equal(await closed, 1002);
+});
+
+test('rejects binary messages', async (t) => {
+    const { socket, closed } = await openSocket(t);
+    socket.write(clientFrame(0x2, Buffer.from([1, 2, 3])));
+    assert.equal(await closed, 1003);
+});
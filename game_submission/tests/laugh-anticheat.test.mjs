@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Tests for the Laugh round checks in game_app/js/anticheat.js,
+ * on the recorded traces in fixtures/. The checks must judge loudness with
+ * the margin the round was played with, as laugh.js passes it.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { checkLaughRound, ANTICHEAT_DEFAULTS } from '../game_app/js/anticheat.js';
+
+const loadTrace = async (name) => JSON.parse(await readFile(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+
+/**
+ * The round a trace was recorded from, with one audio frame per tick.
+ * @param {Object} trace A trace document from `createLaughTrace`.
+ */
+const roundFromTrace = ({ ticks, baselineRMS, tickInterval }) => ({
+    ticks,
+    baselineRMS,
+    frameRms: ticks.map(tick => tick.rms),
+    frameDuration: tickInterval / 1000,
+    durationMs: ticks.length * tickInterval,
+});
+
+test('a Gentle round is judged with its own loudness margin', async () => {
+    const trace = await loadTrace('laugh-trace-gentle');
+    assert.ok(trace.options.loudOffset > ANTICHEAT_DEFAULTS.loudOffset);
+    const round = roundFromTrace(trace);
+    assert.deepEqual(checkLaughRound(round, { loudOffset: trace.options.loudOffset }), []);
+    // With the Normal margin, its chatter between giggles would count as loud noise.
+    assert.deepEqual(checkLaughRound(round).map(flag => flag.code), ['laugh-loud-noise']);
+});
+
+test('shouting is flagged as loud noise', async () => {
+    const trace = await loadTrace('laugh-trace-shouting');
+    assert.deepEqual(checkLaughRound(roundFromTrace(trace)).map(flag => flag.code), ['laugh-loud-noise']);
+});
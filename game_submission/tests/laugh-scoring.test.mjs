@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Tests for the JoyRank engine (game_app/js/laugh-scoring.js):
+ * the scoring rules, and replaying the recorded traces in fixtures/ so a
+ * change to the formula shows up as a changed score.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import {
+    createLaughScorer, scoreLaughTicks, createLaughTrace, replayLaughTrace,
+    LAUGH_TRACE_FORMAT, LAUGH_TRACE_VERSION,
+} from '../game_app/js/laugh-scoring.js';
+
+const loadTrace = async (name) => JSON.parse(await readFile(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+const ticks = (count, tick) => Array.from({ length: count }, () => ({ ...tick }));
+
+test('the base score is 100x the mean laughter probability', () => {
+    const { score, components } = scoreLaughTicks([{ probability: 0.25, rms: 0 }, { probability: 0.5, rms: 0 }], 0.01);
+    assert.equal(components.baseScore, 37.5);
+    assert.equal(score, 38);
+});
+
+test('a streak earns a bonus every 4 ticks at p >= 0.6', () => {
+    const scorer = createLaughScorer(0.01);
+    const bonuses = ticks(9, { probability: 0.6, rms: 0 }).map(tick => scorer.push(tick).lastTick.bonus);
+    assert.deepEqual(bonuses, [false, false, false, true, false, false, false, true, false]);
+    const { components } = scorer.result();
+    assert.equal(components.streakBonus, 4); // 2 bonuses x 2 points
+    assert.equal(components.maxStreak, 9);
+});
+
+test('a tick below the threshold ends the streak', () => {
+    const { components } = scoreLaughTicks([
+        ...ticks(3, { probability: 0.9, rms: 0 }),
+        { probability: 0.59, rms: 0 },
+        ...ticks(3, { probability: 0.9, rms: 0 }),
+    ], 0.01);
+    assert.equal(components.streakBonus, 0);
+    assert.equal(components.maxStreak, 3);
+});
+
+test('loudness above baselineRMS + 0.10 is penalized, capped at 0.03 a tick', () => {
+    const scorer = createLaughScorer(0.05);
+    assert.equal(scorer.push({ probability: 0, rms: 0.15 }).lastTick.penalty, 0); // At the threshold
+    assert.ok(Math.abs(scorer.push({ probability: 0, rms: 0.16 }).lastTick.penalty - 0.01) < 1e-9);
+    assert.equal(scorer.push({ probability: 0, rms: 0.9 }).lastTick.penalty, 0.03);
+    assert.ok(Math.abs(scorer.result().components.loudPenalty - 15 * 0.04) < 1e-9);
+});
+
+test('the score never goes below 0', () => {
+    const { score, components } = scoreLaughTicks(ticks(20, { probability: 0.05, rms: 1 }), 0.01);
+    assert.ok(components.baseScore - components.loudPenalty < 0);
+    assert.equal(score, 0);
+});
+
+test('options override the defaults', () => {
+    const loud = ticks(4, { probability: 0.5, rms: 0.2 });
+    assert.equal(scoreLaughTicks(loud, 0.01, { loudOffset: 0.5 }).components.loudPenalty, 0);
+    assert.equal(scoreLaughTicks(loud, 0.01, { streakThreshold: 0.5 }).components.streakBonus, 2);
+});
+
+for (const name of ['laugh-trace-bursts', 'laugh-trace-shouting', 'laugh-trace-gentle']) {
+    test(`replaying ${name} gives its recorded score`, async () => {
+        const trace = await loadTrace(name);
+        assert.equal(trace.format, LAUGH_TRACE_FORMAT);
+        assert.equal(replayLaughTrace(trace).score, trace.score);
+    });
+}
+
+test('a trace round-trips through JSON', () => {
+    const round = [{ probability: 0.7, rms: 0.02 }, { probability: 0.8, rms: 0.3 }];
+    const trace = JSON.parse(JSON.stringify(createLaughTrace({ baselineRMS: 0.01, tickInterval: 250, ticks: round, score: 75 })));
+    assert.equal(trace.version, LAUGH_TRACE_VERSION);
+    assert.deepEqual(replayLaughTrace(trace), scoreLaughTicks(round, 0.01));
+});
+
+test('replay options apply on top of the trace', async () => {
+    const trace = await loadTrace('laugh-trace-bursts');
+    const withoutBonus = replayLaughTrace(trace, { bonusWeight: 0 });
+    assert.equal(withoutBonus.components.streakBonus, 0);
+    assert.ok(withoutBonus.score < trace.score);
+});
+
+test('replay rejects documents that are not usable traces', async () => {
+    const trace = await loadTrace('laugh-trace-bursts');
+    assert.throws(() => replayLaughTrace(null), /Not a Laugh mode trace/);
+    assert.throws(() => replayLaughTrace({ ...trace, format: 'togetherwe-shake-recording' }), /Not a Laugh mode trace/);
+    assert.throws(() => replayLaughTrace({ ...trace, version: LAUGH_TRACE_VERSION + 1 }), /Unsupported trace version/);
+    assert.throws(() => replayLaughTrace({ ...trace, baselineRMS: undefined }), /missing its baseline/);
+    assert.throws(() => replayLaughTrace({ ...trace, ticks: undefined }), /missing its baseline or ticks/);
+});
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Tests for the YIN pitch detector and the note conversions in
+ * game_app/js/pitch.js, on synthetic sine waves, silence and noise.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectPitch, frequencyToMidi, midiToFrequency, noteName, centsBetween, PITCH_DEFAULTS } from '../game_app/js/pitch.js';
+
+/**
+ * @param {number} frequency In Hz.
+ * @param {number} sampleRate In Hz.
+ * @param {number} length In samples.
+ * @returns {Float32Array}
+ */
+const sine = (frequency, sampleRate, length) => Float32Array.from({ length }, (_, i) => 0.5 * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+
+/**
+ * Asserts that a detected pitch is within 0.2% of the expected frequency, and clear.
+ * @param {import('../game_app/js/pitch.js').Pitch | null} pitch
+ * @param {number} frequency
+ */
+function assertPitch(pitch, frequency) {
+    assert.ok(pitch, `no pitch found for ${frequency} Hz`);
+    assert.ok(Math.abs(pitch.frequency / frequency - 1) <= 0.002, `found ${pitch.frequency} Hz for ${frequency} Hz`);
+    assert.ok(pitch.clarity >= 0.998, `clarity ${pitch.clarity} for ${frequency} Hz`);
+}
+
+for (const frequency of [80, 110, 220, 440, 880, 990]) {
+    test(`finds a ${frequency} Hz sine at 16 kHz`, () => {
+        assertPitch(detectPitch(sine(frequency, 16000, 2048), 16000), frequency);
+    });
+}
+
+test('finds a 100 Hz sine at 48 kHz', () => {
+    assertPitch(detectPitch(sine(100, 48000, 2048), 48000), 100);
+});
+
+test('finds no pitch in silence', () => {
+    assert.equal(detectPitch(new Float32Array(2048), 16000), null);
+});
+
+test('finds no pitch in white noise', () => {
+    let seed = 3;
+    const noise = Float32Array.from({ length: 2048 }, () => 2 * (seed = (seed * 16807) % 2147483647) / 2147483647 - 1);
+    assert.equal(detectPitch(noise, 16000), null);
+});
+
+test('a buffer shorter than two periods of minFrequency only finds pitches that fit', () => {
+    const length = 256; // Two periods of 125 Hz at 16 kHz
+    assert.ok(length < 2 * 16000 / PITCH_DEFAULTS.minFrequency);
+    assert.equal(detectPitch(sine(80, 16000, length), 16000), null);
+    assertPitch(detectPitch(sine(440, 16000, length), 16000), 440);
+    assert.equal(detectPitch(sine(440, 16000, 8), 16000), null); // Not even the highest frequency fits
+});
+
+test('notes round-trip between frequencies, MIDI numbers and names', () => {
+    assert.equal(frequencyToMidi(440), 69);
+    assert.equal(noteName(69), 'A4');
+    assert.equal(noteName(60), 'C4');
+    assert.equal(noteName(frequencyToMidi(196)), 'G3');
+    assert.equal(noteName(frequencyToMidi(277.18)), 'C♯4');
+    assert.equal(noteName(21), 'A0');
+    assert.equal(noteName(11), 'B-1');
+    for (let midi = 36; midi <= 84; midi++) {
+        assert.ok(Math.abs(frequencyToMidi(midiToFrequency(midi)) - midi) < 1e-9);
+    }
+    assert.equal(noteName(69.49), 'A4');
+    assert.equal(noteName(69.51), 'A♯4');
+});
+
+test('cents measure the distance between frequencies', () => {
+    assert.equal(centsBetween(440, 440), 0);
+    assert.ok(Math.abs(centsBetween(880, 440) - 1200) < 1e-9);
+    assert.ok(Math.abs(centsBetween(220, 440) + 1200) < 1e-9);
+    assert.ok(Math.abs(centsBetween(midiToFrequency(70), 440) - 100) < 1e-9);
+    assert.ok(Math.abs(centsBetween(440, 432) - 100 * (frequencyToMidi(440) - frequencyToMidi(432))) < 1e-9);
+});
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Tests for the ShakeRank engine (game_app/js/shake-scoring.js):
+ * the time steps it integrates over, devices that only report acceleration
+ * including gravity, and replaying the recordings in fixtures/.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import {
+    createShakeScorer, scoreShakeSamples, createShakeRecording, replayShakeRecording,
+    SHAKE_SCORING_DEFAULTS, SHAKE_RECORDING_FORMAT, SHAKE_RECORDING_VERSION,
+} from '../game_app/js/shake-scoring.js';
+
+const loadRecording = async (name) => JSON.parse(await readFile(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+const still = (t) => ({ t, acceleration: { x: 0, y: 0, z: 0 }, accelerationIncludingGravity: null, rotationRate: null });
+
+test('the first sample uses the default time step', () => {
+    const scorer = createShakeScorer();
+    assert.equal(scorer.push(still(5000)).dt, SHAKE_SCORING_DEFAULTS.defaultDt);
+    assert.ok(Math.abs(scorer.push(still(5020)).dt - 0.02) < 1e-9);
+});
+
+test('gaps of 0.25 s or more, and non-positive gaps, use the default time step', () => {
+    const scorer = createShakeScorer();
+    const dts = [1000, 1250, 1500.1, 1500.1, 1490, 1510].map(t => scorer.push(still(t)).dt);
+    assert.equal(dts[1], 0.25); // Exactly maxDt is kept
+    assert.deepEqual(dts.slice(2, 5), Array(3).fill(SHAKE_SCORING_DEFAULTS.defaultDt));
+    assert.ok(Math.abs(dts[5] - 0.02) < 1e-9);
+});
+
+test('energy is integrated over the time step', () => {
+    const samples = [0, 20, 40].map(t => ({
+        t: 1000 + t,
+        acceleration: { x: 3, y: 4, z: 0 },
+        accelerationIncludingGravity: null,
+        rotationRate: { alpha: 180 / Math.PI, beta: 0, gamma: 0 },
+    }));
+    const { score, components } = scoreShakeSamples(samples);
+    assert.ok(Math.abs(components.accEnergy - 25 * (0.016 + 0.02 + 0.02)) < 1e-9);
+    assert.ok(Math.abs(components.rotEnergy - (0.016 + 0.02 + 0.02)) < 1e-9);
+    assert.equal(score, Math.round(6 * components.accEnergy + 2 * components.rotEnergy));
+    assert.equal(components.accSource, 'linear');
+});
+
+test('a still, upright device reporting only acceleration including gravity scores 0', () => {
+    for (const rotationRate of [null, { alpha: 0, beta: 0, gamma: 0 }]) {
+        const samples = Array.from({ length: 200 }, (_, i) => ({
+            t: 1000 + i * 16,
+            acceleration: null,
+            accelerationIncludingGravity: { x: 0, y: 9.81, z: 0 },
+            rotationRate,
+        }));
+        const { score, components } = scoreShakeSamples(samples);
+        assert.equal(score, 0);
+        assert.equal(components.accSource, rotationRate ? 'gravity-fused' : 'gravity-lowpass');
+    }
+});
+
+test('samples without any acceleration only score their rotation', () => {
+    const { components } = scoreShakeSamples([{ t: 1000, acceleration: null, accelerationIncludingGravity: null, rotationRate: null }]);
+    assert.equal(components.accEnergy, 0);
+    assert.equal(components.accSource, 'none');
+});
+
+for (const [name, accSource] of [['shake-recording-linear', 'linear'], ['shake-recording-gravity-only', 'gravity-lowpass']]) {
+    test(`replaying ${name} gives its recorded score`, async () => {
+        const recording = await loadRecording(name);
+        assert.equal(recording.format, SHAKE_RECORDING_FORMAT);
+        const { score, components } = replayShakeRecording(recording);
+        assert.equal(score, recording.score);
+        assert.equal(components.samples, recording.samples.length);
+        assert.equal(components.accSource, accSource);
+    });
+}
+
+test('a recording round-trips through JSON', () => {
+    const samples = [1000, 1016, 1033].map(t => ({ ...still(t), acceleration: { x: 2, y: 0, z: 1 } }));
+    const recording = JSON.parse(JSON.stringify(createShakeRecording({ samples, duration: 10, score: 1 })));
+    assert.equal(recording.version, SHAKE_RECORDING_VERSION);
+    assert.deepEqual(replayShakeRecording(recording), scoreShakeSamples(samples));
+});
+
+test('replay rejects documents that are not usable recordings', async () => {
+    const recording = await loadRecording('shake-recording-linear');
+    assert.throws(() => replayShakeRecording(null), /Not a Shake mode recording/);
+    assert.throws(() => replayShakeRecording({ ...recording, format: 'togetherwe-laugh-trace' }), /Not a Shake mode recording/);
+    assert.throws(() => replayShakeRecording({ ...recording, version: SHAKE_RECORDING_VERSION + 1 }), /Unsupported recording version/);
+    assert.throws(() => replayShakeRecording({ ...recording, samples: undefined }), /no samples/);
+});
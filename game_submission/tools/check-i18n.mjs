@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Checks the translations in game_app/js/locales/ against the
+ * English catalog and the keys the app uses:
+ *  - every language has every English key, and no others;
+ *  - translations keep the English placeholders, and plural messages have
+ *    an `other` form;
+ *  - every key in the markup (`data-i18n`, `data-i18n-html`,
+ *    `data-i18n-attr`) and in t() calls in the scripts is in the English
+ *    catalog;
+ *  - every achievement in achievements.json is translated.
+ * English keys nothing seems to use are listed too, but don't fail the check.
+ *
+ * Run with `node tools/check-i18n.mjs` from game_submission/. Exits with 1
+ * if anything is missing.
+ */
+import { readFile, readdir } from 'node:fs/promises';
+import { dirname, join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const APP_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'game_app');
+const { LANGUAGES, DEFAULT_LANGUAGE } = await import(join(APP_DIR, 'js', 'i18n.js'));
+
+const problems = [];
+const report = (file, message) => problems.push(`${file}: ${message}`);
+
+/**
+ * The placeholder names in a message, over all its plural forms.
+ * @param {string | Object<string, string>} message
+ * @returns {string} The sorted names, comma-separated.
+ */
+function placeholders(message) {
+    const forms = typeof message === 'string' ? [message] : Object.values(message);
+    const names = new Set(forms.flatMap(form => [...form.matchAll(/\{(\w+)\}/g)].map(m => m[1])));
+    return [...names].sort().join(', ');
+}
+
+/**
+ * Every file under a directory, recursively.
+ * @param {string} dir
+ * @returns {Promise<string[]>}
+ */
+async function listFiles(dir) {
+    const entries = await readdir(dir, { withFileTypes: true });
+    const nested = await Promise.all(entries.map(entry => {
+        const path = join(dir, entry.name);
+        return entry.isDirectory() ? listFiles(path) : [path];
+    }));
+    return nested.flat();
+}
+
+const english = LANGUAGES[DEFAULT_LANGUAGE].messages;
+
+// --- The catalogs against English ---
+for (const [code, { messages }] of Object.entries(LANGUAGES)) {
+    const file = `js/locales/${code}.js`;
+    for (const [key, message] of Object.entries(messages)) {
+        if (!(key in english)) {
+            report(file, `"${key}" is not an English key.`);
+            continue;
+        }
+        if (typeof message === 'object' && typeof message.other !== 'string') {
+            report(file, `"${key}" has no "other" plural form.`);
+        }
+        const expected = placeholders(english[key]);
+        const actual = placeholders(message);
+        if (actual !== expected) {
+            report(file, `"${key}" has placeholders {${actual}}, expected {${expected}}.`);
+        }
+    }
+    for (const key of Object.keys(english)) {
+        if (!(key in messages)) report(file, `missing "${key}".`);
+    }
+}
+
+// --- Keys used by the markup and the scripts ---
+const files = (await listFiles(APP_DIR)).filter(path => !path.includes(join('js', 'locales')) && !path.includes('vendor'));
+const usedKeys = new Map(); // key -> first file using it
+const templates = []; // {pattern, file} for keys built at runtime, e.g. `labels.${index}`
+const literals = new Set(); // every quoted string in the scripts, for keys passed around before t()
+const use = (key, file) => { if (!usedKeys.has(key)) usedKeys.set(key, file); };
+
+for (const path of files) {
+    const file = relative(APP_DIR, path);
+    if (path.endsWith('.html')) {
+        const html = await readFile(path, 'utf8');
+        for (const [, key] of html.matchAll(/data-i18n(?:-html)?="([^"]+)"/g)) use(key, file);
+        for (const [, pairs] of html.matchAll(/data-i18n-attr="([^"]+)"/g)) {
+            for (const pair of pairs.split(';').filter(p => p.trim())) use(pair.split(':')[1].trim(), file);
+        }
+    } else if (path.endsWith('.js') && !path.endsWith('i18n.js')) {
+        const source = await readFile(path, 'utf8');
+        for (const [, args] of source.matchAll(/\bt\(([^()]*?)[,)]/g)) {
+            // Keys always have a dot, unlike other strings in the arguments (`t(a === 'b' ? 'c.d' : 'c.e')`).
+            for (const [, , key] of args.matchAll(/(['"])(\w+(?:\.\w+)+)\1/g)) use(key, file);
+            const template = args.match(/^\s*`([^`]*)`/)?.[1];
+            if (template?.includes('${')) {
+                const pattern = template.split(/\$\{[^}]*\}/).map(part => part.replace(/\./g, '\\.')).join('[\\w.]+');
+                templates.push({ pattern: new RegExp(`^${pattern}$`), file });
+            }
+        }
+        for (const [, , literal] of source.matchAll(/(['"`])([\w.]+)\1/g)) literals.add(literal);
+    }
+}
+
+for (const [key, file] of usedKeys) {
+    if (!(key in english)) report(file, `uses "${key}", which is not in js/locales/en.js.`);
+}
+for (const { pattern, file } of templates) {
+    if (!Object.keys(english).some(key => pattern.test(key))) {
+        report(file, `no key in js/locales/en.js matches ${pattern}.`);
+    }
+}
+
+// --- Achievements ---
+const { achievements } = JSON.parse(await readFile(join(APP_DIR, 'achievements.json'), 'utf8'));
+for (const { id, translations = {} } of achievements) {
+    for (const code of Object.keys(LANGUAGES).filter(c => c !== DEFAULT_LANGUAGE)) {
+        const translation = translations[code] || {};
+        for (const field of ['title', 'description']) {
+            if (typeof translation[field] !== 'string') report('achievements.json', `"${id}" has no ${code} ${field}.`);
+        }
+    }
+}
+
+const unused = Object.keys(english)
+    .filter(key => !usedKeys.has(key) && !literals.has(key) && !templates.some(({ pattern }) => pattern.test(key)));
+if (unused.length > 0) {
+    console.log(`English keys that seem unused (not an error; they may be built at runtime):\n  ${unused.join('\n  ')}`);
+}
+
+if (problems.length > 0) {
+    console.error(`${problems.length} translation problem(s):\n  ${problems.join('\n  ')}`);
+    process.exit(1);
+}
+console.log(`Translations OK: ${Object.keys(LANGUAGES).join(', ')} with ${Object.keys(english).length} keys each.`);